@@ -0,0 +1,96 @@
+// Permission catalogue for role-based access control. Roles in the Role
+// collection grant a list of these; "*" grants everything and
+// "resource:*" grants every action on a resource.
+export const PERMISSIONS = {
+  "admin:access": "Sign in to the admin panel and manage own profile",
+  "dashboard:read": "View dashboard statistics",
+  "analytics:read": "View analytics",
+  "users:read": "View customers and staff",
+  "users:write": "Edit, block and annotate users",
+  "users:delete": "Delete users",
+  "users:impersonate": "Sign in as a customer",
+  "products:read": "View all products in the admin panel",
+  "products:write": "Create and edit products and variants",
+  "products:delete": "Delete products",
+  "products:manage_any": "Edit and delete products of any seller",
+  "orders:read": "View and export orders",
+  "orders:update": "Update order status, fulfillment and notes",
+  "orders:refund": "Record refunds",
+  "returns:manage": "Approve, reject and receive returns",
+  "invoices:read": "View invoices",
+  "invoices:write": "Generate invoices",
+  "invoices:send": "Email invoices to customers",
+  "coupons:read": "View coupons",
+  "coupons:write": "Create, edit and delete coupons",
+  "promotions:read": "View automatic promotions",
+  "promotions:write": "Create, edit and delete automatic promotions",
+  "wallet:manage": "View and adjust customer store credit",
+  "giftcards:manage": "Issue, resend and cancel gift cards",
+  "loyalty:manage": "View and adjust customer loyalty points",
+  "banners:manage": "Manage homepage banners",
+  "blogs:manage": "Manage blog posts",
+  "reviews:moderate": "Moderate product reviews",
+  "devices:read": "View devices and telemetry",
+  "devices:write": "Edit, reassign and disable devices",
+  "reports:generate": "Generate and download reports",
+  "roles:manage": "Manage roles and their permissions",
+  "seller:portal": "Use the seller portal for own products and orders",
+  "payouts:manage": "View seller ledgers and record payouts",
+};
+
+// Roles created on first start. Admin and user are system roles and
+// cannot be deleted.
+export const DEFAULT_ROLES = [
+  {
+    name: "admin",
+    description: "Full access",
+    permissions: ["*"],
+    isSystem: true,
+  },
+  {
+    name: "support",
+    description: "Customer support staff",
+    permissions: [
+      "admin:access",
+      "dashboard:read",
+      "users:read",
+      "users:impersonate",
+      "orders:read",
+      "orders:update",
+      "returns:manage",
+      "invoices:read",
+      "invoices:send",
+      "reviews:moderate",
+      "devices:read",
+    ],
+    isSystem: false,
+  },
+  {
+    name: "seller",
+    description: "Marketplace seller",
+    permissions: ["products:write", "products:delete", "seller:portal"],
+    isSystem: false,
+  },
+  {
+    name: "user",
+    description: "Customer",
+    permissions: [],
+    isSystem: true,
+  },
+];
+
+export const isKnownPermission = (permission) =>
+  permission === "*" ||
+  Object.hasOwn(PERMISSIONS, permission) ||
+  Object.keys(PERMISSIONS).some(
+    (key) => `${key.split(":")[0]}:*` === permission
+  );
+
+// Check a granted permission list against a required permission
+export const hasPermission = (granted = [], permission) => {
+  const [resource] = permission.split(":");
+  return granted.some(
+    (grant) =>
+      grant === "*" || grant === permission || grant === `${resource}:*`
+  );
+};
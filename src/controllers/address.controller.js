@@ -0,0 +1,156 @@
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import { pickAddressFields, validateAddress } from "../utils/address.js";
+
+const MAX_ADDRESSES = 20;
+
+// Helper function to send a failed address validation
+const addressError = (res, errors) =>
+  res.status(400).json({
+    success: false,
+    message: "Invalid address",
+    errors,
+  });
+
+// Helper function to load the signed-in user with the address book
+const findUser = (req) => User.findById(req.user.id).select("addresses");
+
+// Helper function to find one address of the user
+const findAddress = (user, addressId) =>
+  mongoose.isValidObjectId(addressId) ? user.addresses.id(addressId) : null;
+
+// Default address first, then most recently added
+const sortAddresses = (addresses) =>
+  [...addresses].sort(
+    (a, b) =>
+      Number(b.isDefault) - Number(a.isDefault) || b.createdAt - a.createdAt
+  );
+
+// GET ADDRESSES
+export const getAddresses = async (req, res) => {
+  try {
+    const user = await findUser(req);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    res.json({
+      success: true,
+      addresses: sortAddresses(user.addresses),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// ADD ADDRESS
+export const addAddress = async (req, res) => {
+  try {
+    const data = pickAddressFields(req.body);
+    const errors = validateAddress(data);
+    if (errors.length > 0) return addressError(res, errors);
+
+    const user = await findUser(req);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_ADDRESSES} addresses`,
+      });
+    }
+
+    const address = user.addAddress(data);
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Address added successfully",
+      address,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// UPDATE ADDRESS
+export const updateAddress = async (req, res) => {
+  try {
+    const user = await findUser(req);
+    const address = user && findAddress(user, req.params.addressId);
+    if (!address) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Address not found" });
+    }
+
+    const data = pickAddressFields(req.body);
+    const errors = validateAddress({ ...address.toObject(), ...data });
+    if (errors.length > 0) return addressError(res, errors);
+
+    address.set(data);
+    if (data.isDefault) user.setDefaultAddress(address._id);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Address updated successfully",
+      address,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// DELETE ADDRESS
+export const deleteAddress = async (req, res) => {
+  try {
+    const user = await findUser(req);
+    if (!user || !findAddress(user, req.params.addressId)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Address not found" });
+    }
+
+    user.removeAddress(req.params.addressId);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Address deleted successfully",
+      addresses: sortAddresses(user.addresses),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// SET DEFAULT ADDRESS
+export const setDefaultAddress = async (req, res) => {
+  try {
+    const user = await findUser(req);
+    const address = user && findAddress(user, req.params.addressId);
+    if (!address) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Address not found" });
+    }
+
+    user.setDefaultAddress(address._id);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Default address updated",
+      addresses: sortAddresses(user.addresses),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
@@ -1,6 +1,31 @@
 import User from "../models/user.model.js";
 import Product from "../models/product.model.js";
 import Order from "../models/order.model.js";
+import Device, {
+  ONLINE_WINDOW_MS,
+  deviceFilter,
+} from "../models/device.model.js";
+import Telemetry from "../models/telemetry.model.js";
+import ReportJob from "../models/reportJob.model.js";
+import Settings from "../models/settings.model.js";
+import Session from "../models/session.model.js";
+import {
+  REPORT_FORMATS,
+  REPORT_SYNC_ROW_LIMIT,
+  getReportDefinition,
+  listReports,
+  parseReportRange,
+  resolveColumns,
+  writeReport,
+} from "../utils/reports/index.js";
+import { openReportDownload } from "../utils/reports/storage.js";
+import {
+  canRunInBackground,
+  enqueueReportJob,
+  runReportJob,
+} from "../jobs/report.job.js";
+import { checkPassword, getPasswordPolicy } from "../utils/passwordPolicy.js";
+import { cancelForAdmin } from "../utils/orderCancellation.js";
 import mongoose from "mongoose";
 
 // Helper function to validate ObjectId
@@ -15,8 +40,7 @@ export const getDashboardStats = async (req, res) => {
     const totalProducts = await Product.countDocuments();
     const totalOrders = await Order.countDocuments();
 
-    // Online devices - for now, mock data since we don't have device model
-    const onlineDevices = 432;
+    const onlineDevices = await Device.countOnline();
 
     // Recent orders count (last 30 days)
     const thirtyDaysAgo = new Date();
@@ -154,6 +178,9 @@ export const toggleUserStatus = async (req, res) => {
     // In a real app, you might have a separate status field
     user.role = user.role === "banned" ? "user" : "banned";
     await user.save();
+    if (user.role === "banned") {
+      await Session.revokeForUser(user._id, "account_blocked");
+    }
 
     res.json({
       message: `User ${
@@ -162,7 +189,6 @@ export const toggleUserStatus = async (req, res) => {
       user: {
         ...user.toObject(),
         password: undefined,
-        refreshToken: undefined,
       },
     });
   } catch (error) {
@@ -433,48 +459,80 @@ export const updateOrderStatus = async (req, res) => {
       return res.status(400).json({ message: "Invalid status" });
     }
 
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    ).populate("customerId", "name email");
-
+    const order = await Order.findById(req.params.id);
     if (!order) {
       return res.status(404).json({ message: "Order not found" });
     }
 
-    res.json(order);
+    if (status === "cancelled") {
+      // Gives back the stock, coupon use, store credit and points once
+      const cancelled = await cancelForAdmin(order, {
+        adminId: req.user.id,
+        adminName: req.user.name,
+      });
+      if (!cancelled) {
+        return res
+          .status(400)
+          .json({ message: "Order cannot be cancelled at this stage" });
+      }
+      return res.json(await cancelled.populate("customerId", "name email"));
+    }
+
+    // Sets the fulfillment dates that loyalty points, seller ledgers and
+    // the return window go by
+    order.updateStatus(status, req.user.id, req.user.name);
+    await order.save();
+
+    res.json(await order.populate("customerId", "name email"));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
-// Devices Management (Mock data for now)
+// Devices Management
 export const getDevices = async (req, res) => {
   try {
-    // Mock device data - in real app, you'd have a Device model
-    const devices = [
-      {
-        id: "DEV-001",
-        name: "Plant Monitor A1",
-        owner: "John Doe",
-        status: "online",
-        lastSeen: new Date(),
-        firmware: "1.2.3",
-        model: "PM-100",
-      },
-      {
-        id: "DEV-002",
-        name: "Greenhouse Sensor",
-        owner: "Jane Smith",
-        status: "online",
-        lastSeen: new Date(),
-        firmware: "1.1.9",
-        model: "GS-200",
-      },
-    ];
+    const { page = 1, limit = 10, search = "", status = "all" } = req.query;
 
-    res.json({ devices, pagination: { total: devices.length } });
+    let query = {};
+    if (search) {
+      query.$or = [
+        { deviceId: { $regex: search, $options: "i" } },
+        { name: { $regex: search, $options: "i" } },
+      ];
+    }
+
+    const onlineSince = new Date(Date.now() - ONLINE_WINDOW_MS);
+    if (status === "online") {
+      query.isActive = true;
+      query.lastSeen = { $gte: onlineSince };
+    } else if (status === "offline") {
+      query.isActive = true;
+      query.$and = [
+        { $or: [{ lastSeen: null }, { lastSeen: { $lt: onlineSince } }] },
+      ];
+    } else if (status === "disabled") {
+      query.isActive = false;
+    }
+
+    const devices = await Device.find(query)
+      .populate("ownerId", "name email")
+      .populate("productId", "title slug")
+      .sort({ lastSeen: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Device.countDocuments(query);
+
+    res.json({
+      devices,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -482,24 +540,24 @@ export const getDevices = async (req, res) => {
 
 export const getDeviceById = async (req, res) => {
   try {
-    // Mock device data
-    const device = {
-      id: req.params.id,
-      name: "Plant Monitor A1",
-      owner: "John Doe",
-      status: "online",
-      lastSeen: new Date(),
-      firmware: "1.2.3",
-      model: "PM-100",
-      metrics: {
-        moisture: [45, 48, 52],
-        temperature: [22, 23, 21],
-        humidity: [65, 67, 64],
-        light: [1200, 1350, 1100],
-      },
-    };
+    const device = await Device.findOne(deviceFilter(req.params.id))
+      .populate("ownerId", "name email phone")
+      .populate("productId", "title slug images");
+
+    if (!device) {
+      return res.status(404).json({ message: "Device not found" });
+    }
 
-    res.json(device);
+    // Hourly history for the last 24 hours
+    const to = new Date();
+    const from = new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    const metrics = await Telemetry.getHistory(device._id, {
+      from,
+      to,
+      interval: "hour",
+    });
+
+    res.json({ ...device.toJSON(), metrics });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -507,53 +565,224 @@ export const getDeviceById = async (req, res) => {
 
 export const updateDevice = async (req, res) => {
   try {
-    // Mock update
-    res.json({ message: "Device updated successfully" });
+    const { name, firmware, location, isActive, ownerId } = req.body;
+
+    const device = await Device.findOne(deviceFilter(req.params.id));
+    if (!device) {
+      return res.status(404).json({ message: "Device not found" });
+    }
+
+    if (ownerId !== undefined) {
+      if (!isValidObjectId(ownerId) || !(await User.exists({ _id: ownerId }))) {
+        return res.status(400).json({ message: "Invalid owner" });
+      }
+      device.ownerId = ownerId;
+    }
+    if (name !== undefined) device.name = name;
+    if (firmware !== undefined) device.firmware = firmware;
+    if (location !== undefined) device.location = location;
+    if (isActive !== undefined) device.isActive = Boolean(isActive);
+
+    await device.save();
+    await device.populate("ownerId", "name email");
+
+    res.json({ message: "Device updated successfully", device });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
 // Reports
+export const getReportTypes = async (req, res) => {
+  try {
+    res.json({
+      reports: listReports(),
+      formats: Object.keys(REPORT_FORMATS),
+      syncRowLimit: REPORT_SYNC_ROW_LIMIT,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Streams the file directly, or queues a background job when the report
+// is large or background is requested
 export const generateReport = async (req, res) => {
   try {
     const { type } = req.params;
-    const { startDate, endDate } = req.body;
-
-    let data = [];
-    let filename = "";
-
-    switch (type) {
-      case "users":
-        data = await User.find({}).select("name email role createdAt");
-        filename = "users-report.csv";
-        break;
-      case "orders":
-        let query = {};
-        if (startDate && endDate) {
-          query.createdAt = {
-            $gte: new Date(startDate),
-            $lte: new Date(endDate),
-          };
-        }
-        data = await Order.find(query).populate("customerId", "name email");
-        filename = "orders-report.csv";
-        break;
-      case "products":
-        data = await Product.find({});
-        filename = "products-report.csv";
-        break;
-      default:
-        return res.status(400).json({ message: "Invalid report type" });
-    }
-
-    // In a real app, you'd generate CSV here
-    // For now, just return the data
+    const options = { ...req.query, ...req.body };
+    const format = String(options.format || "csv").toLowerCase();
+
+    const definition = getReportDefinition(type);
+    if (!definition) {
+      return res.status(400).json({ message: "Invalid report type" });
+    }
+
+    if (!REPORT_FORMATS[format]) {
+      return res.status(400).json({ message: "Format must be csv or xlsx" });
+    }
+
+    const range = parseReportRange(options);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const { columns, error } = resolveColumns(definition, options.columns);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const estimatedRows = await definition.count(range);
+    const background =
+      options.background === true ||
+      options.background === "true" ||
+      estimatedRows > REPORT_SYNC_ROW_LIMIT;
+
+    const date = new Date().toISOString().slice(0, 10);
+    const { extension } = REPORT_FORMATS[format];
+    const fileName = `${type}-report-${date}.${extension}`;
+
+    if (background) {
+      const job = await ReportJob.create({
+        type,
+        format,
+        params: {
+          startDate: range.from,
+          endDate: range.to,
+          columns: columns.map((column) => column.key),
+        },
+        requestedBy: req.user.id,
+        fileName,
+      });
+      // Without a background worker the job runs before responding
+      if (!canRunInBackground()) {
+        const finished = await runReportJob(job._id);
+        return res.status(finished.status === "completed" ? 201 : 500).json({
+          message:
+            finished.status === "completed"
+              ? "Report generated. Download it from the job."
+              : "Report could not be generated",
+          job: finished,
+          statusUrl: `/admin/reports/jobs/${job._id}`,
+        });
+      }
+
+      enqueueReportJob(job);
+
+      return res.status(202).json({
+        message: "Report queued. Download it from the job once completed.",
+        job,
+        statusUrl: `/admin/reports/jobs/${job._id}`,
+      });
+    }
+
+    const settings = await Settings.getSettings();
+
+    res.setHeader("Content-Type", REPORT_FORMATS[format].contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${fileName}"`
+    );
+
+    await writeReport(
+      definition,
+      {
+        ...range,
+        format,
+        columns,
+        timezone: settings.localization?.timezone,
+      },
+      res
+    );
+  } catch (error) {
+    // Part of the file may already be sent; cut the download short
+    if (res.headersSent) {
+      console.error("Report stream error:", error);
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const getReportJobs = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, type } = req.query;
+
+    let query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const jobs = await ReportJob.find(query)
+      .populate("requestedBy", "name email")
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ReportJob.countDocuments(query);
+
     res.json({
-      message: "Report generated successfully",
-      filename,
-      data: data.slice(0, 10), // Limit for demo
+      jobs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const getReportJob = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid job ID" });
+    }
+
+    const job = await ReportJob.findById(req.params.id).populate(
+      "requestedBy",
+      "name email"
+    );
+
+    if (!job) {
+      return res.status(404).json({ message: "Report job not found" });
+    }
+
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const downloadReport = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid job ID" });
+    }
+
+    const job = await ReportJob.findById(req.params.id).select("+fileId");
+
+    if (!job) {
+      return res.status(404).json({ message: "Report job not found" });
+    }
+
+    if (job.status !== "completed") {
+      return res
+        .status(409)
+        .json({ message: `Report is ${job.status}`, status: job.status });
+    }
+
+    // The stream errors before sending anything when the file is gone
+    const download = openReportDownload(job.fileId);
+    download.on("error", (error) => {
+      if (res.headersSent) return res.destroy(error);
+      res.status(410).json({ message: "Report file is no longer available" });
     });
+
+    res.attachment(job.fileName);
+    res.type(REPORT_FORMATS[job.format].contentType);
+    download.pipe(res);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -597,6 +826,14 @@ export const changeAdminPassword = async (req, res) => {
       return res.status(400).json({ message: "Current password is incorrect" });
     }
 
+    const settings = await Settings.getSettings();
+    const errors = checkPassword(newPassword, getPasswordPolicy(settings));
+    if (errors.length > 0) {
+      return res
+        .status(400)
+        .json({ message: "Password does not meet the requirements", errors });
+    }
+
     admin.password = newPassword;
     await admin.save();
 
@@ -1,6 +1,7 @@
 import Order from "../models/order.model.js";
 import User from "../models/user.model.js";
 import Product from "../models/product.model.js";
+import { cancelForAdmin } from "../utils/orderCancellation.js";
 import mongoose from "mongoose";
 
 /**
@@ -337,19 +338,34 @@ export const updateAdminOrderStatus = async (req, res) => {
       });
     }
 
-    // Update order status using the model method
-    order.updateStatus(status, req.user.id, req.user.name, note);
+    if (status === "cancelled") {
+      // Gives back the stock, coupon use, store credit and points once
+      const cancelled = await cancelForAdmin(order, {
+        adminId: req.user.id,
+        adminName: req.user.name,
+        note,
+      });
+      if (!cancelled) {
+        return res.status(400).json({
+          success: false,
+          message: "Order cannot be cancelled at this stage",
+        });
+      }
+    } else {
+      // Update order status using the model method
+      order.updateStatus(status, req.user.id, req.user.name, note);
 
-    // Update fulfillment details if provided
-    if (trackingNumber) {
-      order.fulfillment.trackingNumber = trackingNumber;
-    }
+      // Update fulfillment details if provided
+      if (trackingNumber) {
+        order.fulfillment.trackingNumber = trackingNumber;
+      }
 
-    if (estimatedDelivery) {
-      order.fulfillment.eta = new Date(estimatedDelivery);
-    }
+      if (estimatedDelivery) {
+        order.fulfillment.eta = new Date(estimatedDelivery);
+      }
 
-    await order.save();
+      await order.save();
+    }
 
     // Populate the updated order for response
     const updatedOrder = await Order.findById(orderId)
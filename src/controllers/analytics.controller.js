@@ -1,5 +1,6 @@
 import User from "../models/user.model.js";
 import Order from "../models/order.model.js";
+import CartRecovery from "../models/cartRecovery.model.js";
 
 // Orders Analytics
 export const getOrdersAnalytics = async (req, res) => {
@@ -144,3 +145,94 @@ export const getUsersAnalytics = async (req, res) => {
     res.status(500).json({ error: error.message });
   }
 };
+
+// Abandoned Cart Recovery Analytics
+export const getCartRecoveryAnalytics = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    // Calculate date range
+    let start = new Date();
+    let end = new Date();
+
+    if (startDate && endDate) {
+      start = new Date(startDate);
+      end = new Date(endDate);
+    } else {
+      // Default to last 30 days
+      start.setDate(start.getDate() - 30);
+    }
+
+    const [summary] = await CartRecovery.aggregate([
+      { $match: { sentAt: { $gte: start, $lte: end } } },
+      {
+        $group: {
+          _id: null,
+          emailsSent: { $sum: 1 },
+          clicked: { $sum: { $cond: [{ $ne: ["$clickedAt", null] }, 1, 0] } },
+          recovered: {
+            $sum: { $cond: [{ $ne: ["$recoveredAt", null] }, 1, 0] },
+          },
+          withCoupon: {
+            $sum: { $cond: [{ $ifNull: ["$couponCode", false] }, 1, 0] },
+          },
+          abandonedValue: { $sum: "$cartTotal" },
+          recoveredRevenue: { $sum: "$orderTotal" },
+        },
+      },
+    ]);
+
+    const stats = summary || {
+      emailsSent: 0,
+      clicked: 0,
+      recovered: 0,
+      withCoupon: 0,
+      abandonedValue: 0,
+      recoveredRevenue: 0,
+    };
+    const rate = (count) =>
+      stats.emailsSent > 0
+        ? Math.round((count / stats.emailsSent) * 10000) / 100
+        : 0;
+
+    // Daily emails and recoveries
+    const daily = await CartRecovery.aggregate([
+      { $match: { sentAt: { $gte: start, $lte: end } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$sentAt" } },
+          sent: { $sum: 1 },
+          recovered: {
+            $sum: { $cond: [{ $ne: ["$recoveredAt", null] }, 1, 0] },
+          },
+          revenue: { $sum: "$orderTotal" },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const analytics = {
+      summary: {
+        emailsSent: stats.emailsSent,
+        clicked: stats.clicked,
+        recovered: stats.recovered,
+        withCoupon: stats.withCoupon,
+        clickRate: rate(stats.clicked),
+        conversionRate: rate(stats.recovered),
+        abandonedValue: stats.abandonedValue,
+        recoveredRevenue: stats.recoveredRevenue,
+      },
+      daily: daily.map((day) => ({
+        date: day._id,
+        sent: day.sent,
+        recovered: day.recovered,
+        revenue: day.revenue,
+      })),
+      dateRange: { start, end },
+    };
+
+    res.json(analytics);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
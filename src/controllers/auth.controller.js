@@ -1,7 +1,173 @@
+import QRCode from "qrcode";
 import User from "../models/user.model.js";
-import { generateAccessToken, generateRefreshToken } from "../utils/jwt.js";
+import Role from "../models/role.model.js";
+import Session from "../models/session.model.js";
+import Settings from "../models/settings.model.js";
+import {
+  generateAccessToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+} from "../utils/jwt.js";
+import { buildOtpAuthUrl } from "../utils/totp.js";
 import { compareHash } from "../utils/hash.js";
+import { sendTemplateEmail } from "../utils/mailer.js";
+import { checkPassword, getPasswordPolicy } from "../utils/passwordPolicy.js";
 import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+
+// Used when Settings.email.templates has no active "email_verification"
+// or "password_reset" entry
+const FALLBACK_VERIFICATION_TEMPLATE = {
+  subject: "Verify your email for {companyName}",
+  body: `
+    <h2>Hi {customerName},</h2>
+    <p>Please confirm your email address to start ordering:</p>
+    <p><a href="{verificationLink}">Verify my email</a></p>
+    <p>This link expires in 24 hours.</p>
+    <br>
+    <p>Best regards,<br>{companyName}</p>
+  `,
+};
+
+const FALLBACK_RESET_TEMPLATE = {
+  subject: "Reset your {companyName} password",
+  body: `
+    <h2>Hi {customerName},</h2>
+    <p>We received a request to reset your password:</p>
+    <p><a href="{resetLink}">Choose a new password</a></p>
+    <p>This link expires in 1 hour. If you didn't ask for this, you can
+    ignore this email.</p>
+    <br>
+    <p>Best regards,<br>{companyName}</p>
+  `,
+};
+
+const GENERIC_RESET_MESSAGE =
+  "If an account exists for this email, a password reset link has been sent.";
+
+// Fields a customer sets when signing up. Everything else on the user
+// (role, store credit, points, two-factor) is managed by the app.
+const REGISTRATION_FIELDS = ["name", "email", "password", "phone"];
+
+// Helper function to check a new password against the live policy;
+// returns the broken rules
+const validateNewPassword = async (password) => {
+  const settings = await Settings.getSettings();
+  return checkPassword(password, getPasswordPolicy(settings));
+};
+
+const passwordPolicyError = (res, errors) =>
+  res.status(400).json({
+    success: false,
+    message: "Password does not meet the requirements",
+    errors,
+  });
+
+// Same response wherever a locked account is refused
+const accountLockedError = (res, user) => {
+  const minutes = Math.max(1, Math.ceil((user.lockUntil - Date.now()) / 60000));
+  return res.status(423).json({
+    success: false,
+    message:
+      "Account locked after too many failed login attempts. " +
+      `Try again in ${minutes} minute(s).`,
+    lockedUntil: user.lockUntil,
+  });
+};
+
+// Helper function to count a failed sign-in; locks the account once
+// Settings.security.maxLoginAttempts is reached
+const rejectLogin = async (res, user, message) => {
+  const settings = await Settings.getSettings();
+  const { maxLoginAttempts = 5, lockoutDuration } = settings.security || {};
+
+  const locked = await user.incLoginAttempts({
+    maxAttempts: maxLoginAttempts,
+    lockoutDuration,
+  });
+  if (locked) return accountLockedError(res, user);
+
+  return res.status(401).json({
+    message,
+    attemptsRemaining:
+      maxLoginAttempts > 0 ? maxLoginAttempts - user.loginAttempts : undefined,
+  });
+};
+
+// Sessions expire after Settings.security.sessionTimeout without a refresh
+const getSessionTtl = async () => {
+  const settings = await Settings.getSettings();
+  return settings.security?.sessionTimeout || 24 * 60 * 60 * 1000;
+};
+
+const getClientInfo = (req) => ({
+  userAgent: String(req.get("user-agent") || "").slice(0, 300),
+  ip: req.ip || "",
+});
+
+// Helper function to finish a login: open a session for this device, issue
+// tokens and reset the counters
+const completeLogin = async (req, res, user, extra = {}) => {
+  const { session, refreshToken } = await Session.start(user, {
+    ...getClientInfo(req),
+    ttlMs: await getSessionTtl(),
+  });
+  const accessToken = generateAccessToken(user, session._id);
+
+  user.loginAttempts = 0;
+  user.lockUntil = undefined;
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Never send credentials or token hashes back
+  const profile = user.toObject();
+  delete profile.password;
+  delete profile.temporaryPassword;
+  delete profile.passwordResetToken;
+  delete profile.emailVerificationToken;
+  if (profile.twoFactor) {
+    delete profile.twoFactor.secret;
+    delete profile.twoFactor.pendingSecret;
+    delete profile.twoFactor.recoveryCodes;
+  }
+
+  return res.json({
+    accessToken,
+    refreshToken,
+    user: profile,
+    passwordResetRequired: user.passwordResetRequired,
+    ...extra,
+  });
+};
+
+// Staff roles must use two-factor when the store requires it
+const isTwoFactorRequired = async (user) => {
+  const settings = await Settings.getSettings();
+  if (!settings.security?.requireTwoFactorForStaff) return false;
+  return Role.can(user.role, "admin:access");
+};
+
+const getFrontendUrl = (settings) =>
+  process.env.FRONTEND_URL || settings.company.website || "";
+
+// Helper function to issue a verification token and email the link
+const sendVerificationEmail = async (user) => {
+  const settings = await Settings.getSettings();
+  const token = user.createEmailVerificationToken();
+  await user.save();
+
+  await sendTemplateEmail(settings, {
+    template: "email_verification",
+    fallback: FALLBACK_VERIFICATION_TEMPLATE,
+    to: user.email,
+    variables: {
+      customerName: user.name,
+      verificationLink: `${getFrontendUrl(
+        settings
+      )}/verify-email?token=${token}`,
+    },
+  });
+};
 
 // REGISTER
 export const register = async (req, res) => {
@@ -16,17 +182,40 @@ export const register = async (req, res) => {
       });
     }
 
-    const user = await User.create(req.body);
+    const passwordErrors = await validateNewPassword(req.body.password);
+    if (passwordErrors.length > 0) {
+      return passwordPolicyError(res, passwordErrors);
+    }
+
+    const fields = {};
+    REGISTRATION_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+    const user = await User.create({ ...fields, emailVerified: false });
+
+    // The account exists either way; the customer can ask for a new link
+    let verificationSent = true;
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      verificationSent = false;
+      console.error("Verification email error:", error);
+    }
+
     res.status(201).json({
       success: true,
-      message: "User registered successfully",
+      message: verificationSent
+        ? "User registered successfully. Check your email to verify it."
+        : "User registered successfully",
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
         createdAt: user.createdAt,
       },
+      verificationSent,
     });
   } catch (err) {
     // Handle MongoDB duplicate key error
@@ -64,26 +253,71 @@ export const login = async (req, res) => {
     const user = await User.findOne({ email });
     if (!user) return res.status(404).json({ message: "User not found" });
 
-    const match = await compareHash(password, user.password);
-    if (!match) return res.status(401).json({ message: "Invalid credentials" });
+    if (user.isLocked) return accountLockedError(res, user);
 
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // A temporary password from an admin reset also signs in, once the
+    // customer then sets a new one
+    const match =
+      (await compareHash(String(password || ""), user.password)) ||
+      user.verifyTempPassword(String(password || ""));
 
-    user.refreshToken = refreshToken;
-    await user.save();
+    if (!match) return rejectLogin(res, user, "Invalid credentials");
 
-    res.json({
-      accessToken,
-      refreshToken,
+    // Password is right; a second step may still be needed
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorToken(user, "2fa_challenge"),
+      });
+    }
+    if (await isTwoFactorRequired(user)) {
+      return res.json({
+        twoFactorSetupRequired: true,
+        setupToken: generateTwoFactorToken(user, "2fa_setup"),
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// VERIFY TWO-FACTOR LOGIN (second step with the challenge token)
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyTwoFactorToken(challengeToken, "2fa_challenge");
+    const user = challenge ? await User.findWithTwoFactor(challenge.id) : null;
+    if (!user) {
+      return res
+        .status(401)
+        .json({ message: "Login session expired. Please log in again." });
+    }
+
+    if (user.isLocked) return accountLockedError(res, user);
+
+    if (!user.verifyTwoFactor({ code, recoveryCode })) {
+      return rejectLogin(res, user, "Invalid two-factor code");
+    }
+
+    await completeLogin(
+      req,
+      res,
       user,
-    });
+      recoveryCode
+        ? { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length }
+        : {}
+    );
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 };
 
 // REFRESH TOKEN
+// Rotates the refresh token. Presenting one that was already rotated out
+// means it was copied, so the whole session is revoked.
 export const refresh = async (req, res) => {
   const { refreshToken } = req.body;
 
@@ -93,18 +327,39 @@ export const refresh = async (req, res) => {
   try {
     const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
 
-    const user = await User.findById(decoded.id);
-    if (!user || user.refreshToken !== refreshToken)
+    const { session, reused, raced } = await Session.findByRefreshToken(
+      decoded.sid,
+      refreshToken
+    );
+
+    if (reused) {
+      await session.revoke("token_reuse");
+      return res.status(401).json({
+        message: "Refresh token was already used. Please log in again.",
+      });
+    }
+
+    if (
+      !session ||
+      raced ||
+      !session.isActive ||
+      session.userId.toString() !== decoded.id
+    )
       return res.status(403).json({ message: "Invalid refresh token" });
 
-    const newAccessToken = generateAccessToken(user);
-    const newRefreshToken = generateRefreshToken(user);
+    const user = await User.findById(decoded.id);
+    if (!user || user.isBlocked || user.isDeleted)
+      return res.status(403).json({ message: "Invalid refresh token" });
 
-    user.refreshToken = newRefreshToken;
-    await user.save();
+    const newRefreshToken = await session.rotate(user, {
+      ...getClientInfo(req),
+      ttlMs: await getSessionTtl(),
+    });
+    if (!newRefreshToken)
+      return res.status(403).json({ message: "Invalid refresh token" });
 
     res.json({
-      accessToken: newAccessToken,
+      accessToken: generateAccessToken(user, session._id),
       refreshToken: newRefreshToken,
     });
   } catch (err) {
@@ -130,6 +385,7 @@ export const validateToken = async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified !== false,
         createdAt: user.createdAt,
       },
     });
@@ -141,9 +397,10 @@ export const validateToken = async (req, res) => {
 // LOGOUT
 export const logout = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    user.refreshToken = "";
-    await user.save();
+    await Session.updateOne(
+      { _id: req.user.sid, userId: req.user.id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "logout" }
+    );
 
     res.json({ message: "Logged out successfully" });
   } catch (err) {
@@ -174,6 +431,7 @@ export const getProfile = async (req, res) => {
         address: user.address,
         profileImage: user.profileImage,
         role: user.role,
+        emailVerified: user.emailVerified !== false,
         isActive: user.isActive,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
@@ -202,9 +460,15 @@ export const updateProfile = async (req, res) => {
       }
     }
 
+    // A new email address has to be verified again
+    const emailChanged =
+      email !== undefined &&
+      !(await User.exists({ _id: req.user.id, email }));
+
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (email !== undefined) updateData.email = email;
+    if (emailChanged) updateData.emailVerified = false;
     if (phone !== undefined) updateData.phone = phone;
     if (dateOfBirth !== undefined) updateData.dateOfBirth = dateOfBirth;
     if (address !== undefined) updateData.address = address;
@@ -221,6 +485,14 @@ export const updateProfile = async (req, res) => {
         .json({ success: false, message: "User not found" });
     }
 
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error("Verification email error:", error);
+      }
+    }
+
     res.json({
       success: true,
       message: "Profile updated successfully",
@@ -233,6 +505,7 @@ export const updateProfile = async (req, res) => {
         address: user.address,
         profileImage: user.profileImage,
         role: user.role,
+        emailVerified: user.emailVerified !== false,
         isActive: user.isActive,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
@@ -255,18 +528,31 @@ export const changePassword = async (req, res) => {
         .json({ success: false, message: "User not found" });
     }
 
-    // Verify current password
-    const isCurrentPasswordValid = await user.comparePassword(currentPassword);
+    // Verify current password (or the temporary one from an admin reset)
+    const isCurrentPasswordValid =
+      (await user.comparePassword(String(currentPassword || ""))) ||
+      user.verifyTempPassword(String(currentPassword || ""));
     if (!isCurrentPasswordValid) {
       return res
         .status(400)
         .json({ success: false, message: "Current password is incorrect" });
     }
 
+    const passwordErrors = await validateNewPassword(newPassword);
+    if (passwordErrors.length > 0) {
+      return passwordPolicyError(res, passwordErrors);
+    }
+
     // Update password
     user.password = newPassword;
+    user.clearTempPassword();
     await user.save();
 
+    // Other devices have to sign in again with the new password
+    await Session.revokeForUser(user._id, "password_changed", {
+      except: req.user.sid,
+    });
+
     res.json({
       success: true,
       message: "Password changed successfully",
@@ -275,3 +561,386 @@ export const changePassword = async (req, res) => {
     res.status(500).json({ success: false, error: err.message });
   }
 };
+
+// VERIFY EMAIL (single-use token from the verification email)
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const user = token ? await User.findByEmailVerificationToken(token) : null;
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification link is invalid or has expired",
+      });
+    }
+
+    user.markEmailVerified();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// RESEND VERIFICATION EMAIL
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    if (user.emailVerified !== false) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Email is already verified" });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: "Verification email sent",
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// FORGOT PASSWORD
+// Responds the same whether or not the email is registered
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Email is required" });
+    }
+
+    const user = await User.findOne({
+      email: String(email).trim(),
+      isDeleted: { $ne: true },
+    });
+
+    if (user) {
+      const settings = await Settings.getSettings();
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendTemplateEmail(settings, {
+          template: "password_reset",
+          fallback: FALLBACK_RESET_TEMPLATE,
+          to: user.email,
+          variables: {
+            customerName: user.name,
+            resetLink: `${getFrontendUrl(
+              settings
+            )}/reset-password?token=${token}`,
+          },
+        });
+      } catch (error) {
+        console.error("Password reset email error:", error);
+      }
+    }
+
+    res.json({ success: true, message: GENERIC_RESET_MESSAGE });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// RESET PASSWORD (single-use token from the reset email)
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Token and new password are required",
+      });
+    }
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Reset link is invalid or has expired",
+      });
+    }
+
+    const passwordErrors = await validateNewPassword(password);
+    if (passwordErrors.length > 0) {
+      return passwordPolicyError(res, passwordErrors);
+    }
+
+    user.password = password;
+    user.clearPasswordResetToken();
+    user.clearTempPassword();
+
+    // Following the emailed link proves the address, and any existing
+    // sessions are signed out
+    if (user.emailVerified === false) user.markEmailVerified();
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+    await Session.revokeForUser(user._id, "password_changed");
+
+    res.json({
+      success: true,
+      message: "Password reset successfully. Please log in.",
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// GET TWO-FACTOR STATUS
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    res.json({
+      success: true,
+      twoFactor: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: await isTwoFactorRequired(user),
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes?.length || 0,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// SET UP TWO-FACTOR (new secret and QR code for the authenticator app)
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    const secret = user.setupTwoFactor();
+    await user.save();
+
+    const otpauthUrl = buildOtpAuthUrl({
+      secret,
+      account: user.email,
+      issuer: settings.company.name,
+    });
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// ENABLE TWO-FACTOR (confirm setup with a code; returns recovery codes
+// once, and completes the login when enrolling from a setup token)
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const recoveryCodes = user.enableTwoFactor(req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid code. Set up two-factor again if this persists.",
+      });
+    }
+
+    if (req.twoFactorSetupLogin) {
+      return completeLogin(req, res, user, { recoveryCodes });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// DISABLE TWO-FACTOR (needs the password and a code)
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findWithTwoFactor(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is required for your role",
+      });
+    }
+
+    const passwordValid = await user.comparePassword(String(password || ""));
+    if (!passwordValid || !user.verifyTwoFactor({ code, recoveryCode })) {
+      return res.status(400).json({
+        success: false,
+        message: "Password or two-factor code is incorrect",
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// REGENERATE RECOVERY CODES (replaces all existing codes)
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    if (!user.verifyTwoFactor({ code: req.body.code })) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid two-factor code" });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      recoveryCodes,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// GET ACTIVE SESSIONS
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.listActive(req.user.id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.user.sid,
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// REVOKE SESSION (sign out one device)
+export const revokeSession = async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.sessionId)
+      ? await Session.findOne({
+          _id: req.params.sessionId,
+          userId: req.user.id,
+          revokedAt: null,
+        })
+      : null;
+
+    if (!session) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Session not found" });
+    }
+
+    await session.revoke("user_revoked");
+
+    res.json({
+      success: true,
+      message: "Session revoked",
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// REVOKE OTHER SESSIONS (sign out every other device)
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await Session.revokeForUser(req.user.id, "user_revoked", {
+      except: req.user.sid,
+    });
+
+    res.json({
+      success: true,
+      message: "Other sessions revoked",
+      revoked,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
@@ -1,7 +1,18 @@
 import Cart from "../models/cart.model.js";
 import Product from "../models/product.model.js";
 import Coupon from "../models/coupon.model.js";
+import Settings from "../models/settings.model.js";
+import CartRecovery from "../models/cartRecovery.model.js";
 import mongoose from "mongoose";
+import {
+  calculateShipping,
+  getShippableAmount,
+  getShippingRate,
+  isValidPincode,
+} from "../utils/shipping.js";
+import { verifyCartRecoveryToken } from "../utils/jwt.js";
+import { priceCartDiscounts } from "../utils/pricing.js";
+import { runAbandonedCartJob } from "../jobs/abandonedCart.job.js";
 
 // Helper function to get or create cart
 const getOrCreateCart = async (userId, sessionId) => {
@@ -29,31 +40,70 @@ const getOrCreateCart = async (userId, sessionId) => {
     throw new Error("Either userId or sessionId is required");
   }
 
+  // Automatic promotions are re-evaluated on every cart change
+  await cart.loadPromotions();
+
   return cart;
 };
 
+// Helper function to get stock for a cart line.
+// Products sold through variants only have stock per variant.
+const getLineStock = (product, variantId = null) => {
+  if (variantId) return product.getVariant(variantId)?.stock ?? 0;
+  return product.hasVariants ? 0 : product.stock;
+};
+
 // Helper function to validate stock
-const validateStock = (product, requestedQuantity, existingQuantity = 0) => {
+const validateStock = (
+  product,
+  requestedQuantity,
+  existingQuantity = 0,
+  variantId = null
+) => {
   if (!product.isActive) {
     throw new Error(`Product ${product.title} is not available`);
   }
 
+  const stock = getLineStock(product, variantId);
   const totalQuantity = existingQuantity + requestedQuantity;
-  if (totalQuantity > product.stock) {
+  if (totalQuantity > stock) {
     return {
       valid: false,
-      maxAllowed: Math.max(0, product.stock - existingQuantity),
-      message: `Only ${product.stock} units available for ${product.title}. You already have ${existingQuantity} in cart.`,
+      maxAllowed: Math.max(0, stock - existingQuantity),
+      message: `Only ${stock} units available for ${product.title}. You already have ${existingQuantity} in cart.`,
     };
   }
 
   return { valid: true };
 };
 
+// Helper function to re-check the applied coupon against the cart after it
+// changed. Returns the reason when the coupon had to be removed.
+const revalidateCoupon = async (cart, userId) => {
+  if (!cart.coupon) return null;
+  if (cart.items.length === 0) {
+    cart.removeCoupon();
+    return null;
+  }
+
+  const coupon = await Coupon.findByCode(cart.coupon.code);
+  const result = coupon
+    ? await coupon.checkCart(cart.items, { userId })
+    : { error: "Coupon expired or invalid" };
+
+  if (result.error) {
+    cart.removeCoupon();
+    return result.error;
+  }
+
+  cart.applyCoupon(coupon, result.discount);
+  return null;
+};
+
 // ADD TO CART
 export const addToCart = async (req, res) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId, quantity = 1 } = req.body;
     const userId = req.user?.id;
     const sessionId = req.headers["x-session-id"];
 
@@ -87,6 +137,28 @@ export const addToCart = async (req, res) => {
       });
     }
 
+    // Products with variants must be added as a specific variant
+    let variant = null;
+    if (product.hasVariants) {
+      if (!variantId) {
+        return res.status(400).json({
+          success: false,
+          message: "Please select a variant",
+          variants: product.variants.filter((option) => option.isActive),
+        });
+      }
+
+      variant = mongoose.isValidObjectId(variantId)
+        ? product.getVariant(variantId)
+        : null;
+      if (!variant) {
+        return res.status(404).json({
+          success: false,
+          message: "Variant not found",
+        });
+      }
+    }
+
     // Get or create cart
     const cart = await getOrCreateCart(userId, sessionId);
 
@@ -94,12 +166,20 @@ export const addToCart = async (req, res) => {
     // Note: cart.items.productId might be populated (object) or just ObjectId
     const existingItem = cart.items.find((item) => {
       const itemProductId = item.productId._id || item.productId;
-      return itemProductId.toString() === productId.toString();
+      return (
+        itemProductId.toString() === productId.toString() &&
+        String(item.variantId || "") === String(variant?._id || "")
+      );
     });
     const existingQuantity = existingItem ? existingItem.quantity : 0;
 
     // Validate stock
-    const stockValidation = validateStock(product, quantity, existingQuantity);
+    const stockValidation = validateStock(
+      product,
+      quantity,
+      existingQuantity,
+      variant?._id
+    );
     if (!stockValidation.valid) {
       return res.status(400).json({
         success: false,
@@ -109,23 +189,10 @@ export const addToCart = async (req, res) => {
     }
 
     // Add item to cart
-    cart.addItem(product, quantity, product.price);
+    cart.addItem(product, quantity, variant?.price ?? product.price, variant);
 
     // Revalidate coupon if applied
-    if (cart.coupon) {
-      const coupon = await Coupon.findOne({ code: cart.coupon.code });
-      if (
-        !coupon ||
-        !coupon.isValid() ||
-        !coupon.isApplicableToProducts([productId])
-      ) {
-        cart.removeCoupon();
-      } else {
-        // Recalculate discount
-        const discountCalculation = coupon.calculateDiscount(cart.items);
-        cart.applyCoupon(coupon, discountCalculation);
-      }
-    }
+    await revalidateCoupon(cart, userId);
 
     await cart.save();
 
@@ -175,14 +242,26 @@ export const getCart = async (req, res) => {
         continue;
       }
 
-      if (item.quantity > product.stock) {
-        if (product.stock > 0) {
+      if (
+        (item.variantId && !product.getVariant(item.variantId)) ||
+        (!item.variantId && product.hasVariants)
+      ) {
+        removedItems.push({
+          title: item.productSnapshot.title,
+          reason: "Selected variant no longer available",
+        });
+        continue;
+      }
+
+      const stock = getLineStock(product, item.variantId);
+      if (item.quantity > stock) {
+        if (stock > 0) {
           // Adjust quantity to available stock
-          item.quantity = product.stock;
+          item.quantity = stock;
           validItems.push(item);
           removedItems.push({
             title: item.productSnapshot.title,
-            reason: `Quantity reduced to ${product.stock} (available stock)`,
+            reason: `Quantity reduced to ${stock} (available stock)`,
           });
         } else {
           removedItems.push({
@@ -199,26 +278,18 @@ export const getCart = async (req, res) => {
     cart.items = validItems;
 
     // Revalidate coupon
-    if (cart.coupon && cart.items.length > 0) {
-      const coupon = await Coupon.findOne({ code: cart.coupon.code });
-      if (!coupon || !coupon.isValid()) {
-        cart.removeCoupon();
-        removedItems.push({
-          title: "Coupon",
-          reason: "Coupon expired or invalid",
-        });
-      } else {
-        const discountCalculation = coupon.calculateDiscount(cart.items);
-        if (discountCalculation.discountAmount === 0) {
-          cart.removeCoupon();
-          removedItems.push({
-            title: "Coupon",
-            reason: "No applicable products in cart",
-          });
-        } else {
-          cart.applyCoupon(coupon, discountCalculation);
-        }
-      }
+    const couponError = await revalidateCoupon(cart, userId);
+    if (couponError) {
+      removedItems.push({
+        title: "Coupon",
+        reason: couponError,
+      });
+    }
+
+    // Refresh the shipping rate in case zones or charges changed
+    if (cart.shipping?.pincode) {
+      const settings = await Settings.getSettings();
+      cart.setShipping(getShippingRate(settings, cart.shipping.pincode));
     }
 
     cart.calculateFinalTotal();
@@ -289,7 +360,12 @@ export const updateCartItem = async (req, res) => {
         });
       }
 
-      const stockValidation = validateStock(product, 0, quantity);
+      const stockValidation = validateStock(
+        product,
+        0,
+        quantity,
+        item.variantId
+      );
       if (!stockValidation.valid) {
         return res.status(400).json({
           success: false,
@@ -298,23 +374,14 @@ export const updateCartItem = async (req, res) => {
         });
       }
 
-      cart.updateItemQuantity(itemId, Math.min(quantity, product.stock));
+      cart.updateItemQuantity(
+        itemId,
+        Math.min(quantity, getLineStock(product, item.variantId))
+      );
     }
 
     // Revalidate coupon
-    if (cart.coupon && cart.items.length > 0) {
-      const coupon = await Coupon.findOne({ code: cart.coupon.code });
-      if (coupon && coupon.isValid()) {
-        const discountCalculation = coupon.calculateDiscount(cart.items);
-        if (discountCalculation.discountAmount > 0) {
-          cart.applyCoupon(coupon, discountCalculation);
-        } else {
-          cart.removeCoupon();
-        }
-      } else {
-        cart.removeCoupon();
-      }
-    }
+    await revalidateCoupon(cart, userId);
 
     await cart.save();
 
@@ -362,6 +429,7 @@ export const removeCartItem = async (req, res) => {
     }
 
     cart.removeItem(itemId);
+    await revalidateCoupon(cart, userId);
     await cart.save();
 
     const populatedCart = await Cart.findById(cart._id).populate({
@@ -402,6 +470,8 @@ export const clearCart = async (req, res) => {
         items: [],
         subtotal: 0,
         coupon: null,
+        promotions: [],
+        promotionDiscount: 0,
         totalDiscount: 0,
         finalTotal: 0,
       },
@@ -446,9 +516,10 @@ export const mergeCart = async (req, res) => {
     const validGuestItems = [];
     for (const item of guestCart.items) {
       const product = await Product.findById(item.productId);
-      if (product && product.isActive && product.stock > 0) {
+      const stock = product ? getLineStock(product, item.variantId) : 0;
+      if (product && product.isActive && stock > 0) {
         // Adjust quantity if exceeds stock
-        item.quantity = Math.min(item.quantity, product.stock);
+        item.quantity = Math.min(item.quantity, stock);
         validGuestItems.push(item);
       }
     }
@@ -463,9 +534,13 @@ export const mergeCart = async (req, res) => {
     for (const item of userCart.items) {
       const product = await Product.findById(item.productId);
       if (product) {
-        item.quantity = Math.min(item.quantity, product.stock);
+        item.quantity = Math.min(
+          item.quantity,
+          getLineStock(product, item.variantId)
+        );
       }
     }
+    userCart.items = userCart.items.filter((item) => item.quantity > 0);
 
     await userCart.save();
 
@@ -516,7 +591,7 @@ export const applyCoupon = async (req, res) => {
     }
 
     // Find coupon
-    const coupon = await Coupon.findOne({ code: code.toUpperCase() });
+    const coupon = await Coupon.findByCode(code);
     if (!coupon) {
       return res.status(404).json({
         success: false,
@@ -524,29 +599,14 @@ export const applyCoupon = async (req, res) => {
       });
     }
 
-    // Validate coupon
-    if (!coupon.isValid()) {
-      return res.status(400).json({
-        success: false,
-        message: "Coupon is expired or inactive",
-      });
-    }
-
-    // Check if cart has applicable products
-    const cartProductIds = cart.items.map((item) => item.productId);
-    if (!coupon.isApplicableToProducts(cartProductIds)) {
-      return res.status(400).json({
-        success: false,
-        message: "Coupon is not applicable to any products in your cart",
-      });
-    }
-
-    // Calculate discount
-    const discountCalculation = coupon.calculateDiscount(cart.items);
-    if (discountCalculation.discountAmount === 0) {
-      return res.status(400).json({
+    // Validate coupon (dates, usage, minimum order, per-customer limit)
+    // and calculate the discount
+    const { discount: discountCalculation, error, status } =
+      await coupon.checkCart(cart.items, { userId });
+    if (error) {
+      return res.status(status).json({
         success: false,
-        message: "Coupon cannot be applied to current cart items",
+        message: error,
       });
     }
 
@@ -564,8 +624,9 @@ export const applyCoupon = async (req, res) => {
       message: "Coupon applied successfully",
       cart: populatedCart,
       discount: {
-        code: coupon.code,
+        code: coupon.appliedCode,
         discountAmount: discountCalculation.discountAmount,
+        freeShipping: discountCalculation.freeShipping,
         applicableItems: discountCalculation.applicableItems.length,
       },
     });
@@ -617,3 +678,191 @@ export const removeCoupon = async (req, res) => {
     });
   }
 };
+
+// SHIPPING QUOTE
+export const getShippingQuote = async (req, res) => {
+  try {
+    const { pincode, paymentMethod } = req.body;
+    const userId = req.user?.id;
+    const sessionId = req.headers["x-session-id"];
+
+    if (!isValidPincode(pincode)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid 6-digit pincode is required",
+      });
+    }
+
+    const cart = await getOrCreateCart(userId, sessionId);
+
+    if (cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot quote shipping for an empty cart",
+      });
+    }
+
+    // Priced as at checkout, so free shipping is judged on the discounts
+    // the order would get rather than the ones stored on the cart
+    const pricing = await priceCartDiscounts(cart, { userId });
+    if (pricing.error) {
+      return res.status(400).json({
+        success: false,
+        message: pricing.error,
+      });
+    }
+    if (pricing.coupon) {
+      cart.applyCoupon(pricing.coupon, pricing.couponDiscount);
+    }
+
+    // Gift cards are emailed, so only the other lines are shipped
+    const lines = cart.items.map((item, index) => ({
+      amount: item.priceAtAdd * item.quantity,
+      discount: pricing.lineDiscounts[index],
+      isGiftCard: item.productSnapshot?.isGiftCard,
+    }));
+    const shipsItems = lines.some((line) => !line.isGiftCard);
+
+    const settings = await Settings.getSettings();
+    const amount = Math.max(0, cart.subtotal - pricing.discountAmount);
+    const quote = calculateShipping(settings, {
+      pincode,
+      amount: getShippableAmount(lines),
+      paymentMethod,
+    });
+
+    if (pricing.couponDiscount?.freeShipping || !shipsItems) {
+      quote.shippingCost = 0;
+      quote.freeShipping = true;
+      quote.amountForFreeShipping = 0;
+    }
+
+    if (paymentMethod === "cod" && !quote.acceptCOD) {
+      return res.status(400).json({
+        success: false,
+        message: "Cash on delivery is not available",
+      });
+    }
+
+    cart.setShipping(getShippingRate(settings, pincode));
+    await cart.save();
+
+    const populatedCart = await Cart.findById(cart._id).populate({
+      path: "items.productId",
+      select: "title sku stock isActive price images",
+    });
+
+    res.json({
+      success: true,
+      quote: {
+        pincode: quote.pincode,
+        zone: quote.zone,
+        shippingCost: quote.shippingCost,
+        freeShipping: quote.freeShipping,
+        freeShippingThreshold: quote.freeShippingThreshold,
+        amountForFreeShipping: quote.amountForFreeShipping,
+        acceptCOD: quote.acceptCOD,
+        codCharge: quote.codCharge,
+        estimatedDays: quote.estimatedDays,
+        eta: quote.eta,
+        total:
+          Math.round((amount + quote.shippingCost + quote.codCharge) * 100) /
+          100,
+      },
+      cart: populatedCart,
+    });
+  } catch (error) {
+    console.error("Shipping quote error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to calculate shipping",
+      error: error.message,
+    });
+  }
+};
+
+// RECOVER ABANDONED CART (deep link from the recovery email)
+export const recoverCart = async (req, res) => {
+  try {
+    const { token } = req.body;
+    const userId = req.user.id;
+
+    const payload = verifyCartRecoveryToken(token);
+    if (!payload) {
+      return res.status(400).json({
+        success: false,
+        message: "Recovery link is invalid or has expired",
+      });
+    }
+
+    if (payload.userId !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: "This recovery link belongs to another account",
+      });
+    }
+
+    const cart = await getOrCreateCart(userId, null);
+    if (cart.items.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Your saved cart is empty",
+      });
+    }
+
+    const recovery = await CartRecovery.findById(payload.recoveryId);
+    if (recovery && !recovery.clickedAt) {
+      recovery.clickedAt = new Date();
+      await recovery.save();
+    }
+
+    // Attach the coupon from the email unless another one is applied
+    if (recovery?.couponCode && !cart.coupon) {
+      const coupon = await Coupon.findByCode(recovery.couponCode);
+      const result = coupon && (await coupon.checkCart(cart.items, { userId }));
+      if (result?.discount) {
+        cart.applyCoupon(coupon, result.discount);
+        await cart.save();
+      }
+    }
+
+    const populatedCart = await Cart.findById(cart._id).populate({
+      path: "items.productId",
+      select: "title sku stock isActive price images",
+    });
+
+    res.json({
+      success: true,
+      message: "Cart restored",
+      cart: populatedCart,
+    });
+  } catch (error) {
+    console.error("Recover cart error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to restore cart",
+      error: error.message,
+    });
+  }
+};
+
+// SEND CART RECOVERY EMAILS (the cron entry point on serverless, where the
+// interval job can't run)
+export const sendCartRecoveryEmails = async (req, res) => {
+  try {
+    const result = await runAbandonedCartJob();
+
+    res.json({
+      success: true,
+      message: "Cart recovery emails sent",
+      ...result,
+    });
+  } catch (error) {
+    console.error("Cart recovery emails error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send cart recovery emails",
+      error: error.message,
+    });
+  }
+};
@@ -1,6 +1,105 @@
-import Coupon from "../models/coupon.model.js";
+import Coupon, {
+  COUPON_SCOPES,
+  COUPON_TYPES,
+} from "../models/coupon.model.js";
+import CouponCode from "../models/couponCode.model.js";
+import CouponRedemption from "../models/couponRedemption.model.js";
 import Product from "../models/product.model.js";
 import mongoose from "mongoose";
+import { resolveCodePattern } from "../utils/couponCodes.js";
+import { getReportDefinition, writeReport } from "../utils/reports/index.js";
+
+// Most codes one generate request can create
+const MAX_CODES_PER_BATCH = 10000;
+
+// Helper function to check whether a code is taken by a coupon or by a
+// campaign's unique code
+const isCodeTaken = async (code, excludeCouponId = null) => {
+  const query = { code };
+  if (excludeCouponId) query._id = { $ne: excludeCouponId };
+
+  const [coupon, uniqueCode] = await Promise.all([
+    Coupon.exists(query),
+    CouponCode.exists({ code }),
+  ]);
+  return Boolean(coupon || uniqueCode);
+};
+
+// Helper function to load a campaign coupon for the code endpoints
+const findCampaign = async (id, res) => {
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid coupon ID",
+    });
+    return null;
+  }
+
+  const coupon = await Coupon.findById(id);
+  if (!coupon) {
+    res.status(404).json({
+      success: false,
+      message: "Coupon not found",
+    });
+    return null;
+  }
+  if (!coupon.isCampaign) {
+    res.status(400).json({
+      success: false,
+      message: "Unique codes can only be generated for campaign coupons",
+    });
+    return null;
+  }
+  return coupon;
+};
+
+// Helper function to check the discount rules of a coupon. Returns an
+// error message, or null when they are valid.
+const validateCouponRules = ({
+  discountType,
+  discountValue,
+  scope,
+  applicableProducts,
+  applicableCategories,
+  minOrderValue,
+  maxDiscount,
+  usageLimitPerUser,
+}) => {
+  if (!COUPON_TYPES.includes(discountType)) {
+    return `Discount type must be one of: ${COUPON_TYPES.join(", ")}`;
+  }
+  if (!COUPON_SCOPES.includes(scope)) {
+    return `Scope must be one of: ${COUPON_SCOPES.join(", ")}`;
+  }
+  if (
+    discountType === "percentage" &&
+    !(discountValue >= 1 && discountValue <= 100)
+  ) {
+    return "Percentage discount must be between 1 and 100";
+  }
+  if (discountType === "fixed" && !(discountValue > 0)) {
+    return "Fixed discount must be greater than 0";
+  }
+  if (scope === "products" && !applicableProducts?.length) {
+    return "Select at least one product for a product coupon";
+  }
+  if (scope === "categories" && !applicableCategories?.length) {
+    return "Select at least one category for a category coupon";
+  }
+  if (minOrderValue != null && !(minOrderValue >= 0)) {
+    return "Minimum order value cannot be negative";
+  }
+  if (maxDiscount != null && !(maxDiscount > 0)) {
+    return "Maximum discount must be greater than 0";
+  }
+  if (
+    usageLimitPerUser != null &&
+    !(Number.isInteger(Number(usageLimitPerUser)) && usageLimitPerUser >= 1)
+  ) {
+    return "Per-customer usage limit must be a whole number of at least 1";
+  }
+  return null;
+};
 
 // CREATE COUPON
 export const createCoupon = async (req, res) => {
@@ -8,37 +107,43 @@ export const createCoupon = async (req, res) => {
     const {
       code,
       discountType = "percentage",
-      discountValue,
-      applicableProducts,
+      discountValue = 0,
+      scope = "products",
+      applicableProducts = [],
+      applicableCategories = [],
+      minOrderValue = 0,
+      maxDiscount = null,
+      usageLimitPerUser = null,
       startDate,
       endDate,
       isActive = true,
       maxUsage,
+      isCampaign = false,
     } = req.body;
 
     // Validation
-    if (
-      !code ||
-      !discountValue ||
-      !applicableProducts ||
-      !startDate ||
-      !endDate
-    ) {
+    if (!code || !startDate || !endDate) {
       return res.status(400).json({
         success: false,
-        message:
-          "Code, discount value, applicable products, start date, and end date are required",
+        message: "Code, start date, and end date are required",
       });
     }
 
-    // Validate discount value
-    if (
-      discountType === "percentage" &&
-      (discountValue < 1 || discountValue > 100)
-    ) {
+    // Validate discount rules
+    const rulesError = validateCouponRules({
+      discountType,
+      discountValue,
+      scope,
+      applicableProducts,
+      applicableCategories,
+      minOrderValue,
+      maxDiscount,
+      usageLimitPerUser,
+    });
+    if (rulesError) {
       return res.status(400).json({
         success: false,
-        message: "Percentage discount must be between 1 and 100",
+        message: rulesError,
       });
     }
 
@@ -66,8 +171,7 @@ export const createCoupon = async (req, res) => {
     }
 
     // Check if coupon code already exists
-    const existingCoupon = await Coupon.findOne({ code: code.toUpperCase() });
-    if (existingCoupon) {
+    if (await isCodeTaken(code.toUpperCase())) {
       return res.status(400).json({
         success: false,
         message: "Coupon code already exists",
@@ -78,11 +182,17 @@ export const createCoupon = async (req, res) => {
       code: code.toUpperCase(),
       discountType,
       discountValue,
+      scope,
       applicableProducts,
+      applicableCategories,
+      minOrderValue,
+      maxDiscount: maxDiscount || null,
+      usageLimitPerUser: usageLimitPerUser || null,
       startDate: start,
       endDate: end,
       isActive,
       maxUsage: maxUsage || null,
+      isCampaign: Boolean(isCampaign),
       createdBy: req.user.id,
     });
 
@@ -115,6 +225,7 @@ export const getAllCoupons = async (req, res) => {
       limit = 10,
       search,
       isActive,
+      isCampaign,
       sortBy = "createdAt",
       sortOrder = "desc",
     } = req.query;
@@ -131,6 +242,11 @@ export const getAllCoupons = async (req, res) => {
       query.isActive = isActive === "true";
     }
 
+    // Campaign filter
+    if (isCampaign !== undefined) {
+      query.isCampaign = isCampaign === "true";
+    }
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const sortObj = { [sortBy]: sortOrder === "desc" ? -1 : 1 };
 
@@ -225,7 +341,12 @@ export const updateCoupon = async (req, res) => {
       code,
       discountType,
       discountValue,
+      scope,
       applicableProducts,
+      applicableCategories,
+      minOrderValue,
+      maxDiscount,
+      usageLimitPerUser,
       startDate,
       endDate,
       isActive,
@@ -247,14 +368,25 @@ export const updateCoupon = async (req, res) => {
       });
     }
 
-    // Validate discount value if provided
-    if (discountValue !== undefined && discountType === "percentage") {
-      if (discountValue < 1 || discountValue > 100) {
-        return res.status(400).json({
-          success: false,
-          message: "Percentage discount must be between 1 and 100",
-        });
-      }
+    // Validate the discount rules as they will be after the update
+    const rulesError = validateCouponRules({
+      discountType: discountType ?? coupon.discountType,
+      discountValue: discountValue ?? coupon.discountValue,
+      scope: scope ?? coupon.scope,
+      applicableProducts: applicableProducts ?? coupon.applicableProducts,
+      applicableCategories: applicableCategories ?? coupon.applicableCategories,
+      minOrderValue: minOrderValue ?? coupon.minOrderValue,
+      maxDiscount: maxDiscount === undefined ? coupon.maxDiscount : maxDiscount,
+      usageLimitPerUser:
+        usageLimitPerUser === undefined
+          ? coupon.usageLimitPerUser
+          : usageLimitPerUser,
+    });
+    if (rulesError) {
+      return res.status(400).json({
+        success: false,
+        message: rulesError,
+      });
     }
 
     // Validate dates if provided
@@ -287,11 +419,7 @@ export const updateCoupon = async (req, res) => {
 
     // Check if code already exists (if changing code)
     if (code && code.toUpperCase() !== coupon.code) {
-      const existingCoupon = await Coupon.findOne({
-        code: code.toUpperCase(),
-        _id: { $ne: id },
-      });
-      if (existingCoupon) {
+      if (await isCodeTaken(code.toUpperCase(), id)) {
         return res.status(400).json({
           success: false,
           message: "Coupon code already exists",
@@ -304,8 +432,15 @@ export const updateCoupon = async (req, res) => {
     if (code !== undefined) updateData.code = code.toUpperCase();
     if (discountType !== undefined) updateData.discountType = discountType;
     if (discountValue !== undefined) updateData.discountValue = discountValue;
+    if (scope !== undefined) updateData.scope = scope;
     if (applicableProducts !== undefined)
       updateData.applicableProducts = applicableProducts;
+    if (applicableCategories !== undefined)
+      updateData.applicableCategories = applicableCategories;
+    if (minOrderValue !== undefined) updateData.minOrderValue = minOrderValue;
+    if (maxDiscount !== undefined) updateData.maxDiscount = maxDiscount || null;
+    if (usageLimitPerUser !== undefined)
+      updateData.usageLimitPerUser = usageLimitPerUser || null;
     if (startDate !== undefined) updateData.startDate = new Date(startDate);
     if (endDate !== undefined) updateData.endDate = new Date(endDate);
     if (isActive !== undefined) updateData.isActive = isActive;
@@ -355,6 +490,11 @@ export const deleteCoupon = async (req, res) => {
 
     await Coupon.findByIdAndDelete(id);
 
+    // A campaign's unique codes go with it; redemptions stay on record
+    if (coupon.isCampaign) {
+      await CouponCode.deleteMany({ couponId: id });
+    }
+
     res.json({
       success: true,
       message: "Coupon deleted successfully",
@@ -372,17 +512,60 @@ export const deleteCoupon = async (req, res) => {
 // GET COUPON STATISTICS
 export const getCouponStats = async (req, res) => {
   try {
-    const [totalCoupons, activeCoupons, expiredCoupons, upcomingCoupons] =
-      await Promise.all([
-        Coupon.countDocuments({}),
-        Coupon.countDocuments({ isActive: true }),
-        Coupon.countDocuments({
-          endDate: { $lt: new Date() },
-        }),
-        Coupon.countDocuments({
-          startDate: { $gt: new Date() },
-        }),
-      ]);
+    const [
+      totalCoupons,
+      activeCoupons,
+      expiredCoupons,
+      upcomingCoupons,
+      campaigns,
+    ] = await Promise.all([
+      Coupon.countDocuments({}),
+      Coupon.countDocuments({ isActive: true }),
+      Coupon.countDocuments({
+        endDate: { $lt: new Date() },
+      }),
+      Coupon.countDocuments({
+        startDate: { $gt: new Date() },
+      }),
+      Coupon.find({ isCampaign: true })
+        .select("code isActive startDate endDate usageCount maxUsage")
+        .sort({ createdAt: -1 })
+        .lean(),
+    ]);
+
+    // Codes and redemptions per campaign
+    const campaignIds = campaigns.map((campaign) => campaign._id);
+    const [codeCounts, redemptionTotals] = await Promise.all([
+      CouponCode.aggregate([
+        { $match: { couponId: { $in: campaignIds } } },
+        {
+          $group: {
+            _id: "$couponId",
+            totalCodes: { $sum: 1 },
+            redeemedCodes: {
+              $sum: { $cond: [{ $eq: ["$status", "redeemed"] }, 1, 0] },
+            },
+            batches: { $addToSet: "$batchId" },
+          },
+        },
+      ]),
+      CouponRedemption.aggregate([
+        { $match: { couponId: { $in: campaignIds }, status: "redeemed" } },
+        {
+          $group: {
+            _id: "$couponId",
+            totalDiscount: { $sum: "$discountAmount" },
+            customers: { $addToSet: "$userId" },
+            lastRedeemedAt: { $max: "$createdAt" },
+          },
+        },
+      ]),
+    ]);
+
+    const byCampaign = (rows) =>
+      Object.fromEntries(rows.map((row) => [row._id.toString(), row]));
+    const codesById = byCampaign(codeCounts);
+    const redemptionsById = byCampaign(redemptionTotals);
 
     res.json({
       success: true,
@@ -392,6 +575,26 @@ export const getCouponStats = async (req, res) => {
         expiredCoupons,
         upcomingCoupons,
         inactiveCoupons: totalCoupons - activeCoupons,
+        campaigns: campaigns.map((campaign) => {
+          const codes = codesById[campaign._id.toString()];
+          const redemptions = redemptionsById[campaign._id.toString()];
+          const totalCodes = codes?.totalCodes || 0;
+          const redeemedCodes = codes?.redeemedCodes || 0;
+
+          return {
+            ...campaign,
+            totalCodes,
+            redeemedCodes,
+            availableCodes: totalCodes - redeemedCodes,
+            batches: codes?.batches.length || 0,
+            redemptionRate: totalCodes
+              ? Math.round((redeemedCodes / totalCodes) * 10000) / 100
+              : 0,
+            totalDiscount: redemptions?.totalDiscount || 0,
+            customers: redemptions?.customers.length || 0,
+            lastRedeemedAt: redemptions?.lastRedeemedAt || null,
+          };
+        }),
       },
     });
   } catch (error) {
@@ -403,3 +606,195 @@ export const getCouponStats = async (req, res) => {
     });
   }
 };
+
+// GENERATE UNIQUE CODES FOR A CAMPAIGN
+export const generateCouponCodes = async (req, res) => {
+  try {
+    const coupon = await findCampaign(req.params.id, res);
+    if (!coupon) return;
+
+    const count = Number(req.body.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_CODES_PER_BATCH) {
+      return res.status(400).json({
+        success: false,
+        message: `Count must be between 1 and ${MAX_CODES_PER_BATCH}`,
+      });
+    }
+
+    const { pattern, error } = resolveCodePattern(req.body, count);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const { batchId, created } = await coupon.generateCodes({
+      pattern,
+      count,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message:
+        created === count
+          ? `${created} codes generated successfully`
+          : `Only ${created} of ${count} codes could be generated`,
+      batchId,
+      pattern,
+      created,
+    });
+  } catch (error) {
+    console.error("Generate coupon codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate coupon codes",
+      error: error.message,
+    });
+  }
+};
+
+// GET UNIQUE CODES OF A CAMPAIGN
+export const getCouponCodes = async (req, res) => {
+  try {
+    const coupon = await findCampaign(req.params.id, res);
+    if (!coupon) return;
+
+    const { page = 1, limit = 50, status, batchId, search } = req.query;
+
+    const query = { couponId: coupon._id };
+    if (status) query.status = status;
+    if (batchId && mongoose.isValidObjectId(batchId)) query.batchId = batchId;
+    if (search) query.code = String(search).trim().toUpperCase();
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [codes, totalCodes] = await Promise.all([
+      CouponCode.find(query)
+        .populate("usedBy", "name email")
+        .populate("orderId", "orderNumber")
+        .sort({ createdAt: -1, _id: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      CouponCode.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      codes,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCodes / parseInt(limit)),
+        totalCodes,
+        hasNext: skip + parseInt(limit) < totalCodes,
+        hasPrev: parseInt(page) > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Get coupon codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch coupon codes",
+      error: error.message,
+    });
+  }
+};
+
+// EXPORT UNIQUE CODES OF A CAMPAIGN (CSV, optionally one batch or status)
+export const exportCouponCodes = async (req, res) => {
+  try {
+    const coupon = await findCampaign(req.params.id, res);
+    if (!coupon) return;
+
+    const { batchId, status } = req.query;
+    if (batchId && !mongoose.isValidObjectId(batchId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid batch ID",
+      });
+    }
+
+    const definition = getReportDefinition("coupon-codes");
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${coupon.code}-codes-${date}.csv"`
+    );
+
+    await writeReport(
+      definition,
+      {
+        couponId: coupon._id,
+        batchId: batchId
+          ? new mongoose.Types.ObjectId(String(batchId))
+          : undefined,
+        status: status || undefined,
+      },
+      res
+    );
+  } catch (error) {
+    // Part of the file may already be sent; cut the download short
+    if (res.headersSent) {
+      console.error("Export coupon codes error:", error);
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to export coupon codes",
+      error: error.message,
+    });
+  }
+};
+
+// GET REDEMPTIONS OF A COUPON (who used which code on which order, when)
+export const getCouponRedemptions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20, code, status } = req.query;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid coupon ID",
+      });
+    }
+
+    const query = { couponId: id };
+    if (code) query.code = String(code).trim().toUpperCase();
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [redemptions, totalRedemptions] = await Promise.all([
+      CouponRedemption.find(query)
+        .populate("userId", "name email")
+        .populate("orderId", "orderNumber status totalAmount")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      CouponRedemption.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      redemptions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalRedemptions / parseInt(limit)),
+        totalRedemptions,
+        hasNext: skip + parseInt(limit) < totalRedemptions,
+        hasPrev: parseInt(page) > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Get coupon redemptions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch coupon redemptions",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,615 @@
+import mongoose from "mongoose";
+import Device, { deviceFilter } from "../models/device.model.js";
+import Telemetry, { SENSOR_FIELDS } from "../models/telemetry.model.js";
+import PlantAlert from "../models/plantAlert.model.js";
+import Product from "../models/product.model.js";
+import Order from "../models/order.model.js";
+import User from "../models/user.model.js";
+import Settings from "../models/settings.model.js";
+import Role from "../models/role.model.js";
+import { getCareProfile, evaluateReading } from "../utils/plantCare.js";
+import { sendTemplateEmail } from "../utils/mailer.js";
+
+const MAX_READINGS_PER_REQUEST = 500;
+const MAX_HISTORY_DAYS = 366;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours of light data needed in the last day before judging low light
+const MIN_LIGHT_HOURS = 12;
+
+// Orders in these states count as owning the plant
+const PURCHASED_STATUSES = [
+  "confirmed",
+  "packed",
+  "shipped",
+  "out_for_delivery",
+  "delivered",
+];
+
+// Used when Settings.email.templates has no active "plant_care_alert" entry
+const FALLBACK_ALERT_TEMPLATE = {
+  subject: "{deviceName}: {alertMessage}",
+  body: `
+    <h2>Hi {customerName},</h2>
+    <p>Your monitor <strong>{deviceName}</strong> on {plantName} reported:</p>
+    <p><strong>{alertMessage}</strong></p>
+    <p>Severity: {severity}</p>
+    <p>You can see all alerts for your plants in your account.</p>
+    <br>
+    <p>Best regards,<br>{companyName}</p>
+  `,
+};
+
+// Accepted range per sensor; readings outside it are rejected
+const SENSOR_RANGES = {
+  moisture: [0, 100],
+  temperature: [-50, 100],
+  humidity: [0, 100],
+  light: [0, 200000],
+  battery: [0, 100],
+};
+
+// Helper function to validate one reading from a device
+const normalizeReading = (raw = {}) => {
+  const recordedAt = raw.recordedAt ? new Date(raw.recordedAt) : new Date();
+  if (Number.isNaN(recordedAt.getTime())) {
+    return { error: "Invalid recordedAt timestamp" };
+  }
+  // Allow a little clock drift on the device
+  if (recordedAt.getTime() > Date.now() + 5 * 60 * 1000) {
+    return { error: "recordedAt is in the future" };
+  }
+
+  const reading = { recordedAt };
+  for (const field of SENSOR_FIELDS) {
+    if (raw[field] === undefined || raw[field] === null) continue;
+
+    const value = Number(raw[field]);
+    const [min, max] = SENSOR_RANGES[field];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return { error: `${field} must be between ${min} and ${max}` };
+    }
+    reading[field] = value;
+  }
+
+  if (Object.keys(reading).length === 1) {
+    return { error: "Reading has no sensor values" };
+  }
+  return { reading };
+};
+
+// Helper function to parse ?from=&to=&interval= (defaults to last 24h)
+const parseHistoryRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - 24 * HOUR_MS);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: "Invalid from/to date" };
+  }
+  if (from >= to) {
+    return { error: "from must be before to" };
+  }
+  if (to - from > MAX_HISTORY_DAYS * 24 * HOUR_MS) {
+    return { error: `Range cannot exceed ${MAX_HISTORY_DAYS} days` };
+  }
+
+  // Pick a resolution that keeps the series a sensible size
+  const span = to - from;
+  const interval =
+    query.interval ||
+    (span <= 6 * HOUR_MS ? "raw" : span <= 7 * 24 * HOUR_MS ? "hour" : "day");
+  if (!["raw", "hour", "day"].includes(interval)) {
+    return { error: "Interval must be raw, hour or day" };
+  }
+  if (interval === "raw" && span > 7 * 24 * HOUR_MS) {
+    return { error: "Raw readings are limited to 7 days" };
+  }
+
+  return { from, to, interval };
+};
+
+// Helper function to check that a customer bought the plant they link
+const hasPurchasedProduct = (customerId, productId) => {
+  if (!mongoose.isValidObjectId(productId)) return false;
+
+  return Order.exists({
+    customerId,
+    "items.productId": productId,
+    status: { $in: PURCHASED_STATUSES },
+  });
+};
+
+// Helper function to get the brightest hourly reading of the last day, or
+// undefined when there isn't enough history to tell
+const getLightPeak = async (deviceId) => {
+  const to = new Date();
+  const from = new Date(to.getTime() - 24 * HOUR_MS);
+  const hours = await Telemetry.getHistory(deviceId, {
+    from,
+    to,
+    interval: "hour",
+  });
+
+  const lightHours = hours.filter((point) => point.light);
+  if (lightHours.length < MIN_LIGHT_HOURS) return undefined;
+  return Math.max(...lightHours.map((point) => point.light.max));
+};
+
+// Helper function to email newly raised alerts to the device owner
+const emailPlantAlerts = async (device, product, alerts, settings) => {
+  const config = settings.plantCare;
+  const since = new Date(
+    Date.now() - (config.emailCooldownHours || 0) * HOUR_MS
+  );
+
+  const owner = await User.findById(device.ownerId).select("name email");
+  if (!owner?.email) return;
+
+  for (const alert of alerts) {
+    if (await PlantAlert.wasEmailedSince(device._id, alert.type, since)) {
+      continue;
+    }
+
+    await sendTemplateEmail(settings, {
+      template: "plant_care_alert",
+      fallback: FALLBACK_ALERT_TEMPLATE,
+      to: owner.email,
+      variables: {
+        customerName: owner.name,
+        deviceName: device.name,
+        plantName: product?.title || "your plant",
+        alertMessage: alert.message,
+        severity: alert.severity,
+      },
+    });
+
+    alert.emailedAt = new Date();
+    await alert.save();
+  }
+};
+
+// Helper function to run the care rules on a device's latest reading
+const checkPlantCare = async (device) => {
+  const settings = await Settings.getSettings();
+  if (settings.plantCare?.alertsEnabled === false) return [];
+
+  const product = device.productId
+    ? await Product.findById(device.productId).select(
+        "title waterFrequency lightRequirements temperature humidity"
+      )
+    : null;
+  const profile = getCareProfile(product);
+  const lightPeak = profile?.light
+    ? await getLightPeak(device._id)
+    : undefined;
+
+  const issues = evaluateReading(profile, device.lastReading, { lightPeak });
+  const raised = await PlantAlert.syncForDevice(device, issues);
+
+  if (raised.length > 0 && settings.plantCare?.emailAlerts !== false) {
+    try {
+      await emailPlantAlerts(device, product, raised, settings);
+    } catch (error) {
+      console.error("Plant alert email error:", error);
+    }
+  }
+
+  return raised;
+};
+
+// INGEST TELEMETRY (device token)
+export const ingestTelemetry = async (req, res) => {
+  try {
+    const device = req.device;
+    const rawReadings = Array.isArray(req.body.readings)
+      ? req.body.readings
+      : [req.body];
+
+    if (rawReadings.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one reading is required",
+      });
+    }
+
+    if (rawReadings.length > MAX_READINGS_PER_REQUEST) {
+      return res.status(413).json({
+        success: false,
+        message: `At most ${MAX_READINGS_PER_REQUEST} readings per request`,
+      });
+    }
+
+    const readings = [];
+    for (const [index, raw] of rawReadings.entries()) {
+      const { reading, error } = normalizeReading(raw);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Reading ${index}: ${error}`,
+        });
+      }
+      readings.push(reading);
+    }
+
+    await Telemetry.ingest(device._id, readings);
+
+    const latest = readings.reduce((a, b) =>
+      b.recordedAt > a.recordedAt ? b : a
+    );
+    device.recordReading(latest);
+    if (req.body.firmware) device.firmware = req.body.firmware;
+    await device.save();
+
+    // Readings are stored either way; a failing rule check must not make
+    // the device retry the upload
+    let alerts = 0;
+    try {
+      alerts = (await checkPlantCare(device)).length;
+    } catch (error) {
+      console.error("Plant care check error:", error);
+    }
+
+    res.status(202).json({
+      success: true,
+      message: "Readings accepted",
+      accepted: readings.length,
+      alerts,
+    });
+  } catch (error) {
+    console.error("Telemetry ingest error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to store readings",
+      error: error.message,
+    });
+  }
+};
+
+// REGISTER DEVICE (customer)
+export const registerDevice = async (req, res) => {
+  try {
+    const { name, model, location, productId } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Device name is required",
+      });
+    }
+
+    if (productId && !(await hasPurchasedProduct(req.user.id, productId))) {
+      return res.status(400).json({
+        success: false,
+        message: "You can only link a plant you have purchased",
+      });
+    }
+
+    const device = new Device({
+      name,
+      model,
+      location,
+      productId,
+      ownerId: req.user.id,
+    });
+    const token = device.generateToken();
+    await device.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Device registered. Store the token, it is only shown once.",
+      device,
+      token,
+    });
+  } catch (error) {
+    console.error("Register device error:", error);
+    res.status(400).json({
+      success: false,
+      message: "Failed to register device",
+      error: error.message,
+    });
+  }
+};
+
+// GET MY DEVICES (customer)
+export const getMyDevices = async (req, res) => {
+  try {
+    const devices = await Device.find({
+      ownerId: req.user.id,
+      isActive: true,
+    })
+      .populate("productId", "title slug images")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      devices,
+    });
+  } catch (error) {
+    console.error("Get devices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch devices",
+      error: error.message,
+    });
+  }
+};
+
+// GET MY DEVICE (customer)
+export const getMyDevice = async (req, res) => {
+  try {
+    const device = await Device.findOne({
+      ...deviceFilter(req.params.id),
+      ownerId: req.user.id,
+    }).populate(
+      "productId",
+      "title slug images waterFrequency lightRequirements temperature humidity"
+    );
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: "Device not found",
+      });
+    }
+
+    const alerts = await PlantAlert.find({
+      deviceId: device._id,
+      status: { $in: ["open", "acknowledged"] },
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      device,
+      careProfile: getCareProfile(device.productId),
+      alerts,
+    });
+  } catch (error) {
+    console.error("Get device error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch device",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE MY DEVICE (customer)
+export const updateMyDevice = async (req, res) => {
+  try {
+    const device = await Device.findOne({
+      ...deviceFilter(req.params.id),
+      ownerId: req.user.id,
+      isActive: true,
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: "Device not found",
+      });
+    }
+
+    const { name, location, productId } = req.body;
+    if (productId && !(await hasPurchasedProduct(req.user.id, productId))) {
+      return res.status(400).json({
+        success: false,
+        message: "You can only link a plant you have purchased",
+      });
+    }
+
+    if (name !== undefined) device.name = name;
+    if (location !== undefined) device.location = location;
+    if (productId !== undefined) device.productId = productId || undefined;
+    await device.save();
+
+    res.json({
+      success: true,
+      message: "Device updated successfully",
+      device,
+    });
+  } catch (error) {
+    console.error("Update device error:", error);
+    res.status(400).json({
+      success: false,
+      message: "Failed to update device",
+      error: error.message,
+    });
+  }
+};
+
+// ROTATE DEVICE TOKEN (customer)
+export const rotateDeviceToken = async (req, res) => {
+  try {
+    const device = await Device.findOne({
+      ...deviceFilter(req.params.id),
+      ownerId: req.user.id,
+      isActive: true,
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: "Device not found",
+      });
+    }
+
+    const token = device.generateToken();
+    await device.save();
+
+    res.json({
+      success: true,
+      message: "Token rotated. The old token no longer works.",
+      token,
+    });
+  } catch (error) {
+    console.error("Rotate device token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to rotate device token",
+      error: error.message,
+    });
+  }
+};
+
+// REMOVE MY DEVICE (customer, soft delete keeps history)
+export const removeMyDevice = async (req, res) => {
+  try {
+    const device = await Device.findOneAndUpdate(
+      { ...deviceFilter(req.params.id), ownerId: req.user.id },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: "Device not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Device removed successfully",
+    });
+  } catch (error) {
+    console.error("Remove device error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove device",
+      error: error.message,
+    });
+  }
+};
+
+// GET DEVICE TELEMETRY HISTORY (owner or staff with devices:read)
+export const getDeviceTelemetry = async (req, res) => {
+  try {
+    const filter = deviceFilter(req.params.id);
+    if (!(await Role.can(req.user.role, "devices:read"))) {
+      filter.ownerId = req.user.id;
+    }
+
+    const device = await Device.findOne(filter);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: "Device not found",
+      });
+    }
+
+    const range = parseHistoryRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    const series = await Telemetry.getHistory(device._id, {
+      ...range,
+      timezone: settings.localization?.timezone || "Asia/Kolkata",
+    });
+
+    res.json({
+      success: true,
+      device: {
+        _id: device._id,
+        deviceId: device.deviceId,
+        name: device.name,
+        status: device.status,
+        lastSeen: device.lastSeen,
+        lastReading: device.lastReading,
+      },
+      range,
+      series,
+    });
+  } catch (error) {
+    console.error("Get device telemetry error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch telemetry",
+      error: error.message,
+    });
+  }
+};
+
+// GET MY PLANT ALERTS (customer)
+export const getMyAlerts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = "active", deviceId } = req.query;
+
+    const query = { ownerId: req.user.id };
+    if (status === "active") {
+      query.status = { $in: ["open", "acknowledged"] };
+    } else if (status !== "all") {
+      query.status = status;
+    }
+    if (deviceId) query.deviceId = deviceId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [alerts, total] = await Promise.all([
+      PlantAlert.find(query)
+        .populate("deviceId", "deviceId name location")
+        .populate("productId", "title slug images")
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip(skip),
+      PlantAlert.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      alerts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Get plant alerts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch alerts",
+      error: error.message,
+    });
+  }
+};
+
+// ACKNOWLEDGE PLANT ALERT (customer)
+export const acknowledgeAlert = async (req, res) => {
+  try {
+    const alert = await PlantAlert.findOne({
+      _id: req.params.alertId,
+      ownerId: req.user.id,
+    });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: "Alert not found",
+      });
+    }
+
+    alert.acknowledge();
+    await alert.save();
+
+    res.json({
+      success: true,
+      message: "Alert acknowledged",
+      alert,
+    });
+  } catch (error) {
+    console.error("Acknowledge alert error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to acknowledge alert",
+      error: error.message,
+    });
+  }
+};
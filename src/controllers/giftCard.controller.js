@@ -0,0 +1,202 @@
+import mongoose from "mongoose";
+import GiftCard, {
+  GIFT_CARD_CODE_PATTERN,
+  GIFT_CARD_VALIDITY_DAYS,
+} from "../models/giftCard.model.js";
+import Settings from "../models/settings.model.js";
+import { generateCode } from "../utils/couponCodes.js";
+import { sendGiftCardEmail } from "../utils/giftCards.js";
+
+// GET ALL GIFT CARDS
+export const getAllGiftCards = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, search } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (search) {
+      const term = String(search).trim();
+      query.$or = [
+        { code: term.toUpperCase() },
+        { recipientEmail: term.toLowerCase() },
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [giftCards, totalGiftCards] = await Promise.all([
+      GiftCard.find(query)
+        .populate("purchasedBy", "name email")
+        .populate("redeemedBy", "name email")
+        .populate("orderId", "orderNumber")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      GiftCard.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      giftCards,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalGiftCards / parseInt(limit)),
+        totalGiftCards,
+        hasNext: skip + parseInt(limit) < totalGiftCards,
+        hasPrev: parseInt(page) > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Get gift cards error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch gift cards",
+      error: error.message,
+    });
+  }
+};
+
+// ISSUE GIFT CARD (e.g. goodwill or giveaways, without an order)
+export const issueGiftCard = async (req, res) => {
+  try {
+    const { recipientName, recipientEmail, message } = req.body;
+    const value = Number(req.body.value);
+
+    if (!(value >= 1)) {
+      return res.status(400).json({
+        success: false,
+        message: "Gift card value must be at least ₹1",
+      });
+    }
+    if (!recipientEmail) {
+      return res.status(400).json({
+        success: false,
+        message: "Recipient email is required",
+      });
+    }
+
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + GIFT_CARD_VALIDITY_DAYS);
+
+    const giftCard = await GiftCard.create({
+      code: generateCode(GIFT_CARD_CODE_PATTERN),
+      value,
+      recipientName,
+      recipientEmail,
+      message,
+      expiresAt,
+    });
+
+    // The card stays issued if the email fails; it can be resent
+    let emailError = null;
+    try {
+      const settings = await Settings.getSettings();
+      await sendGiftCardEmail(giftCard, settings);
+    } catch (sendError) {
+      console.error("Gift card email error:", sendError);
+      emailError = sendError.message;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: emailError
+        ? "Gift card issued but the email could not be sent"
+        : "Gift card issued successfully",
+      giftCard,
+    });
+  } catch (error) {
+    console.error("Issue gift card error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to issue gift card",
+      error: error.message,
+    });
+  }
+};
+
+// RESEND GIFT CARD EMAIL
+export const resendGiftCard = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid gift card ID",
+      });
+    }
+
+    const giftCard = await GiftCard.findById(id).populate(
+      "purchasedBy",
+      "name"
+    );
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: "Gift card not found",
+      });
+    }
+    if (giftCard.status !== "active") {
+      return res.status(400).json({
+        success: false,
+        message: `Gift card is ${giftCard.status}`,
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    await sendGiftCardEmail(giftCard, settings, {
+      senderName: giftCard.purchasedBy?.name,
+    });
+
+    res.json({
+      success: true,
+      message: `Gift card sent to ${giftCard.recipientEmail}`,
+    });
+  } catch (error) {
+    console.error("Resend gift card error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to resend gift card",
+      error: error.message,
+    });
+  }
+};
+
+// CANCEL GIFT CARD (only while it hasn't been redeemed)
+export const cancelGiftCard = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid gift card ID",
+      });
+    }
+
+    const giftCard = await GiftCard.findOneAndUpdate(
+      { _id: id, status: "active" },
+      { status: "cancelled", cancelledAt: new Date() },
+      { new: true }
+    );
+    if (!giftCard) {
+      return res.status(400).json({
+        success: false,
+        message: "Only active gift cards can be cancelled",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Gift card cancelled successfully",
+      giftCard,
+    });
+  } catch (error) {
+    console.error("Cancel gift card error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel gift card",
+      error: error.message,
+    });
+  }
+};
@@ -1,13 +1,14 @@
+import mongoose from "mongoose";
 import Invoice from "../models/invoice.model.js";
 import Order from "../models/order.model.js";
 import User from "../models/user.model.js";
 import Settings from "../models/settings.model.js";
 import puppeteer from "puppeteer";
 import QRCode from "qrcode";
-import nodemailer from "nodemailer";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
+import { sendTemplateEmail } from "../utils/mailer.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -49,29 +50,55 @@ export const generateInvoice = async (req, res) => {
         shippingAddress: order.shippingAddress,
         items: order.items.map((item) => ({
           productId: item.productId._id,
+          variantId: item.variantId,
           name: item.title,
-          sku: item.sku,
-          hsn: item.hsn,
+          description: item.variantId
+            ? [
+                item.attributes?.size,
+                item.attributes?.potType,
+                item.attributes?.color,
+              ]
+                .filter(Boolean)
+                .join(" / ")
+            : undefined,
+          sku: item.sku || item.productId.sku,
+          hsn: item.hsn || item.productId.hsn,
           quantity: item.quantity,
           unitPrice: item.price,
           discount: item.discount || 0,
+          taxRate: item.taxRate || 0,
+          taxableValue: item.taxableValue,
+          taxAmount: item.taxAmount || 0,
           lineTotal: item.total,
         })),
         subtotal: order.subtotal,
         totalDiscount: order.discountAmount,
         shippingCost: order.shippingCost,
+        codCharge: order.codCharge || 0,
         totalTax: order.taxAmount,
+        taxes: order.taxes || [],
+        pricesIncludeTax: order.pricesIncludeTax || false,
         adjustments: order.adjustments || 0,
         grandTotal: order.totalAmount,
         currency: order.currency,
         paymentMethod: order.payment?.method || order.paymentMethod,
         paymentStatus: order.payment?.status || order.paymentStatus,
+        // Waived shipping is already left out of shippingCost
         coupon: order.coupon?.code
           ? {
               code: order.coupon.code,
-              discount: order.coupon.discount,
+              discount: order.coupon.freeShipping ? 0 : order.coupon.discount,
             }
           : undefined,
+        promotions: (order.promotions || []).map((promotion) => ({
+          name: promotion.name,
+          discount: promotion.discount,
+        })),
+        loyalty: {
+          pointsRedeemed: order.loyalty?.pointsRedeemed || 0,
+          discount: order.loyalty?.redeemDiscount || 0,
+        },
+        walletAmount: order.payment?.walletAmount || 0,
         company: {
           name: settings.company.name,
           logo: settings.company.logo?.url,
@@ -89,7 +116,14 @@ export const generateInvoice = async (req, res) => {
         createdByName: adminName,
       });
 
-      await invoice.save();
+      // Number and save the invoice together so a failed save leaves no gap
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(() => invoice.save({ session }));
+      } finally {
+        await session.endSession();
+      }
+      invoice.$session(null);
     }
 
     // Generate PDF if not in preview mode
@@ -162,20 +196,11 @@ export const emailInvoice = async (
   pdfPath
 ) => {
   try {
-    // Configure email transporter (in production, use environment variables)
-    const transporter = nodemailer.createTransporter({
-      host: settings.email.smtp.host || "smtp.gmail.com",
-      port: settings.email.smtp.port || 587,
-      secure: false,
-      auth: {
-        user: settings.email.smtp.username || process.env.EMAIL_USERNAME,
-        pass: settings.email.smtp.password || process.env.EMAIL_PASSWORD,
-      },
-    });
-
-    const emailTemplate = settings.getEmailTemplate("invoice") || {
-      subject: "Invoice #{invoiceNumber} from {companyName}",
-      body: `
+    await sendTemplateEmail(settings, {
+      template: "invoice",
+      fallback: {
+        subject: "Invoice #{invoiceNumber} from {companyName}",
+        body: `
         <h2>Invoice #{invoiceNumber}</h2>
         <p>Dear Customer,</p>
         <p>Please find attached your invoice for order #{orderNumber}.</p>
@@ -183,25 +208,12 @@ export const emailInvoice = async (
         <br>
         <p>Best regards,<br>{companyName}</p>
       `,
-    };
-
-    // Replace template variables
-    const subject = emailTemplate.subject
-      .replace("{invoiceNumber}", invoice.invoiceNumber)
-      .replace("{companyName}", settings.company.name);
-
-    const body = emailTemplate.body
-      .replace("{invoiceNumber}", invoice.invoiceNumber)
-      .replace("{orderNumber}", invoice.orderNumber)
-      .replace("{companyName}", settings.company.name);
-
-    const mailOptions = {
-      from: `${settings.email.from?.name || settings.company.name} <${
-        settings.email.from?.email || settings.company.email
-      }>`,
+      },
       to: recipientEmail,
-      subject,
-      html: body,
+      variables: {
+        invoiceNumber: invoice.invoiceNumber,
+        orderNumber: invoice.orderNumber,
+      },
       attachments: pdfPath
         ? [
             {
@@ -210,9 +222,7 @@ export const emailInvoice = async (
             },
           ]
         : [],
-    };
-
-    await transporter.sendMail(mailOptions);
+    });
     return true;
   } catch (error) {
     console.error("Email invoice error:", error);
@@ -675,8 +685,20 @@ export const generateInvoiceHTML = async (
               <tr>
                 <td>
                   <strong>${item.name}</strong><br>
+                  ${
+                    item.description
+                      ? `<small>${item.description}</small><br>`
+                      : ""
+                  }
                   ${item.sku ? `<small>SKU: ${item.sku}</small><br>` : ""}
-                  ${item.hsn ? `<small>HSN: ${item.hsn}</small>` : ""}
+                  ${item.hsn ? `<small>HSN: ${item.hsn}</small><br>` : ""}
+                  ${
+                    item.taxRate > 0
+                      ? `<small>GST ${item.taxRate}%: ${formatCurrency(
+                          item.taxAmount
+                        )}</small>`
+                      : ""
+                  }
                 </td>
                 <td class="text-center">${item.quantity}</td>
                 <td class="text-right">${formatCurrency(item.unitPrice)}</td>
@@ -726,6 +748,30 @@ export const generateInvoiceHTML = async (
             `
                 : ""
             }
+            ${(invoice.promotions || [])
+              .map(
+                (promotion) => `
+              <tr>
+                <td class="label">${promotion.name}:</td>
+                <td class="amount">-${formatCurrency(promotion.discount)}</td>
+              </tr>
+            `
+              )
+              .join("")}
+            ${
+              invoice.loyalty && invoice.loyalty.discount > 0
+                ? `
+              <tr>
+                <td class="label">Loyalty (${
+                  invoice.loyalty.pointsRedeemed
+                } points):</td>
+                <td class="amount">-${formatCurrency(
+                  invoice.loyalty.discount
+                )}</td>
+              </tr>
+            `
+                : ""
+            }
             ${
               invoice.shippingCost > 0
                 ? `
@@ -737,7 +783,30 @@ export const generateInvoiceHTML = async (
                 : ""
             }
             ${
-              invoice.totalTax > 0
+              invoice.codCharge > 0
+                ? `
+              <tr>
+                <td class="label">COD Charges:</td>
+                <td class="amount">${formatCurrency(invoice.codCharge)}</td>
+              </tr>
+            `
+                : ""
+            }
+            ${
+              invoice.taxes && invoice.taxes.length > 0
+                ? invoice.taxes
+                    .map(
+                      (tax) => `
+              <tr>
+                <td class="label">${tax.name} @ ${tax.rate}%${
+                        invoice.pricesIncludeTax ? " (incl.)" : ""
+                      }:</td>
+                <td class="amount">${formatCurrency(tax.amount)}</td>
+              </tr>
+            `
+                    )
+                    .join("")
+                : invoice.totalTax > 0
                 ? `
               <tr>
                 <td class="label">Tax:</td>
@@ -762,6 +831,30 @@ export const generateInvoiceHTML = async (
               <td class="label">Total:</td>
               <td class="amount">${formatCurrency(invoice.grandTotal)}</td>
             </tr>
+            ${
+              invoice.walletAmount > 0
+                ? `
+              <tr>
+                <td class="label">Paid from wallet:</td>
+                <td class="amount">-${formatCurrency(invoice.walletAmount)}</td>
+              </tr>
+            `
+                : ""
+            }
+            ${
+              invoice.walletAmount > 0 && invoice.paymentMethod !== "wallet"
+                ? `
+              <tr>
+                <td class="label">Paid by ${(
+                  invoice.paymentMethod || "N/A"
+                ).toUpperCase()}:</td>
+                <td class="amount">${formatCurrency(
+                  Math.max(0, invoice.grandTotal - invoice.walletAmount)
+                )}</td>
+              </tr>
+            `
+                : ""
+            }
           </table>
         </div>
         
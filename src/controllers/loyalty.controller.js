@@ -0,0 +1,255 @@
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import Settings from "../models/settings.model.js";
+import LoyaltyTransaction from "../models/loyaltyTransaction.model.js";
+import { syncLoyaltyPoints } from "../jobs/loyalty.job.js";
+import { getLoyaltyTier } from "../utils/loyalty.js";
+
+const EXPIRY_NOTICE_DAYS = 30;
+
+// Helper function to load a page of loyalty entries for a user
+const getTransactions = async (userId, { page = 1, limit = 20, type }) => {
+  const query = { userId };
+  if (type) query.type = type;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [transactions, totalTransactions] = await Promise.all([
+    LoyaltyTransaction.find(query)
+      .select("-remainingPoints")
+      .populate("orderId", "orderNumber")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    LoyaltyTransaction.countDocuments(query),
+  ]);
+
+  return {
+    transactions,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalTransactions / parseInt(limit)),
+      totalTransactions,
+      hasNext: skip + parseInt(limit) < totalTransactions,
+      hasPrev: parseInt(page) > 1,
+    },
+  };
+};
+
+// Helper function to summarise a user's points: balance, tier and the
+// points expiring soon
+const getSummary = async (user, loyalty = {}) => {
+  const expiringBy = new Date(
+    Date.now() + EXPIRY_NOTICE_DAYS * 24 * 60 * 60 * 1000
+  );
+  const [expiring] = await LoyaltyTransaction.aggregate([
+    {
+      $match: {
+        userId: user._id,
+        remainingPoints: { $gt: 0 },
+        expiresAt: { $ne: null, $lte: expiringBy },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        points: { $sum: "$remainingPoints" },
+        nextExpiry: { $min: "$expiresAt" },
+      },
+    },
+  ]);
+
+  return {
+    balance: user.loyaltyPoints,
+    value:
+      Math.round(user.loyaltyPoints * (loyalty.pointValue || 1) * 100) / 100,
+    totalSpent: user.totalSpent,
+    ...getLoyaltyTier(loyalty, user.totalSpent),
+    expiringSoon: {
+      points: expiring?.points || 0,
+      nextExpiry: expiring?.nextExpiry || null,
+      withinDays: EXPIRY_NOTICE_DAYS,
+    },
+  };
+};
+
+// GET LOYALTY (points, tier and ledger of the signed-in user)
+export const getLoyalty = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(
+      "loyaltyPoints totalSpent"
+    );
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    const settings = await Settings.getSettings();
+    const loyalty = settings.loyalty || {};
+
+    const [summary, { transactions, pagination }] = await Promise.all([
+      getSummary(user, loyalty),
+      getTransactions(user._id, req.query),
+    ]);
+
+    res.json({
+      success: true,
+      programme: {
+        enabled: loyalty.enabled,
+        earnRate: loyalty.earnRate,
+        pointValue: loyalty.pointValue,
+        minRedeemPoints: loyalty.minRedeemPoints,
+        maxRedeemPercent: loyalty.maxRedeemPercent,
+        expiryDays: loyalty.expiryDays,
+        tiers: loyalty.tiers,
+      },
+      ...summary,
+      transactions,
+      pagination,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// GET USER LOYALTY (Admin)
+export const getUserLoyalty = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid user ID" });
+    }
+
+    const user = await User.findById(userId).select(
+      "name email loyaltyPoints totalSpent totalOrders"
+    );
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    const settings = await Settings.getSettings();
+    const [summary, { transactions, pagination }] = await Promise.all([
+      getSummary(user, settings.loyalty),
+      getTransactions(user._id, req.query),
+    ]);
+
+    res.json({
+      success: true,
+      user: { _id: user._id, name: user.name, email: user.email },
+      totalOrders: user.totalOrders,
+      ...summary,
+      transactions,
+      pagination,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// ADJUST USER LOYALTY (Admin credit or debit of points with a reason)
+export const adjustUserLoyalty = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { type, reason } = req.body;
+    const points = Number(req.body.points);
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid user ID" });
+    }
+    if (!["credit", "debit"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Type must be credit or debit",
+      });
+    }
+    if (!Number.isInteger(points) || points < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Points must be a whole number of at least 1",
+      });
+    }
+    if (!reason) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Reason is required" });
+    }
+
+    if (!(await User.exists({ _id: userId }))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    const settings = await Settings.getSettings();
+    const details = {
+      type: "adjust",
+      description: reason,
+      createdBy: req.user.id,
+    };
+
+    // The balance, its lots and the ledger entry are written together
+    const session = await mongoose.startSession();
+    let entry;
+    let error;
+    try {
+      await session.withTransaction(async () => {
+        if (type === "credit") {
+          entry = await LoyaltyTransaction.credit(userId, points, details, {
+            session,
+            expiryDays: settings.loyalty?.expiryDays,
+          });
+        } else {
+          ({ entry, error } = await LoyaltyTransaction.debit(
+            userId,
+            points,
+            details,
+            { session }
+          ));
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    res.json({
+      success: true,
+      message: "Loyalty points adjusted successfully",
+      balance: entry.balanceAfter,
+      transaction: entry,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// SYNC LOYALTY (award, reverse and expire points now rather than waiting
+// for the hourly job; also the cron entry point on serverless)
+export const syncLoyalty = async (req, res) => {
+  try {
+    const posted = await syncLoyaltyPoints();
+
+    res.json({
+      success: true,
+      message: "Loyalty points synced",
+      posted,
+    });
+  } catch (error) {
+    console.error("Sync loyalty points error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to sync loyalty points",
+      error: error.message,
+    });
+  }
+};
@@ -1,13 +1,116 @@
-import Order from "../models/order.model.js";
+import mongoose from "mongoose";
+import Order, {
+  ADMIN_CANCELLABLE_STATUSES,
+  CANCELLABLE_STATUSES,
+} from "../models/order.model.js";
 import Product from "../models/product.model.js";
 import Cart from "../models/cart.model.js";
+import Settings from "../models/settings.model.js";
+import CartRecovery from "../models/cartRecovery.model.js";
+import Role from "../models/role.model.js";
+import User from "../models/user.model.js";
+import Coupon from "../models/coupon.model.js";
+import WalletTransaction from "../models/walletTransaction.model.js";
+import LoyaltyTransaction from "../models/loyaltyTransaction.model.js";
+import {
+  calculateShipping,
+  getShippableAmount,
+  isValidPincode,
+} from "../utils/shipping.js";
+import {
+  pickAddressFields,
+  toOrderAddress,
+  validateAddress,
+} from "../utils/address.js";
+import { calculateTax } from "../utils/tax.js";
+import { calculateRedemption } from "../utils/loyalty.js";
+import { priceCartDiscounts } from "../utils/pricing.js";
+import { uploadImages } from "../utils/imagekit.js";
+import { deliverOrderGiftCards } from "../utils/giftCards.js";
+import { cancelAndRestock } from "../utils/orderCancellation.js";
+import {
+  OFFLINE_PAYMENT_METHODS,
+  createPaymentIntent,
+} from "../utils/payments/index.js";
+
+// Helper function to start a gateway payment for an order
+const initiatePayment = async (order) => {
+  const intent = await createPaymentIntent(order);
+
+  order.payment.gateway = intent.gateway;
+  order.payment.intentId = intent.intentId;
+  order.payment.status = "pending";
+  order.payment.failureReason = undefined;
+  await order.save();
+
+  return intent;
+};
+
+// Helper function to build an error that aborts the checkout transaction
+const checkoutError = (message, statusCode, item = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (item) {
+    error.product = { productId: item.productId, title: item.title };
+  }
+  return error;
+};
+
+// Helper function to resolve a checkout address from the address book
+// (`addressId`) or the checkout form into an order address snapshot
+const resolveCheckoutAddress = (user, addressId, input, label) => {
+  let source = input;
+  if (addressId) {
+    source =
+      mongoose.isValidObjectId(addressId) && user.addresses.id(addressId);
+    if (!source) return { errors: [`${label} address not found`] };
+  }
+  if (!source) return { errors: [`${label} address is required`] };
+
+  const errors = validateAddress(pickAddressFields(source), {
+    requirePhone: true,
+  });
+  if (errors.length > 0) return { errors };
+
+  return { address: toOrderAddress(source, { email: user.email }) };
+};
 
 // CREATE ORDER
 export const createOrder = async (req, res) => {
   try {
-    const { shippingAddress, paymentMethod, notes, couponCode } = req.body;
+    const {
+      addressId,
+      shippingAddress: shippingInput,
+      billingAddressId,
+      billingAddress: billingInput,
+      paymentMethod,
+      notes,
+      couponCode,
+      useWallet,
+      redeemPoints,
+      giftCardRecipient,
+    } = req.body;
     const customerId = req.user.id; // Assuming auth middleware sets req.user
 
+    const user = await User.findById(customerId).select(
+      "name email emailVerified addresses walletBalance loyaltyPoints"
+    );
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Accounts registered since email verification was added must verify
+    // before ordering
+    if (user.emailVerified === false) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email address before checking out",
+      });
+    }
+
     // Get user's cart
     const cart = await Cart.findOne({ userId: customerId }).populate(
       "items.productId"
@@ -20,6 +123,9 @@ export const createOrder = async (req, res) => {
       });
     }
 
+    // Promotions are evaluated again against the ones running now
+    await cart.loadPromotions();
+
     // Validate and calculate order items from cart
     const orderItems = [];
     let subtotal = 0;
@@ -34,104 +140,388 @@ export const createOrder = async (req, res) => {
         });
       }
 
-      if (!product.isActive || !product.isInStock(cartItem.quantity)) {
+      if (
+        !product.isActive ||
+        (product.hasVariants && !cartItem.variantId) ||
+        !product.isInStock(cartItem.quantity, cartItem.variantId)
+      ) {
         return res.status(400).json({
           success: false,
           message: `Product ${product.title} is out of stock or unavailable`,
+          product: { productId: product._id, title: product.title },
         });
       }
 
       const total = cartItem.priceAtAdd * cartItem.quantity;
       subtotal += total;
 
+      const option = product.getPurchaseOption(cartItem.variantId);
+
       orderItems.push({
         productId: product._id,
+        variantId: option.variant?._id || null,
+        sellerId: product.sellerId,
         title: product.title,
         slug: product.slug,
-        image: product.images[0],
-        attributes: product.attributes,
+        sku: option.sku,
+        hsn: product.hsn,
+        image: option.images[0],
+        attributes: option.attributes,
         quantity: cartItem.quantity,
         price: cartItem.priceAtAdd,
+        isGiftCard: Boolean(product.isGiftCard),
         total: total,
       });
     }
 
+    // Shipping comes from the address book or the checkout form; billing
+    // defaults to the shipping address. Both are copied onto the order.
+    const shipping = resolveCheckoutAddress(
+      user,
+      addressId,
+      shippingInput,
+      "Shipping"
+    );
+    if (shipping.errors) {
+      return res.status(400).json({
+        success: false,
+        message: shipping.errors[0],
+        errors: shipping.errors,
+      });
+    }
+    const shippingAddress = shipping.address;
+
+    if (!isValidPincode(shippingAddress.pincode)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid 6-digit shipping pincode is required",
+      });
+    }
+
+    let billingAddress = { ...shippingAddress };
+    if (billingAddressId || billingInput) {
+      const billing = resolveCheckoutAddress(
+        user,
+        billingAddressId,
+        billingInput,
+        "Billing"
+      );
+      if (billing.errors) {
+        return res.status(400).json({
+          success: false,
+          message: billing.errors[0],
+          errors: billing.errors,
+        });
+      }
+      billingAddress = billing.address;
+    }
+
+    // Coupon and promotion discounts per line, priced as for the quote
+    const pricing = await priceCartDiscounts(cart, { userId: customerId });
+    if (pricing.error) {
+      return res.status(400).json({
+        success: false,
+        message: pricing.error,
+      });
+    }
+    const { coupon, couponDiscount, lineDiscounts } = pricing;
+    const couponAmount = couponDiscount?.discountAmount || 0;
+
     // Use cart totals if available, otherwise calculate
     const finalSubtotal = cart.subtotal || subtotal;
-    const shippingCost = 0; // Free shipping for now
-    const taxAmount = 0; // No tax for now
-    const discountAmount = cart.discount || 0;
-    const totalAmount =
-      cart.finalTotal ||
-      finalSubtotal + shippingCost + taxAmount - discountAmount;
-
-    // Format shipping address to match schema
-    const formattedShippingAddress = {
-      fullName: shippingAddress.fullName,
-      phone: shippingAddress.phone,
-      email: shippingAddress.email,
-      addressLine1: shippingAddress.address, // Map 'address' to 'addressLine1'
-      addressLine2: "",
-      city: shippingAddress.city,
-      state: shippingAddress.state,
+
+    // Loyalty points are redeemed last, on what is left of the lines
+    const settings = await Settings.getSettings();
+    const pointsRedeemed = Number(redeemPoints) || 0;
+    let redeemDiscount = 0;
+    if (pointsRedeemed > 0) {
+      const redemption = calculateRedemption(
+        settings.loyalty,
+        orderItems.map((item, index) => ({
+          amount: item.total,
+          discount: lineDiscounts[index],
+          isGiftCard: item.isGiftCard,
+        })),
+        pointsRedeemed,
+        user.loyaltyPoints || 0
+      );
+      if (redemption.error) {
+        return res.status(400).json({
+          success: false,
+          message: redemption.error,
+        });
+      }
+      redeemDiscount = redemption.discount;
+      redemption.lineDiscounts.forEach((amount, index) => {
+        lineDiscounts[index] =
+          Math.round((lineDiscounts[index] + amount) * 100) / 100;
+      });
+    }
+
+    const discountAmount =
+      Math.round(lineDiscounts.reduce((sum, amount) => sum + amount, 0) * 100) /
+      100;
+
+    // Shipping is quoted again from live settings rather than the cart
+    // snapshot, on the lines that are shipped
+    const shippingQuote = calculateShipping(settings, {
       pincode: shippingAddress.pincode,
-      country: "India",
-    };
-
-    // Use shipping address as billing address (same for now)
-    const billingAddress = { ...formattedShippingAddress };
-
-    // Generate Order Number and ID
-    const count = await Order.countDocuments();
-    const orderNumber = `ORD${String(count + 1).padStart(6, "0")}`;
-
-    const today = new Date();
-    const dateStr = today.toISOString().slice(0, 10).replace(/-/g, "");
-    const dailyCount = await Order.countDocuments({
-      createdAt: {
-        $gte: new Date(today.getFullYear(), today.getMonth(), today.getDate()),
-        $lt: new Date(
-          today.getFullYear(),
-          today.getMonth(),
-          today.getDate() + 1
-        ),
-      },
+      amount: getShippableAmount(
+        orderItems.map((item, index) => ({
+          amount: item.total,
+          discount: lineDiscounts[index],
+          isGiftCard: item.isGiftCard,
+        }))
+      ),
+      paymentMethod: paymentMethod || "cod",
     });
-    const orderId = `ORD-${dateStr}-${String(dailyCount + 1).padStart(6, "0")}`;
+    const shipsItems = orderItems.some((item) => !item.isGiftCard);
 
-    const order = await Order.create({
-      orderId,
-      orderNumber,
-      customerId,
-      items: orderItems,
-      shippingAddress: formattedShippingAddress,
-      billingAddress: billingAddress,
-      payment: {
-        method: paymentMethod || "cod",
-        status: paymentMethod === "cod" ? "pending" : "pending",
-      },
-      subtotal: finalSubtotal,
-      shippingCost,
-      taxAmount,
-      discountAmount,
-      totalAmount,
-      coupon: cart.coupon
-        ? {
-            code: cart.coupon.code,
-            discount: cart.discount,
-            couponId: cart.coupon._id,
-          }
-        : undefined,
-      // Legacy fields for compatibility
-      paymentMethod: paymentMethod || "cod",
-      couponCode: cart.coupon?.code || couponCode,
+    // Gift cards are store credit, which isn't taxed when sold
+    const tax = calculateTax(settings, {
+      lines: orderItems.map((item, index) => ({
+        amount: item.total,
+        discount: lineDiscounts[index],
+        hsn: item.hsn,
+        taxRate: item.isGiftCard ? 0 : cart.items[index].productId.taxRate,
+      })),
+      shippingState: shippingAddress.state,
+    });
+
+    tax.lines.forEach((line, index) => {
+      Object.assign(orderItems[index], line);
     });
 
-    // Reduce stock for ordered items
-    for (const item of orderItems) {
-      await Product.findByIdAndUpdate(item.productId, {
-        $inc: { stock: -item.quantity },
+    const taxAmount = tax.taxAmount;
+    const shippingCost =
+      couponDiscount?.freeShipping || !shipsItems
+        ? 0
+        : shippingQuote.shippingCost;
+    const amountBeforeCod = Math.max(
+      0,
+      finalSubtotal +
+        shippingCost +
+        (tax.pricesIncludeTax ? 0 : taxAmount) -
+        discountAmount
+    );
+
+    // Gift cards go to the customer unless someone else is named
+    const hasGiftCards = orderItems.some((item) => item.isGiftCard);
+    const recipient = hasGiftCards
+      ? {
+          name: giftCardRecipient?.name || user.name,
+          email: giftCardRecipient?.email || user.email,
+          message: giftCardRecipient?.message,
+        }
+      : undefined;
+    if (recipient && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipient.email)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid gift card recipient email is required",
+      });
+    }
+
+    // Store credit is spent first. An order it pays in full needs no other
+    // payment method, so there is no COD charge either.
+    const walletRequested = Boolean(useWallet) || paymentMethod === "wallet";
+    const walletBalance = walletRequested ? user.walletBalance || 0 : 0;
+    const paidByWallet = walletRequested && walletBalance >= amountBeforeCod;
+    const method = paidByWallet ? "wallet" : paymentMethod || "cod";
+
+    if (paymentMethod === "wallet" && !paidByWallet) {
+      return res.status(400).json({
+        success: false,
+        message: `Wallet balance is short by ₹${
+          Math.round((amountBeforeCod - walletBalance) * 100) / 100
+        }; choose a payment method for the rest`,
+      });
+    }
+    if (method === "cod" && !shippingQuote.acceptCOD) {
+      return res.status(400).json({
+        success: false,
+        message: "Cash on delivery is not available",
+      });
+    }
+    if (method === "cod" && hasGiftCards) {
+      return res.status(400).json({
+        success: false,
+        message: "Gift cards can't be paid cash on delivery",
+      });
+    }
+
+    const codCharge = paidByWallet ? 0 : shippingQuote.codCharge;
+    const totalAmount = amountBeforeCod + codCharge;
+    const walletAmount =
+      Math.round(Math.min(walletBalance, totalAmount) * 100) / 100;
+
+    // Order, stock and cart writes run in one transaction so a failed
+    // reservation rolls back everything written before it
+    const session = await mongoose.startSession();
+    let order;
+
+    try {
+      await session.withTransaction(async () => {
+        // Reserve stock with conditional decrements; a concurrent checkout
+        // that took the last units makes the filter miss
+        for (const item of orderItems) {
+          const reserved = await Product.reserveStock(item, { session });
+
+          if (!reserved) {
+            throw checkoutError(
+              `Product ${item.title} is out of stock or unavailable`,
+              409,
+              item
+            );
+          }
+        }
+
+        // Order number and ID come from the counters in the same transaction
+        [order] = await Order.create(
+          [
+            {
+              customerId,
+              items: orderItems,
+              shippingAddress,
+              billingAddress,
+              payment: {
+                method,
+                status: "pending",
+                walletAmount,
+              },
+              fulfillment: {
+                eta: shippingQuote.eta,
+              },
+              subtotal: finalSubtotal,
+              shippingCost,
+              codCharge,
+              shippingZone: shippingQuote.zone || undefined,
+              taxAmount,
+              taxes: tax.taxes,
+              pricesIncludeTax: tax.pricesIncludeTax,
+              discountAmount,
+              totalAmount,
+              coupon: coupon
+                ? {
+                    code: coupon.appliedCode,
+                    discount:
+                      couponDiscount.freeShipping && shipsItems
+                        ? shippingQuote.shippingCost
+                        : couponAmount,
+                    freeShipping: couponDiscount.freeShipping,
+                    couponId: coupon._id,
+                  }
+                : undefined,
+              promotions: cart.promotions.map((promotion) => ({
+                promotionId: promotion.promotionId,
+                name: promotion.name,
+                type: promotion.type,
+                discount: promotion.discountAmount,
+              })),
+              loyalty: { pointsRedeemed, redeemDiscount },
+              giftCardRecipient: recipient,
+              // Legacy fields for compatibility
+              paymentMethod: method,
+              couponCode: coupon?.appliedCode || couponCode,
+            },
+          ],
+          { session }
+        );
+
+        // Take a use of the coupon; a checkout that used the last one
+        // first rolls this one back
+        if (coupon) {
+          const { error } = await Coupon.redeem(
+            coupon,
+            {
+              userId: customerId,
+              orderId: order._id,
+              discountAmount: order.coupon.discount,
+            },
+            { session }
+          );
+          if (error) throw checkoutError(error, 409);
+        }
+
+        // Spend the points; a concurrent checkout that spent them first
+        // rolls this one back
+        if (pointsRedeemed > 0) {
+          const { error } = await LoyaltyTransaction.debit(
+            customerId,
+            pointsRedeemed,
+            {
+              type: "redeem",
+              orderId: order._id,
+              description: `Redeemed on order ${order.orderNumber}`,
+            },
+            { session }
+          );
+          if (error) throw checkoutError(error, 409);
+        }
+
+        // Spend the store credit; a concurrent checkout that spent it
+        // first rolls this one back
+        if (walletAmount > 0) {
+          const { error } = await WalletTransaction.debit(
+            customerId,
+            walletAmount,
+            {
+              source: "order_payment",
+              orderId: order._id,
+              description: `Payment for order ${order.orderNumber}`,
+            },
+            { session }
+          );
+          if (error) throw checkoutError(error, 409);
+        }
+
+        // Empty the cart now that its items belong to the order
+        cart.clearCart();
+        await cart.save({ session });
       });
+    } finally {
+      await session.endSession();
+    }
+
+    // Detach the ended session so later saves run on their own
+    order.$session(null);
+
+    // Credit the order to an abandoned cart email sent shortly before it
+    if (cart.recoveryEmailSentAt) {
+      try {
+        await CartRecovery.markRecovered(
+          order,
+          settings.cartRecovery?.attributionDays
+        );
+      } catch (recoveryError) {
+        console.error("Cart recovery tracking error:", recoveryError);
+      }
+    }
+
+    // An order paid in full from the wallet is paid already, and its gift
+    // cards can go out
+    if (paidByWallet) {
+      order.updatePaymentStatus("paid", { gateway: "wallet" });
+      await order.save();
+
+      try {
+        await deliverOrderGiftCards(order, { senderName: user.name });
+      } catch (giftCardError) {
+        console.error("Gift card delivery error:", giftCardError);
+      }
+    }
+
+    // Online payments need a gateway intent before the customer can pay
+    let paymentIntent = null;
+    let paymentError = null;
+    if (!OFFLINE_PAYMENT_METHODS.includes(order.payment.method)) {
+      try {
+        paymentIntent = await initiatePayment(order);
+      } catch (intentError) {
+        console.error("Payment intent error:", intentError);
+        paymentError = intentError.message;
+        order.updatePaymentStatus("failed", { failureReason: paymentError });
+        await order.save();
+      }
     }
 
     const populatedOrder = await Order.findById(order._id)
@@ -140,14 +530,20 @@ export const createOrder = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: "Order created successfully",
+      message: paymentError
+        ? "Order created but payment could not be initiated"
+        : "Order created successfully",
       order: populatedOrder,
+      paymentIntent,
+      paymentError: paymentError || undefined,
     });
   } catch (err) {
     console.error("Order creation error:", err);
-    res.status(400).json({
+    res.status(err.statusCode || 400).json({
       success: false,
+      message: err.statusCode ? err.message : undefined,
       error: err.message,
+      product: err.product,
     });
   }
 };
@@ -382,10 +778,10 @@ export const getOrderById = async (req, res) => {
       });
     }
 
-    // Check if user owns this order or is admin
+    // Check if user owns this order or is staff who can read orders
     if (
       order.customerId._id.toString() !== req.user.id &&
-      req.user.role !== "admin"
+      !(await Role.can(req.user.role, "orders:read"))
     ) {
       return res.status(403).json({
         success: false,
@@ -419,11 +815,24 @@ export const updateOrderStatus = async (req, res) => {
       });
     }
 
-    // Update status
-    if (status) {
-      order.status = status;
+    // Cancelling goes through the same path as a customer cancellation, so
+    // the stock, coupon use, store credit and points are given back once
+    if (status === "cancelled") {
+      const cancelled = await cancelAndRestock(order._id, {
+        from: ADMIN_CANCELLABLE_STATUSES,
+      });
+      if (!cancelled) {
+        return res.status(400).json({
+          success: false,
+          message: "Order cannot be cancelled at this stage",
+        });
+      }
+    } else if (status) {
+      // Sets the fulfillment dates that loyalty points, seller ledgers and
+      // the return window go by
+      order.updateStatus(status, req.user.id, req.user.name);
       if (status === "delivered") {
-        order.deliveredAt = new Date();
+        order.deliveredAt = order.fulfillment.deliveredAt; // Legacy field
       }
     }
 
@@ -479,20 +888,22 @@ export const cancelOrder = async (req, res) => {
       });
     }
 
-    // Restore stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.productId, {
-        $inc: { stock: item.quantity },
+    // Only the cancellation that moves the order out of a cancellable
+    // status puts its stock back
+    const cancelled = await cancelAndRestock(order._id, {
+      from: CANCELLABLE_STATUSES,
+    });
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: "Order cannot be cancelled at this stage",
       });
     }
 
-    order.status = "cancelled";
-    await order.save();
-
     res.json({
       success: true,
       message: "Order cancelled successfully",
-      order,
+      order: cancelled,
     });
   } catch (err) {
     res.status(500).json({
@@ -502,6 +913,171 @@ export const cancelOrder = async (req, res) => {
   }
 };
 
+// REQUEST RETURN (customer, per-item quantities and reasons)
+export const requestReturn = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    // Check if user owns this order
+    if (order.customerId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    const returnPolicy = settings.orders?.returnPolicy || {};
+    if (!order.canReturn(returnPolicy)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          returnPolicy.enabled === false
+            ? "Returns are not accepted"
+            : `Returns are accepted within ${
+                returnPolicy.daysLimit || 30
+              } days of delivery`,
+        conditions: returnPolicy.conditions,
+      });
+    }
+
+    // Multipart requests (with photos) send items as a JSON string
+    let { items } = req.body;
+    if (typeof items === "string") {
+      try {
+        items = JSON.parse(items);
+      } catch (parseError) {
+        items = null;
+      }
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Select at least one item to return",
+      });
+    }
+
+    const seen = new Set();
+    const returnItems = [];
+    for (const line of items) {
+      const quantity = Number(line.quantity);
+      const reason = String(line.reason || "").trim();
+      const key = `${line.productId}:${line.variantId || ""}`;
+
+      if (!mongoose.isValidObjectId(line.productId) || seen.has(key)) {
+        return res.status(400).json({
+          success: false,
+          message: "Each returned item must be listed once with a valid product",
+        });
+      }
+      seen.add(key);
+
+      if (!Number.isInteger(quantity) || quantity < 1 || !reason) {
+        return res.status(400).json({
+          success: false,
+          message: "Each returned item needs a quantity and a reason",
+        });
+      }
+
+      const returnable = order.getReturnableQuantity(
+        line.productId,
+        line.variantId
+      );
+      if (quantity > returnable) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${returnable} unit(s) of this item can be returned`,
+          product: { productId: line.productId },
+        });
+      }
+
+      returnItems.push({
+        productId: line.productId,
+        variantId: line.variantId || null,
+        quantity,
+        reason,
+      });
+    }
+
+    const images = await uploadImages(req.files, "/returns");
+    const returnRequest = order.requestReturn({
+      items: returnItems,
+      comment: req.body.comment,
+      images,
+    });
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Return requested successfully",
+      returnRequest,
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      error: err.message,
+    });
+  }
+};
+
+// CREATE PAYMENT INTENT (retry payment for an unpaid order)
+export const createOrderPaymentIntent = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    // Check if user owns this order
+    if (order.customerId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (OFFLINE_PAYMENT_METHODS.includes(order.payment.method)) {
+      return res.status(400).json({
+        success: false,
+        message: "This order does not require online payment",
+      });
+    }
+
+    if (order.payment.status === "paid" || order.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Payment cannot be initiated for this order",
+      });
+    }
+
+    const paymentIntent = await initiatePayment(order);
+
+    res.json({
+      success: true,
+      message: "Payment initiated successfully",
+      paymentIntent,
+    });
+  } catch (err) {
+    res.status(502).json({
+      success: false,
+      message: "Failed to initiate payment",
+      error: err.message,
+    });
+  }
+};
+
 // GET ORDER STATISTICS (Admin)
 export const getOrderStats = async (req, res) => {
   try {
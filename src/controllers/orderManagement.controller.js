@@ -1,6 +1,9 @@
+import mongoose from "mongoose";
 import Order from "../models/order.model.js";
 import User from "../models/user.model.js";
 import Product from "../models/product.model.js";
+import WalletTransaction from "../models/walletTransaction.model.js";
+import { cancelForAdmin } from "../utils/orderCancellation.js";
 import { createObjectCsvWriter } from "csv-writer";
 import path from "path";
 import fs from "fs";
@@ -255,10 +258,22 @@ export const updateOrderStatus = async (req, res) => {
       });
     }
 
-    // Update status with audit trail
-    order.updateStatus(status, adminId, adminName, note);
+    let updated = order;
+    if (status === "cancelled") {
+      // Gives back the stock, coupon use, store credit and points once
+      updated = await cancelForAdmin(order, { adminId, adminName, note });
+      if (!updated) {
+        return res.status(400).json({
+          success: false,
+          message: "Order cannot be cancelled at this stage",
+        });
+      }
+    } else {
+      // Update status with audit trail
+      order.updateStatus(status, adminId, adminName, note);
 
-    await order.save();
+      await order.save();
+    }
 
     // TODO: Send notification to customer if notifyCustomer is true
 
@@ -266,9 +281,9 @@ export const updateOrderStatus = async (req, res) => {
       success: true,
       message: "Order status updated successfully",
       data: {
-        orderId: order._id,
-        status: order.status,
-        fulfillmentStatus: order.fulfillment.status,
+        orderId: updated._id,
+        status: updated.status,
+        fulfillmentStatus: updated.fulfillment.status,
       },
     });
   } catch (error) {
@@ -408,7 +423,7 @@ export const addOrderNote = async (req, res) => {
 export const recordRefund = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { amount, reason, type = "partial" } = req.body;
+    const { amount, reason, type = "partial", toStoreCredit } = req.body;
     const adminId = req.user.id;
     const adminName = req.user.name;
 
@@ -419,71 +434,383 @@ export const recordRefund = async (req, res) => {
       });
     }
 
-    const order = await Order.findById(orderId);
-    if (!order) {
+    // A refund to store credit is saved with its wallet entry. The order is
+    // read inside the transaction so a retried attempt starts again from
+    // the stored order instead of one it already changed.
+    const session = await mongoose.startSession();
+    let order;
+    let refundError = null;
+    try {
+      await session.withTransaction(async () => {
+        refundError = null;
+        order = await Order.findById(orderId).session(session);
+        if (!order) {
+          refundError = { status: 404, message: "Order not found" };
+          return;
+        }
+
+        // Validate refund amount
+        const maxRefund =
+          order.totalAmount - (order.payment.refundAmount || 0);
+        if (amount > maxRefund) {
+          refundError = {
+            status: 400,
+            message: `Refund amount cannot exceed ${maxRefund}`,
+          };
+          return;
+        }
+
+        order.recordRefund(
+          amount,
+          { reason, type, toStoreCredit: Boolean(toStoreCredit) },
+          adminId,
+          adminName
+        );
+        await order.save({ session });
+
+        if (toStoreCredit) {
+          await WalletTransaction.credit(
+            order.customerId,
+            amount,
+            {
+              source: "refund",
+              orderId: order._id,
+              description: `Refund for order ${order.orderNumber}`,
+              createdBy: adminId,
+            },
+            { session }
+          );
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (refundError) {
+      return res.status(refundError.status).json({
+        success: false,
+        message: refundError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: toStoreCredit
+        ? "Refund credited to the customer's wallet"
+        : "Refund recorded successfully",
+      data: {
+        refundAmount: order.payment.refundAmount,
+        storeCreditRefunded: order.payment.storeCreditRefunded,
+        paymentStatus: order.payment.status,
+        totalRefunded: order.payment.refundAmount,
+        remainingAmount: order.totalAmount - order.payment.refundAmount,
+      },
+    });
+  } catch (error) {
+    console.error("Record refund error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to record refund",
+      error: error.message,
+    });
+  }
+};
+
+// Get return requests (RMA queue)
+export const getReturnRequests = async (req, res) => {
+  try {
+    const { status = "requested" } = req.query;
+
+    const query =
+      status === "all"
+        ? { "returns.0": { $exists: true } }
+        : { "returns.status": status };
+
+    const orders = await Order.find(query)
+      .populate("customerId", "name email")
+      .select("orderId orderNumber customerId status returns");
+
+    // One row per return, oldest first so the queue is worked in order
+    const returns = orders
+      .flatMap((order) =>
+        order.returns
+          .filter((request) => status === "all" || request.status === status)
+          .map((request) => ({
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            orderStatus: order.status,
+            customer: order.customerId,
+            ...request.toObject(),
+          }))
+      )
+      .sort((a, b) => a.requestedAt - b.requestedAt);
+
+    res.json({
+      success: true,
+      data: {
+        returns,
+        total: returns.length,
+      },
+    });
+  } catch (error) {
+    console.error("Get return requests error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch return requests",
+      error: error.message,
+    });
+  }
+};
+
+// Helper function to load an order and one of its returns
+const findReturn = async (orderId, returnId, { session = null } = {}) => {
+  const order = await Order.findById(orderId).session(session);
+  const returnRequest = order?.returns.id(returnId);
+  return { order, returnRequest };
+};
+
+// Approve return
+export const approveReturn = async (req, res) => {
+  try {
+    const { orderId, returnId } = req.params;
+    const { note } = req.body;
+    const adminId = req.user.id;
+    const adminName = req.user.name;
+
+    const { order, returnRequest } = await findReturn(orderId, returnId);
+    if (!returnRequest) {
       return res.status(404).json({
         success: false,
-        message: "Order not found",
+        message: "Return request not found",
       });
     }
 
-    // Validate refund amount
-    const maxRefund = order.totalAmount - (order.payment.refundAmount || 0);
-    if (amount > maxRefund) {
+    if (returnRequest.status !== "requested") {
       return res.status(400).json({
         success: false,
-        message: `Refund amount cannot exceed ${maxRefund}`,
+        message: `Return is already ${returnRequest.status}`,
       });
     }
 
-    // Update payment details
-    order.payment.refundAmount = (order.payment.refundAmount || 0) + amount;
-    order.payment.refundReason = reason || "Refund processed";
-    order.payment.refundType = type;
-    order.payment.refundedAt = new Date();
+    order.updateReturnStatus(returnId, "approved", adminId, adminName, note);
+    await order.save();
 
-    // Update payment status
-    if (order.payment.refundAmount >= order.totalAmount) {
-      order.payment.status = "refunded";
-      if (order.status !== "refunded") {
-        order.updateStatus(
-          "refunded",
-          adminId,
-          adminName,
-          `Full refund of ₹${amount} processed`
-        );
-      }
-    } else {
-      order.payment.status = "partially_refunded";
+    res.json({
+      success: true,
+      message: "Return approved successfully",
+      data: {
+        returnRequest: order.returns.id(returnId),
+      },
+    });
+  } catch (error) {
+    console.error("Approve return error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to approve return",
+      error: error.message,
+    });
+  }
+};
+
+// Reject return
+export const rejectReturn = async (req, res) => {
+  try {
+    const { orderId, returnId } = req.params;
+    const { note } = req.body;
+    const adminId = req.user.id;
+    const adminName = req.user.name;
+
+    if (!note || note.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to reject a return",
+      });
     }
 
-    // Add audit log
-    order.addAuditLog(
-      "Refund processed",
+    const { order, returnRequest } = await findReturn(orderId, returnId);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Return request not found",
+      });
+    }
+
+    if (!["requested", "approved"].includes(returnRequest.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Return is already ${returnRequest.status}`,
+      });
+    }
+
+    order.updateReturnStatus(
+      returnId,
+      "rejected",
       adminId,
       adminName,
-      null,
-      null,
-      `${type} refund of ₹${amount}: ${reason}`
+      note.trim()
     );
-
     await order.save();
 
     res.json({
       success: true,
-      message: "Refund recorded successfully",
+      message: "Return rejected",
       data: {
-        refundAmount: order.payment.refundAmount,
+        returnRequest: order.returns.id(returnId),
+      },
+    });
+  } catch (error) {
+    console.error("Reject return error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reject return",
+      error: error.message,
+    });
+  }
+};
+
+// Receive return: restock the items and refund the customer
+export const receiveReturn = async (req, res) => {
+  try {
+    const { orderId, returnId } = req.params;
+    const { note, restock = true, toStoreCredit } = req.body;
+    const adminId = req.user.id;
+    const adminName = req.user.name;
+
+    // Restock, status changes and refund are saved together. The order is
+    // read inside the transaction so a retried attempt starts again from
+    // the stored order instead of one it already changed.
+    const session = await mongoose.startSession();
+    let order;
+    let refundAmount;
+    let receiveError = null;
+    try {
+      await session.withTransaction(async () => {
+        receiveError = null;
+        let returnRequest;
+        ({ order, returnRequest } = await findReturn(orderId, returnId, {
+          session,
+        }));
+        if (!returnRequest) {
+          receiveError = { status: 404, message: "Return request not found" };
+          return;
+        }
+        if (returnRequest.status !== "approved") {
+          receiveError = {
+            status: 400,
+            message: "Only approved returns can be received",
+          };
+          return;
+        }
+
+        // Admins may refund less than the paid amount (e.g. damaged items)
+        const maxRefund =
+          order.totalAmount - (order.payment.refundAmount || 0);
+        refundAmount = Math.min(
+          req.body.refundAmount !== undefined
+            ? Number(req.body.refundAmount)
+            : returnRequest.refundAmount,
+          maxRefund
+        );
+        if (!(refundAmount >= 0)) {
+          receiveError = {
+            status: 400,
+            message: "Valid refund amount is required",
+          };
+          return;
+        }
+
+        if (restock) {
+          for (const item of returnRequest.items) {
+            await Product.restoreStock(item, { session });
+          }
+          returnRequest.restocked = true;
+        }
+
+        order.updateReturnStatus(
+          returnId,
+          "received",
+          adminId,
+          adminName,
+          note
+        );
+
+        // Every unit has come back
+        const allUnitsReturned = order.items.every(
+          (item) =>
+            order.getReturnableQuantity(item.productId, item.variantId) === 0
+        );
+        const noOpenReturns = order.returns.every((request) =>
+          ["rejected", "received", "refunded"].includes(request.status)
+        );
+        if (allUnitsReturned && noOpenReturns && order.status !== "returned") {
+          order.updateStatus(
+            "returned",
+            adminId,
+            adminName,
+            `All items returned (${returnRequest.rmaNumber})`
+          );
+        }
+
+        returnRequest.refundAmount = refundAmount;
+        if (refundAmount > 0) {
+          order.recordRefund(
+            refundAmount,
+            {
+              reason: `Return ${returnRequest.rmaNumber}`,
+              type: refundAmount >= maxRefund ? "full" : "partial",
+              toStoreCredit: Boolean(toStoreCredit),
+            },
+            adminId,
+            adminName
+          );
+          order.updateReturnStatus(returnId, "refunded", adminId, adminName);
+        }
+
+        await order.save({ session });
+
+        if (refundAmount > 0 && toStoreCredit) {
+          await WalletTransaction.credit(
+            order.customerId,
+            refundAmount,
+            {
+              source: "refund",
+              orderId: order._id,
+              description: `Refund for return ${returnRequest.rmaNumber}`,
+              createdBy: adminId,
+            },
+            { session }
+          );
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (receiveError) {
+      return res.status(receiveError.status).json({
+        success: false,
+        message: receiveError.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message:
+        refundAmount > 0
+          ? "Return received and refunded successfully"
+          : "Return received successfully",
+      data: {
+        returnRequest: order.returns.id(returnId),
+        orderStatus: order.status,
         paymentStatus: order.payment.status,
         totalRefunded: order.payment.refundAmount,
-        remainingAmount: order.totalAmount - order.payment.refundAmount,
       },
     });
   } catch (error) {
-    console.error("Record refund error:", error);
+    console.error("Receive return error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to record refund",
+      message: "Failed to receive return",
       error: error.message,
     });
   }
@@ -526,18 +853,28 @@ export const bulkOrderActions = async (req, res) => {
         for (const orderId of orderIds) {
           try {
             const order = await Order.findById(orderId);
-            if (order) {
-              order.updateStatus(
-                status,
+            const note = `Bulk status update to ${status}`;
+            if (!order) {
+              result.failed++;
+              result.errors.push(`Order ${orderId} not found`);
+            } else if (status === "cancelled") {
+              const cancelled = await cancelForAdmin(order, {
                 adminId,
                 adminName,
-                `Bulk status update to ${status}`
-              );
+                note,
+              });
+              if (cancelled) {
+                result.success++;
+              } else {
+                result.failed++;
+                result.errors.push(
+                  `Order ${orderId} cannot be cancelled at this stage`
+                );
+              }
+            } else {
+              order.updateStatus(status, adminId, adminName, note);
               await order.save();
               result.success++;
-            } else {
-              result.failed++;
-              result.errors.push(`Order ${orderId} not found`);
             }
           } catch (error) {
             result.failed++;
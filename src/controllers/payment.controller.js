@@ -0,0 +1,133 @@
+import Order from "../models/order.model.js";
+import { handleWebhookEvent } from "../utils/payments/index.js";
+import { deliverOrderGiftCards } from "../utils/giftCards.js";
+
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+
+// Amount the gateway collects for an order: what the wallet didn't cover
+const getGatewayAmount = (order) =>
+  order.totalAmount - (order.payment.walletAmount || 0);
+
+// PAYMENT GATEWAY WEBHOOK
+export const handlePaymentWebhook = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (!req.rawBody) {
+      return res.status(400).json({
+        success: false,
+        message: "Webhook body is required",
+      });
+    }
+
+    const event = await handleWebhookEvent(provider, req.rawBody, req.headers);
+    if (!event) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid webhook signature",
+      });
+    }
+
+    // Events we don't act on are acknowledged so the gateway stops retrying
+    if (!event.status || !event.intentId) {
+      return res.json({ success: true, message: "Event ignored" });
+    }
+
+    const order = await Order.findOne({ "payment.intentId": event.intentId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found for payment intent",
+      });
+    }
+
+    // The event must come from the gateway the intent was created with,
+    // and a payment must be for what the gateway was asked to collect
+    if (order.payment.gateway !== provider) {
+      return res.status(400).json({
+        success: false,
+        message: "Payment gateway does not match the order",
+      });
+    }
+    if (
+      event.status === "paid" &&
+      toPaise(event.amount) !== toPaise(getGatewayAmount(order))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Payment amount does not match the order",
+      });
+    }
+
+    // Gateways retry deliveries, and a late failure must not undo a payment
+    if (
+      order.payment.status === "paid" ||
+      order.payment.status === event.status
+    ) {
+      return res.json({ success: true, message: "Event already processed" });
+    }
+
+    // The new status is saved conditionally, so concurrent deliveries of a
+    // payment (or a payment racing a failure) only apply once
+    const wasPending = order.status === "pending";
+    order.updatePaymentStatus(event.status, {
+      gateway: provider,
+      transactionId: event.transactionId,
+      failureReason: event.failureReason,
+    });
+    const { payment } = order;
+    const updated = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        "payment.status": { $nin: ["paid", event.status] },
+      },
+      {
+        $set: {
+          "payment.status": payment.status,
+          "payment.gateway": payment.gateway,
+          "payment.transactionId": payment.transactionId ?? null,
+          "payment.paidAt": payment.paidAt ?? null,
+          "payment.failureReason": payment.failureReason ?? null,
+        },
+        $push: { audit: order.audit[order.audit.length - 1] },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.json({ success: true, message: "Event already processed" });
+    }
+
+    // A paid order is confirmed, unless it moved on (e.g. was cancelled)
+    if (updated.payment.status === "paid" && wasPending) {
+      await Order.updateOne(
+        { _id: order._id, status: "pending" },
+        { $set: { status: "confirmed" } }
+      );
+    }
+
+    // Gift cards in the order are issued once it is paid
+    if (updated.payment.status === "paid") {
+      try {
+        await deliverOrderGiftCards(updated);
+      } catch (giftCardError) {
+        console.error("Gift card delivery error:", giftCardError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: "Payment status updated",
+      data: {
+        orderId: updated.orderId,
+        paymentStatus: updated.payment.status,
+      },
+    });
+  } catch (error) {
+    console.error("Payment webhook error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process payment webhook",
+      error: error.message,
+    });
+  }
+};
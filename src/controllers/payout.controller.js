@@ -0,0 +1,330 @@
+import mongoose from "mongoose";
+import { DEFAULT_ROLES } from "../config/permissions.js";
+import Role from "../models/role.model.js";
+import SellerLedger from "../models/sellerLedger.model.js";
+import SellerPayout from "../models/sellerPayout.model.js";
+import User from "../models/user.model.js";
+import { syncSellerLedgers } from "../jobs/sellerLedger.job.js";
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Role names that open the seller portal ("*" roles are staff, not
+// sellers). Default roles count until they are stored.
+const getSellerRoles = async () => {
+  const stored = await Role.find().select("name permissions").lean();
+  const missing = DEFAULT_ROLES.filter(
+    (role) => !stored.some((storedRole) => storedRole.name === role.name)
+  );
+
+  return [...stored, ...missing]
+    .filter((role) =>
+      role.permissions.some(
+        (permission) =>
+          permission === "seller:portal" || permission === "seller:*"
+      )
+    )
+    .map((role) => role.name);
+};
+
+// GET SELLERS (with ledger balances)
+export const getSellers = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search } = req.query;
+
+    const query = {
+      role: { $in: await getSellerRoles() },
+      isDeleted: { $ne: true },
+    };
+    if (search) {
+      const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      query.$or = [
+        { name: new RegExp(escaped, "i") },
+        { email: new RegExp(escaped, "i") },
+        { "sellerProfile.displayName": new RegExp(escaped, "i") },
+      ];
+    }
+
+    const [sellers, total] = await Promise.all([
+      User.find(query)
+        .select("name email phone role isActive sellerProfile createdAt")
+        .sort({ createdAt: -1 })
+        .limit(Number(limit))
+        .skip((Number(page) - 1) * Number(limit))
+        .lean(),
+      User.countDocuments(query),
+    ]);
+
+    const balances = await Promise.all(
+      sellers.map((seller) => SellerLedger.getBalance(seller._id))
+    );
+
+    res.json({
+      success: true,
+      sellers: sellers.map((seller, index) => ({
+        ...seller,
+        balance: balances[index],
+      })),
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / limit),
+        totalSellers: total,
+      },
+    });
+  } catch (error) {
+    console.error("Get sellers error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch sellers",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE SELLER COMMISSION (null falls back to the store default).
+// Applies to orders delivered after the change.
+export const updateSellerCommission = async (req, res) => {
+  try {
+    const { commissionRate } = req.body;
+
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid seller ID",
+      });
+    }
+
+    if (
+      commissionRate !== null &&
+      !(Number(commissionRate) >= 0 && Number(commissionRate) <= 100)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Commission rate must be between 0 and 100, or null",
+      });
+    }
+
+    const seller = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        "sellerProfile.commissionRate":
+          commissionRate === null ? null : Number(commissionRate),
+      },
+      { new: true }
+    ).select("name email sellerProfile");
+
+    if (!seller) {
+      return res.status(404).json({
+        success: false,
+        message: "Seller not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Commission rate updated successfully",
+      seller,
+    });
+  } catch (error) {
+    console.error("Update seller commission error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update commission rate",
+      error: error.message,
+    });
+  }
+};
+
+// SYNC SELLER LEDGERS (post delivered orders and refunds now rather than
+// waiting for the hourly job; also the cron entry point on serverless)
+export const syncLedgers = async (req, res) => {
+  try {
+    const posted = await syncSellerLedgers();
+
+    res.json({
+      success: true,
+      message: "Seller ledgers synced",
+      posted,
+    });
+  } catch (error) {
+    console.error("Sync seller ledgers error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to sync seller ledgers",
+      error: error.message,
+    });
+  }
+};
+
+// CREATE PAYOUT (settles everything available for the seller)
+export const createPayout = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid seller ID",
+      });
+    }
+
+    if (!(await User.exists({ _id: req.params.id }))) {
+      return res.status(404).json({
+        success: false,
+        message: "Seller not found",
+      });
+    }
+
+    await syncSellerLedgers();
+    const payout = await SellerPayout.createForSeller(req.params.id, {
+      createdBy: req.user.id,
+      note: req.body.note,
+    });
+
+    if (!payout) {
+      return res.status(400).json({
+        success: false,
+        message: "Seller has no available balance to pay out",
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Payout created successfully",
+      payout,
+    });
+  } catch (error) {
+    console.error("Create payout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create payout",
+      error: error.message,
+    });
+  }
+};
+
+// GET PAYOUTS
+export const getPayouts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, sellerId } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (sellerId) {
+      if (!isValidObjectId(sellerId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid seller ID",
+        });
+      }
+      query.sellerId = sellerId;
+    }
+
+    const [payouts, total] = await Promise.all([
+      SellerPayout.find(query)
+        .populate("sellerId", "name email sellerProfile")
+        .populate("createdBy", "name email")
+        .sort({ createdAt: -1 })
+        .limit(Number(limit))
+        .skip((Number(page) - 1) * Number(limit)),
+      SellerPayout.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      payouts,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / limit),
+        totalPayouts: total,
+      },
+    });
+  } catch (error) {
+    console.error("Get payouts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch payouts",
+      error: error.message,
+    });
+  }
+};
+
+// Load a payout that is still being processed
+const findProcessingPayout = async (id) => {
+  if (!isValidObjectId(id)) {
+    return { status: 400, message: "Invalid payout ID" };
+  }
+
+  const payout = await SellerPayout.findById(id);
+  if (!payout) return { status: 404, message: "Payout not found" };
+  if (payout.status !== "processing") {
+    return { status: 409, message: `Payout is already ${payout.status}` };
+  }
+  return { payout };
+};
+
+// MARK PAYOUT PAID
+export const markPayoutPaid = async (req, res) => {
+  try {
+    const { reference } = req.body;
+
+    if (!reference) {
+      return res.status(400).json({
+        success: false,
+        message: "Transfer reference is required",
+      });
+    }
+
+    const { payout, status, message } = await findProcessingPayout(
+      req.params.payoutId
+    );
+    if (!payout) {
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    await payout.markPaid(reference);
+
+    res.json({
+      success: true,
+      message: "Payout marked as paid",
+      payout,
+    });
+  } catch (error) {
+    console.error("Mark payout paid error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update payout",
+      error: error.message,
+    });
+  }
+};
+
+// CANCEL PAYOUT (its entries return to the available balance)
+export const cancelPayout = async (req, res) => {
+  try {
+    const { payout, status, message } = await findProcessingPayout(
+      req.params.payoutId
+    );
+    if (!payout) {
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    await payout.cancel();
+
+    res.json({
+      success: true,
+      message: "Payout cancelled",
+      payout,
+    });
+  } catch (error) {
+    console.error("Cancel payout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel payout",
+      error: error.message,
+    });
+  }
+};
@@ -1,5 +1,103 @@
 import Product from "../models/product.model.js";
+import Role from "../models/role.model.js";
 import { imagekit } from "../utils/imagekit.js";
+import {
+  buildFacetStage,
+  buildProductFilters,
+  formatFacets,
+  getSearchVocabulary,
+  suggestQuery,
+} from "../utils/search.js";
+
+// Fields a seller may set on their own products. Ratings come from
+// reviews and variants have their own endpoints. Sellers keep their own
+// stock, on products and variants alike.
+const SELLER_PRODUCT_FIELDS = [
+  "title",
+  "slug",
+  "description",
+  "categories",
+  "attributes",
+  "images",
+  "price",
+  "mrp",
+  "currency",
+  "sku",
+  "dimensions",
+  "hsn",
+  "taxRate",
+  "shippingEligible",
+  "tags",
+  "careInstructions",
+  "difficulty",
+  "lightRequirements",
+  "waterFrequency",
+  "temperature",
+  "humidity",
+  "toxicity",
+  "seoTitle",
+  "seoDescription",
+  "metaKeywords",
+  "stock",
+  "isActive",
+];
+
+// Fields of a variant anyone managing the product may set
+const VARIANT_FIELDS = [
+  "sku",
+  "attributes",
+  "price",
+  "mrp",
+  "stock",
+  "images",
+  "isActive",
+];
+
+// Fields kept up to date from reviews, which no one sets directly
+const REVIEW_FIELDS = ["rating", "reviewCount"];
+
+// Helper function to keep the variant fields of a request body
+const pickVariantFields = (body = {}) => {
+  const picked = {};
+  VARIANT_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) picked[field] = body[field];
+  });
+  return picked;
+};
+
+// Helper function to keep the product fields of a request body the user may
+// set. Sellers also get the `extra` fields (e.g. variants when creating).
+const pickProductFields = (body, canManageAny, extra = []) => {
+  const fields = canManageAny
+    ? Object.keys(body).filter((field) => !REVIEW_FIELDS.includes(field))
+    : [...SELLER_PRODUCT_FIELDS, ...extra];
+
+  const picked = {};
+  fields.forEach((field) => {
+    if (body[field] !== undefined) picked[field] = body[field];
+  });
+  if (Array.isArray(picked.variants)) {
+    picked.variants = picked.variants.map(pickVariantFields);
+  }
+  return picked;
+};
+
+// Sellers manage only their own products; roles with products:manage_any
+// can manage every seller's. Resolves { product, canManageAny } or
+// { status, message } when the product is missing or not the user's.
+const findManagedProduct = async (req) => {
+  const [product, canManageAny] = await Promise.all([
+    Product.findById(req.params.id),
+    Role.can(req.user.role, "products:manage_any"),
+  ]);
+
+  if (!product) return { status: 404, message: "Product not found" };
+  if (!canManageAny && product.sellerId?.toString() !== req.user.id) {
+    return { status: 403, message: "You can only manage your own products" };
+  }
+
+  return { product, canManageAny };
+};
 
 // UPLOAD IMAGE
 export const uploadImage = async (req, res) => {
@@ -39,7 +137,14 @@ export const uploadImage = async (req, res) => {
 // CREATE PRODUCT
 export const createProduct = async (req, res) => {
   try {
-    const product = await Product.create(req.body);
+    const canManageAny = await Role.can(req.user.role, "products:manage_any");
+    const product = await Product.create({
+      ...pickProductFields(req.body, canManageAny, ["variants"]),
+      sellerId:
+        canManageAny && req.body.sellerId ? req.body.sellerId : req.user.id,
+      // Gift cards are store credit, so sellers can't sell them
+      isGiftCard: canManageAny && Boolean(req.body.isGiftCard),
+    });
     res.status(201).json({
       success: true,
       message: "Product created successfully",
@@ -56,45 +161,29 @@ export const createProduct = async (req, res) => {
 // GET ALL PRODUCTS
 export const getAllProducts = async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 12,
-      category,
-      size,
-      indoorOutdoor,
-      minPrice,
-      maxPrice,
-      search,
-      seller,
-      sortBy = "createdAt",
-      sortOrder = "desc",
-    } = req.query;
-
-    const query = { isActive: true };
+    const { page = 1, limit = 12, sortOrder = "desc" } = req.query;
+    const search = String(req.query.search || "").trim();
+
+    // Relevance needs a search to score against; without one the default
+    // sort (newest first) is used
+    let { sortBy = search ? "relevance" : "createdAt" } = req.query;
+    if (sortBy === "relevance" && !search) sortBy = "createdAt";
 
     // Filters
-    if (category) query.categories = { $in: [category] };
-    if (size) query["attributes.size"] = size;
-    if (indoorOutdoor) query["attributes.indoorOutdoor"] = indoorOutdoor;
-    if (seller) query.sellerId = seller;
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = Number(minPrice);
-      if (maxPrice) query.price.$lte = Number(maxPrice);
-    }
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: "i" } },
-        { description: { $regex: search, $options: "i" } },
-        { tags: { $in: [new RegExp(search, "i")] } },
-      ];
-    }
+    const query = buildProductFilters(req.query);
+    if (search) query.$text = { $search: search };
 
-    // Sorting
+    // Sorting (relevance needs the text score in the projection)
+    const projection = {};
     const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
+    if (sortBy === "relevance") {
+      projection.score = { $meta: "textScore" };
+      sortOptions.score = { $meta: "textScore" };
+    } else {
+      sortOptions[sortBy] = sortOrder === "desc" ? -1 : 1;
+    }
 
-    const products = await Product.find(query)
+    const products = await Product.find(query, projection)
       .populate("sellerId", "name email")
       .sort(sortOptions)
       .limit(limit * 1)
@@ -179,21 +268,99 @@ export const getProductBySlug = async (req, res) => {
 // UPDATE PRODUCT
 export const updateProduct = async (req, res) => {
   try {
-    const product = await Product.findByIdAndUpdate(req.params.id, req.body, {
+    const {
+      product: current,
+      status,
+      message,
+      canManageAny,
+    } = await findManagedProduct(req);
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    // Only product managers can move a product to another seller, turn it
+    // into a gift card or feature it
+    const updates = pickProductFields(req.body, canManageAny);
+    // The stock of a product sold through variants is theirs added up
+    if (current.hasVariants) delete updates.stock;
+
+    const product = await Product.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true,
     }).populate("sellerId", "name email");
 
+    res.json({
+      success: true,
+      message: "Product updated successfully",
+      product,
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      error: err.message,
+    });
+  }
+};
+
+// ADD PRODUCT VARIANT
+export const addVariant = async (req, res) => {
+  try {
+    const { product, status, message } = await findManagedProduct(req);
+
     if (!product) {
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    product.variants.push(pickVariantFields(req.body));
+    await product.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Variant added successfully",
+      variant: product.variants[product.variants.length - 1],
+      product,
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      error: err.message,
+    });
+  }
+};
+
+// UPDATE PRODUCT VARIANT
+export const updateVariant = async (req, res) => {
+  try {
+    const { product, status, message } = await findManagedProduct(req);
+    if (!product) {
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) {
       return res.status(404).json({
         success: false,
-        message: "Product not found",
+        message: "Variant not found",
       });
     }
 
+    variant.set(pickVariantFields(req.body));
+
+    await product.save();
+
     res.json({
       success: true,
-      message: "Product updated successfully",
+      message: "Variant updated successfully",
+      variant,
       product,
     });
   } catch (err) {
@@ -204,22 +371,55 @@ export const updateProduct = async (req, res) => {
   }
 };
 
+// DELETE PRODUCT VARIANT (SOFT DELETE)
+// Orders and carts keep pointing at the variant, so it is only deactivated
+export const deleteVariant = async (req, res) => {
+  try {
+    const { product, status, message } = await findManagedProduct(req);
+    if (!product) {
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: "Variant not found",
+      });
+    }
+
+    variant.isActive = false;
+    await product.save();
+
+    res.json({
+      success: true,
+      message: "Variant deleted successfully",
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: err.message,
+    });
+  }
+};
+
 // DELETE PRODUCT (SOFT DELETE)
 export const deleteProduct = async (req, res) => {
   try {
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      { isActive: false },
-      { new: true }
-    );
+    const { product, status, message } = await findManagedProduct(req);
 
     if (!product) {
-      return res.status(404).json({
+      return res.status(status).json({
         success: false,
-        message: "Product not found",
+        message,
       });
     }
 
+    await Product.updateOne({ _id: product._id }, { isActive: false });
+
     res.json({
       success: true,
       message: "Product deleted successfully",
@@ -271,32 +471,54 @@ export const getCategories = async (req, res) => {
 // SEARCH PRODUCTS
 export const searchProducts = async (req, res) => {
   try {
-    const { q, limit = 10 } = req.query;
+    const { q, page = 1, limit = 10 } = req.query;
 
-    if (!q) {
+    if (!q || !String(q).trim()) {
       return res.status(400).json({
         success: false,
         message: "Search query is required",
       });
     }
 
-    const products = await Product.find({
-      isActive: true,
-      $or: [
-        { title: { $regex: q, $options: "i" } },
-        { description: { $regex: q, $options: "i" } },
-        { tags: { $in: [new RegExp(q, "i")] } },
-        { categories: { $in: [new RegExp(q, "i")] } },
-      ],
-    })
-      .limit(Number(limit))
-      .select("title slug images price mrp categories")
-      .sort({ title: 1 });
+    const query = {
+      ...buildProductFilters(req.query),
+      $text: { $search: String(q) },
+    };
+
+    const [products, total, [facetResult], vocabulary] = await Promise.all([
+      Product.find(query, {
+        score: { $meta: "textScore" },
+        title: 1,
+        slug: 1,
+        images: 1,
+        price: 1,
+        mrp: 1,
+        categories: 1,
+        attributes: 1,
+        rating: 1,
+        reviewCount: 1,
+      })
+        .sort({ score: { $meta: "textScore" }, rating: -1 })
+        .limit(Number(limit))
+        .skip((Number(page) - 1) * Number(limit)),
+      Product.countDocuments(query),
+      Product.aggregate([{ $match: query }, buildFacetStage()]),
+      getSearchVocabulary(Product),
+    ]);
 
     res.json({
       success: true,
       products,
       query: q,
+      didYouMean: suggestQuery(q, vocabulary),
+      facets: formatFacets(facetResult),
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / limit),
+        totalProducts: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1,
+      },
     });
   } catch (err) {
     res.status(500).json({
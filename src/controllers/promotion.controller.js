@@ -0,0 +1,332 @@
+import mongoose from "mongoose";
+import Promotion, { PROMOTION_TYPES } from "../models/promotion.model.js";
+
+const PROMOTION_FIELDS = [
+  "name",
+  "description",
+  "type",
+  "productIds",
+  "categories",
+  "buyQuantity",
+  "getQuantity",
+  "getDiscountPercent",
+  "tiers",
+  "bundleItems",
+  "discountType",
+  "discountValue",
+  "maxDiscount",
+  "startDate",
+  "endDate",
+  "isActive",
+  "priority",
+  "exclusive",
+  "combinableWithCoupons",
+];
+
+const pickPromotionFields = (body) => {
+  const data = {};
+  PROMOTION_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+const isValidDiscount = (discountType = "percentage", value) =>
+  value > 0 && (discountType !== "percentage" || value <= 100);
+
+// Helper function to check a promotion's settings for its type. Returns an
+// error message, or null when they are valid.
+const validatePromotion = (promotion) => {
+  if (!promotion.name) return "Name is required";
+  if (!PROMOTION_TYPES.includes(promotion.type)) {
+    return `Type must be one of: ${PROMOTION_TYPES.join(", ")}`;
+  }
+
+  const start = new Date(promotion.startDate);
+  const end = new Date(promotion.endDate);
+  if (isNaN(start) || isNaN(end)) {
+    return "Start date and end date are required";
+  }
+  if (start >= end) return "End date must be after start date";
+
+  if (
+    (promotion.productIds || []).some((id) => !mongoose.isValidObjectId(id))
+  ) {
+    return "One or more product IDs are invalid";
+  }
+
+  switch (promotion.type) {
+    case "buy_x_get_y":
+      if (
+        !(Number.isInteger(Number(promotion.buyQuantity)) &&
+          promotion.buyQuantity >= 1) ||
+        !(Number.isInteger(Number(promotion.getQuantity)) &&
+          promotion.getQuantity >= 1)
+      ) {
+        return "Buy and get quantities must be whole numbers of at least 1";
+      }
+      if (
+        promotion.getDiscountPercent !== undefined &&
+        !isValidDiscount("percentage", promotion.getDiscountPercent)
+      ) {
+        return "Discount on the free items must be between 1 and 100 percent";
+      }
+      break;
+
+    case "spend_threshold":
+      if (!promotion.tiers?.length) return "Add at least one spend tier";
+      if (
+        promotion.tiers.some(
+          (tier) =>
+            !(tier.minSubtotal >= 0) ||
+            !isValidDiscount(tier.discountType, tier.discountValue)
+        )
+      ) {
+        return "Each tier needs a minimum subtotal and a valid discount";
+      }
+      break;
+
+    case "bundle": {
+      const components = promotion.bundleItems || [];
+      if (
+        components.some(
+          (component) =>
+            !(
+              mongoose.isValidObjectId(component.productId) ||
+              component.category
+            )
+        )
+      ) {
+        return "Each bundle item needs a product or a category";
+      }
+      const units = components.reduce(
+        (sum, component) => sum + (component.quantity || 1),
+        0
+      );
+      if (units < 2) return "A bundle needs at least two items";
+      if (!isValidDiscount(promotion.discountType, promotion.discountValue)) {
+        return "Bundle discount must be greater than 0 (at most 100%)";
+      }
+      break;
+    }
+
+    case "sale":
+      if (!isValidDiscount(promotion.discountType, promotion.discountValue)) {
+        return "Sale discount must be greater than 0 (at most 100%)";
+      }
+      break;
+  }
+
+  if (promotion.maxDiscount != null && !(promotion.maxDiscount > 0)) {
+    return "Maximum discount must be greater than 0";
+  }
+  return null;
+};
+
+// CREATE PROMOTION
+export const createPromotion = async (req, res) => {
+  try {
+    const data = pickPromotionFields(req.body);
+
+    const validationError = validatePromotion(data);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const promotion = await Promotion.create({
+      ...data,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Promotion created successfully",
+      promotion,
+    });
+  } catch (error) {
+    console.error("Create promotion error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create promotion",
+      error: error.message,
+    });
+  }
+};
+
+// GET ALL PROMOTIONS
+export const getAllPromotions = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search, type, isActive } = req.query;
+
+    const query = {};
+    if (search) {
+      const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      query.name = new RegExp(escaped, "i");
+    }
+    if (type) query.type = type;
+    if (isActive !== undefined) query.isActive = isActive === "true";
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [promotions, totalPromotions] = await Promise.all([
+      Promotion.find(query)
+        .populate("productIds", "title sku price")
+        .populate("createdBy", "name email")
+        .sort({ priority: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Promotion.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      promotions: promotions.map((promotion) => ({
+        ...promotion.toObject(),
+        isRunning: promotion.isRunning,
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalPromotions / parseInt(limit)),
+        totalPromotions,
+        hasNext: skip + parseInt(limit) < totalPromotions,
+        hasPrev: parseInt(page) > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Get promotions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch promotions",
+      error: error.message,
+    });
+  }
+};
+
+// GET SINGLE PROMOTION
+export const getPromotionById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid promotion ID",
+      });
+    }
+
+    const promotion = await Promotion.findById(id)
+      .populate("productIds", "title sku price images")
+      .populate("bundleItems.productId", "title sku price")
+      .populate("createdBy", "name email");
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: "Promotion not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      promotion: {
+        ...promotion.toObject(),
+        isRunning: promotion.isRunning,
+      },
+    });
+  } catch (error) {
+    console.error("Get promotion error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch promotion",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE PROMOTION
+export const updatePromotion = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid promotion ID",
+      });
+    }
+
+    const promotion = await Promotion.findById(id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: "Promotion not found",
+      });
+    }
+
+    // Validate the promotion as it will be after the update
+    const data = pickPromotionFields(req.body);
+    const validationError = validatePromotion({
+      ...promotion.toObject(),
+      ...data,
+    });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    promotion.set(data);
+    await promotion.save();
+
+    res.json({
+      success: true,
+      message: "Promotion updated successfully",
+      promotion,
+    });
+  } catch (error) {
+    console.error("Update promotion error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update promotion",
+      error: error.message,
+    });
+  }
+};
+
+// DELETE PROMOTION (orders keep their snapshot of it)
+export const deletePromotion = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid promotion ID",
+      });
+    }
+
+    const promotion = await Promotion.findByIdAndDelete(id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: "Promotion not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Promotion deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete promotion error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete promotion",
+      error: error.message,
+    });
+  }
+};
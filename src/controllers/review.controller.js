@@ -0,0 +1,325 @@
+import mongoose from "mongoose";
+import Review from "../models/review.model.js";
+import Product from "../models/product.model.js";
+import Order from "../models/order.model.js";
+import { uploadImages } from "../utils/imagekit.js";
+
+const RATING_MESSAGE = "Rating must be a whole number between 1 and 5";
+
+// Helper function to read a star rating from a request: a whole number
+// from 1 to 5, as a number or a numeric string. Returns null otherwise.
+const parseRating = (value) => {
+  if (typeof value !== "number" && typeof value !== "string") return null;
+  if (String(value).trim() === "") return null;
+
+  const rating = Number(value);
+  return Number.isInteger(rating) && rating >= 1 && rating <= 5
+    ? rating
+    : null;
+};
+
+// GET PRODUCT REVIEWS (Public - only approved)
+export const getProductReviews = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 10, rating, sortBy = "recent" } = req.query;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid product ID",
+      });
+    }
+
+    const query = { productId: id, status: "approved" };
+    if (rating !== undefined && rating !== "") {
+      query.rating = parseRating(rating);
+      if (query.rating === null) {
+        return res.status(400).json({
+          success: false,
+          message: RATING_MESSAGE,
+        });
+      }
+    }
+
+    const sortOptions =
+      sortBy === "helpful"
+        ? { helpfulCount: -1, createdAt: -1 }
+        : { createdAt: -1 };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [reviews, total, stats] = await Promise.all([
+      Review.find(query)
+        .populate("customerId", "name")
+        .sort(sortOptions)
+        .limit(parseInt(limit))
+        .skip(skip)
+        .select("-helpfulVotes -moderation"),
+      Review.countDocuments(query),
+      Review.getRatingStats(id),
+    ]);
+
+    res.json({
+      success: true,
+      reviews,
+      stats,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Get product reviews error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch reviews",
+      error: error.message,
+    });
+  }
+};
+
+// CREATE REVIEW (Customers with a delivered order for the product)
+export const createReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, comment } = req.body;
+    const rating = parseRating(req.body.rating);
+    const customerId = req.user.id;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid product ID",
+      });
+    }
+
+    if (rating === null) {
+      return res.status(400).json({
+        success: false,
+        message: RATING_MESSAGE,
+      });
+    }
+
+    const product = await Product.findById(id);
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const deliveredOrder = await Order.findOne({
+      customerId,
+      status: "delivered",
+      "items.productId": id,
+    }).sort({ createdAt: -1 });
+
+    if (!deliveredOrder) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only review products from your delivered orders",
+      });
+    }
+
+    const existingReview = await Review.findOne({ productId: id, customerId });
+    if (existingReview) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already reviewed this product",
+      });
+    }
+
+    const images = await uploadImages(req.files, "/reviews");
+
+    const review = await Review.create({
+      productId: id,
+      customerId,
+      orderId: deliveredOrder._id,
+      rating,
+      title,
+      comment,
+      images,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Review submitted and awaiting moderation",
+      review,
+    });
+  } catch (error) {
+    console.error("Create review error:", error);
+    res.status(400).json({
+      success: false,
+      message: "Failed to submit review",
+      error: error.message,
+    });
+  }
+};
+
+// DELETE OWN REVIEW
+export const deleteReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    if (review.customerId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    await review.deleteOne();
+    if (review.status === "approved") {
+      await Review.syncProductRating(review.productId);
+    }
+
+    res.json({
+      success: true,
+      message: "Review deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete review",
+      error: error.message,
+    });
+  }
+};
+
+// TOGGLE HELPFUL VOTE
+export const toggleHelpfulVote = async (req, res) => {
+  try {
+    const review = await Review.findOne({
+      _id: req.params.id,
+      status: "approved",
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    if (review.customerId.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot vote on your own review",
+      });
+    }
+
+    const voted = review.toggleHelpful(req.user.id);
+    await review.save();
+
+    res.json({
+      success: true,
+      message: voted ? "Marked as helpful" : "Helpful vote removed",
+      helpfulCount: review.helpfulCount,
+      voted,
+    });
+  } catch (error) {
+    console.error("Helpful vote error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update helpful vote",
+      error: error.message,
+    });
+  }
+};
+
+// ADMIN: GET MODERATION QUEUE
+export const adminGetReviews = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = "pending", productId } = req.query;
+
+    const query = {};
+    if (status !== "all") query.status = status;
+    if (productId) query.productId = productId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const reviews = await Review.find(query)
+      .populate("productId", "title slug images")
+      .populate("customerId", "name email")
+      .populate("moderation.moderatedBy", "name email")
+      // Oldest pending reviews first so the queue is worked in order
+      .sort({ createdAt: status === "pending" ? 1 : -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      success: true,
+      reviews,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Admin get reviews error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch reviews",
+      error: error.message,
+    });
+  }
+};
+
+// ADMIN: APPROVE OR REJECT REVIEW
+export const moderateReview = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!["approved", "rejected"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be approved or rejected",
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    const wasApproved = review.status === "approved";
+    review.moderate(status, req.user.id, note);
+    await review.save();
+
+    // Only approved reviews count towards the product rating
+    if (wasApproved || status === "approved") {
+      await Review.syncProductRating(review.productId);
+    }
+
+    res.json({
+      success: true,
+      message: `Review ${status}`,
+      review,
+    });
+  } catch (error) {
+    console.error("Moderate review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to moderate review",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,199 @@
+import Role from "../models/role.model.js";
+import User from "../models/user.model.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+// GET PERMISSION CATALOGUE
+export const getPermissions = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({
+        key,
+        description,
+      })),
+    });
+  } catch (error) {
+    console.error("Get permissions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch permissions",
+      error: error.message,
+    });
+  }
+};
+
+// GET ALL ROLES (with the number of users in each)
+export const getRoles = async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+      User.aggregate([
+        { $match: { isDeleted: { $ne: true } } },
+        { $group: { _id: "$role", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const userCounts = Object.fromEntries(
+      counts.map((entry) => [entry._id, entry.count])
+    );
+
+    res.json({
+      success: true,
+      roles: roles.map((role) => ({
+        ...role,
+        userCount: userCounts[role.name] || 0,
+      })),
+    });
+  } catch (error) {
+    console.error("Get roles error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch roles",
+      error: error.message,
+    });
+  }
+};
+
+// GET ROLE BY NAME
+export const getRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      role,
+    });
+  } catch (error) {
+    console.error("Get role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch role",
+      error: error.message,
+    });
+  }
+};
+
+// CREATE ROLE
+export const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: "Role name is required",
+      });
+    }
+
+    if (await Role.exists({ name: String(name).toLowerCase().trim() })) {
+      return res.status(409).json({
+        success: false,
+        message: "A role with this name already exists",
+      });
+    }
+
+    const role = await Role.create({ name, description, permissions });
+
+    res.status(201).json({
+      success: true,
+      message: "Role created successfully",
+      role,
+    });
+  } catch (error) {
+    console.error("Create role error:", error);
+    res.status(400).json({
+      success: false,
+      message: "Failed to create role",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE ROLE (description and permissions; names are fixed)
+export const updateRole = async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+
+    const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    // Keeps at least one role able to manage roles
+    if (role.name === "admin" && permissions !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "The admin role always has full access",
+      });
+    }
+
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+    await role.save();
+
+    res.json({
+      success: true,
+      message: "Role updated successfully",
+      role,
+    });
+  } catch (error) {
+    console.error("Update role error:", error);
+    res.status(400).json({
+      success: false,
+      message: "Failed to update role",
+      error: error.message,
+    });
+  }
+};
+
+// DELETE ROLE (only custom roles nobody is assigned to)
+export const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: "System roles cannot be deleted",
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is assigned to ${userCount} user(s). Reassign first.`,
+      });
+    }
+
+    await role.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Role deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete role",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,604 @@
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import Product from "../models/product.model.js";
+import SellerLedger from "../models/sellerLedger.model.js";
+import SellerPayout from "../models/sellerPayout.model.js";
+import Settings from "../models/settings.model.js";
+import User from "../models/user.model.js";
+import {
+  REPORT_FORMATS,
+  REPORT_SYNC_ROW_LIMIT,
+  getReportDefinition,
+  parseReportRange,
+  resolveColumns,
+  writeReport,
+} from "../utils/reports/index.js";
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Customer contact details stay with the store; sellers see where the
+// order is going and its line items from them only
+const toSellerOrder = (order, sellerId) => {
+  const items = order.items.filter(
+    (item) => item.sellerId?.toString() === sellerId
+  );
+  const isSellerLine = (line) =>
+    items.some(
+      (item) =>
+        item.productId.toString() === line.productId.toString() &&
+        String(item.variantId || "") === String(line.variantId || "")
+    );
+
+  return {
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    orderId: order.orderId,
+    status: order.status,
+    createdAt: order.createdAt,
+    shippingAddress: order.shippingAddress && {
+      fullName: order.shippingAddress.fullName,
+      city: order.shippingAddress.city,
+      state: order.shippingAddress.state,
+      pincode: order.shippingAddress.pincode,
+    },
+    fulfillment: order.fulfillment && {
+      status: order.fulfillment.status,
+      trackingNumber: order.fulfillment.trackingNumber,
+      deliveredAt: order.fulfillment.deliveredAt,
+    },
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    sellerTotal: round2(
+      items.reduce(
+        (sum, item) =>
+          sum +
+          (item.taxableValue ?? item.total - (item.discount || 0)) +
+          (item.taxAmount || 0),
+        0
+      )
+    ),
+    returns: (order.returns || [])
+      .map((request) => ({
+        rmaNumber: request.rmaNumber,
+        status: request.status,
+        requestedAt: request.requestedAt,
+        items: request.items.filter(isSellerLine),
+      }))
+      .filter((request) => request.items.length > 0),
+  };
+};
+
+// GET SELLER DASHBOARD
+export const getSellerDashboard = async (req, res) => {
+  try {
+    const sellerId = new mongoose.Types.ObjectId(String(req.user.id));
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    const [products, [sales], balance] = await Promise.all([
+      Product.aggregate([
+        { $match: { sellerId } },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            active: { $sum: { $cond: ["$isActive", 1, 0] } },
+            outOfStock: {
+              $sum: {
+                $cond: [
+                  { $and: ["$isActive", { $lte: ["$stock", 0] }] },
+                  1,
+                  0,
+                ],
+              },
+            },
+          },
+        },
+      ]),
+      Order.aggregate([
+        {
+          $match: {
+            "items.sellerId": sellerId,
+            status: { $ne: "cancelled" },
+            createdAt: { $gte: since },
+          },
+        },
+        { $unwind: "$items" },
+        { $match: { "items.sellerId": sellerId } },
+        {
+          $group: {
+            _id: null,
+            orders: { $addToSet: "$_id" },
+            units: { $sum: "$items.quantity" },
+            revenue: {
+              $sum: {
+                $add: [
+                  { $ifNull: ["$items.taxableValue", "$items.total"] },
+                  { $ifNull: ["$items.taxAmount", 0] },
+                ],
+              },
+            },
+          },
+        },
+      ]),
+      SellerLedger.getBalance(req.user.id),
+    ]);
+
+    res.json({
+      success: true,
+      dashboard: {
+        products: {
+          total: products[0]?.total || 0,
+          active: products[0]?.active || 0,
+          outOfStock: products[0]?.outOfStock || 0,
+        },
+        last30Days: {
+          orders: sales?.orders.length || 0,
+          units: sales?.units || 0,
+          revenue: round2(sales?.revenue),
+        },
+        balance,
+      },
+    });
+  } catch (error) {
+    console.error("Get seller dashboard error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch dashboard",
+      error: error.message,
+    });
+  }
+};
+
+// GET SELLER PRODUCTS (including inactive ones)
+export const getSellerProducts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, status } = req.query;
+
+    const query = { sellerId: req.user.id };
+    if (status === "active") query.isActive = true;
+    if (status === "inactive") query.isActive = false;
+    if (search) {
+      const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      query.$or = [
+        { title: new RegExp(escaped, "i") },
+        { sku: new RegExp(escaped, "i") },
+        { "variants.sku": new RegExp(escaped, "i") },
+      ];
+    }
+
+    const [products, total] = await Promise.all([
+      Product.find(query)
+        .sort({ createdAt: -1 })
+        .limit(Number(limit))
+        .skip((Number(page) - 1) * Number(limit))
+        .select("-__v"),
+      Product.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      products,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / limit),
+        totalProducts: total,
+      },
+    });
+  } catch (error) {
+    console.error("Get seller products error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch products",
+      error: error.message,
+    });
+  }
+};
+
+// GET SELLER ORDERS (only the lines with the seller's items)
+export const getSellerOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const range = parseReportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    const query = { "items.sellerId": req.user.id };
+    if (status) query.status = status;
+    if (range.from || range.to) {
+      query.createdAt = {};
+      if (range.from) query.createdAt.$gte = range.from;
+      if (range.to) query.createdAt.$lte = range.to;
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(query)
+        .select(
+          "orderNumber orderId status createdAt shippingAddress " +
+            "fulfillment items returns"
+        )
+        .sort({ createdAt: -1 })
+        .limit(Number(limit))
+        .skip((Number(page) - 1) * Number(limit))
+        .lean(),
+      Order.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      orders: orders.map((order) => toSellerOrder(order, req.user.id)),
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / limit),
+        totalOrders: total,
+      },
+    });
+  } catch (error) {
+    console.error("Get seller orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch orders",
+      error: error.message,
+    });
+  }
+};
+
+// GET SELLER ORDER BY ID
+export const getSellerOrder = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID",
+      });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      "items.sellerId": req.user.id,
+    }).lean();
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const ledger = await SellerLedger.find({
+      orderId: order._id,
+      sellerId: req.user.id,
+    }).sort({ occurredAt: 1 });
+
+    res.json({
+      success: true,
+      order: toSellerOrder(order, req.user.id),
+      ledger,
+    });
+  } catch (error) {
+    console.error("Get seller order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch order",
+      error: error.message,
+    });
+  }
+};
+
+// GET SELLER EARNINGS (balance and ledger entries)
+export const getSellerEarnings = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type, status } = req.query;
+
+    const range = parseReportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    const now = new Date();
+    const query = { sellerId: req.user.id };
+    if (type) query.type = type;
+    if (status === "paid") query.payoutId = { $ne: null };
+    if (status === "available") {
+      query.payoutId = null;
+      query.availableAt = { $lte: now };
+    }
+    if (status === "pending") {
+      query.payoutId = null;
+      query.availableAt = { $gt: now };
+    }
+    if (range.from || range.to) {
+      query.occurredAt = {};
+      if (range.from) query.occurredAt.$gte = range.from;
+      if (range.to) query.occurredAt.$lte = range.to;
+    }
+
+    const [balance, entries, total, settings, seller] = await Promise.all([
+      SellerLedger.getBalance(req.user.id),
+      SellerLedger.find(query)
+        .populate("payoutId", "payoutNumber status")
+        .sort({ occurredAt: -1 })
+        .limit(Number(limit))
+        .skip((Number(page) - 1) * Number(limit)),
+      SellerLedger.countDocuments(query),
+      Settings.getSettings(),
+      User.findById(req.user.id).select("sellerProfile.commissionRate").lean(),
+    ]);
+
+    const { defaultCommissionRate = 10, payoutHoldDays = 7 } =
+      settings.marketplace || {};
+    const commissionRate = seller?.sellerProfile?.commissionRate;
+
+    res.json({
+      success: true,
+      balance,
+      commissionRate:
+        typeof commissionRate === "number"
+          ? commissionRate
+          : defaultCommissionRate,
+      payoutHoldDays,
+      entries,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / limit),
+        totalEntries: total,
+      },
+    });
+  } catch (error) {
+    console.error("Get seller earnings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch earnings",
+      error: error.message,
+    });
+  }
+};
+
+// GET SELLER PAYOUTS
+export const getSellerPayouts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = { sellerId: req.user.id };
+    if (status) query.status = status;
+
+    const [payouts, total] = await Promise.all([
+      SellerPayout.find(query)
+        .select("-createdBy")
+        .sort({ createdAt: -1 })
+        .limit(Number(limit))
+        .skip((Number(page) - 1) * Number(limit)),
+      SellerPayout.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      payouts,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / limit),
+        totalPayouts: total,
+      },
+    });
+  } catch (error) {
+    console.error("Get seller payouts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch payouts",
+      error: error.message,
+    });
+  }
+};
+
+// GET SELLER PAYOUT BY ID (with its ledger entries)
+export const getSellerPayout = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid payout ID",
+      });
+    }
+
+    const payout = await SellerPayout.findOne({
+      _id: req.params.id,
+      sellerId: req.user.id,
+    }).select("-createdBy");
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: "Payout not found",
+      });
+    }
+
+    const entries = await SellerLedger.find({ payoutId: payout._id }).sort({
+      occurredAt: 1,
+    });
+
+    res.json({
+      success: true,
+      payout,
+      entries,
+    });
+  } catch (error) {
+    console.error("Get seller payout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch payout",
+      error: error.message,
+    });
+  }
+};
+
+// EXPORT SETTLEMENT REPORT (CSV/XLSX of the seller's ledger, optionally
+// for a date range or a single payout)
+export const exportSettlement = async (req, res) => {
+  try {
+    const definition = getReportDefinition("seller-settlement");
+    const format = String(req.query.format || "csv").toLowerCase();
+
+    if (!REPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be csv or xlsx",
+      });
+    }
+
+    const range = parseReportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    const { payoutId } = req.query;
+    if (payoutId && !isValidObjectId(payoutId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid payout ID",
+      });
+    }
+
+    const { columns, error } = resolveColumns(
+      definition,
+      req.query.columns ||
+        definition.columns
+          .map((column) => column.key)
+          .filter((key) => key !== "seller" && key !== "sellerEmail")
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const ctx = {
+      ...range,
+      sellerId: new mongoose.Types.ObjectId(String(req.user.id)),
+      payoutId: payoutId ? new mongoose.Types.ObjectId(payoutId) : undefined,
+    };
+
+    // Sellers only get direct downloads, so large ranges are split up
+    if ((await definition.count(ctx)) > REPORT_SYNC_ROW_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `Over ${REPORT_SYNC_ROW_LIMIT} entries; pick a shorter range`,
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    const date = new Date().toISOString().slice(0, 10);
+    const { extension, contentType } = REPORT_FORMATS[format];
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="settlement-${date}.${extension}"`
+    );
+
+    await writeReport(
+      definition,
+      {
+        ...ctx,
+        format,
+        columns,
+        timezone: settings.localization?.timezone,
+      },
+      res
+    );
+  } catch (error) {
+    // Part of the file may already be sent; cut the download short
+    if (res.headersSent) {
+      console.error("Settlement export error:", error);
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to export settlement",
+      error: error.message,
+    });
+  }
+};
+
+// GET SELLER PROFILE
+export const getSellerProfile = async (req, res) => {
+  try {
+    const seller = await User.findById(req.user.id)
+      .select("name email phone sellerProfile")
+      .lean();
+
+    if (!seller) {
+      return res.status(404).json({
+        success: false,
+        message: "Seller not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      seller,
+    });
+  } catch (error) {
+    console.error("Get seller profile error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch profile",
+      error: error.message,
+    });
+  }
+};
+
+// UPDATE SELLER PROFILE (display name and payout details; the commission
+// rate is set by the store)
+export const updateSellerProfile = async (req, res) => {
+  try {
+    const { displayName, payoutDetails } = req.body;
+
+    const seller = await User.findById(req.user.id);
+    if (!seller) {
+      return res.status(404).json({
+        success: false,
+        message: "Seller not found",
+      });
+    }
+
+    if (displayName !== undefined) {
+      seller.sellerProfile.displayName = displayName;
+    }
+    if (payoutDetails !== undefined) {
+      const { accountName, accountNumber, ifsc, upiId } = payoutDetails || {};
+      seller.sellerProfile.payoutDetails = {
+        accountName,
+        accountNumber,
+        ifsc,
+        upiId,
+      };
+    }
+    await seller.save();
+
+    res.json({
+      success: true,
+      message: "Profile updated successfully",
+      sellerProfile: seller.sellerProfile,
+    });
+  } catch (error) {
+    console.error("Update seller profile error:", error);
+    res.status(400).json({
+      success: false,
+      message: "Failed to update profile",
+      error: error.message,
+    });
+  }
+};
@@ -1,11 +1,18 @@
 import User from "../models/user.model.js";
 import Order from "../models/order.model.js";
+import Settings from "../models/settings.model.js";
+import Session from "../models/session.model.js";
 import jwt from "jsonwebtoken";
 import { createObjectCsvWriter } from "csv-writer";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
 import crypto from "crypto";
+import {
+  checkPassword,
+  generatePassword,
+  getPasswordPolicy,
+} from "../utils/passwordPolicy.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -322,6 +329,7 @@ export const toggleUserBlock = async (req, res) => {
     }
 
     await user.save();
+    if (isBlocked) await Session.revokeForUser(user._id, "account_blocked");
 
     res.json({
       success: true,
@@ -347,7 +355,7 @@ export const toggleUserBlock = async (req, res) => {
 export const resetUserPassword = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { notifyUser = true } = req.body;
+    const { notifyUser = true, temporaryPassword } = req.body;
     const adminId = req.user.id;
     const adminName = req.user.name;
 
@@ -359,8 +367,28 @@ export const resetUserPassword = async (req, res) => {
       });
     }
 
-    // Generate temporary password
-    const tempPassword = user.generateTempPassword();
+    // Temporary password chosen by the admin or generated, either way
+    // meeting the password policy
+    const settings = await Settings.getSettings();
+    const policy = getPasswordPolicy(settings);
+    if (temporaryPassword !== undefined) {
+      const errors = checkPassword(temporaryPassword, policy);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Password does not meet the requirements",
+          errors,
+        });
+      }
+    }
+
+    const tempPassword = user.generateTempPassword(
+      temporaryPassword ?? generatePassword(policy)
+    );
+
+    // A reset also lifts any login lockout
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
 
     // Add admin note
     user.addAdminNote(
@@ -393,6 +421,135 @@ export const resetUserPassword = async (req, res) => {
   }
 };
 
+// Reset two-factor authentication (lost device and recovery codes).
+// The user sets it up again at their next login if their role requires it.
+export const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const adminId = req.user.id;
+    const adminName = req.user.name;
+
+    const user = await User.findWithTwoFactor(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled for this user",
+      });
+    }
+
+    user.disableTwoFactor();
+    user.addAdminNote(
+      `Two-factor authentication reset by ${adminName}`,
+      adminId,
+      adminName
+    );
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication reset successfully",
+    });
+  } catch (error) {
+    console.error("Reset two-factor error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reset two-factor authentication",
+      error: error.message,
+    });
+  }
+};
+
+// Get a user's active sessions (signed-in devices)
+export const getUserSessions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const sessions = await Session.listActive(userId);
+
+    res.json({
+      success: true,
+      data: { sessions },
+    });
+  } catch (error) {
+    console.error("Get user sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch user sessions",
+      error: error.message,
+    });
+  }
+};
+
+// Revoke one session, or every session when no sessionId is given
+export const revokeUserSessions = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+    const adminId = req.user.id;
+    const adminName = req.user.name;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    let revoked;
+    if (sessionId) {
+      const session = await Session.findOne({
+        _id: sessionId,
+        userId,
+        revokedAt: null,
+      });
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: "Session not found",
+        });
+      }
+      await session.revoke("admin_revoked");
+      revoked = 1;
+    } else {
+      revoked = await Session.revokeForUser(userId, "admin_revoked");
+    }
+
+    user.addAdminNote(
+      `${revoked} session(s) revoked by ${adminName}`,
+      adminId,
+      adminName
+    );
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Sessions revoked successfully",
+      data: { revoked },
+    });
+  } catch (error) {
+    console.error("Revoke user sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke sessions",
+      error: error.message,
+    });
+  }
+};
+
 // Generate impersonation token
 export const impersonateUser = async (req, res) => {
   try {
@@ -552,6 +709,7 @@ export const bulkUserActions = async (req, res) => {
                 adminName
               );
               await user.save();
+              await Session.revokeForUser(user._id, "account_blocked");
               result.success++;
             } else if (user && user.role === "admin") {
               result.failed++;
@@ -0,0 +1,245 @@
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import GiftCard from "../models/giftCard.model.js";
+import WalletTransaction from "../models/walletTransaction.model.js";
+
+// Helper function to load a page of wallet entries for a user
+const getTransactions = async (userId, { page = 1, limit = 20 }) => {
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [transactions, totalTransactions] = await Promise.all([
+    WalletTransaction.find({ userId })
+      .populate("orderId", "orderNumber")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    WalletTransaction.countDocuments({ userId }),
+  ]);
+
+  return {
+    transactions,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalTransactions / parseInt(limit)),
+      totalTransactions,
+      hasNext: skip + parseInt(limit) < totalTransactions,
+      hasPrev: parseInt(page) > 1,
+    },
+  };
+};
+
+// GET WALLET (balance and ledger of the signed-in user)
+export const getWallet = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("walletBalance");
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    const { transactions, pagination } = await getTransactions(
+      user._id,
+      req.query
+    );
+
+    res.json({
+      success: true,
+      balance: user.walletBalance,
+      transactions,
+      pagination,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// REDEEM GIFT CARD INTO THE WALLET
+export const redeemGiftCard = async (req, res) => {
+  try {
+    const code = String(req.body.code || "")
+      .trim()
+      .toUpperCase();
+    if (!code) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Gift card code is required" });
+    }
+
+    // The card is claimed conditionally, so it can't be redeemed twice
+    const session = await mongoose.startSession();
+    let giftCard;
+    let entry;
+    try {
+      await session.withTransaction(async () => {
+        giftCard = await GiftCard.findOneAndUpdate(
+          { code, status: "active", expiresAt: { $gt: new Date() } },
+          {
+            status: "redeemed",
+            redeemedBy: req.user.id,
+            redeemedAt: new Date(),
+          },
+          { new: true, session }
+        );
+        if (!giftCard) return;
+
+        entry = await WalletTransaction.credit(
+          req.user.id,
+          giftCard.value,
+          {
+            source: "gift_card",
+            giftCardId: giftCard._id,
+            description: `Gift card ${giftCard.code}`,
+          },
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (!giftCard) {
+      return res.status(400).json({
+        success: false,
+        message: "Gift card is invalid, expired or already redeemed",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `₹${giftCard.value} added to your wallet`,
+      balance: entry.balanceAfter,
+      transaction: entry,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// GET GIFT CARDS BOUGHT BY THE SIGNED-IN USER
+export const getPurchasedGiftCards = async (req, res) => {
+  try {
+    const giftCards = await GiftCard.find({ purchasedBy: req.user.id })
+      .select("-code")
+      .populate("orderId", "orderNumber")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, giftCards });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// GET USER WALLET (Admin)
+export const getUserWallet = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid user ID" });
+    }
+
+    const user = await User.findById(userId).select("name email walletBalance");
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    const { transactions, pagination } = await getTransactions(
+      user._id,
+      req.query
+    );
+
+    res.json({
+      success: true,
+      user: { _id: user._id, name: user.name, email: user.email },
+      balance: user.walletBalance,
+      transactions,
+      pagination,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// ADJUST USER WALLET (Admin credit or debit with a reason)
+export const adjustUserWallet = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { type, reason } = req.body;
+    const amount = Math.round(Number(req.body.amount) * 100) / 100;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid user ID" });
+    }
+    if (!["credit", "debit"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Type must be credit or debit",
+      });
+    }
+    if (!(amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Valid amount is required",
+      });
+    }
+    if (!reason) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Reason is required" });
+    }
+
+    if (!(await User.exists({ _id: userId }))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    const details = {
+      source: "adjustment",
+      description: reason,
+      createdBy: req.user.id,
+    };
+
+    // The balance and its ledger entry are written together
+    const session = await mongoose.startSession();
+    let entry;
+    let error;
+    try {
+      await session.withTransaction(async () => {
+        if (type === "credit") {
+          entry = await WalletTransaction.credit(userId, amount, details, {
+            session,
+          });
+        } else {
+          ({ entry, error } = await WalletTransaction.debit(
+            userId,
+            amount,
+            details,
+            { session }
+          ));
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    res.json({
+      success: true,
+      message: "Wallet adjusted successfully",
+      balance: entry.balanceAfter,
+      transaction: entry,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
@@ -2,6 +2,11 @@ import dotenv from "dotenv";
 import express from "express";
 import cors from "cors";
 import connectDB from "./config/db.js";
+import Role from "./models/role.model.js";
+import { startAbandonedCartJob } from "./jobs/abandonedCart.job.js";
+import { startReportJobs } from "./jobs/report.job.js";
+import { startSellerLedgerJob } from "./jobs/sellerLedger.job.js";
+import { startLoyaltyJob } from "./jobs/loyalty.job.js";
 
 // Import routes
 import authRoutes from "./routes/auth.routes.js";
@@ -10,18 +15,31 @@ import orderRoutes from "./routes/order.routes.js";
 import adminRoutes from "./routes/admin.routes.js";
 import adminOrdersRoutes from "./routes/adminOrders.routes.js";
 import couponRoutes from "./routes/coupon.routes.js";
+import promotionRoutes from "./routes/promotion.routes.js";
+import walletRoutes from "./routes/wallet.routes.js";
+import loyaltyRoutes from "./routes/loyalty.routes.js";
+import giftCardRoutes from "./routes/giftCard.routes.js";
 import orderManagementRoutes from "./routes/orderManagement.routes.js";
 import userManagementRoutes from "./routes/userManagement.routes.js";
 import invoiceRoutes from "./routes/invoice.routes.js";
 import bannerRoutes from "./routes/banner.routes.js";
 import cartRoutes from "./routes/cart.routes.js";
 import blogRoutes from "./routes/blog.routes.js";
+import paymentRoutes from "./routes/payment.routes.js";
+import reviewRoutes from "./routes/review.routes.js";
+import deviceRoutes from "./routes/device.routes.js";
+import roleRoutes from "./routes/role.routes.js";
+import sellerRoutes from "./routes/seller.routes.js";
+import payoutRoutes from "./routes/payout.routes.js";
+import cronRoutes from "./routes/cron.routes.js";
 
 // Load environment variables
 dotenv.config();
 
-// Connect to database
-connectDB();
+// Connect to database and create any missing default roles
+connectDB()
+  .then(() => Role.ensureDefaults())
+  .catch((error) => console.error("Default roles setup failed:", error));
 
 // Initialize Express app
 const app = express();
@@ -34,8 +52,14 @@ app.use(
   })
 );
 
-// Body parser middleware
-app.use(express.json());
+// Body parser middleware (raw body is kept for webhook signature checks)
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString();
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Health check route
@@ -54,12 +78,23 @@ app.use("/orders", orderRoutes);
 app.use("/admin", adminRoutes);
 app.use("/admin/orders", adminOrdersRoutes);
 app.use("/admin/coupons", couponRoutes);
+app.use("/admin/promotions", promotionRoutes);
+app.use("/admin/gift-cards", giftCardRoutes);
 app.use("/admin/orders-legacy", orderManagementRoutes);
 app.use("/admin/users", userManagementRoutes);
 app.use("/admin/invoices", invoiceRoutes);
+app.use("/admin/roles", roleRoutes);
+app.use("/admin/sellers", payoutRoutes);
+app.use("/seller", sellerRoutes);
 app.use("/banners", bannerRoutes);
 app.use("/cart", cartRoutes);
+app.use("/wallet", walletRoutes);
+app.use("/loyalty", loyaltyRoutes);
 app.use("/blogs", blogRoutes);
+app.use("/payments", paymentRoutes);
+app.use("/reviews", reviewRoutes);
+app.use("/devices", deviceRoutes);
+app.use("/cron", cronRoutes);
 
 // 404 handler - catch all undefined routes
 app.use((req, res, next) => {
@@ -88,6 +123,14 @@ const server = app.listen(PORT, () => {
   console.log(`✓ Environment: ${process.env.NODE_ENV || "development"}`);
 });
 
+// Background jobs
+startAbandonedCartJob();
+startReportJobs().catch((error) =>
+  console.error("Report jobs failed to start:", error)
+);
+startSellerLedgerJob();
+startLoyaltyJob();
+
 // Graceful shutdown handling
 process.on("SIGTERM", () => {
   console.log("SIGTERM signal received: closing HTTP server");
@@ -0,0 +1,198 @@
+import crypto from "crypto";
+import Cart from "../models/cart.model.js";
+import Coupon from "../models/coupon.model.js";
+import CartRecovery from "../models/cartRecovery.model.js";
+import Settings from "../models/settings.model.js";
+import { escapeHtml, sendTemplateEmail } from "../utils/mailer.js";
+import { generateCartRecoveryToken } from "../utils/jwt.js";
+import { canRunInBackground } from "./report.job.js";
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const BATCH_SIZE = 100;
+
+// Used when Settings.email.templates has no active "abandoned_cart" entry
+const FALLBACK_TEMPLATE = {
+  subject: "You left something in your cart at {companyName}",
+  body: `
+    <h2>Hi {customerName},</h2>
+    <p>Your plants are still waiting for you:</p>
+    <ul>{cartItems}</ul>
+    <p><strong>Cart total: ₹{cartTotal}</strong></p>
+    {couponMessage}
+    <p><a href="{recoveryLink}">Return to your cart</a></p>
+    <br>
+    <p>Best regards,<br>{companyName}</p>
+  `,
+};
+
+// Personal single-use coupon for the products in the cart
+const issueRecoveryCoupon = async (cart, couponSettings) => {
+  const startDate = new Date();
+  const endDate = new Date(startDate);
+  endDate.setDate(endDate.getDate() + couponSettings.validDays);
+
+  const productIds = [
+    ...new Set(
+      cart.items.map((item) =>
+        (item.productId._id || item.productId).toString()
+      )
+    ),
+  ];
+
+  return Coupon.create({
+    code: `BACK${crypto.randomBytes(4).toString("hex").toUpperCase()}`,
+    discountType: "percentage",
+    discountValue: couponSettings.discountValue,
+    applicableProducts: productIds,
+    startDate,
+    endDate,
+    maxUsage: 1,
+    issuedTo: cart.userId._id,
+  });
+};
+
+// Email one abandoned cart and record it for conversion tracking
+export const sendCartRecoveryEmail = async (cart, settings) => {
+  const user = cart.userId;
+  const config = settings.cartRecovery;
+
+  const coupon = config.coupon?.enabled
+    ? await issueRecoveryCoupon(cart, config.coupon)
+    : null;
+
+  const recovery = await CartRecovery.create({
+    cartId: cart._id,
+    userId: user._id,
+    email: user.email,
+    cartTotal: cart.finalTotal,
+    itemCount: cart.items.length,
+    couponCode: coupon?.code,
+  });
+
+  const token = generateCartRecoveryToken(recovery, config.attributionDays);
+  const baseUrl = process.env.FRONTEND_URL || settings.company.website || "";
+
+  try {
+    await sendTemplateEmail(settings, {
+      template: "abandoned_cart",
+      fallback: FALLBACK_TEMPLATE,
+      to: user.email,
+      // Names and product titles go into the email as text
+      variables: {
+        customerName: escapeHtml(user.name),
+        cartItems: cart.items
+          .map(
+            (item) =>
+              `<li>${escapeHtml(item.productSnapshot.title)} × ${
+                item.quantity
+              }</li>`
+          )
+          .join(""),
+        cartTotal: cart.finalTotal,
+        recoveryLink: `${baseUrl}/cart/recover?token=${token}`,
+        couponCode: coupon?.code || "",
+        couponDiscount: coupon ? `${coupon.discountValue}%` : "",
+        couponExpiry: coupon ? coupon.endDate.toDateString() : "",
+        couponMessage: coupon
+          ? `<p>Use code <strong>${coupon.code}</strong> for ${
+              coupon.discountValue
+            }% off before ${coupon.endDate.toDateString()}.</p>`
+          : "",
+      },
+    });
+  } catch (error) {
+    // Nothing was sent, so don't leave a coupon or a record behind
+    await CartRecovery.deleteOne({ _id: recovery._id });
+    if (coupon) await Coupon.deleteOne({ _id: coupon._id });
+    throw error;
+  }
+
+  // Written without timestamps so updatedAt keeps the customer's last edit
+  await Cart.updateOne(
+    { _id: cart._id },
+    { recoveryEmailSentAt: recovery.sentAt },
+    { timestamps: false }
+  );
+
+  return recovery;
+};
+
+// Find logged-in carts idle past the configured window and email them
+export const runAbandonedCartJob = async () => {
+  const settings = await Settings.getSettings();
+  if (!settings.cartRecovery?.enabled) return { sent: 0, failed: 0 };
+
+  const cutoff = new Date(
+    Date.now() - settings.cartRecovery.idleHours * 60 * 60 * 1000
+  );
+
+  // A cart edited after its last email is eligible again
+  const carts = await Cart.find({
+    userId: { $ne: null },
+    "items.0": { $exists: true },
+    updatedAt: { $lte: cutoff },
+    $or: [
+      { recoveryEmailSentAt: null },
+      { $expr: { $gt: ["$updatedAt", "$recoveryEmailSentAt"] } },
+    ],
+  })
+    .populate("userId", "name email isActive isBlocked")
+    .sort({ updatedAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const cart of carts) {
+    const user = cart.userId;
+    if (!user?.email || !user.isActive || user.isBlocked) {
+      // Park the cart so it doesn't fill every batch until it changes
+      await Cart.updateOne(
+        { _id: cart._id },
+        { recoveryEmailSentAt: new Date() },
+        { timestamps: false }
+      );
+      continue;
+    }
+
+    try {
+      await sendCartRecoveryEmail(cart, settings);
+      sent += 1;
+    } catch (error) {
+      failed += 1;
+      console.error(`Cart recovery email failed for cart ${cart._id}:`, error);
+    }
+  }
+
+  return { sent, failed };
+};
+
+// Run the job on an interval (CART_RECOVERY_INTERVAL_MINUTES).
+// Serverless instances have no background; GET /cron/cart-recovery runs it.
+export const startAbandonedCartJob = () => {
+  if (!canRunInBackground()) return null;
+
+  const minutes =
+    Number(process.env.CART_RECOVERY_INTERVAL_MINUTES) ||
+    DEFAULT_INTERVAL_MINUTES;
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    try {
+      const { sent, failed } = await runAbandonedCartJob();
+      if (sent || failed) {
+        console.log(`Cart recovery: ${sent} sent, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error("Cart recovery job error:", error);
+    } finally {
+      running = false;
+    }
+  }, minutes * 60 * 1000);
+
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import LoyaltyTransaction from "../models/loyaltyTransaction.model.js";
+import Order from "../models/order.model.js";
+import Settings from "../models/settings.model.js";
+import { canRunInBackground } from "./report.job.js";
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+// Helper function to run one posting in its own transaction, so points,
+// balance and the order stamp are written together
+const inTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  let result;
+  try {
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+  } finally {
+    await session.endSession();
+  }
+  return result;
+};
+
+// Helper function to post one item, logging a failure instead of
+// stopping the sync so one bad order doesn't hold up the rest
+const settle = async (label, work) => {
+  try {
+    return await inTransaction(work);
+  } catch (error) {
+    console.error(`Loyalty job error for ${label}:`, error);
+    return 0;
+  }
+};
+
+const runSync = async () => {
+  const settings = await Settings.getSettings();
+  // Saving stamps loyalty.enabledAt on a programme switched on before it
+  // was recorded, so nothing delivered earlier is awarded
+  if (settings.loyalty?.enabled && !settings.loyalty.enabledAt) {
+    await settings.save();
+  }
+  const loyalty = settings.loyalty || {};
+
+  let earned = 0;
+  let reversed = 0;
+  let expired = 0;
+
+  // Delivered orders count towards purchase stats even while the
+  // programme is off; points are only awarded for orders delivered since
+  // it was switched on
+  const delivered = Order.find({
+    "fulfillment.deliveredAt": { $ne: null },
+    status: { $ne: "cancelled" },
+    "loyalty.earnedAt": null,
+  }).cursor();
+
+  for await (const order of delivered) {
+    earned += await settle(`order ${order.orderNumber}`, (session) =>
+      LoyaltyTransaction.awardForOrder(order, loyalty, { session })
+    );
+  }
+
+  const refunded = Order.find({
+    "loyalty.earnedAt": { $ne: null },
+    returns: {
+      $elemMatch: { status: "refunded", loyaltyPostedAt: null },
+    },
+  }).cursor();
+
+  for await (const order of refunded) {
+    for (const request of order.returns) {
+      if (request.status !== "refunded" || request.loyaltyPostedAt) {
+        continue;
+      }
+      reversed += await settle(`return ${request.rmaNumber}`, (session) =>
+        LoyaltyTransaction.reverseForReturn(order, request, { session })
+      );
+    }
+  }
+
+  const due = LoyaltyTransaction.find({
+    remainingPoints: { $gt: 0 },
+    expiresAt: { $ne: null, $lte: new Date() },
+  }).cursor();
+
+  for await (const lot of due) {
+    expired += await settle(`lot ${lot._id}`, (session) =>
+      LoyaltyTransaction.expireLot(lot, { session })
+    );
+  }
+
+  return { earned, reversed, expired };
+};
+
+// Award points for delivered orders, take them back for refunded returns
+// and expire old ones. Calls made while a sync is running share its result.
+let running = null;
+export const syncLoyaltyPoints = () => {
+  if (!running) {
+    running = runSync().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+};
+
+// Run the sync on start and on an interval (LOYALTY_INTERVAL_MINUTES).
+// Serverless instances have no background; GET /cron/loyalty runs it.
+export const startLoyaltyJob = () => {
+  if (!canRunInBackground()) return null;
+
+  const minutes =
+    Number(process.env.LOYALTY_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  const run = async () => {
+    try {
+      const { earned, reversed, expired } = await syncLoyaltyPoints();
+      if (earned || reversed || expired) {
+        console.log(
+          `Loyalty points: ${earned} earned, ${reversed} reversed, ` +
+            `${expired} expired`
+        );
+      }
+    } catch (error) {
+      console.error("Loyalty job error:", error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, minutes * 60 * 1000);
+
+  timer.unref();
+  return timer;
+};
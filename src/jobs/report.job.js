@@ -0,0 +1,129 @@
+import ReportJob from "../models/reportJob.model.js";
+import Settings from "../models/settings.model.js";
+import {
+  REPORT_FORMATS,
+  getReportDefinition,
+  resolveColumns,
+  writeReport,
+} from "../utils/reports/index.js";
+import {
+  deleteReportFile,
+  openReportUpload,
+} from "../utils/reports/storage.js";
+
+const RETENTION_HOURS = Number(process.env.REPORT_RETENTION_HOURS) || 24;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Reports run one at a time so a few large exports can't starve the API
+let queue = Promise.resolve();
+
+// Serverless instances (Vercel) are frozen between requests, so nothing
+// can run after the response; reports are generated within the request
+export const canRunInBackground = () => !process.env.VERCEL;
+
+// Generate one queued report into report storage
+export const runReportJob = async (jobId) => {
+  const job = await ReportJob.findById(jobId);
+  if (!job || job.status !== "queued") return null;
+
+  const definition = getReportDefinition(job.type);
+  const { extension } = REPORT_FORMATS[job.format];
+  const stream = openReportUpload(`${job._id}.${extension}`, {
+    jobId: job._id,
+  });
+
+  job.status = "running";
+  job.startedAt = new Date();
+  job.fileId = stream.id;
+  await job.save();
+
+  try {
+    const settings = await Settings.getSettings();
+    const { columns } = resolveColumns(definition, job.params.columns);
+
+    const finished = new Promise((resolve, reject) => {
+      stream.on("finish", resolve);
+      stream.on("error", reject);
+    });
+
+    job.rowCount = await writeReport(
+      definition,
+      {
+        format: job.format,
+        columns,
+        from: job.params.startDate,
+        to: job.params.endDate,
+        timezone: settings.localization?.timezone,
+      },
+      stream
+    );
+    await finished;
+
+    job.fileSize = stream.length;
+    job.status = "completed";
+    job.completedAt = new Date();
+    job.expiresAt = new Date(Date.now() + RETENTION_HOURS * 60 * 60 * 1000);
+  } catch (error) {
+    console.error(`Report job ${job._id} failed:`, error);
+    job.status = "failed";
+    job.error = error.message;
+    await deleteReportFile(stream.id);
+  }
+
+  await job.save();
+  return job;
+};
+
+export const enqueueReportJob = (job) => {
+  queue = queue
+    .then(() => runReportJob(job._id))
+    .catch((error) => console.error("Report queue error:", error));
+  return queue;
+};
+
+// Delete report files past their retention period
+export const cleanupExpiredReports = async () => {
+  const jobs = await ReportJob.find({
+    status: "completed",
+    expiresAt: { $lte: new Date() },
+  }).select("+fileId");
+
+  for (const job of jobs) {
+    await deleteReportFile(job.fileId);
+    job.status = "expired";
+    await job.save();
+  }
+
+  return jobs.length;
+};
+
+// Fail jobs interrupted by a restart, requeue waiting ones, and clean up
+// expired files every hour. Serverless instances start while others may
+// be running reports, so they only clean up expired files.
+export const startReportJobs = async () => {
+  if (!canRunInBackground()) {
+    await cleanupExpiredReports();
+    return null;
+  }
+
+  await ReportJob.updateMany(
+    { status: "running" },
+    { status: "failed", error: "Interrupted by a server restart" }
+  );
+
+  const queued = await ReportJob.find({ status: "queued" }).sort({
+    createdAt: 1,
+  });
+  queued.forEach((job) => enqueueReportJob(job));
+
+  const timer = setInterval(async () => {
+    try {
+      await cleanupExpiredReports();
+    } catch (error) {
+      console.error("Report cleanup error:", error);
+    }
+  }, CLEANUP_INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+};
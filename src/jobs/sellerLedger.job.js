@@ -0,0 +1,135 @@
+import Order from "../models/order.model.js";
+import Product from "../models/product.model.js";
+import SellerLedger from "../models/sellerLedger.model.js";
+import Settings from "../models/settings.model.js";
+import User from "../models/user.model.js";
+import { canRunInBackground } from "./report.job.js";
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+// Orders placed before items carried a sellerId get it from the product
+const fillMissingSellers = async (order) => {
+  const missing = order.items.filter((item) => !item.sellerId);
+  if (missing.length === 0) return {};
+
+  const products = await Product.find({
+    _id: { $in: missing.map((item) => item.productId) },
+  })
+    .select("sellerId")
+    .lean();
+  const sellers = new Map(
+    products.map((product) => [product._id.toString(), product.sellerId])
+  );
+
+  const updates = {};
+  order.items.forEach((item, index) => {
+    const sellerId = !item.sellerId && sellers.get(item.productId.toString());
+    if (sellerId) {
+      item.sellerId = sellerId;
+      updates[`items.${index}.sellerId`] = sellerId;
+    }
+  });
+  return updates;
+};
+
+const runSync = async () => {
+  const settings = await Settings.getSettings();
+  const { defaultCommissionRate = 10, payoutHoldDays = 7 } =
+    settings.marketplace || {};
+
+  // Seller rates are looked up once per run
+  const rates = new Map();
+  const getCommissionRate = async (sellerId) => {
+    const key = sellerId.toString();
+    if (!rates.has(key)) {
+      const seller = await User.findById(sellerId)
+        .select("sellerProfile.commissionRate")
+        .lean();
+      const rate = seller?.sellerProfile?.commissionRate;
+      rates.set(key, typeof rate === "number" ? rate : defaultCommissionRate);
+    }
+    return rates.get(key);
+  };
+
+  let sales = 0;
+  let returns = 0;
+
+  const delivered = Order.find({
+    "fulfillment.deliveredAt": { $ne: null },
+    status: { $ne: "cancelled" },
+    sellerLedgerPostedAt: null,
+  }).cursor();
+
+  for await (const order of delivered) {
+    const updates = await fillMissingSellers(order);
+    sales += await SellerLedger.postOrder(order, {
+      getCommissionRate,
+      holdDays: payoutHoldDays,
+    });
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { ...updates, sellerLedgerPostedAt: new Date() } }
+    );
+  }
+
+  const refunded = Order.find({
+    sellerLedgerPostedAt: { $ne: null },
+    returns: {
+      $elemMatch: { status: "refunded", sellerLedgerPostedAt: null },
+    },
+  }).cursor();
+
+  for await (const order of refunded) {
+    for (const request of order.returns) {
+      if (request.status !== "refunded" || request.sellerLedgerPostedAt) {
+        continue;
+      }
+      returns += await SellerLedger.postReturn(order, request);
+      await Order.updateOne(
+        { _id: order._id, "returns._id": request._id },
+        { $set: { "returns.$.sellerLedgerPostedAt": new Date() } }
+      );
+    }
+  }
+
+  return { sales, returns };
+};
+
+// Post delivered order lines and refunded returns to seller ledgers.
+// Calls made while a sync is running share its result.
+let running = null;
+export const syncSellerLedgers = () => {
+  if (!running) {
+    running = runSync().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+};
+
+// Run the sync on start and on an interval (SELLER_LEDGER_INTERVAL_MINUTES).
+// Serverless instances have no background; GET /cron/seller-ledgers runs it.
+export const startSellerLedgerJob = () => {
+  if (!canRunInBackground()) return null;
+
+  const minutes =
+    Number(process.env.SELLER_LEDGER_INTERVAL_MINUTES) ||
+    DEFAULT_INTERVAL_MINUTES;
+
+  const run = async () => {
+    try {
+      const { sales, returns } = await syncSellerLedgers();
+      if (sales || returns) {
+        console.log(`Seller ledgers: ${sales} sales, ${returns} returns`);
+      }
+    } catch (error) {
+      console.error("Seller ledger job error:", error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, minutes * 60 * 1000);
+
+  timer.unref();
+  return timer;
+};
@@ -1,17 +1,65 @@
-import jwt from "jsonwebtoken";
+import Session from "../models/session.model.js";
+import {
+  verifyAccessToken,
+  verifyTwoFactorToken,
+} from "../utils/jwt.js";
 
-const auth = (req, res, next) => {
+// Helper function to resolve a bearer token to the signed-in user, or null.
+// Access tokens outlive a revoked session by up to an hour, so the session
+// they came from must still be active.
+const authenticate = async (token) => {
+  const decoded = token && verifyAccessToken(token);
+  if (!decoded?.sid) return null;
+
+  const active = await Session.exists({
+    _id: decoded.sid,
+    userId: decoded.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return active ? decoded : null;
+};
+
+const auth = async (req, res, next) => {
   const token = req.headers.authorization?.split(" ")[1];
 
   if (!token) return res.status(401).json({ message: "Token missing" });
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // { id, role }
+    const decoded = await authenticate(token);
+    if (!decoded) return res.status(401).json({ message: "Invalid token" });
+
+    req.user = decoded; // { id, role, sid }
     next();
   } catch (err) {
-    res.status(401).json({ message: "Invalid token" });
+    res.status(500).json({ message: err.message });
   }
 };
 
+// Guests are welcome too (e.g. the cart); a token that isn't a valid
+// access token leaves the request a guest one
+export const optionalAuth = async (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1];
+
+  try {
+    req.user = token ? await authenticate(token) : undefined;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Two-factor enrolment also accepts the setup token a login returns when
+// the user's role requires two-factor and it isn't set up yet
+export const twoFactorSetupAuth = (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1];
+  const setup = token && verifyTwoFactorToken(token, "2fa_setup");
+
+  if (!setup) return auth(req, res, next);
+
+  req.user = { id: setup.id, role: setup.role };
+  req.twoFactorSetupLogin = true;
+  next();
+};
+
 export default auth;
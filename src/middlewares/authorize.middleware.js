@@ -0,0 +1,37 @@
+import Role from "../models/role.model.js";
+import { hasPermission } from "../config/permissions.js";
+
+// Allows the request when the user's role grants the permission (or any
+// of them, when given a list). Must run after the auth middleware.
+const authorize = (permission) => {
+  const required = [].concat(permission);
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+      });
+    }
+
+    try {
+      const granted = await Role.getPermissions(req.user.role);
+      if (!required.some((p) => hasPermission(granted, p))) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied (requires ${required.join(" or ")})`,
+        });
+      }
+
+      req.permissions = granted;
+      next();
+    } catch (err) {
+      return res.status(500).json({
+        success: false,
+        message: "Authorization failed",
+      });
+    }
+  };
+};
+
+export default authorize;
@@ -0,0 +1,25 @@
+import crypto from "crypto";
+
+// Authenticates scheduled job calls (Vercel Cron) by the CRON_SECRET they
+// send as a bearer token. Refused when no secret is configured.
+const cronAuth = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const token = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+
+  const valid =
+    secret &&
+    token &&
+    token.length === secret.length &&
+    crypto.timingSafeEqual(Buffer.from(token), Buffer.from(secret));
+
+  if (!valid) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid cron secret",
+    });
+  }
+
+  next();
+};
+
+export default cronAuth;
@@ -0,0 +1,35 @@
+import Device from "../models/device.model.js";
+
+// Authenticates IoT devices by the token issued at registration
+const deviceAuth = async (req, res, next) => {
+  const token =
+    req.headers["x-device-token"] ||
+    req.headers.authorization?.match(/^Device (.+)$/)?.[1];
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: "Device token missing",
+    });
+  }
+
+  try {
+    const device = await Device.findByToken(token);
+    if (!device) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid device token",
+      });
+    }
+
+    req.device = device;
+    next();
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Device authentication failed",
+    });
+  }
+};
+
+export default deviceAuth;
@@ -1,12 +0,0 @@
-const role = (roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res
-        .status(403)
-        .json({ message: "Access denied (role restricted)" });
-    }
-    next();
-  };
-};
-
-export default role;
@@ -1,4 +1,8 @@
 import mongoose from "mongoose";
+import Product from "./product.model.js";
+import Promotion from "./promotion.model.js";
+import { applyShippingRate } from "../utils/shipping.js";
+import { evaluatePromotions } from "../utils/promotions.js";
 
 const cartItemSchema = new mongoose.Schema(
   {
@@ -7,6 +11,11 @@ const cartItemSchema = new mongoose.Schema(
       ref: "Product",
       required: true,
     },
+    // Chosen variant for products sold in several sizes/pots/colours
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
     // Snapshot of product data at the time of adding to cart
     productSnapshot: {
       title: {
@@ -27,6 +36,10 @@ const cartItemSchema = new mongoose.Schema(
         color: String,
         indoorOutdoor: String,
       },
+      // For category promotions
+      categories: [String],
+      // Gift cards are sold at face value, so no discount applies to them
+      isGiftCard: Boolean,
     },
     quantity: {
       type: Number,
@@ -51,6 +64,10 @@ const cartItemSchema = new mongoose.Schema(
 
 const cartCouponSchema = new mongoose.Schema(
   {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+    },
     code: {
       type: String,
       required: true,
@@ -69,6 +86,12 @@ const cartCouponSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Free-shipping coupons waive the shipping charge instead
+    freeShipping: {
+      type: Boolean,
+      default: false,
+    },
+    // Products in the cart the discount was spread over
     applicableProducts: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -83,6 +106,76 @@ const cartCouponSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Automatic promotion applied to the cart
+const cartPromotionSchema = new mongoose.Schema(
+  {
+    promotionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    discountAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    productIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+  },
+  { _id: false }
+);
+
+// Shipping rate snapshot for the pincode the customer quoted
+const cartShippingSchema = new mongoose.Schema(
+  {
+    pincode: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    zone: {
+      type: String,
+      trim: true,
+    },
+    charge: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    freeShippingThreshold: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    estimatedDays: {
+      type: Number,
+      min: 0,
+    },
+    codCharge: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    quotedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const cartSchema = new mongoose.Schema(
   {
     userId: {
@@ -104,11 +197,27 @@ const cartSchema = new mongoose.Schema(
       type: cartCouponSchema,
       default: null,
     },
+    promotions: [cartPromotionSchema],
+    promotionDiscount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Coupon and promotion discounts together
     totalDiscount: {
       type: Number,
       default: 0,
       min: 0,
     },
+    shipping: {
+      type: cartShippingSchema,
+      default: null,
+    },
+    shippingCost: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     finalTotal: {
       type: Number,
       default: 0,
@@ -118,16 +227,32 @@ const cartSchema = new mongoose.Schema(
       type: String,
       default: "INR",
     },
+    // Last abandoned cart email; set without touching updatedAt so a
+    // later edit by the customer makes the cart eligible again
+    recoveryEmailSentAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Cart lines are unique per product and variant
+const isSameLine = (item, productId, variantId) => {
+  const itemProductId = item.productId._id || item.productId;
+  return (
+    itemProductId.toString() === productId.toString() &&
+    String(item.variantId || "") === String(variantId || "")
+  );
+};
+
 // Indexes for performance
 cartSchema.index({ userId: 1 });
 cartSchema.index({ sessionId: 1 });
 cartSchema.index({ "items.productId": 1 });
+cartSchema.index({ updatedAt: 1 });
 
 // Virtual for item count
 cartSchema.virtual("itemCount").get(function () {
@@ -142,21 +267,114 @@ cartSchema.methods.calculateSubtotal = function () {
   return this.subtotal;
 };
 
-// Method to calculate final total with coupon
+// Method to load the promotions running now, so that every later
+// recalculation applies them. Carts that haven't loaded them keep the
+// promotions from their last recalculation.
+cartSchema.methods.loadPromotions = async function ({ session = null } = {}) {
+  this.$locals.promotions = await Promotion.getActive({ session });
+
+  // Lines added before categories and the gift card flag were snapshotted
+  const missing = this.items.filter(
+    (item) =>
+      !item.productSnapshot.categories?.length ||
+      item.productSnapshot.isGiftCard === undefined
+  );
+  if (this.$locals.promotions.length > 0 && missing.length > 0) {
+    const products = await Product.find({
+      _id: { $in: missing.map((item) => item.productId._id || item.productId) },
+    })
+      .select("categories isGiftCard")
+      .session(session);
+    missing.forEach((item) => {
+      const itemProductId = (item.productId._id || item.productId).toString();
+      const product = products.find((p) => p._id.toString() === itemProductId);
+      item.productSnapshot.categories = product?.categories || [];
+      item.productSnapshot.isGiftCard = Boolean(product?.isGiftCard);
+    });
+  }
+
+  this.calculateFinalTotal();
+  return this;
+};
+
+// Method to apply the loaded promotions to the current items. The
+// per-line discounts are kept in $locals for checkout.
+cartSchema.methods.applyPromotions = function (promotions) {
+  const result = evaluatePromotions(
+    promotions,
+    this.items.map((item) => ({
+      productId: item.productId._id || item.productId,
+      categories: item.productSnapshot.categories,
+      isGiftCard: item.productSnapshot.isGiftCard,
+      price: item.priceAtAdd,
+      quantity: item.quantity,
+    })),
+    { hasCoupon: Boolean(this.coupon) }
+  );
+
+  this.promotions = result.applied;
+  this.promotionDiscount = result.discountAmount;
+  this.$locals.promotionLineDiscounts = result.lineDiscounts;
+  return result;
+};
+
+// Method to calculate final total with promotions, coupon and shipping
 cartSchema.methods.calculateFinalTotal = function () {
   this.calculateSubtotal();
-  this.totalDiscount = this.coupon ? this.coupon.discountAmount : 0;
-  this.finalTotal = Math.max(0, this.subtotal - this.totalDiscount);
+  if (this.$locals.promotions) this.applyPromotions(this.$locals.promotions);
+
+  const couponDiscount = this.coupon ? this.coupon.discountAmount : 0;
+  this.totalDiscount = Math.min(
+    this.subtotal,
+    couponDiscount + (this.promotionDiscount || 0)
+  );
+
+  const discountedTotal = Math.max(0, this.subtotal - this.totalDiscount);
+  // Gift cards are emailed and never discounted, so shipping is charged on
+  // the rest
+  const shippedItems = this.items.filter(
+    (item) => !item.productSnapshot?.isGiftCard
+  );
+  const giftCardTotal = this.items
+    .filter((item) => item.productSnapshot?.isGiftCard)
+    .reduce((total, item) => total + item.priceAtAdd * item.quantity, 0);
+  this.shippingCost =
+    shippedItems.length > 0 && !this.coupon?.freeShipping
+      ? applyShippingRate(
+          this.shipping,
+          Math.max(0, discountedTotal - giftCardTotal)
+        )
+      : 0;
+  this.finalTotal = discountedTotal + this.shippingCost;
   return this.finalTotal;
 };
 
+// Method to set the shipping rate for the quoted pincode
+cartSchema.methods.setShipping = function (rate) {
+  this.shipping = {
+    pincode: rate.pincode,
+    zone: rate.zone,
+    charge: rate.charge,
+    freeShippingThreshold: rate.freeShippingThreshold,
+    estimatedDays: rate.estimatedDays,
+    codCharge: rate.codCharge,
+    quotedAt: new Date(),
+  };
+  this.calculateFinalTotal();
+  return this;
+};
+
 // Method to add item to cart
-cartSchema.methods.addItem = function (productData, quantity, price) {
-  const existingItemIndex = this.items.findIndex((item) => {
-    const itemProductId = item.productId._id || item.productId;
-    const newProductId = productData._id;
-    return itemProductId.toString() === newProductId.toString();
-  });
+cartSchema.methods.addItem = function (
+  productData,
+  quantity,
+  price,
+  variant = null
+) {
+  const variantId = variant?._id || null;
+  const existingItemIndex = this.items.findIndex((item) =>
+    isSameLine(item, productData._id, variantId)
+  );
 
   if (existingItemIndex > -1) {
     // Update existing item quantity
@@ -165,11 +383,20 @@ cartSchema.methods.addItem = function (productData, quantity, price) {
     // Add new item
     const newItem = {
       productId: productData._id,
+      variantId,
       productSnapshot: {
         title: productData.title,
-        sku: productData.sku,
-        image: productData.images?.[0] || {},
-        attributes: productData.attributes,
+        sku: variant?.sku || productData.sku,
+        image: variant?.images?.[0] || productData.images?.[0] || {},
+        attributes: {
+          size: variant?.attributes?.size || productData.attributes?.size,
+          potType:
+            variant?.attributes?.potType || productData.attributes?.potType,
+          color: variant?.attributes?.color || productData.attributes?.color,
+          indoorOutdoor: productData.attributes?.indoorOutdoor,
+        },
+        categories: productData.categories || [],
+        isGiftCard: Boolean(productData.isGiftCard),
       },
       quantity,
       priceAtAdd: price,
@@ -234,11 +461,19 @@ cartSchema.methods.clearCart = function () {
 // Method to apply coupon
 cartSchema.methods.applyCoupon = function (couponData, discountCalculation) {
   this.coupon = {
-    code: couponData.code,
+    couponId: couponData._id,
+    code: couponData.appliedCode,
     discountType: couponData.discountType,
     discountValue: couponData.discountValue,
     discountAmount: discountCalculation.discountAmount,
-    applicableProducts: couponData.applicableProducts,
+    freeShipping: Boolean(discountCalculation.freeShipping),
+    applicableProducts: [
+      ...new Set(
+        discountCalculation.applicableItems.map((item) =>
+          (item.productId._id || item.productId).toString()
+        )
+      ),
+    ],
   };
   this.calculateFinalTotal();
   return this;
@@ -256,11 +491,10 @@ cartSchema.methods.mergeWith = function (otherCart) {
   if (!otherCart || !otherCart.items) return this;
 
   otherCart.items.forEach((otherItem) => {
-    const existingItemIndex = this.items.findIndex((item) => {
-      const itemProductId = item.productId._id || item.productId;
-      const otherItemProductId = otherItem.productId._id || otherItem.productId;
-      return itemProductId.toString() === otherItemProductId.toString();
-    });
+    const otherItemProductId = otherItem.productId._id || otherItem.productId;
+    const existingItemIndex = this.items.findIndex((item) =>
+      isSameLine(item, otherItemProductId, otherItem.variantId)
+    );
 
     if (existingItemIndex > -1) {
       // Sum quantities, keep the latest price
@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+// One abandoned cart email and what came of it
+const cartRecoverySchema = new mongoose.Schema(
+  {
+    cartId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cart",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    // Cart value when the email went out
+    cartTotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    itemCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    couponCode: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+    clickedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when the customer places an order within the attribution window
+    recoveredAt: {
+      type: Date,
+      default: null,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    orderTotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+cartRecoverySchema.index({ userId: 1, sentAt: -1 });
+cartRecoverySchema.index({ cartId: 1, sentAt: -1 });
+cartRecoverySchema.index({ sentAt: -1 });
+
+// Static to credit an order to the latest open recovery email of the user
+cartRecoverySchema.statics.markRecovered = async function (
+  order,
+  attributionDays = 7
+) {
+  const since = new Date(Date.now() - attributionDays * 24 * 60 * 60 * 1000);
+
+  return this.findOneAndUpdate(
+    {
+      userId: order.customerId,
+      recoveredAt: null,
+      sentAt: { $gte: since },
+    },
+    {
+      recoveredAt: new Date(),
+      orderId: order._id,
+      orderTotal: order.totalAmount,
+    },
+    { sort: { sentAt: -1 }, new: true }
+  );
+};
+
+const CartRecovery = mongoose.model("CartRecovery", cartRecoverySchema);
+
+export default CartRecovery;
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// Named sequences for order and invoice numbering
+const counterSchema = new mongoose.Schema(
+  {
+    // Sequence key, e.g. "order" or "invoice:20251019"
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to atomically take the next value of a sequence.
+// `initial` seeds a missing counter (e.g. from numbers already issued) so a
+// new counter never hands out a number that is in use. Pass the session of
+// the surrounding transaction to roll the increment back with it.
+counterSchema.statics.next = async function (
+  key,
+  { session = null, initial = null } = {}
+) {
+  if (initial) {
+    const exists = await this.exists({ _id: key }).session(session);
+    if (!exists) {
+      const start = await initial();
+      await this.updateOne(
+        { _id: key },
+        { $setOnInsert: { seq: start } },
+        { upsert: true, session }
+      );
+    }
+  }
+
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+
+  return counter.seq;
+};
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+export default Counter;
@@ -1,4 +1,11 @@
 import mongoose from "mongoose";
+import Product from "./product.model.js";
+import CouponRedemption from "./couponRedemption.model.js";
+import CouponCode from "./couponCode.model.js";
+import { generateCode } from "../utils/couponCodes.js";
+
+export const COUPON_TYPES = ["percentage", "fixed", "free_shipping"];
+export const COUPON_SCOPES = ["products", "categories", "cart"];
 
 const couponSchema = new mongoose.Schema(
   {
@@ -11,17 +18,25 @@ const couponSchema = new mongoose.Schema(
       minlength: 3,
       maxlength: 20,
     },
+    // Percentage off, a fixed amount off, or free shipping
     discountType: {
       type: String,
-      enum: ["percentage"],
+      enum: COUPON_TYPES,
       default: "percentage",
       required: true,
     },
+    // Percent (1-100) or rupees; unused for free shipping
     discountValue: {
       type: Number,
-      required: true,
-      min: 1,
-      max: 100, // For percentage, max 100%
+      default: 0,
+      min: 0,
+    },
+    // What the discount applies to: the listed products, products in the
+    // listed categories, or the whole cart
+    scope: {
+      type: String,
+      enum: COUPON_SCOPES,
+      default: "products",
     },
     applicableProducts: [
       {
@@ -30,6 +45,24 @@ const couponSchema = new mongoose.Schema(
         required: true,
       },
     ],
+    applicableCategories: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    // Cart subtotal needed before the coupon can be used
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Cap on a percentage discount
+    maxDiscount: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
     startDate: {
       type: Date,
       required: true,
@@ -45,7 +78,16 @@ const couponSchema = new mongoose.Schema(
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      // System-issued coupons (e.g. cart recovery) have no admin creator
+      required: function () {
+        return !this.issuedTo;
+      },
+    },
+    // Customer a personal coupon was issued to; only they can use it
+    issuedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
     },
     usageCount: {
       type: Number,
@@ -55,6 +97,18 @@ const couponSchema = new mongoose.Schema(
       type: Number,
       default: null, // null means unlimited
     },
+    // Uses per customer; null means unlimited
+    usageLimitPerUser: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    // Campaign: the rules for a batch of unique single-use codes (see
+    // CouponCode). The campaign's own code can't be used at checkout.
+    isCampaign: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true,
@@ -66,6 +120,7 @@ couponSchema.index({ code: 1 });
 couponSchema.index({ isActive: 1 });
 couponSchema.index({ startDate: 1, endDate: 1 });
 couponSchema.index({ applicableProducts: 1 });
+couponSchema.index({ applicableCategories: 1 });
 
 // Virtual for checking if coupon is valid based on dates
 couponSchema.virtual("isDateValid").get(function () {
@@ -73,6 +128,12 @@ couponSchema.virtual("isDateValid").get(function () {
   return now >= this.startDate && now <= this.endDate;
 });
 
+// Virtual for the code the customer entered: one of the campaign's
+// unique codes (set by findByCode), or the coupon's own code
+couponSchema.virtual("appliedCode").get(function () {
+  return this.$locals.uniqueCode?.code || this.code;
+});
+
 // Method to check if coupon is fully valid
 couponSchema.methods.isValid = function () {
   const now = new Date();
@@ -82,8 +143,16 @@ couponSchema.methods.isValid = function () {
   return this.isActive && isDateValid && isUsageValid;
 };
 
+// Method to check if a personal coupon belongs to the user
+couponSchema.methods.isAvailableTo = function (userId) {
+  if (!this.issuedTo) return true;
+  return Boolean(userId) && this.issuedTo.toString() === userId.toString();
+};
+
 // Method to check if coupon applies to given products
 couponSchema.methods.isApplicableToProducts = function (productIds) {
+  if (this.scope === "cart") return productIds.length > 0;
+
   const applicableProductIds = this.applicableProducts.map((id) =>
     id.toString()
   );
@@ -92,42 +161,323 @@ couponSchema.methods.isApplicableToProducts = function (productIds) {
   );
 };
 
-// Method to calculate discount for given cart items
-couponSchema.methods.calculateDiscount = function (cartItems) {
-  if (!this.isValid()) return 0;
+// Method to check if a cart line is discounted. `categories` are the
+// product's categories, needed for category-scoped coupons.
+couponSchema.methods.appliesToItem = function (item, categories = []) {
+  if (this.scope === "cart") return true;
 
-  const applicableProductIds = this.applicableProducts.map((id) =>
-    id.toString()
+  if (this.scope === "categories") {
+    const applicable = this.applicableCategories.map((category) =>
+      category.toLowerCase()
+    );
+    return categories.some((category) =>
+      applicable.includes(String(category).toLowerCase())
+    );
+  }
+
+  const itemProductId = item.productId._id || item.productId;
+  return this.applicableProducts.some(
+    (productId) => productId.toString() === itemProductId.toString()
   );
+};
 
+// Method to calculate discount for given cart items. Free-shipping coupons
+// have no item discount; `freeShipping` is set instead. Gift cards
+// (`giftCardProductIds`) are never discounted, since they are worth their
+// full price.
+couponSchema.methods.calculateDiscount = function (
+  cartItems,
+  { categoriesByProduct = {}, giftCardProductIds = new Set() } = {}
+) {
   let applicableSubtotal = 0;
   const applicableItems = [];
 
-  cartItems.forEach((item) => {
-    const itemProductId = item.productId._id || item.productId;
-    if (applicableProductIds.includes(itemProductId.toString())) {
-      const itemTotal = item.priceAtAdd * item.quantity;
-      applicableSubtotal += itemTotal;
-      applicableItems.push(item);
-    }
-  });
-
-  if (applicableSubtotal === 0) return 0;
+  if (this.isValid()) {
+    cartItems.forEach((item) => {
+      const itemProductId = (item.productId._id || item.productId).toString();
+      if (giftCardProductIds.has(itemProductId)) return;
+      if (this.appliesToItem(item, categoriesByProduct[itemProductId])) {
+        applicableSubtotal += item.priceAtAdd * item.quantity;
+        applicableItems.push(item);
+      }
+    });
+  }
 
   let discountAmount = 0;
-  if (this.discountType === "percentage") {
-    discountAmount = Math.round(
-      (applicableSubtotal * this.discountValue) / 100
-    );
+  if (applicableSubtotal > 0) {
+    if (this.discountType === "percentage") {
+      discountAmount = Math.round(
+        (applicableSubtotal * this.discountValue) / 100
+      );
+      if (this.maxDiscount) {
+        discountAmount = Math.min(discountAmount, this.maxDiscount);
+      }
+    } else if (this.discountType === "fixed") {
+      discountAmount = Math.min(this.discountValue, applicableSubtotal);
+    }
   }
 
   return {
     discountAmount,
     applicableSubtotal,
     applicableItems,
+    freeShipping:
+      this.discountType === "free_shipping" && applicableSubtotal > 0,
   };
 };
 
+// Method to check every rule of the coupon against a cart. Returns
+// { discount } from calculateDiscount, or { error, status } when the
+// coupon can't be used.
+couponSchema.methods.checkCart = async function (
+  cartItems,
+  { userId = null, session = null } = {}
+) {
+  if (!this.isValid()) {
+    return { error: "Coupon is expired or inactive", status: 400 };
+  }
+  if (!this.isAvailableTo(userId)) {
+    return { error: "Invalid coupon code", status: 404 };
+  }
+  if (this.isCampaign) {
+    const uniqueCode = this.$locals.uniqueCode;
+    if (!uniqueCode) {
+      return { error: "Invalid coupon code", status: 404 };
+    }
+    if (uniqueCode.status !== "available") {
+      return { error: "This coupon code has already been used", status: 400 };
+    }
+  }
+
+  const subtotal = cartItems.reduce(
+    (total, item) => total + item.priceAtAdd * item.quantity,
+    0
+  );
+  if (subtotal < this.minOrderValue) {
+    return {
+      error: `Add items worth ₹${
+        this.minOrderValue - subtotal
+      } more to use this coupon`,
+      status: 400,
+    };
+  }
+
+  if (userId && this.usageLimitPerUser) {
+    const used = await CouponRedemption.countForUser(this._id, userId, {
+      session,
+    });
+    if (used >= this.usageLimitPerUser) {
+      return { error: "You have already used this coupon", status: 400 };
+    }
+  }
+
+  const categoriesByProduct = {};
+  const giftCardProductIds = new Set();
+  const productIds = cartItems.map(
+    (item) => item.productId._id || item.productId
+  );
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select("categories isGiftCard")
+    .session(session);
+  products.forEach((product) => {
+    categoriesByProduct[product._id.toString()] = product.categories;
+    if (product.isGiftCard) giftCardProductIds.add(product._id.toString());
+  });
+
+  const discount = this.calculateDiscount(cartItems, {
+    categoriesByProduct,
+    giftCardProductIds,
+  });
+  if (discount.discountAmount === 0 && !discount.freeShipping) {
+    return {
+      error: "Coupon is not applicable to any products in your cart",
+      status: 400,
+    };
+  }
+
+  return { discount };
+};
+
+// Static to record a use of a coupon by an order, inside the checkout
+// transaction. The usage count is incremented conditionally so the last
+// use can't be taken twice. Returns { redemption }, or { error } after
+// which the caller must abort the transaction.
+couponSchema.statics.redeem = async function (
+  coupon,
+  { userId, orderId, discountAmount = 0 },
+  { session = null } = {}
+) {
+  const now = new Date();
+  const updated = await this.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      startDate: { $lte: now },
+      endDate: { $gte: now },
+      $or: [
+        { maxUsage: null },
+        { $expr: { $lt: ["$usageCount", "$maxUsage"] } },
+      ],
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true, session }
+  );
+  if (!updated) {
+    return { error: `Coupon ${coupon.code} is no longer available` };
+  }
+
+  // The usage update above makes concurrent checkouts of the same coupon
+  // conflict, so this count can't be raced within a transaction
+  if (updated.usageLimitPerUser) {
+    const used = await CouponRedemption.countForUser(updated._id, userId, {
+      session,
+    });
+    if (used >= updated.usageLimitPerUser) {
+      return { error: `You have already used coupon ${coupon.appliedCode}` };
+    }
+  }
+
+  // A campaign code is single-use: only the first checkout can take it
+  const uniqueCode = coupon.$locals.uniqueCode;
+  if (uniqueCode) {
+    const taken = await CouponCode.updateOne(
+      { _id: uniqueCode._id, status: "available" },
+      {
+        status: "redeemed",
+        usedBy: userId,
+        orderId,
+        redeemedAt: new Date(),
+      },
+      { session }
+    );
+    if (taken.modifiedCount === 0) {
+      return { error: `Coupon ${uniqueCode.code} has already been used` };
+    }
+  }
+
+  const [redemption] = await CouponRedemption.create(
+    [
+      {
+        couponId: updated._id,
+        code: coupon.appliedCode,
+        userId,
+        orderId,
+        discountAmount,
+      },
+    ],
+    { session }
+  );
+  return { redemption };
+};
+
+// Static to give back the coupon uses of a cancelled order. Safe to call
+// more than once.
+couponSchema.statics.releaseForOrder = async function (
+  orderId,
+  { session = null } = {}
+) {
+  const redemptions = await CouponRedemption.find({
+    orderId,
+    status: "redeemed",
+  }).session(session);
+
+  for (const redemption of redemptions) {
+    const released = await CouponRedemption.updateOne(
+      { _id: redemption._id, status: "redeemed" },
+      { status: "released", releasedAt: new Date() },
+      { session }
+    );
+    if (released.modifiedCount > 0) {
+      await this.updateOne(
+        { _id: redemption.couponId, usageCount: { $gt: 0 } },
+        { $inc: { usageCount: -1 } },
+        { session }
+      );
+    }
+  }
+
+  // Single-use campaign codes can be used again
+  await CouponCode.updateMany(
+    { orderId, status: "redeemed" },
+    { status: "available", usedBy: null, orderId: null, redeemedAt: null },
+    { session }
+  );
+
+  return redemptions.length;
+};
+
+// Static to find the coupon for a code entered by a customer: a coupon's
+// own code, or a unique code of a campaign. Campaign codes are kept in
+// coupon.$locals.uniqueCode. Returns null for unknown codes and for the
+// code of a campaign itself.
+couponSchema.statics.findByCode = async function (
+  code,
+  { session = null } = {}
+) {
+  const normalized = String(code || "").trim().toUpperCase();
+  if (!normalized) return null;
+
+  const coupon = await this.findOne({ code: normalized }).session(session);
+  if (coupon) return coupon.isCampaign ? null : coupon;
+
+  const uniqueCode = await CouponCode.findOne({ code: normalized }).session(
+    session
+  );
+  if (!uniqueCode) return null;
+
+  const campaign = await this.findOne({
+    _id: uniqueCode.couponId,
+    isCampaign: true,
+  }).session(session);
+  if (!campaign) return null;
+
+  campaign.$locals.uniqueCode = uniqueCode;
+  return campaign;
+};
+
+// Method to generate unique codes for a campaign from a pattern (see
+// utils/couponCodes.js). Codes that collide with an existing code are
+// replaced, within a few attempts. Returns { batchId, created }.
+couponSchema.methods.generateCodes = async function ({
+  pattern,
+  count,
+  createdBy = null,
+}) {
+  const batchId = new mongoose.Types.ObjectId();
+  let created = 0;
+
+  for (let attempt = 0; attempt < 5 && created < count; attempt += 1) {
+    const candidates = new Set();
+    while (candidates.size < count - created) {
+      candidates.add(generateCode(pattern));
+    }
+
+    // Codes of other coupons can't be reused either
+    const taken = await this.constructor
+      .find({ code: { $in: [...candidates] } })
+      .distinct("code");
+    taken.forEach((code) => candidates.delete(code));
+
+    const codes = [...candidates].map((code) => ({
+      couponId: this._id,
+      code,
+      batchId,
+      createdBy,
+    }));
+    try {
+      const inserted = await CouponCode.insertMany(codes, { ordered: false });
+      created += inserted.length;
+    } catch (error) {
+      // Duplicates of existing campaign codes are skipped and replaced on
+      // the next attempt
+      if (error.code !== 11000) throw error;
+      created += error.insertedDocs?.length || 0;
+    }
+  }
+
+  return { batchId, created };
+};
+
 const Coupon = mongoose.model("Coupon", couponSchema);
 
 export default Coupon;
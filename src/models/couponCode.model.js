@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// Unique single-use code of a coupon campaign. The campaign coupon holds
+// the discount rules; each code can be redeemed by one order.
+const couponCodeSchema = new mongoose.Schema(
+  {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    // Codes generated by the same request, for exporting one batch
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["available", "redeemed"],
+      default: "available",
+    },
+    // Last redemption; cleared when its order is cancelled
+    usedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    redeemedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponCodeSchema.index({ couponId: 1, status: 1 });
+couponCodeSchema.index({ batchId: 1 });
+couponCodeSchema.index({ orderId: 1 });
+
+const CouponCode = mongoose.model("CouponCode", couponCodeSchema);
+
+export default CouponCode;
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+// One use of a coupon by an order. Released when the order is cancelled
+// so the use counts again towards the coupon and per-customer limits.
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ["redeemed", "released"],
+      default: "redeemed",
+    },
+    releasedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponRedemptionSchema.index({ couponId: 1, orderId: 1 }, { unique: true });
+couponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+couponRedemptionSchema.index({ orderId: 1, status: 1 });
+
+// Static to count a customer's current uses of a coupon
+couponRedemptionSchema.statics.countForUser = function (
+  couponId,
+  userId,
+  { session = null } = {}
+) {
+  return this.countDocuments({
+    couponId,
+    userId,
+    status: "redeemed",
+  }).session(session);
+};
+
+const CouponRedemption = mongoose.model(
+  "CouponRedemption",
+  couponRedemptionSchema
+);
+
+export default CouponRedemption;
@@ -0,0 +1,147 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// A device counts as online if it reported within this window
+export const ONLINE_WINDOW_MS = 10 * 60 * 1000;
+
+// Latest value of each sensor, kept on the device for quick listing
+const sensorReadingSchema = new mongoose.Schema(
+  {
+    moisture: Number, // %
+    temperature: Number, // °C
+    humidity: Number, // %
+    light: Number, // lux
+    battery: Number, // %
+    recordedAt: Date,
+  },
+  { _id: false }
+);
+
+const deviceSchema = new mongoose.Schema(
+  {
+    // Human-friendly device ID printed on the unit
+    deviceId: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    model: {
+      type: String,
+      trim: true,
+      default: "PM-100",
+    },
+    firmware: {
+      type: String,
+      trim: true,
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    // Plant the device is monitoring, if bought from the store
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+    // SHA-256 of the ingestion token; the token itself is shown once
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    lastSeen: {
+      type: Date,
+      default: null,
+    },
+    lastReading: {
+      type: sensorReadingSchema,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+deviceSchema.index({ ownerId: 1 });
+deviceSchema.index({ tokenHash: 1 });
+deviceSchema.index({ lastSeen: -1 });
+
+// Match a device by ObjectId or by the printed device ID
+export const deviceFilter = (id) =>
+  mongoose.isValidObjectId(id)
+    ? { _id: id }
+    : { deviceId: String(id).toUpperCase() };
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Virtual for online/offline status
+deviceSchema.virtual("status").get(function () {
+  if (!this.isActive) return "disabled";
+  if (!this.lastSeen) return "never_seen";
+  return Date.now() - this.lastSeen <= ONLINE_WINDOW_MS ? "online" : "offline";
+});
+
+// Method to issue a new ingestion token; returns the plain token
+deviceSchema.methods.generateToken = function () {
+  const token = `dev_${crypto.randomBytes(24).toString("hex")}`;
+  this.tokenHash = hashToken(token);
+  return token;
+};
+
+// Method to record the newest reading as the device's current state
+deviceSchema.methods.recordReading = function (reading) {
+  if (!this.lastReading || reading.recordedAt >= this.lastReading.recordedAt) {
+    this.lastReading = reading;
+  }
+  this.lastSeen = new Date();
+  return this;
+};
+
+// Static to find an active device by its ingestion token
+deviceSchema.statics.findByToken = function (token) {
+  if (!token) return null;
+  return this.findOne({ tokenHash: hashToken(token), isActive: true });
+};
+
+// Static to count devices that reported recently
+deviceSchema.statics.countOnline = function () {
+  return this.countDocuments({
+    isActive: true,
+    lastSeen: { $gte: new Date(Date.now() - ONLINE_WINDOW_MS) },
+  });
+};
+
+// Pre-validate middleware to generate the device ID
+deviceSchema.pre("validate", function (next) {
+  if (this.isNew && !this.deviceId) {
+    this.deviceId = `DEV-${crypto.randomBytes(4).toString("hex")}`;
+  }
+  next();
+});
+
+const Device = mongoose.model("Device", deviceSchema);
+
+export default Device;
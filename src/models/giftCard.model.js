@@ -0,0 +1,177 @@
+import mongoose from "mongoose";
+import Order from "./order.model.js";
+import { generateCode } from "../utils/couponCodes.js";
+
+export const GIFT_CARD_VALIDITY_DAYS = 365;
+
+export const GIFT_CARD_CODE_PATTERN = "GIFT-####-####-####";
+
+// Gift card bought as a product (or issued by an admin). The recipient
+// redeems the code into their store credit wallet.
+const giftCardSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: ["active", "redeemed", "cancelled"],
+      default: "active",
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    purchasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    recipientName: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    recipientEmail: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    redeemedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    redeemedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+giftCardSchema.index({ orderId: 1 });
+giftCardSchema.index({ status: 1, expiresAt: 1 });
+giftCardSchema.index({ recipientEmail: 1 });
+
+// Virtual for checking if the card can still be redeemed
+giftCardSchema.virtual("isRedeemable").get(function () {
+  return this.status === "active" && this.expiresAt > new Date();
+});
+
+// Static to issue one card per gift card unit of a paid order. Returns
+// the new cards; an order whose cards were issued already gets none.
+giftCardSchema.statics.issueForOrder = async function (
+  order,
+  { session = null } = {}
+) {
+  if (!order.items.some((item) => item.isGiftCard)) return [];
+
+  // Claim the issue first: paid events for an order can arrive together
+  // (e.g. payment.captured and order.paid) and only one may issue
+  const claimed = await Order.updateOne(
+    { _id: order._id, giftCardsIssuedAt: null },
+    { $set: { giftCardsIssuedAt: new Date() } },
+    { session }
+  );
+  if (claimed.modifiedCount === 0) return [];
+
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + GIFT_CARD_VALIDITY_DAYS);
+
+  const recipient = order.giftCardRecipient || {};
+  const cards = [];
+  order.items
+    .filter((item) => item.isGiftCard)
+    .forEach((item) => {
+      for (let unit = 0; unit < item.quantity; unit += 1) {
+        cards.push({
+          code: generateCode(GIFT_CARD_CODE_PATTERN),
+          value: item.price,
+          orderId: order._id,
+          productId: item.productId,
+          purchasedBy: order.customerId._id || order.customerId,
+          recipientName: recipient.name || order.billingAddress?.fullName,
+          recipientEmail: recipient.email || order.billingAddress?.email,
+          message: recipient.message,
+          expiresAt,
+        });
+      }
+    });
+
+  try {
+    return await this.insertMany(cards, { session });
+  } catch (error) {
+    // Give the claim back so a later paid event can issue them
+    if (!session) {
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: { giftCardsIssuedAt: null } }
+      );
+    }
+    throw error;
+  }
+};
+
+// Static to cancel the unredeemed cards of a cancelled order. Cards that
+// were already redeemed stay in the recipient's wallet.
+giftCardSchema.statics.cancelForOrder = function (
+  orderId,
+  { session = null } = {}
+) {
+  return this.updateMany(
+    { orderId, status: "active" },
+    { status: "cancelled", cancelledAt: new Date() },
+    { session }
+  );
+};
+
+// Static to total the value of an order's cards that were redeemed
+giftCardSchema.statics.getRedeemedValue = async function (
+  orderId,
+  { session = null } = {}
+) {
+  const cards = await this.find({ orderId, status: "redeemed" })
+    .select("value")
+    .session(session);
+  return cards.reduce((sum, card) => sum + card.value, 0);
+};
+
+const GiftCard = mongoose.model("GiftCard", giftCardSchema);
+
+export default GiftCard;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { generateInvoiceNumber } from "../utils/numbering.js";
 
 // Invoice item schema for detailed line items
 const invoiceItemSchema = new mongoose.Schema(
@@ -8,6 +9,10 @@ const invoiceItemSchema = new mongoose.Schema(
       ref: "Product",
       required: true,
     },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
     name: {
       type: String,
       required: true,
@@ -46,6 +51,10 @@ const invoiceItemSchema = new mongoose.Schema(
       min: 0,
       max: 100,
     },
+    taxableValue: {
+      type: Number,
+      min: 0,
+    },
     taxAmount: {
       type: Number,
       default: 0,
@@ -179,11 +188,20 @@ const invoiceSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    codCharge: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     totalTax: {
       type: Number,
       default: 0,
       min: 0,
     },
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false,
+    },
     adjustments: {
       type: Number,
       default: 0,
@@ -228,6 +246,44 @@ const invoiceSchema = new mongoose.Schema(
       },
     },
 
+    // Automatic promotions from the order
+    promotions: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        discount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+      },
+    ],
+
+    // Loyalty points redeemed on the order
+    loyalty: {
+      pointsRedeemed: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      discount: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
+
+    // Part of the total paid from store credit; the rest was paid by
+    // paymentMethod
+    walletAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
     // Tax breakdown
     taxes: [
       {
@@ -403,13 +459,18 @@ invoiceSchema.methods.calculateTotals = function () {
     0
   );
   this.totalDiscount = this.items.reduce((sum, item) => sum + item.discount, 0);
-  this.totalTax = this.items.reduce((sum, item) => sum + item.taxAmount, 0);
+  this.totalTax =
+    Math.round(
+      this.items.reduce((sum, item) => sum + item.taxAmount, 0) * 100
+    ) / 100;
 
+  // Tax-inclusive prices already carry the tax in the subtotal
   this.grandTotal =
     this.subtotal -
     this.totalDiscount +
     this.shippingCost +
-    this.totalTax +
+    (this.codCharge || 0) +
+    (this.pricesIncludeTax ? 0 : this.totalTax) +
     (this.adjustments || 0);
 
   // Apply coupon discount
@@ -417,30 +478,27 @@ invoiceSchema.methods.calculateTotals = function () {
     this.grandTotal -= this.coupon.discount;
   }
 
+  // Apply promotion discounts
+  (this.promotions || []).forEach((promotion) => {
+    this.grandTotal -= promotion.discount;
+  });
+
+  // Apply loyalty points redeemed
+  if (this.loyalty && this.loyalty.discount) {
+    this.grandTotal -= this.loyalty.discount;
+  }
+
   // Ensure grand total is not negative
   this.grandTotal = Math.max(0, this.grandTotal);
 };
 
-// Method to generate invoice number
+// Method to generate invoice number from the settings number format
 invoiceSchema.methods.generateInvoiceNumber = async function () {
   if (!this.invoiceNumber) {
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, "0");
-    const day = String(today.getDate()).padStart(2, "0");
-
-    // Count invoices created today
-    const dailyCount = await mongoose.model("Invoice").countDocuments({
-      invoiceDate: {
-        $gte: new Date(year, today.getMonth(), today.getDate()),
-        $lt: new Date(year, today.getMonth(), today.getDate() + 1),
-      },
-      isDeleted: { $ne: true },
+    this.invoiceNumber = await generateInvoiceNumber({
+      date: this.invoiceDate,
+      session: this.$session(),
     });
-
-    this.invoiceNumber = `INV-${year}${month}${day}-${String(
-      dailyCount + 1
-    ).padStart(6, "0")}`;
   }
   return this.invoiceNumber;
 };
@@ -459,10 +517,17 @@ invoiceSchema.methods.markEmailSent = function (recipient) {
   this.emailSentTo = recipient;
 };
 
+// Pre-validate middleware (invoiceNumber is required)
+invoiceSchema.pre("validate", async function (next) {
+  if (this.isNew) {
+    await this.generateInvoiceNumber();
+  }
+  next();
+});
+
 // Pre-save middleware
 invoiceSchema.pre("save", async function (next) {
   if (this.isNew) {
-    await this.generateInvoiceNumber();
     this.calculateTotals();
   }
   next();
@@ -0,0 +1,431 @@
+import mongoose from "mongoose";
+import Order from "./order.model.js";
+import Settings from "./settings.model.js";
+import User from "./user.model.js";
+import { calculateEarnedPoints, getEarnableAmount } from "../utils/loyalty.js";
+
+export const LOYALTY_TYPES = [
+  "earn",
+  "redeem",
+  "restore",
+  "reverse",
+  "expire",
+  "adjust",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One change to a customer's loyalty points: positive points are added,
+// negative ones taken. The running balance is kept on User.loyaltyPoints
+// and copied onto every entry. Entries that add points are also lots that
+// expire: remainingPoints is what is left of them after later entries
+// took points, oldest expiry first.
+const loyaltyTransactionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: LOYALTY_TYPES,
+      required: true,
+    },
+    points: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    remainingPoints: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Null when points don't expire
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Admin who made an adjustment
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loyaltyTransactionSchema.index({ userId: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ userId: 1, remainingPoints: 1 });
+loyaltyTransactionSchema.index({ expiresAt: 1, remainingPoints: 1 });
+loyaltyTransactionSchema.index({ orderId: 1 });
+
+const expiryTime = (lot) =>
+  lot.expiresAt ? lot.expiresAt.getTime() : Number.MAX_SAFE_INTEGER;
+
+// Helper function to write one ledger entry
+const record = async (
+  model,
+  userId,
+  points,
+  balanceAfter,
+  details,
+  session
+) => {
+  const [entry] = await model.create(
+    [{ ...details, userId, points, balanceAfter }],
+    { session }
+  );
+  return entry;
+};
+
+// Helper function to take points off the balance. The decrement is
+// conditional so the balance can't go below zero; with `partial`, a short
+// balance gives up what it has. Returns { user, points } or null.
+const deductBalance = async (userId, points, { session, partial }) => {
+  let take = points;
+  if (partial) {
+    const current = await User.findById(userId)
+      .select("loyaltyPoints")
+      .session(session);
+    take = Math.min(points, current?.loyaltyPoints || 0);
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, loyaltyPoints: { $gte: take } },
+    { $inc: { loyaltyPoints: -take } },
+    { new: true, session }
+  ).select("loyaltyPoints");
+  return user ? { user, points: take } : null;
+};
+
+// Static to add points as a new lot that expires after `expiryDays`
+// (0 = never). Returns the ledger entry.
+loyaltyTransactionSchema.statics.credit = async function (
+  userId,
+  points,
+  details = {},
+  { session = null, expiryDays = 0 } = {}
+) {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { loyaltyPoints: points } },
+    { new: true, session }
+  ).select("loyaltyPoints");
+  if (!user) throw new Error("User not found");
+
+  return record(
+    this,
+    userId,
+    points,
+    user.loyaltyPoints,
+    {
+      ...details,
+      remainingPoints: points,
+      expiresAt:
+        expiryDays > 0 ? new Date(Date.now() + expiryDays * DAY_MS) : null,
+    },
+    session
+  );
+};
+
+// Static to take points, using up the lots that expire first. Returns
+// { entry, points }, or { error } after which the caller must abort its
+// transaction. With `partial`, a short balance gives up what it has
+// (entry is null when that is nothing).
+loyaltyTransactionSchema.statics.debit = async function (
+  userId,
+  points,
+  details = {},
+  { session = null, partial = false } = {}
+) {
+  const deducted = await deductBalance(userId, points, { session, partial });
+  if (!deducted) return { error: "Not enough loyalty points" };
+  if (deducted.points === 0) return { entry: null, points: 0 };
+
+  const lots = await this.find({ userId, remainingPoints: { $gt: 0 } })
+    .sort({ createdAt: 1 })
+    .session(session);
+  lots.sort((a, b) => expiryTime(a) - expiryTime(b));
+
+  let left = deducted.points;
+  for (const lot of lots) {
+    if (left === 0) break;
+    const take = Math.min(lot.remainingPoints, left);
+    lot.remainingPoints -= take;
+    left -= take;
+    await lot.save({ session });
+  }
+
+  const entry = await record(
+    this,
+    userId,
+    -deducted.points,
+    deducted.user.loyaltyPoints,
+    details,
+    session
+  );
+  return { entry, points: deducted.points };
+};
+
+// Static to award the points for a delivered order at the customer's
+// tier, and count the order in their purchase stats. Orders delivered
+// before the programme was switched on earn nothing. The order is claimed
+// first so this only happens once. Returns the points awarded.
+loyaltyTransactionSchema.statics.awardForOrder = async function (
+  order,
+  loyalty = {},
+  { session = null } = {}
+) {
+  const user = await User.findById(order.customerId)
+    .select("totalSpent totalOrders")
+    .session(session);
+  if (!user) return 0;
+
+  const earnedOn = getEarnableAmount(order);
+  const deliveredAt = order.fulfillment?.deliveredAt;
+  const earns =
+    loyalty.enabled &&
+    loyalty.enabledAt &&
+    deliveredAt &&
+    deliveredAt >= loyalty.enabledAt;
+  const points = earns
+    ? calculateEarnedPoints(loyalty, earnedOn, user.totalSpent)
+    : 0;
+
+  const claimed = await Order.updateOne(
+    { _id: order._id, "loyalty.earnedAt": null },
+    {
+      $set: {
+        "loyalty.earnedAt": new Date(),
+        "loyalty.pointsEarned": points,
+        "loyalty.earnedOn": earnedOn,
+      },
+    },
+    { session }
+  );
+  if (claimed.modifiedCount === 0) return 0;
+
+  user.updatePurchaseStats(order.totalAmount);
+  await user.save({ session });
+
+  if (points > 0) {
+    await this.credit(
+      user._id,
+      points,
+      {
+        type: "earn",
+        orderId: order._id,
+        description: `Order ${order.orderNumber} delivered`,
+      },
+      { session, expiryDays: loyalty.expiryDays }
+    );
+  }
+  return points;
+};
+
+// Static to take back the share of an order's points earned on a
+// refunded return, and its amount from the customer's spend. Returns the
+// points taken.
+loyaltyTransactionSchema.statics.reverseForReturn = async function (
+  order,
+  request,
+  { session = null } = {}
+) {
+  // Claimed with a fresh copy of the order's points, since an earlier
+  // return may have taken some back
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      returns: { $elemMatch: { _id: request._id, loyaltyPostedAt: null } },
+    },
+    { $set: { "returns.$.loyaltyPostedAt": new Date() } },
+    { session }
+  ).select("loyalty");
+  if (!claimed) return 0;
+
+  await User.updateOne(
+    { _id: order.customerId },
+    [
+      {
+        $set: {
+          totalSpent: {
+            $max: [0, { $subtract: ["$totalSpent", request.refundAmount] }],
+          },
+        },
+      },
+    ],
+    { session }
+  );
+
+  const { pointsEarned, pointsReversed, earnedOn } = claimed.loyalty;
+  const owed = pointsEarned - pointsReversed;
+  const share =
+    earnedOn > 0
+      ? Math.min(
+          owed,
+          Math.round((pointsEarned * request.refundAmount) / earnedOn)
+        )
+      : 0;
+  if (share <= 0) return 0;
+
+  // The customer may have spent the points already; what they still have
+  // is taken, but the order counts the whole share as taken back
+  await Order.updateOne(
+    { _id: order._id },
+    { $inc: { "loyalty.pointsReversed": share } },
+    { session }
+  );
+  const { points } = await this.debit(
+    order.customerId,
+    share,
+    {
+      type: "reverse",
+      orderId: order._id,
+      description: `Return ${request.rmaNumber} refunded`,
+    },
+    { session, partial: true }
+  );
+  return points;
+};
+
+// Static to settle the points of a cancelled order: points redeemed on it
+// are given back, and points earned on it (cancelled after delivery) are
+// taken back along with the order from the purchase stats. Safe to call
+// more than once.
+loyaltyTransactionSchema.statics.releaseForOrder = async function (
+  order,
+  { session = null } = {}
+) {
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      "loyalty.releasedAt": null,
+      $or: [
+        { "loyalty.pointsRedeemed": { $gt: 0 } },
+        { "loyalty.earnedAt": { $ne: null } },
+      ],
+    },
+    { $set: { "loyalty.releasedAt": new Date() } },
+    { session }
+  ).select("orderNumber customerId totalAmount loyalty returns");
+  if (!claimed) return;
+
+  const userId = claimed.customerId;
+  const { pointsRedeemed, pointsEarned, pointsReversed, earnedAt } =
+    claimed.loyalty;
+
+  if (pointsRedeemed > 0) {
+    const settings = await Settings.getSettings();
+    await this.credit(
+      userId,
+      pointsRedeemed,
+      {
+        type: "restore",
+        orderId: claimed._id,
+        description: `Order ${claimed.orderNumber} cancelled`,
+      },
+      { session, expiryDays: settings.loyalty?.expiryDays }
+    );
+  }
+
+  if (!earnedAt) return;
+
+  // Refunded returns already came off the spend
+  const refunded = claimed.returns
+    .filter((request) => request.loyaltyPostedAt)
+    .reduce((sum, request) => sum + request.refundAmount, 0);
+  const spent = Math.max(0, claimed.totalAmount - refunded);
+  await User.updateOne(
+    { _id: userId },
+    [
+      {
+        $set: {
+          totalSpent: { $max: [0, { $subtract: ["$totalSpent", spent] }] },
+          totalOrders: { $max: [0, { $subtract: ["$totalOrders", 1] }] },
+        },
+      },
+    ],
+    { session }
+  );
+
+  const owed = pointsEarned - pointsReversed;
+  if (owed <= 0) return;
+
+  await Order.updateOne(
+    { _id: claimed._id },
+    { $set: { "loyalty.pointsReversed": pointsEarned } },
+    { session }
+  );
+  await this.debit(
+    userId,
+    owed,
+    {
+      type: "reverse",
+      orderId: claimed._id,
+      description: `Order ${claimed.orderNumber} cancelled`,
+    },
+    { session, partial: true }
+  );
+};
+
+// Static to expire what is left of a lot. Returns the points expired.
+loyaltyTransactionSchema.statics.expireLot = async function (
+  lot,
+  { session = null } = {}
+) {
+  if (lot.remainingPoints <= 0) return 0;
+
+  // Claimed conditionally in case a debit used some of it meanwhile
+  const claimed = await this.findOneAndUpdate(
+    { _id: lot._id, remainingPoints: lot.remainingPoints },
+    { $set: { remainingPoints: 0 } },
+    { session }
+  );
+  if (!claimed) return 0;
+
+  const deducted = await deductBalance(lot.userId, lot.remainingPoints, {
+    session,
+    partial: true,
+  });
+  if (!deducted?.points) return 0;
+
+  await record(
+    this,
+    lot.userId,
+    -deducted.points,
+    deducted.user.loyaltyPoints,
+    {
+      type: "expire",
+      orderId: lot.orderId,
+      description: `${deducted.points} points expired`,
+    },
+    session
+  );
+  return deducted.points;
+};
+
+const LoyaltyTransaction = mongoose.model(
+  "LoyaltyTransaction",
+  loyaltyTransactionSchema
+);
+
+export default LoyaltyTransaction;
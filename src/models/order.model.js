@@ -1,4 +1,11 @@
 import mongoose from "mongoose";
+import { generateOrderNumbers } from "../utils/numbering.js";
+
+// Statuses a customer can still cancel from
+export const CANCELLABLE_STATUSES = ["pending", "confirmed"];
+
+// Admins can also cancel an order that is packed but not yet shipped
+export const ADMIN_CANCELLABLE_STATUSES = [...CANCELLABLE_STATUSES, "packed"];
 
 // Enhanced order item schema with SKU and HSN for invoicing
 const orderItemSchema = new mongoose.Schema(
@@ -8,6 +15,16 @@ const orderItemSchema = new mongoose.Schema(
       ref: "Product",
       required: true,
     },
+    // Variant the customer chose, with its SKU and attributes copied below
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Seller of the product when the order was placed
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     title: {
       type: String,
       required: true,
@@ -44,6 +61,11 @@ const orderItemSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Gift card product; one card per unit is issued once the order is paid
+    isGiftCard: {
+      type: Boolean,
+      default: false,
+    },
     discount: {
       type: Number,
       default: 0,
@@ -54,6 +76,43 @@ const orderItemSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    taxRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    taxableValue: {
+      type: Number,
+      min: 0,
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// GST breakdown line (CGST/SGST or IGST per rate)
+const taxLineSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
   },
   { _id: false }
 );
@@ -109,6 +168,31 @@ const shippingAddressSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Automatic promotion applied to the order
+const orderPromotionSchema = new mongoose.Schema(
+  {
+    promotionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      trim: true,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
 // Notes schema for admin and public notes
 const noteSchema = new mongoose.Schema(
   {
@@ -173,6 +257,115 @@ const auditSchema = new mongoose.Schema(
   { _id: true }
 );
 
+// Item line of a return request
+const returnItemSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    sku: {
+      type: String,
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500,
+    },
+    // Amount paid for the returned units (after discounts, with tax)
+    refundAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Return merchandise authorisation (RMA) raised by the customer
+const returnRequestSchema = new mongoose.Schema(
+  {
+    rmaNumber: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    items: {
+      type: [returnItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "A return needs at least one item",
+      },
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    images: [
+      {
+        url: {
+          type: String,
+          required: true,
+        },
+        fileId: String,
+        alt: {
+          type: String,
+          default: "",
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["requested", "approved", "rejected", "received", "refunded"],
+      default: "requested",
+    },
+    refundAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+    adminNote: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    approvedAt: Date,
+    rejectedAt: Date,
+    receivedAt: Date,
+    refundedAt: Date,
+    // Set once the refund is deducted from seller ledgers
+    sellerLedgerPostedAt: Date,
+    // Set once the points earned on the refunded units are taken back
+    loyaltyPostedAt: Date,
+  },
+  { _id: true }
+);
+
 // Billing address schema (same structure as shipping for consistency)
 const billingAddressSchema = new mongoose.Schema(
   {
@@ -268,6 +461,30 @@ const orderSchema = new mongoose.Schema(
     shippingAddress: shippingAddressSchema,
     billingAddress: billingAddressSchema,
 
+    // Who the gift cards in the order are emailed to
+    giftCardRecipient: {
+      name: {
+        type: String,
+        trim: true,
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+      message: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+      },
+    },
+    // Set when the order's gift cards are issued, so they are only issued
+    // once however many paid events arrive
+    giftCardsIssuedAt: {
+      type: Date,
+      default: null,
+    },
+
     // Enhanced payment tracking
     payment: {
       method: {
@@ -288,6 +505,17 @@ const orderSchema = new mongoose.Schema(
         type: String,
         trim: true,
       },
+      intentId: {
+        type: String,
+        trim: true,
+      },
+      paidAt: {
+        type: Date,
+      },
+      failureReason: {
+        type: String,
+        trim: true,
+      },
       refundAmount: {
         type: Number,
         default: 0,
@@ -304,6 +532,19 @@ const orderSchema = new mongoose.Schema(
       refundedAt: {
         type: Date,
       },
+      // Part of the total paid from store credit; the rest is due through
+      // the payment method ("wallet" when store credit paid it all)
+      walletAmount: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      // Part of refundAmount credited to the customer's wallet
+      storeCreditRefunded: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
     },
 
     // Enhanced fulfillment tracking
@@ -353,11 +594,25 @@ const orderSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    codCharge: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    shippingZone: {
+      type: String,
+      trim: true,
+    },
     taxAmount: {
       type: Number,
       default: 0,
       min: 0,
     },
+    taxes: [taxLineSchema],
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false,
+    },
     discountAmount: {
       type: Number,
       default: 0,
@@ -388,12 +643,62 @@ const orderSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Free-shipping coupons record the waived charge as the discount
+      freeShipping: {
+        type: Boolean,
+        default: false,
+      },
       couponId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Coupon",
       },
     },
 
+    // Automatic promotions applied at checkout (included in discountAmount)
+    promotions: [orderPromotionSchema],
+
+    // Loyalty points redeemed at checkout (their discount is included in
+    // discountAmount) and earned once the order is delivered
+    loyalty: {
+      pointsRedeemed: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      redeemDiscount: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      pointsEarned: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      // Product value the points were earned on, to take back a share
+      // of them for returns
+      earnedOn: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      pointsReversed: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      earnedAt: {
+        type: Date,
+        default: null,
+      },
+      // Set when a cancellation gives back the redeemed points and takes
+      // back the earned ones
+      releasedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+
     // Notes and communication
     notes: {
       public: [noteSchema],
@@ -403,6 +708,15 @@ const orderSchema = new mongoose.Schema(
     // Audit trail
     audit: [auditSchema],
 
+    // Returns (RMA)
+    returns: [returnRequestSchema],
+
+    // Set once delivered lines are posted to seller ledgers
+    sellerLedgerPostedAt: {
+      type: Date,
+      default: null,
+    },
+
     // Soft delete
     isArchived: {
       type: Boolean,
@@ -465,12 +779,15 @@ orderSchema.index({ customerId: 1 });
 orderSchema.index({ orderId: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ "payment.status": 1 });
+orderSchema.index({ "payment.intentId": 1 });
 orderSchema.index({ "fulfillment.status": 1 });
 orderSchema.index({ "fulfillment.trackingNumber": 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ "items.productId": 1 });
+orderSchema.index({ "items.sellerId": 1, createdAt: -1 });
 orderSchema.index({ isArchived: 1 });
 orderSchema.index({ invoiceNumber: 1 });
+orderSchema.index({ "returns.status": 1 });
 
 // Virtual for order age
 orderSchema.virtual("orderAge").get(function () {
@@ -480,27 +797,190 @@ orderSchema.virtual("orderAge").get(function () {
 // Method to calculate totals
 orderSchema.methods.calculateTotals = function () {
   this.subtotal = this.items.reduce((sum, item) => sum + item.total, 0);
+  // Tax-inclusive prices already carry the tax in the subtotal
+  const addedTax = this.pricesIncludeTax ? 0 : this.taxAmount;
   this.totalAmount =
     this.subtotal +
     this.shippingCost +
-    this.taxAmount -
+    (this.codCharge || 0) +
+    addedTax -
     this.discountAmount +
     (this.adjustments || 0);
 };
 
 // Method to check if order can be cancelled
 orderSchema.methods.canCancel = function () {
-  return ["pending", "confirmed"].includes(this.status);
+  return CANCELLABLE_STATUSES.includes(this.status);
 };
 
-// Method to check if order can be returned
-orderSchema.methods.canReturn = function () {
+// Method to check if order can be returned under settings.orders.returnPolicy
+orderSchema.methods.canReturn = function (returnPolicy = {}) {
+  if (returnPolicy.enabled === false) return false;
   if (this.status !== "delivered" || !this.fulfillment?.deliveredAt)
     return false;
   const daysSinceDelivery = Math.floor(
     (Date.now() - this.fulfillment.deliveredAt) / (1000 * 60 * 60 * 24)
   );
-  return daysSinceDelivery <= 30; // 30-day return policy
+  return daysSinceDelivery <= (returnPolicy.daysLimit || 30);
+};
+
+// Method to get units of an item still open for return (rejected
+// returns give their units back)
+orderSchema.methods.getReturnableQuantity = function (productId, variantId) {
+  const sameLine = (line) =>
+    line.productId.toString() === productId.toString() &&
+    String(line.variantId || "") === String(variantId || "");
+
+  const item = this.items.find(sameLine);
+  if (!item) return 0;
+
+  const returned = this.returns
+    .filter((request) => request.status !== "rejected")
+    .reduce(
+      (total, request) =>
+        total +
+        request.items
+          .filter(sameLine)
+          .reduce((sum, line) => sum + line.quantity, 0),
+      0
+    );
+
+  return Math.max(0, item.quantity - returned);
+};
+
+// Method to get the amount paid per unit of an item. Taxable value plus
+// tax is what the customer paid after discounts in both pricing modes.
+orderSchema.methods.getUnitRefund = function (item) {
+  const paid =
+    item.taxableValue !== undefined && item.taxableValue !== null
+      ? item.taxableValue + (item.taxAmount || 0)
+      : item.total - (item.discount || 0);
+  return Math.round((paid / item.quantity) * 100) / 100;
+};
+
+// Method to raise a return request with audit trail
+orderSchema.methods.requestReturn = function (
+  { items, comment, images = [] },
+  customerName
+) {
+  const returnItems = items.map((line) => {
+    const item = this.items.find(
+      (orderItem) =>
+        orderItem.productId.toString() === line.productId.toString() &&
+        String(orderItem.variantId || "") === String(line.variantId || "")
+    );
+    const unitRefund = this.getUnitRefund(item);
+
+    return {
+      productId: item.productId,
+      variantId: item.variantId,
+      title: item.title,
+      sku: item.sku,
+      quantity: line.quantity,
+      reason: line.reason,
+      refundAmount: Math.round(unitRefund * line.quantity * 100) / 100,
+    };
+  });
+
+  const request = {
+    rmaNumber: `RMA-${this.orderNumber}-${this.returns.length + 1}`,
+    items: returnItems,
+    comment,
+    images,
+    refundAmount: returnItems.reduce(
+      (total, item) => total + item.refundAmount,
+      0
+    ),
+  };
+  this.returns.push(request);
+
+  const created = this.returns[this.returns.length - 1];
+  this.addAuditLog(
+    `Return ${created.rmaNumber} requested`,
+    this.customerId,
+    customerName || "Customer",
+    null,
+    "requested",
+    comment
+  );
+  return created;
+};
+
+// Method to move a return to its next status with audit trail
+orderSchema.methods.updateReturnStatus = function (
+  returnId,
+  newStatus,
+  adminId,
+  adminName,
+  note
+) {
+  const request = this.returns.id(returnId);
+  const oldStatus = request.status;
+
+  request.status = newStatus;
+  request[`${newStatus}At`] = new Date();
+  if (note) request.adminNote = note;
+
+  this.addAuditLog(
+    `Return ${request.rmaNumber} ${newStatus}`,
+    adminId,
+    adminName,
+    oldStatus,
+    newStatus,
+    note
+  );
+  return request;
+};
+
+// Method to record a refund with audit trail. The caller credits the
+// wallet for refunds made to store credit.
+orderSchema.methods.recordRefund = function (
+  amount,
+  { reason, type = "partial", toStoreCredit = false } = {},
+  adminId,
+  adminName
+) {
+  const maxRefund = this.totalAmount - (this.payment.refundAmount || 0);
+  if (amount > maxRefund) {
+    throw new Error(`Refund amount cannot exceed ${maxRefund}`);
+  }
+
+  // Update payment details
+  this.payment.refundAmount = (this.payment.refundAmount || 0) + amount;
+  this.payment.refundReason = reason || "Refund processed";
+  this.payment.refundType = type;
+  this.payment.refundedAt = new Date();
+  if (toStoreCredit) {
+    this.payment.storeCreditRefunded =
+      (this.payment.storeCreditRefunded || 0) + amount;
+  }
+
+  // Update payment status
+  if (this.payment.refundAmount >= this.totalAmount) {
+    this.payment.status = "refunded";
+    if (this.status !== "refunded") {
+      this.updateStatus(
+        "refunded",
+        adminId,
+        adminName,
+        `Full refund of ₹${amount} processed`
+      );
+    }
+  } else {
+    this.payment.status = "partially_refunded";
+  }
+
+  // Add audit log
+  this.addAuditLog(
+    "Refund processed",
+    adminId,
+    adminName,
+    null,
+    null,
+    `${type} refund of ₹${amount}${
+      toStoreCredit ? " to store credit" : ""
+    }: ${reason}`
+  );
 };
 
 // Method to add audit log
@@ -583,38 +1063,50 @@ orderSchema.methods.updateStatus = function (
   );
 };
 
-// Pre-save middleware to generate order ID and number
-orderSchema.pre("save", async function (next) {
-  if (this.isNew) {
-    if (!this.orderNumber) {
-      const count = await mongoose.model("Order").countDocuments();
-      this.orderNumber = `ORD${String(count + 1).padStart(6, "0")}`;
-    }
+// Method to apply a payment gateway result with audit trail
+orderSchema.methods.updatePaymentStatus = function (
+  newStatus,
+  { gateway, transactionId, failureReason } = {}
+) {
+  const oldStatus = this.payment.status;
+  this.payment.status = newStatus;
+  if (gateway) this.payment.gateway = gateway;
+  if (transactionId) this.payment.transactionId = transactionId;
 
-    if (!this.orderId) {
-      // Generate human-friendly order ID: ORD-YYYYMMDD-NNNNNN
-      const today = new Date();
-      const dateStr = today.toISOString().slice(0, 10).replace(/-/g, "");
-      const dailyCount = await mongoose.model("Order").countDocuments({
-        createdAt: {
-          $gte: new Date(
-            today.getFullYear(),
-            today.getMonth(),
-            today.getDate()
-          ),
-          $lt: new Date(
-            today.getFullYear(),
-            today.getMonth(),
-            today.getDate() + 1
-          ),
-        },
-      });
-      this.orderId = `ORD-${dateStr}-${String(dailyCount + 1).padStart(
-        6,
-        "0"
-      )}`;
+  if (newStatus === "paid") {
+    this.payment.paidAt = new Date();
+    this.payment.failureReason = undefined;
+    if (this.status === "pending") {
+      this.status = "confirmed";
     }
+  } else if (newStatus === "failed") {
+    this.payment.failureReason = failureReason || "Payment failed";
+  }
+
+  // Gateway callbacks are not tied to an admin, log them as System
+  this.addAuditLog(
+    `Payment ${newStatus}`,
+    this.customerId,
+    "System",
+    oldStatus,
+    newStatus,
+    gateway ? `Gateway: ${gateway}` : null
+  );
+};
+
+// Pre-validate middleware to generate order ID and number (both are required)
+orderSchema.pre("validate", async function (next) {
+  if (this.isNew && (!this.orderNumber || !this.orderId)) {
+    const numbers = await generateOrderNumbers({ session: this.$session() });
+    if (!this.orderNumber) this.orderNumber = numbers.orderNumber;
+    if (!this.orderId) this.orderId = numbers.orderId;
+  }
+  next();
+});
 
+// Pre-save middleware to migrate legacy fields
+orderSchema.pre("save", async function (next) {
+  if (this.isNew) {
     // Migrate legacy fields to new structure if they exist
     if (this.paymentMethod) {
       this.payment.method = this.paymentMethod;
@@ -0,0 +1,148 @@
+import mongoose from "mongoose";
+
+// A care problem raised from device readings. One alert stays open per
+// device and type until the readings are back in range.
+const plantAlertSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Device",
+      required: true,
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    // e.g. "moisture_low", "temperature_high", "battery_low"
+    type: {
+      type: String,
+      required: true,
+    },
+    metric: {
+      type: String,
+      enum: ["moisture", "temperature", "humidity", "light", "battery"],
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: ["warning", "critical"],
+      default: "warning",
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    value: Number,
+    expected: {
+      min: Number,
+      max: Number,
+    },
+    status: {
+      type: String,
+      enum: ["open", "acknowledged", "resolved"],
+      default: "open",
+    },
+    occurrences: {
+      type: Number,
+      default: 1,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    acknowledgedAt: {
+      type: Date,
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    emailedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+plantAlertSchema.index({ deviceId: 1, type: 1, status: 1 });
+plantAlertSchema.index({ ownerId: 1, status: 1, createdAt: -1 });
+
+// Method to acknowledge an alert; it still resolves on its own later
+plantAlertSchema.methods.acknowledge = function () {
+  if (this.status === "open") {
+    this.status = "acknowledged";
+    this.acknowledgedAt = new Date();
+  }
+  return this;
+};
+
+// Static to sync a device's alerts with the latest evaluation.
+// Updates alerts that are still active, resolves those that cleared and
+// returns the alerts raised for the first time.
+plantAlertSchema.statics.syncForDevice = async function (device, issues) {
+  const active = await this.find({
+    deviceId: device._id,
+    status: { $in: ["open", "acknowledged"] },
+  });
+  const activeByType = new Map(active.map((alert) => [alert.type, alert]));
+  const now = new Date();
+  const raised = [];
+
+  for (const issue of issues) {
+    const existing = activeByType.get(issue.type);
+    if (existing) {
+      existing.set({
+        severity: issue.severity,
+        message: issue.message,
+        value: issue.value,
+        expected: issue.expected,
+        lastSeenAt: now,
+      });
+      existing.occurrences += 1;
+      await existing.save();
+      activeByType.delete(issue.type);
+    } else {
+      raised.push(
+        await this.create({
+          ...issue,
+          deviceId: device._id,
+          ownerId: device.ownerId,
+          productId: device.productId || null,
+          lastSeenAt: now,
+        })
+      );
+    }
+  }
+
+  // Anything left is back within range
+  const cleared = [...activeByType.values()].map((alert) => alert._id);
+  if (cleared.length > 0) {
+    await this.updateMany(
+      { _id: { $in: cleared } },
+      { status: "resolved", resolvedAt: now }
+    );
+  }
+
+  return raised;
+};
+
+// Static to check if an alert of this type was emailed recently, so a
+// reading hovering at the limit doesn't send an email every few minutes
+plantAlertSchema.statics.wasEmailedSince = function (deviceId, type, since) {
+  return this.exists({ deviceId, type, emailedAt: { $gte: since } });
+};
+
+const PlantAlert = mongoose.model("PlantAlert", plantAlertSchema);
+
+export default PlantAlert;
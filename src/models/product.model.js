@@ -1,5 +1,73 @@
 import mongoose from "mongoose";
 
+// A purchasable option of a product (e.g. Large plant in a Ceramic pot)
+const productVariantSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    attributes: {
+      size: {
+        type: String,
+        enum: ["Small", "Medium", "Large", "Extra Large"],
+      },
+      potType: {
+        type: String,
+        enum: ["Plastic", "Ceramic", "Clay", "Metal", "Wooden"],
+      },
+      color: {
+        type: String,
+        trim: true,
+      },
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    mrp: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    stock: {
+      type: Number,
+      required: true,
+      min: 0,
+      default: 0,
+    },
+    images: [
+      {
+        url: {
+          type: String,
+          required: true,
+        },
+        alt: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    _id: true,
+    timestamps: true,
+  }
+);
+
+// Plant attributes are required for everything but gift cards
+function isPlant() {
+  return !this.isGiftCard;
+}
+
 const productSchema = new mongoose.Schema(
   {
     title: {
@@ -27,28 +95,35 @@ const productSchema = new mongoose.Schema(
         trim: true,
       },
     ],
+    // Plant attributes; gift cards have none
     attributes: {
       size: {
         type: String,
         enum: ["Small", "Medium", "Large", "Extra Large"],
-        required: true,
+        required: isPlant,
       },
       potType: {
         type: String,
         enum: ["Plastic", "Ceramic", "Clay", "Metal", "Wooden"],
-        required: true,
+        required: isPlant,
       },
       color: {
         type: String,
-        required: true,
+        required: isPlant,
         trim: true,
       },
       indoorOutdoor: {
         type: String,
         enum: ["Indoor", "Outdoor", "Both"],
-        required: true,
+        required: isPlant,
       },
     },
+    // Gift card worth its price; bought cards are emailed with a code that
+    // is redeemed into the store credit wallet
+    isGiftCard: {
+      type: Boolean,
+      default: false,
+    },
     images: [
       {
         url: {
@@ -83,6 +158,7 @@ const productSchema = new mongoose.Schema(
       min: 0,
       default: 0,
     },
+    variants: [productVariantSchema],
     sellerId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -117,6 +193,16 @@ const productSchema = new mongoose.Schema(
         min: 0,
       },
     },
+    hsn: {
+      type: String,
+      trim: true,
+    },
+    // Overrides the GST rate picked from settings by HSN code
+    taxRate: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
     shippingEligible: {
       type: Boolean,
       default: true,
@@ -201,6 +287,15 @@ const productSchema = new mongoose.Schema(
   }
 );
 
+// Weighted text index for search relevance
+productSchema.index(
+  { title: "text", tags: "text", categories: "text", description: "text" },
+  {
+    name: "product_text_search",
+    weights: { title: 10, tags: 5, categories: 3, description: 1 },
+  }
+);
+
 // Indexes for performance
 productSchema.index({ categories: 1 });
 productSchema.index({ "attributes.size": 1 });
@@ -214,6 +309,14 @@ productSchema.index({ difficulty: 1 });
 productSchema.index({ lightRequirements: 1 });
 productSchema.index({ toxicity: 1 });
 productSchema.index({ metaKeywords: 1 });
+productSchema.index(
+  { "variants.sku": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "variants.sku": { $exists: true } },
+  }
+);
+productSchema.index({ "variants.attributes.size": 1 });
 
 // Virtual for discount percentage
 productSchema.virtual("discountPercentage").get(function () {
@@ -231,16 +334,80 @@ productSchema.virtual("formattedRating").get(function () {
   return "No reviews yet";
 });
 
-// Method to update rating
-productSchema.methods.updateRating = function (newRating) {
-  const totalRating = this.rating * this.reviewCount;
-  this.reviewCount += 1;
-  this.rating = (totalRating + newRating) / this.reviewCount;
+// Virtual for whether the product is sold through variants
+productSchema.virtual("hasVariants").get(function () {
+  return this.variants?.length > 0;
+});
+
+// Keep product-level price and stock in line with the variants so
+// listings, filters and sorting keep working on the product fields
+productSchema.pre("validate", function (next) {
+  if (!this.variants?.length) return next();
+
+  const skus = this.variants.map((variant) => variant.sku);
+  if (new Set(skus).size !== skus.length) {
+    return next(new Error("Variant SKUs must be unique"));
+  }
+
+  const activeVariants = this.variants.filter((variant) => variant.isActive);
+  this.stock = activeVariants.reduce(
+    (total, variant) => total + variant.stock,
+    0
+  );
+
+  if (activeVariants.length > 0) {
+    const cheapest = activeVariants.reduce((min, variant) =>
+      variant.price < min.price ? variant : min
+    );
+    this.price = cheapest.price;
+    this.mrp = cheapest.mrp;
+  }
+
+  next();
+});
+
+// Method to find an active variant
+productSchema.methods.getVariant = function (variantId) {
+  if (!variantId || !this.variants?.length) return null;
+  const variant = this.variants.id(variantId);
+  return variant && variant.isActive ? variant : null;
+};
+
+// Price, MRP, stock and SKU for the chosen variant, or the product itself
+productSchema.methods.getPurchaseOption = function (variantId) {
+  const variant = this.getVariant(variantId);
+  const source = variant || this;
+
+  return {
+    variant,
+    sku: source.sku,
+    price: source.price,
+    mrp: source.mrp,
+    stock: source.stock,
+    images: variant?.images?.length ? variant.images : this.images,
+    attributes: {
+      size: variant?.attributes?.size || this.attributes?.size,
+      potType: variant?.attributes?.potType || this.attributes?.potType,
+      color: variant?.attributes?.color || this.attributes?.color,
+      indoorOutdoor: this.attributes?.indoorOutdoor,
+    },
+  };
+};
+
+// Method to recompute rating and reviewCount from approved reviews
+productSchema.methods.updateRating = async function () {
+  const stats = await mongoose.model("Review").getRatingStats(this._id);
+  this.rating = stats.average;
+  this.reviewCount = stats.count;
   return this.save();
 };
 
-// Method to check if product is in stock
-productSchema.methods.isInStock = function (quantity = 1) {
+// Method to check if product (or one of its variants) is in stock
+productSchema.methods.isInStock = function (quantity = 1, variantId = null) {
+  if (variantId) {
+    const variant = this.getVariant(variantId);
+    return Boolean(variant) && variant.stock >= quantity;
+  }
   return this.stock >= quantity;
 };
 
@@ -253,6 +420,57 @@ productSchema.methods.reduceStock = function (quantity) {
   throw new Error("Insufficient stock");
 };
 
+// Static to reserve stock with a conditional decrement. Returns null when
+// the product (or variant) is inactive or has fewer units than requested.
+productSchema.statics.reserveStock = function (
+  { productId, variantId, quantity },
+  { session } = {}
+) {
+  if (variantId) {
+    return this.findOneAndUpdate(
+      {
+        _id: productId,
+        isActive: true,
+        variants: {
+          $elemMatch: {
+            _id: variantId,
+            isActive: true,
+            stock: { $gte: quantity },
+          },
+        },
+      },
+      { $inc: { "variants.$.stock": -quantity, stock: -quantity } },
+      { session, new: true }
+    );
+  }
+
+  return this.findOneAndUpdate(
+    { _id: productId, isActive: true, stock: { $gte: quantity } },
+    { $inc: { stock: -quantity } },
+    { session, new: true }
+  );
+};
+
+// Static to put reserved stock back (cancellations and returns)
+productSchema.statics.restoreStock = function (
+  { productId, variantId, quantity },
+  { session } = {}
+) {
+  if (variantId) {
+    return this.updateOne(
+      { _id: productId, "variants._id": variantId },
+      { $inc: { "variants.$.stock": quantity, stock: quantity } },
+      { session }
+    );
+  }
+
+  return this.updateOne(
+    { _id: productId },
+    { $inc: { stock: quantity } },
+    { session }
+  );
+};
+
 const Product = mongoose.model("Product", productSchema);
 
 export default Product;
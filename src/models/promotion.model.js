@@ -0,0 +1,193 @@
+import mongoose from "mongoose";
+
+export const PROMOTION_TYPES = [
+  "buy_x_get_y",
+  "spend_threshold",
+  "bundle",
+  "sale",
+];
+
+// Spend tier, e.g. 10% off above ₹1500
+const tierSchema = new mongoose.Schema(
+  {
+    minSubtotal: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      default: "percentage",
+    },
+    discountValue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Bundle component: a product, or any product in a category
+const bundleItemSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    category: {
+      type: String,
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+// Discount applied automatically, without a code, whenever the cart is
+// recalculated. See utils/promotions.js for how each type is evaluated.
+const promotionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    type: {
+      type: String,
+      enum: PROMOTION_TYPES,
+      required: true,
+    },
+
+    // Products the promotion covers; with neither set it covers every
+    // product (bundles use bundleItems instead)
+    productIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    categories: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+
+    // buy_x_get_y: of every buyQuantity + getQuantity units, the cheapest
+    // getQuantity units get getDiscountPercent off (100 = free)
+    buyQuantity: {
+      type: Number,
+      min: 1,
+    },
+    getQuantity: {
+      type: Number,
+      min: 1,
+    },
+    getDiscountPercent: {
+      type: Number,
+      default: 100,
+      min: 1,
+      max: 100,
+    },
+
+    // spend_threshold: the highest tier reached by the covered subtotal
+    tiers: [tierSchema],
+
+    // bundle: every component in the cart together forms one bundle
+    bundleItems: [bundleItemSchema],
+
+    // sale (per covered line) and bundle (per bundle); fixed amounts are
+    // per unit for sales
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      default: "percentage",
+    },
+    discountValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    maxDiscount: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Stacking: higher priority is applied first; an exclusive promotion
+    // that applies stops the ones after it. Promotions that don't combine
+    // with coupons are skipped while a coupon is applied.
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    exclusive: {
+      type: Boolean,
+      default: false,
+    },
+    combinableWithCoupons: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+promotionSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+promotionSchema.index({ priority: -1 });
+
+// Virtual for checking if the promotion is running now
+promotionSchema.virtual("isRunning").get(function () {
+  const now = new Date();
+  return this.isActive && now >= this.startDate && now <= this.endDate;
+});
+
+// Static to get the promotions running now, in the order they apply
+promotionSchema.statics.getActive = function ({ session = null } = {}) {
+  const now = new Date();
+  return this.find({
+    isActive: true,
+    startDate: { $lte: now },
+    endDate: { $gte: now },
+  })
+    .sort({ priority: -1, createdAt: 1 })
+    .session(session)
+    .lean();
+};
+
+const Promotion = mongoose.model("Promotion", promotionSchema);
+
+export default Promotion;
@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+
+// A report generated in the background, stored until it expires
+const reportJobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    format: {
+      type: String,
+      enum: ["csv", "xlsx"],
+      default: "csv",
+    },
+    // Options the report was requested with
+    params: {
+      startDate: Date,
+      endDate: Date,
+      columns: [String],
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed", "expired"],
+      default: "queued",
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    // Stored report file (see utils/reports/storage.js)
+    fileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      select: false,
+    },
+    fileSize: {
+      type: Number,
+      default: 0,
+    },
+    rowCount: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+reportJobSchema.index({ requestedBy: 1, createdAt: -1 });
+reportJobSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for the admin download link once the file is ready
+reportJobSchema.virtual("downloadUrl").get(function () {
+  return this.status === "completed"
+    ? `/admin/reports/jobs/${this._id}/download`
+    : null;
+});
+
+const ReportJob = mongoose.model("ReportJob", reportJobSchema);
+
+export default ReportJob;
@@ -0,0 +1,164 @@
+import mongoose from "mongoose";
+
+const reviewSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Delivered order that made the customer eligible to review
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+      validate: {
+        validator: Number.isInteger,
+        message: "Rating must be a whole number of stars",
+      },
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+    images: [
+      {
+        url: {
+          type: String,
+          required: true,
+        },
+        fileId: String,
+        alt: {
+          type: String,
+          default: "",
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    moderation: {
+      moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      moderatedAt: Date,
+      note: {
+        type: String,
+        maxlength: 500,
+      },
+    },
+    helpfulVotes: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    helpfulCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+reviewSchema.index({ productId: 1, customerId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+// Method to approve or reject a review
+reviewSchema.methods.moderate = function (status, moderatorId, note) {
+  this.status = status;
+  this.moderation = {
+    moderatedBy: moderatorId,
+    moderatedAt: new Date(),
+    note,
+  };
+  return this;
+};
+
+// Method to add or remove a helpful vote; returns true when voted
+reviewSchema.methods.toggleHelpful = function (userId) {
+  const index = this.helpfulVotes.findIndex(
+    (voterId) => voterId.toString() === userId.toString()
+  );
+
+  if (index > -1) {
+    this.helpfulVotes.splice(index, 1);
+  } else {
+    this.helpfulVotes.push(userId);
+  }
+  this.helpfulCount = this.helpfulVotes.length;
+  return index === -1;
+};
+
+// Static to get the average rating, count and star distribution of the
+// approved reviews of a product
+reviewSchema.statics.getRatingStats = async function (productId) {
+  const breakdown = await this.aggregate([
+    {
+      $match: {
+        productId: new mongoose.Types.ObjectId(String(productId)),
+        status: "approved",
+      },
+    },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let total = 0;
+  breakdown.forEach(({ _id: stars, count: starCount }) => {
+    distribution[stars] = starCount;
+    count += starCount;
+    total += stars * starCount;
+  });
+
+  return {
+    average: count > 0 ? Math.round((total / count) * 10) / 10 : 0,
+    count,
+    distribution,
+  };
+};
+
+// Static to recompute Product.rating and Product.reviewCount from the
+// approved reviews
+reviewSchema.statics.syncProductRating = async function (productId) {
+  const stats = await this.getRatingStats(productId);
+
+  await mongoose
+    .model("Product")
+    .updateOne(
+      { _id: productId },
+      { rating: stats.average, reviewCount: stats.count }
+    );
+
+  return stats;
+};
+
+const Review = mongoose.model("Review", reviewSchema);
+
+export default Review;
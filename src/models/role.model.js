@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+import {
+  DEFAULT_ROLES,
+  hasPermission,
+  isKnownPermission,
+} from "../config/permissions.js";
+
+// Role permissions are read on every authorized request, so they are
+// cached briefly and dropped whenever a role changes
+const CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
+
+const roleSchema = new mongoose.Schema(
+  {
+    // Matches User.role
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_-]{1,29}$/, "Invalid role name"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    permissions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (permissions) => permissions.every(isKnownPermission),
+        message: "Unknown permission in role",
+      },
+    },
+    // System roles can be edited but not deleted or renamed
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static to get the permissions granted to a role name
+roleSchema.statics.getPermissions = async function (name) {
+  const cached = permissionCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+  const role = await this.findOne({ name }).lean();
+  const permissions =
+    role?.permissions ||
+    DEFAULT_ROLES.find((defaultRole) => defaultRole.name === name)
+      ?.permissions ||
+    [];
+
+  permissionCache.set(name, {
+    permissions,
+    expiresAt: Date.now() + CACHE_TTL_MS,
+  });
+  return permissions;
+};
+
+// Static to check if a role grants a permission
+roleSchema.statics.can = async function (name, permission) {
+  return hasPermission(await this.getPermissions(name), permission);
+};
+
+// Static to check a role name exists (default roles always do)
+roleSchema.statics.isValidRole = async function (name) {
+  if (DEFAULT_ROLES.some((defaultRole) => defaultRole.name === name)) {
+    return true;
+  }
+  return Boolean(await this.exists({ name }));
+};
+
+// Static to create any default roles that are missing
+roleSchema.statics.ensureDefaults = async function () {
+  await Promise.all(
+    DEFAULT_ROLES.map((role) =>
+      this.updateOne(
+        { name: role.name },
+        { $setOnInsert: role },
+        { upsert: true }
+      )
+    )
+  );
+};
+
+roleSchema.post("save", () => permissionCache.clear());
+roleSchema.post("deleteOne", { document: true, query: false }, () =>
+  permissionCache.clear()
+);
+
+const Role = mongoose.model("Role", roleSchema);
+
+export default Role;
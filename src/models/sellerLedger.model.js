@@ -0,0 +1,304 @@
+import mongoose from "mongoose";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+const sameLine = (a, b) =>
+  a.productId.toString() === b.productId.toString() &&
+  String(a.variantId || "") === String(b.variantId || "");
+
+// What the customer paid for an order line after discounts. Orders placed
+// before GST snapshots only have the line total.
+const lineAmounts = (item) => {
+  if (item.taxableValue === undefined || item.taxableValue === null) {
+    const taxableValue = round2(item.total - (item.discount || 0));
+    return { taxableValue, taxAmount: 0, grossAmount: taxableValue };
+  }
+
+  return {
+    taxableValue: item.taxableValue,
+    taxAmount: item.taxAmount || 0,
+    grossAmount: round2(item.taxableValue + (item.taxAmount || 0)),
+  };
+};
+
+// One line in a seller's earnings: a delivered order line, or the reversal
+// of a refunded return. Commission is charged on the taxable value and the
+// seller is owed the gross amount less commission.
+const sellerLedgerSchema = new mongoose.Schema(
+  {
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    orderNumber: {
+      type: String,
+      required: true,
+    },
+    // Return request the reversal belongs to
+    returnId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: ["sale", "return"],
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    title: String,
+    sku: String,
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    // Amounts are negative on return entries
+    grossAmount: {
+      type: Number,
+      required: true,
+    },
+    taxableValue: {
+      type: Number,
+      default: 0,
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+    commissionRate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    commissionAmount: {
+      type: Number,
+      required: true,
+    },
+    netAmount: {
+      type: Number,
+      required: true,
+    },
+    // Delivery date for sales, refund date for returns
+    occurredAt: {
+      type: Date,
+      required: true,
+    },
+    // Sales are held for the return window before they can be paid out
+    availableAt: {
+      type: Date,
+      required: true,
+    },
+    payoutId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SellerPayout",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+sellerLedgerSchema.index(
+  { orderId: 1, returnId: 1, type: 1, productId: 1, variantId: 1 },
+  { unique: true }
+);
+sellerLedgerSchema.index({ sellerId: 1, occurredAt: -1 });
+sellerLedgerSchema.index({ sellerId: 1, payoutId: 1, availableAt: 1 });
+
+sellerLedgerSchema.virtual("status").get(function () {
+  if (this.payoutId) return "paid";
+  return this.availableAt <= Date.now() ? "available" : "pending";
+});
+
+// Insert entries, skipping any already posted by an interrupted run
+sellerLedgerSchema.statics.insertEntries = async function (entries) {
+  if (entries.length === 0) return 0;
+
+  try {
+    const inserted = await this.insertMany(entries, { ordered: false });
+    return inserted.length;
+  } catch (error) {
+    if (error.code !== 11000 && !error.writeErrors) throw error;
+    const failed = (error.writeErrors || []).filter(
+      (writeError) => writeError.code !== 11000
+    );
+    if (failed.length > 0) throw error;
+    return error.insertedDocs?.length ?? 0;
+  }
+};
+
+// Static to post the sale entries of a delivered order.
+// getCommissionRate(sellerId) resolves the seller's rate.
+sellerLedgerSchema.statics.postOrder = async function (
+  order,
+  { getCommissionRate, holdDays = 0 }
+) {
+  const occurredAt = order.fulfillment?.deliveredAt || order.deliveredAt;
+  const availableAt = new Date(occurredAt.getTime() + holdDays * DAY_MS);
+  const entries = [];
+
+  for (const item of order.items) {
+    if (!item.sellerId) continue;
+
+    const commissionRate = await getCommissionRate(item.sellerId);
+    const amounts = lineAmounts(item);
+    const commissionAmount = round2(
+      (amounts.taxableValue * commissionRate) / 100
+    );
+
+    entries.push({
+      sellerId: item.sellerId,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      type: "sale",
+      productId: item.productId,
+      variantId: item.variantId || null,
+      title: item.title,
+      sku: item.sku,
+      quantity: item.quantity,
+      ...amounts,
+      commissionRate,
+      commissionAmount,
+      netAmount: round2(amounts.grossAmount - commissionAmount),
+      occurredAt,
+      availableAt,
+    });
+  }
+
+  return this.insertEntries(entries);
+};
+
+// Static to post reversals for a refunded return, at the commission rate
+// of the original sale. Returned units are deducted immediately.
+sellerLedgerSchema.statics.postReturn = async function (order, request) {
+  const sales = await this.find({ orderId: order._id, type: "sale" }).lean();
+  const occurredAt = request.refundedAt || new Date();
+  const entries = [];
+
+  for (const line of request.items) {
+    const item = order.items.find((orderItem) => sameLine(orderItem, line));
+    const sale = sales.find((entry) => sameLine(entry, line));
+    if (!item || !sale) continue;
+
+    const share = line.quantity / item.quantity;
+    const amounts = lineAmounts(item);
+    const taxableValue = round2(amounts.taxableValue * share);
+    const grossAmount = round2(amounts.grossAmount * share);
+    const commissionAmount = round2(
+      (taxableValue * sale.commissionRate) / 100
+    );
+
+    entries.push({
+      sellerId: sale.sellerId,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      returnId: request._id,
+      type: "return",
+      productId: line.productId,
+      variantId: line.variantId || null,
+      title: line.title,
+      sku: line.sku,
+      quantity: line.quantity,
+      grossAmount: -grossAmount,
+      taxableValue: -taxableValue,
+      taxAmount: -round2(amounts.taxAmount * share),
+      commissionRate: sale.commissionRate,
+      commissionAmount: -commissionAmount,
+      netAmount: -round2(grossAmount - commissionAmount),
+      occurredAt,
+      availableAt: occurredAt,
+    });
+  }
+
+  return this.insertEntries(entries);
+};
+
+// Static to total a seller's ledger into pending (still on hold),
+// available (ready for payout) and paid amounts
+sellerLedgerSchema.statics.getBalance = async function (sellerId) {
+  const now = new Date();
+  const [result] = await this.aggregate([
+    { $match: { sellerId: new mongoose.Types.ObjectId(String(sellerId)) } },
+    {
+      $group: {
+        _id: null,
+        grossSales: {
+          $sum: { $cond: [{ $eq: ["$type", "sale"] }, "$grossAmount", 0] },
+        },
+        returns: {
+          $sum: { $cond: [{ $eq: ["$type", "return"] }, "$grossAmount", 0] },
+        },
+        commission: { $sum: "$commissionAmount" },
+        netEarnings: { $sum: "$netAmount" },
+        paid: {
+          $sum: { $cond: [{ $ne: ["$payoutId", null] }, "$netAmount", 0] },
+        },
+        available: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ["$payoutId", null] },
+                  { $lte: ["$availableAt", now] },
+                ],
+              },
+              "$netAmount",
+              0,
+            ],
+          },
+        },
+        pending: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ["$payoutId", null] },
+                  { $gt: ["$availableAt", now] },
+                ],
+              },
+              "$netAmount",
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  const balance = {
+    grossSales: 0,
+    returns: 0,
+    commission: 0,
+    netEarnings: 0,
+    paid: 0,
+    available: 0,
+    pending: 0,
+  };
+  for (const key of Object.keys(balance)) {
+    balance[key] = round2(result?.[key]);
+  }
+  return balance;
+};
+
+const SellerLedger = mongoose.model("SellerLedger", sellerLedgerSchema);
+
+export default SellerLedger;
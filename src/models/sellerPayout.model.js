@@ -0,0 +1,154 @@
+import mongoose from "mongoose";
+import Counter from "./counter.model.js";
+import SellerLedger from "./sellerLedger.model.js";
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+// A settlement to a seller covering every ledger entry available at the
+// time it was created. Entries are linked through SellerLedger.payoutId.
+const sellerPayoutSchema = new mongoose.Schema(
+  {
+    payoutNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    grossAmount: {
+      type: Number,
+      default: 0,
+    },
+    commissionAmount: {
+      type: Number,
+      default: 0,
+    },
+    entryCount: {
+      type: Number,
+      default: 0,
+    },
+    // Delivery/refund dates covered by the entries
+    periodStart: Date,
+    periodEnd: Date,
+    status: {
+      type: String,
+      enum: ["processing", "paid", "cancelled"],
+      default: "processing",
+    },
+    // Bank or UPI transfer reference
+    reference: {
+      type: String,
+      trim: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    paidAt: Date,
+    cancelledAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sellerPayoutSchema.index({ sellerId: 1, createdAt: -1 });
+sellerPayoutSchema.index({ status: 1 });
+
+// Static to settle a seller's available balance. Returns null when there
+// is nothing to pay out (including when returns outweigh sales; the
+// negative balance carries over to the next payout).
+sellerPayoutSchema.statics.createForSeller = async function (
+  sellerId,
+  { createdBy = null, note } = {}
+) {
+  const session = await mongoose.startSession();
+  let payout = null;
+
+  try {
+    await session.withTransaction(async () => {
+      payout = null;
+      const entries = await SellerLedger.find({
+        sellerId,
+        payoutId: null,
+        availableAt: { $lte: new Date() },
+      })
+        .select("grossAmount commissionAmount netAmount occurredAt")
+        .session(session)
+        .lean();
+
+      const amount = round2(
+        entries.reduce((sum, entry) => sum + entry.netAmount, 0)
+      );
+      if (entries.length === 0 || amount <= 0) return;
+
+      const dates = entries.map((entry) => entry.occurredAt.getTime());
+      const sequence = await Counter.next("seller_payout", { session });
+
+      [payout] = await this.create(
+        [
+          {
+            payoutNumber: `PAY${String(sequence).padStart(6, "0")}`,
+            sellerId,
+            amount,
+            grossAmount: round2(
+              entries.reduce((sum, entry) => sum + entry.grossAmount, 0)
+            ),
+            commissionAmount: round2(
+              entries.reduce((sum, entry) => sum + entry.commissionAmount, 0)
+            ),
+            entryCount: entries.length,
+            periodStart: new Date(Math.min(...dates)),
+            periodEnd: new Date(Math.max(...dates)),
+            note,
+            createdBy,
+          },
+        ],
+        { session }
+      );
+
+      await SellerLedger.updateMany(
+        { _id: { $in: entries.map((entry) => entry._id) } },
+        { payoutId: payout._id },
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return payout;
+};
+
+// Method to mark the transfer as done
+sellerPayoutSchema.methods.markPaid = function (reference) {
+  this.status = "paid";
+  this.reference = reference;
+  this.paidAt = new Date();
+  return this.save();
+};
+
+// Method to cancel a payout and release its entries for the next one
+sellerPayoutSchema.methods.cancel = async function () {
+  await SellerLedger.updateMany({ payoutId: this._id }, { payoutId: null });
+  this.status = "cancelled";
+  this.cancelledAt = new Date();
+  return this.save();
+};
+
+const SellerPayout = mongoose.model("SellerPayout", sellerPayoutSchema);
+
+export default SellerPayout;
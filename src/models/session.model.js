@@ -0,0 +1,196 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { generateRefreshToken } from "../utils/jwt.js";
+
+// Settings.security.sessionTimeout default
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_PREVIOUS_TOKENS = 50;
+const REUSE_GRACE_MS = 10 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// One signed-in device. Each refresh rotates the refresh token; the
+// rotated-out hashes are kept so a replayed (stolen) token is recognised
+// and the whole session, its token family, is revoked.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Idle expiry, pushed back on every refresh
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "user_revoked",
+        "admin_revoked",
+        "password_changed",
+        "token_reuse",
+        "account_blocked",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+const issueToken = (session, user, ttlMs) => {
+  const refreshToken = generateRefreshToken(user, {
+    sessionId: session._id,
+    expiresInMs: ttlMs,
+  });
+  return { refreshToken, tokenHash: hashToken(refreshToken) };
+};
+
+// Static to open a session for a login; returns the session and its
+// refresh token
+sessionSchema.statics.start = async function (
+  user,
+  { userAgent = "", ip = "", ttlMs = DEFAULT_TTL_MS } = {}
+) {
+  const session = new this({
+    userId: user._id,
+    userAgent,
+    ip,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  const { refreshToken, tokenHash } = issueToken(session, user, ttlMs);
+  session.tokenHash = tokenHash;
+  await session.save();
+  return { session, refreshToken };
+};
+
+// Static to find the session a refresh token belongs to. `reused` is true
+// when the token was already rotated out, unless it is the one rotated
+// moments ago (two tabs refreshing at once), which sets `raced` instead.
+sessionSchema.statics.findByRefreshToken = async function (sessionId, token) {
+  if (!mongoose.isValidObjectId(sessionId)) return {};
+
+  const session = await this.findById(sessionId);
+  if (!session) return {};
+
+  const hashed = hashToken(token);
+  if (session.tokenHash === hashed) return { session };
+
+  const index = session.previousTokenHashes.lastIndexOf(hashed);
+  if (index === -1) return {};
+
+  const isLatest = index === session.previousTokenHashes.length - 1;
+  if (isLatest && Date.now() - session.lastUsedAt < REUSE_GRACE_MS) {
+    return { session, raced: true };
+  }
+  return { session, reused: true };
+};
+
+// Method to swap the refresh token for a new one. Returns null when
+// another request rotated it first.
+sessionSchema.methods.rotate = async function (
+  user,
+  { userAgent, ip, ttlMs = DEFAULT_TTL_MS } = {}
+) {
+  const { refreshToken, tokenHash } = issueToken(this, user, ttlMs);
+  const set = {
+    tokenHash,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + ttlMs),
+  };
+  if (userAgent) set.userAgent = userAgent;
+  if (ip) set.ip = ip;
+
+  // Conditional on the current hash so concurrent refreshes can't both win.
+  // Tokens older than the kept hashes have expired anyway.
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, tokenHash: this.tokenHash, revokedAt: null },
+    {
+      $set: set,
+      $push: {
+        previousTokenHashes: {
+          $each: [this.tokenHash],
+          $slice: -MAX_PREVIOUS_TOKENS,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  return updated ? refreshToken : null;
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function (reason) {
+  if (this.revokedAt) return this;
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static to revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeForUser = async function (
+  userId,
+  reason,
+  { except = null } = {}
+) {
+  const filter = { userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const result = await this.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+  return result.modifiedCount;
+};
+
+// Static to list a user's active sessions, most recently used first
+sessionSchema.statics.listActive = function (userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip lastUsedAt expiresAt createdAt")
+    .sort({ lastUsedAt: -1 });
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -81,6 +81,13 @@ const taxConfigSchema = new mongoose.Schema(
       min: 0,
       max: 100,
     },
+    // HSN codes (or prefixes) taxed at this rate
+    hsnCodes: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
     isDefault: {
       type: Boolean,
       default: false,
@@ -103,7 +110,7 @@ const paymentGatewaySchema = new mongoose.Schema(
     },
     provider: {
       type: String,
-      enum: ["razorpay", "stripe", "payu", "cashfree"],
+      enum: ["razorpay", "stripe", "payu", "cashfree", "mock"],
       required: true,
     },
     isActive: {
@@ -121,6 +128,30 @@ const paymentGatewaySchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Loyalty tier schema
+const loyaltyTierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Lifetime spend that unlocks the tier
+    minSpend: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Points earned are multiplied by this
+    multiplier: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
 const settingsSchema = new mongoose.Schema(
   {
     // Singleton pattern - only one settings document
@@ -298,6 +329,11 @@ const settingsSchema = new mongoose.Schema(
           type: String,
           default: "NNNNNN",
         },
+        resetPeriod: {
+          type: String,
+          enum: ["never", "daily", "monthly", "financial_year"],
+          default: "daily",
+        },
       },
     },
 
@@ -322,8 +358,139 @@ const settingsSchema = new mongoose.Schema(
       templates: [emailTemplateSchema],
     },
 
+    // Abandoned cart recovery
+    cartRecovery: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Hours a logged-in cart must sit untouched before it is emailed
+      idleHours: {
+        type: Number,
+        default: 24,
+        min: 1,
+      },
+      // Days after the email an order still counts as recovered
+      attributionDays: {
+        type: Number,
+        default: 7,
+        min: 1,
+      },
+      // One-time coupon attached to the recovery email
+      coupon: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        discountValue: {
+          type: Number,
+          default: 10,
+          min: 1,
+          max: 100,
+        },
+        validDays: {
+          type: Number,
+          default: 3,
+          min: 1,
+        },
+      },
+    },
+
+    // Loyalty points: earned on delivered orders, redeemed at checkout
+    loyalty: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // When the programme was switched on; only orders delivered since
+      // then earn points. Kept up to date on save.
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+      // Points earned per ₹100 paid for products (before the tier multiplier)
+      earnRate: {
+        type: Number,
+        default: 1,
+        min: 0,
+      },
+      // Rupee value of one point when redeemed
+      pointValue: {
+        type: Number,
+        default: 1,
+        min: 0.01,
+      },
+      minRedeemPoints: {
+        type: Number,
+        default: 100,
+        min: 1,
+      },
+      // Largest share of the products' value that points can pay for
+      maxRedeemPercent: {
+        type: Number,
+        default: 50,
+        min: 1,
+        max: 100,
+      },
+      // Days before earned points expire (0 = never)
+      expiryDays: {
+        type: Number,
+        default: 365,
+        min: 0,
+      },
+      // Tiers unlocked by lifetime spend (User.totalSpent)
+      tiers: {
+        type: [loyaltyTierSchema],
+        default: [
+          { name: "Bronze", minSpend: 0, multiplier: 1 },
+          { name: "Silver", minSpend: 25000, multiplier: 1.25 },
+          { name: "Gold", minSpend: 75000, multiplier: 1.5 },
+        ],
+      },
+    },
+
+    // Marketplace seller commission and payouts
+    marketplace: {
+      // Percentage of the taxable value kept as commission, unless the
+      // seller has their own rate
+      defaultCommissionRate: {
+        type: Number,
+        default: 10,
+        min: 0,
+        max: 100,
+      },
+      // Days after delivery before earnings can be paid out (return window)
+      payoutHoldDays: {
+        type: Number,
+        default: 7,
+        min: 0,
+      },
+    },
+
+    // Plant-care alerts from device telemetry
+    plantCare: {
+      alertsEnabled: {
+        type: Boolean,
+        default: true,
+      },
+      emailAlerts: {
+        type: Boolean,
+        default: true,
+      },
+      // Hours before the same alert on a device is emailed again
+      emailCooldownHours: {
+        type: Number,
+        default: 12,
+        min: 0,
+      },
+    },
+
     // Tax Configuration
     taxes: [taxConfigSchema],
+    taxInclusivePricing: {
+      type: Boolean,
+      default: true, // Product prices already include GST
+    },
 
     // Payment Gateways
     payments: {
@@ -495,6 +662,12 @@ const settingsSchema = new mongoose.Schema(
         },
       },
 
+      // Staff (roles with admin:access) must use two-factor authentication
+      requireTwoFactorForStaff: {
+        type: Boolean,
+        default: false,
+      },
+
       // Session settings
       sessionTimeout: {
         type: Number,
@@ -573,6 +746,65 @@ settingsSchema.statics.getSettings = async function () {
   return settings;
 };
 
+// Shortest invoice date format for each reset period
+const RESET_PERIOD_FORMATS = {
+  daily: "YYYYMMDD",
+  monthly: "YYYYMM",
+  financial_year: "FY",
+};
+
+// Helper function to check that an invoice date format tells apart the
+// periods its sequence restarts in, so numbers can't repeat across them
+const dateFormatCoversReset = (dateFormat, resetPeriod) => {
+  const tokens = String(dateFormat || "").match(/YYYY|YY|MM|DD|FY/g) || [];
+  const year = ["YYYY", "YY", "FY"].some((token) => tokens.includes(token));
+  const month = year && tokens.includes("MM");
+
+  switch (resetPeriod) {
+    case "daily":
+      return month && tokens.includes("DD");
+    case "monthly":
+      return month;
+    case "financial_year":
+      return tokens.includes("FY") || month;
+    default:
+      return true;
+  }
+};
+
+// Reject invoice number formats whose sequence restarts more often than
+// the date in the number changes
+settingsSchema.pre("validate", function (next) {
+  const { dateFormat, resetPeriod } = this.invoice?.numberFormat || {};
+  if (!dateFormatCoversReset(dateFormat, resetPeriod)) {
+    this.invalidate(
+      "invoice.numberFormat.dateFormat",
+      `Invoice date format "${dateFormat}" doesn't change with the ` +
+        `${resetPeriod} reset period; include at least ` +
+        RESET_PERIOD_FORMATS[resetPeriod],
+      dateFormat
+    );
+  }
+  next();
+});
+
+// Keep loyalty.enabledAt to when the programme was last switched on, even
+// if an update replaces the loyalty settings wholesale
+settingsSchema.post("init", function () {
+  this.$locals.loyaltyEnabledAt = this.loyalty?.enabled
+    ? this.loyalty.enabledAt
+    : null;
+});
+
+settingsSchema.pre("save", function (next) {
+  if (this.loyalty) {
+    this.loyalty.enabledAt = this.loyalty.enabled
+      ? this.$locals.loyaltyEnabledAt || new Date()
+      : null;
+  }
+  next();
+});
+
 // Method to update settings
 settingsSchema.methods.updateSettings = function (updates, adminId, adminName) {
   Object.assign(this, updates);
@@ -0,0 +1,192 @@
+import mongoose from "mongoose";
+
+export const SENSOR_FIELDS = [
+  "moisture",
+  "temperature",
+  "humidity",
+  "light",
+  "battery",
+];
+
+// Readings are grouped into one document per device per hour
+const BUCKET_MS = 60 * 60 * 1000;
+
+const readingSchema = new mongoose.Schema(
+  {
+    recordedAt: {
+      type: Date,
+      required: true,
+    },
+    moisture: Number,
+    temperature: Number,
+    humidity: Number,
+    light: Number,
+    battery: Number,
+  },
+  { _id: false }
+);
+
+// Running min/max/sum per sensor so hourly and daily history can be
+// served without reading every sample
+const sensorSummarySchema = new mongoose.Schema(
+  {
+    min: Number,
+    max: Number,
+    sum: {
+      type: Number,
+      default: 0,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+const telemetrySchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Device",
+      required: true,
+    },
+    bucketStart: {
+      type: Date,
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    readings: [readingSchema],
+    summary: {
+      moisture: sensorSummarySchema,
+      temperature: sensorSummarySchema,
+      humidity: sensorSummarySchema,
+      light: sensorSummarySchema,
+      battery: sensorSummarySchema,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+telemetrySchema.index({ deviceId: 1, bucketStart: 1 }, { unique: true });
+
+export const getBucketStart = (date) =>
+  new Date(Math.floor(date.getTime() / BUCKET_MS) * BUCKET_MS);
+
+// Static to append readings to their hourly buckets
+telemetrySchema.statics.ingest = async function (deviceId, readings) {
+  const buckets = new Map();
+  readings.forEach((reading) => {
+    const key = getBucketStart(reading.recordedAt).getTime();
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(reading);
+  });
+
+  const operations = [];
+  buckets.forEach((bucketReadings, key) => {
+    const update = {
+      $push: { readings: { $each: bucketReadings } },
+      $inc: { count: bucketReadings.length },
+      $min: {},
+      $max: {},
+    };
+
+    SENSOR_FIELDS.forEach((field) => {
+      const values = bucketReadings
+        .map((reading) => reading[field])
+        .filter((value) => typeof value === "number");
+      if (values.length === 0) return;
+
+      update.$min[`summary.${field}.min`] = Math.min(...values);
+      update.$max[`summary.${field}.max`] = Math.max(...values);
+      update.$inc[`summary.${field}.sum`] = values.reduce((a, b) => a + b, 0);
+      update.$inc[`summary.${field}.count`] = values.length;
+    });
+
+    // Mongo rejects empty operators (readings without any sensor values)
+    if (Object.keys(update.$min).length === 0) {
+      delete update.$min;
+      delete update.$max;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { deviceId, bucketStart: new Date(key) },
+        update,
+        upsert: true,
+      },
+    });
+  });
+
+  if (operations.length === 0) return null;
+  return this.bulkWrite(operations, { ordered: false });
+};
+
+// Static to get history between two dates.
+// interval: "raw" (every reading), "hour" or "day" (min/avg/max per sensor).
+// Day buckets need MongoDB 5.0+ for $dateTrunc.
+telemetrySchema.statics.getHistory = async function (
+  deviceId,
+  { from, to, interval = "hour", timezone = "UTC" }
+) {
+  const match = {
+    deviceId: new mongoose.Types.ObjectId(String(deviceId)),
+    bucketStart: { $gte: getBucketStart(from), $lte: to },
+  };
+
+  if (interval === "raw") {
+    return this.aggregate([
+      { $match: match },
+      { $unwind: "$readings" },
+      { $replaceRoot: { newRoot: "$readings" } },
+      { $match: { recordedAt: { $gte: from, $lte: to } } },
+      { $sort: { recordedAt: 1 } },
+    ]);
+  }
+
+  const group = {
+    _id:
+      interval === "day"
+        ? { $dateTrunc: { date: "$bucketStart", unit: "day", timezone } }
+        : "$bucketStart",
+    count: { $sum: "$count" },
+  };
+  SENSOR_FIELDS.forEach((field) => {
+    group[`${field}Min`] = { $min: `$summary.${field}.min` };
+    group[`${field}Max`] = { $max: `$summary.${field}.max` };
+    group[`${field}Sum`] = { $sum: `$summary.${field}.sum` };
+    group[`${field}Count`] = { $sum: `$summary.${field}.count` };
+  });
+
+  const rows = await this.aggregate([
+    { $match: match },
+    { $group: group },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return rows.map((row) => {
+    const point = { time: row._id, count: row.count };
+    SENSOR_FIELDS.forEach((field) => {
+      const count = row[`${field}Count`];
+      point[field] =
+        count > 0
+          ? {
+              min: row[`${field}Min`],
+              avg: Math.round((row[`${field}Sum`] / count) * 100) / 100,
+              max: row[`${field}Max`],
+            }
+          : null;
+    });
+    return point;
+  });
+};
+
+const Telemetry = mongoose.model("Telemetry", telemetrySchema);
+
+export default Telemetry;
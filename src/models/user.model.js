@@ -1,5 +1,25 @@
 import mongoose from "mongoose";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
+import Role from "./role.model.js";
+import {
+  decryptSecret,
+  encryptSecret,
+  generateTotpSecret,
+  verifyTotp,
+} from "../utils/totp.js";
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const RECOVERY_CODE_COUNT = 10;
+
+// Secret fields of twoFactor, loaded only when verifying codes
+const TWO_FACTOR_SECRETS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes";
+
+// Emailed tokens are stored as SHA-256 hashes and looked up by hash
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
 
 // Enhanced address schema for multiple addresses
 const addressSchema = new mongoose.Schema(
@@ -81,10 +101,16 @@ const userSchema = new mongoose.Schema(
 
     profileImage: { type: String, default: "" },
 
+    // Name of a Role; its permissions are managed at /admin/roles
     role: {
       type: String,
-      enum: ["admin", "seller", "user", "support"],
       default: "user",
+      lowercase: true,
+      trim: true,
+      validate: {
+        validator: (name) => Role.isValidRole(name),
+        message: "Unknown role",
+      },
     },
 
     isActive: { type: Boolean, default: true },
@@ -109,6 +135,35 @@ const userSchema = new mongoose.Schema(
       trim: true,
     },
 
+    // Email verification. Unset on accounts created before verification
+    // existed; only false blocks checkout.
+    emailVerified: {
+      type: Boolean,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+    },
+
+    // TOTP two-factor authentication. Secrets are encrypted and recovery
+    // codes hashed.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      // Set up but not yet confirmed with a code
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: { type: [String], select: false },
+      enabledAt: { type: Date },
+      // Time step of the last accepted code, so a code can't be replayed
+      lastUsedStep: { type: Number, default: 0 },
+    },
+
     // Login tracking
     lastLogin: {
       type: Date,
@@ -136,6 +191,20 @@ const userSchema = new mongoose.Schema(
       min: 0,
     },
 
+    // Store credit; every change is recorded in WalletTransaction
+    walletBalance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Loyalty points; every change is recorded in LoyaltyTransaction
+    loyaltyPoints: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
     // Password reset
     passwordResetRequired: {
       type: Boolean,
@@ -144,6 +213,7 @@ const userSchema = new mongoose.Schema(
 
     passwordResetToken: {
       type: String,
+      select: false,
     },
 
     passwordResetExpires: {
@@ -197,7 +267,18 @@ const userSchema = new mongoose.Schema(
       },
     },
 
-    refreshToken: { type: String, default: "" },
+    // Marketplace sellers only
+    sellerProfile: {
+      displayName: { type: String, trim: true },
+      // Overrides settings.marketplace.defaultCommissionRate when set
+      commissionRate: { type: Number, min: 0, max: 100, default: null },
+      payoutDetails: {
+        accountName: { type: String, trim: true },
+        accountNumber: { type: String, trim: true },
+        ifsc: { type: String, trim: true, uppercase: true },
+        upiId: { type: String, trim: true },
+      },
+    },
 
     // Soft delete
     isDeleted: {
@@ -220,6 +301,8 @@ userSchema.index({ isActive: 1 });
 userSchema.index({ isDeleted: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ lastLogin: -1 });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 // Virtual for account lock status
 userSchema.virtual("isLocked").get(function () {
@@ -243,11 +326,17 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to handle failed login attempts
-userSchema.methods.incLoginAttempts = function () {
+// Method to record a failed login, locking the account once
+// maxAttempts is reached (Settings.security). Returns true when locked.
+userSchema.methods.incLoginAttempts = async function ({
+  maxAttempts = 5,
+  lockoutDuration = 2 * 60 * 60 * 1000, // 2 hours
+} = {}) {
   // If we have a previous lock that has expired, restart at 1
   if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
+    this.loginAttempts = 1;
+    this.lockUntil = undefined;
+    await this.updateOne({
       $unset: {
         lockUntil: 1,
       },
@@ -255,18 +344,20 @@ userSchema.methods.incLoginAttempts = function () {
         loginAttempts: 1,
       },
     });
+    return false;
   }
 
   const updates = { $inc: { loginAttempts: 1 } };
+  this.loginAttempts = (this.loginAttempts || 0) + 1;
 
-  // Lock account after 5 failed attempts
-  if (this.loginAttempts + 1 >= 5 && !this.isLocked) {
-    updates.$set = {
-      lockUntil: Date.now() + 2 * 60 * 60 * 1000, // 2 hours
-    };
+  // A maxAttempts of 0 turns lockout off
+  if (maxAttempts > 0 && this.loginAttempts >= maxAttempts && !this.isLocked) {
+    this.lockUntil = new Date(Date.now() + lockoutDuration);
+    updates.$set = { lockUntil: this.lockUntil };
   }
 
-  return this.updateOne(updates);
+  await this.updateOne(updates);
+  return this.isLocked;
 };
 
 // Method to reset login attempts
@@ -332,9 +423,35 @@ userSchema.methods.setDefaultAddress = function (addressId) {
   });
 };
 
-// Method to generate temporary password
-userSchema.methods.generateTempPassword = function () {
-  const tempPassword = Math.random().toString(36).slice(-8);
+// Method to add an address book entry. The first address, or one marked
+// isDefault, becomes the default.
+userSchema.methods.addAddress = function (data) {
+  this.addresses.push(data);
+  const address = this.addresses[this.addresses.length - 1];
+  if (address.isDefault || this.addresses.length === 1) {
+    this.setDefaultAddress(address._id);
+  }
+  return address;
+};
+
+// Method to remove an address book entry; if it was the default, the
+// first remaining address takes over
+userSchema.methods.removeAddress = function (addressId) {
+  const address = this.addresses.id(addressId);
+  if (!address) return null;
+
+  address.deleteOne();
+  if (address.isDefault && this.addresses.length > 0) {
+    this.setDefaultAddress(this.addresses[0]._id);
+  }
+  return address;
+};
+
+// Method to generate temporary password (pass one generated from the
+// password policy, or a random one is used)
+userSchema.methods.generateTempPassword = function (
+  tempPassword = crypto.randomBytes(6).toString("base64url")
+) {
   this.temporaryPassword = bcrypt.hashSync(tempPassword, 10);
   this.temporaryPasswordExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
   this.passwordResetRequired = true;
@@ -361,6 +478,124 @@ userSchema.methods.clearTempPassword = function () {
   this.passwordResetRequired = false;
 };
 
+// Method to issue an email verification token; returns the plain token
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(
+    Date.now() + EMAIL_VERIFICATION_TTL_MS
+  );
+  return token;
+};
+
+// Method to mark the email verified and retire the token
+userSchema.methods.markEmailVerified = function () {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
+// Method to issue a password reset token; returns the plain token
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+  return token;
+};
+
+// Method to clear a used password reset token
+userSchema.methods.clearPasswordResetToken = function () {
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+};
+
+// Method to start two-factor setup; returns the plain secret for the
+// authenticator app. Takes effect once confirmed with enableTwoFactor.
+userSchema.methods.setupTwoFactor = function () {
+  const secret = generateTotpSecret();
+  this.twoFactor.pendingSecret = encryptSecret(secret);
+  return secret;
+};
+
+// Method to issue new recovery codes; returns the plain codes
+userSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(4).toString("hex").replace(/^(.{4})/, "$1-")
+  );
+  this.twoFactor.recoveryCodes = codes.map(hashToken);
+  return codes;
+};
+
+// Method to confirm setup with a code from the app. Returns the recovery
+// codes, or null when the code is wrong. Needs TWO_FACTOR_SECRETS loaded.
+userSchema.methods.enableTwoFactor = function (code) {
+  if (!this.twoFactor.pendingSecret) return null;
+
+  const secret = decryptSecret(this.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) return null;
+
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  this.twoFactor.lastUsedStep = step;
+  return this.generateRecoveryCodes();
+};
+
+// Method to check a code from the app (each code works once), or a
+// recovery code, which is used up. Needs TWO_FACTOR_SECRETS loaded.
+userSchema.methods.verifyTwoFactor = function ({ code, recoveryCode }) {
+  if (!this.twoFactor.enabled || !this.twoFactor.secret) return false;
+
+  if (recoveryCode) {
+    const hashed = hashToken(String(recoveryCode).trim().toLowerCase());
+    const index = this.twoFactor.recoveryCodes.indexOf(hashed);
+    if (index === -1) return false;
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  const step = verifyTotp(decryptSecret(this.twoFactor.secret), code);
+  if (step === null || step <= this.twoFactor.lastUsedStep) return false;
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to turn two-factor authentication off
+userSchema.methods.disableTwoFactor = function () {
+  this.twoFactor.enabled = false;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.recoveryCodes = [];
+  this.twoFactor.enabledAt = undefined;
+  this.twoFactor.lastUsedStep = 0;
+};
+
+// Static method to load a user with their two-factor secrets
+userSchema.statics.findWithTwoFactor = function (id) {
+  return this.findById(id).select(TWO_FACTOR_SECRETS);
+};
+
+// Static method to find the user an unexpired verification token belongs to
+userSchema.statics.findByEmailVerificationToken = function (token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+    isDeleted: { $ne: true },
+  });
+};
+
+// Static method to find the user an unexpired reset token belongs to
+userSchema.statics.findByPasswordResetToken = function (token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+    isDeleted: { $ne: true },
+  });
+};
+
 // Static method to find non-deleted users
 userSchema.statics.findActive = function (filter = {}) {
   return this.find({
@@ -0,0 +1,173 @@
+import mongoose from "mongoose";
+import User from "./user.model.js";
+
+export const WALLET_SOURCES = [
+  "gift_card",
+  "refund",
+  "order_payment",
+  "order_cancel",
+  "adjustment",
+];
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+// One credit or debit of a customer's store credit. The running balance is
+// kept on User.walletBalance and copied onto every entry.
+const walletTransactionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["credit", "debit"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    source: {
+      type: String,
+      enum: WALLET_SOURCES,
+      required: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    giftCardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "GiftCard",
+      default: null,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    // Unique key for entries that may only happen once, such as giving
+    // back the store credit of a cancelled order
+    reference: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    // Admin who credited a refund or made an adjustment
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+walletTransactionSchema.index({ orderId: 1 });
+
+// Static to add store credit. Returns the ledger entry.
+walletTransactionSchema.statics.credit = async function (
+  userId,
+  amount,
+  details = {},
+  { session = null } = {}
+) {
+  const value = round2(amount);
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { walletBalance: value } },
+    { new: true, session }
+  ).select("walletBalance");
+  if (!user) throw new Error("User not found");
+
+  const [entry] = await this.create(
+    [
+      {
+        ...details,
+        userId,
+        type: "credit",
+        amount: value,
+        balanceAfter: round2(user.walletBalance),
+      },
+    ],
+    { session }
+  );
+  return entry;
+};
+
+// Static to spend store credit. The balance is decremented conditionally
+// so it can't go below zero. Returns { entry }, or { error } after which
+// the caller must abort its transaction.
+walletTransactionSchema.statics.debit = async function (
+  userId,
+  amount,
+  details = {},
+  { session = null } = {}
+) {
+  const value = round2(amount);
+  const user = await User.findOneAndUpdate(
+    { _id: userId, walletBalance: { $gte: value } },
+    { $inc: { walletBalance: -value } },
+    { new: true, session }
+  ).select("walletBalance");
+  if (!user) return { error: "Insufficient wallet balance" };
+
+  const [entry] = await this.create(
+    [
+      {
+        ...details,
+        userId,
+        type: "debit",
+        amount: value,
+        balanceAfter: round2(user.walletBalance),
+      },
+    ],
+    { session }
+  );
+  return { entry };
+};
+
+// Static to give back the store credit spent on a cancelled order, less
+// `withhold` (value the customer keeps, such as redeemed gift cards). Safe
+// to call more than once.
+walletTransactionSchema.statics.restoreForOrder = async function (
+  order,
+  { session = null, withhold = 0 } = {}
+) {
+  const amount = round2((order.payment?.walletAmount || 0) - withhold);
+  if (amount <= 0) return null;
+
+  const reference = `order_cancel:${order._id}`;
+  if (await this.exists({ reference }).session(session)) return null;
+
+  return this.credit(
+    order.customerId._id || order.customerId,
+    amount,
+    {
+      source: "order_cancel",
+      orderId: order._id,
+      description: `Order ${order.orderNumber} cancelled`,
+      reference,
+    },
+    { session }
+  );
+};
+
+const WalletTransaction = mongoose.model(
+  "WalletTransaction",
+  walletTransactionSchema
+);
+
+export default WalletTransaction;
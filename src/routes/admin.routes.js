@@ -16,7 +16,11 @@ import {
   getDevices,
   getDeviceById,
   updateDevice,
+  getReportTypes,
   generateReport,
+  getReportJobs,
+  getReportJob,
+  downloadReport,
   getAdminProfile,
   updateAdminProfile,
   changeAdminPassword,
@@ -25,44 +29,72 @@ import {
 import {
   getOrdersAnalytics,
   getUsersAnalytics,
+  getCartRecoveryAnalytics,
 } from "../controllers/analytics.controller.js";
 
+import { getDeviceTelemetry } from "../controllers/device.controller.js";
+
 import auth from "../middlewares/auth.middleware.js";
-import role from "../middlewares/role.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
 
 const router = express.Router();
 
-// All admin routes require authentication and admin role
-router.use(auth, role(["admin"]));
+// All admin routes require authentication; each route checks its permission
+router.use(auth);
 
 // Dashboard
-router.get("/dashboard/stats", getDashboardStats);
+router.get("/dashboard/stats", authorize("dashboard:read"), getDashboardStats);
+
+// Analytics
+router.get(
+  "/analytics/cart-recovery",
+  authorize("analytics:read"),
+  getCartRecoveryAnalytics
+);
 
 // Users Management
-router.get("/users", getUsers);
-router.get("/users/analytics", getUsersAnalytics);
-router.get("/users/:id", getUserById);
-router.put("/users/:id", updateUser);
-router.delete("/users/:id", deleteUser);
-router.patch("/users/:id/toggle-status", toggleUserStatus);
+router.get("/users", authorize("users:read"), getUsers);
+router.get("/users/analytics", authorize("analytics:read"), getUsersAnalytics);
+router.get("/users/:id", authorize("users:read"), getUserById);
+router.put("/users/:id", authorize("users:write"), updateUser);
+router.delete("/users/:id", authorize("users:delete"), deleteUser);
+router.patch(
+  "/users/:id/toggle-status",
+  authorize("users:write"),
+  toggleUserStatus
+);
 
 // Products Management
-router.get("/products", getProducts);
-router.post("/products", createProduct);
-router.put("/products/:id", updateProduct);
-router.delete("/products/:id", deleteProduct);
+router.get("/products", authorize("products:read"), getProducts);
+router.post("/products", authorize("products:write"), createProduct);
+router.put("/products/:id", authorize("products:write"), updateProduct);
+router.delete("/products/:id", authorize("products:delete"), deleteProduct);
 
 // Devices Management
-router.get("/devices", getDevices);
-router.get("/devices/:id", getDeviceById);
-router.put("/devices/:id", updateDevice);
+router.get("/devices", authorize("devices:read"), getDevices);
+router.get("/devices/:id", authorize("devices:read"), getDeviceById);
+router.put("/devices/:id", authorize("devices:write"), updateDevice);
+router.get(
+  "/devices/:id/telemetry",
+  authorize("devices:read"),
+  getDeviceTelemetry
+);
 
 // Reports
+router.use("/reports", authorize("reports:generate"));
+router.get("/reports", getReportTypes);
+router.get("/reports/jobs", getReportJobs);
+router.get("/reports/jobs/:id", getReportJob);
+router.get("/reports/jobs/:id/download", downloadReport);
 router.post("/reports/:type", generateReport);
 
 // Admin Profile
-router.get("/profile", getAdminProfile);
-router.put("/profile", updateAdminProfile);
-router.patch("/change-password", changeAdminPassword);
+router.get("/profile", authorize("admin:access"), getAdminProfile);
+router.put("/profile", authorize("admin:access"), updateAdminProfile);
+router.patch(
+  "/change-password",
+  authorize("admin:access"),
+  changeAdminPassword
+);
 
 export default router;
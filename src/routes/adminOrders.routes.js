@@ -7,12 +7,12 @@ import {
 } from "../controllers/adminOrders.controller.js";
 
 import auth from "../middlewares/auth.middleware.js";
-import role from "../middlewares/role.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
 
 const router = express.Router();
 
-// All admin order routes require authentication and admin role
-router.use(auth, role(["admin"]));
+// All admin order routes require authentication
+router.use(auth);
 
 /**
  * @route   GET /api/admin/orders
@@ -21,7 +21,7 @@ router.use(auth, role(["admin"]));
  * @params  page, limit, search, status, paymentStatus, fulfillmentStatus,
  *          paymentMethod, dateFrom, dateTo, sortBy, sortOrder, minAmount, maxAmount, archived
  */
-router.get("/", getAllAdminOrders);
+router.get("/", authorize("orders:read"), getAllAdminOrders);
 
 /**
  * @route   GET /api/admin/orders/stats
@@ -29,14 +29,14 @@ router.get("/", getAllAdminOrders);
  * @access  Admin only
  * @params  period (days, default: 30)
  */
-router.get("/stats", getAdminOrderStats);
+router.get("/stats", authorize("orders:read"), getAdminOrderStats);
 
 /**
  * @route   GET /api/admin/orders/:orderId
  * @desc    Get single order details by ID
  * @access  Admin only
  */
-router.get("/:orderId", getAdminOrderById);
+router.get("/:orderId", authorize("orders:read"), getAdminOrderById);
 
 /**
  * @route   PATCH /api/admin/orders/:orderId/status
@@ -44,6 +44,10 @@ router.get("/:orderId", getAdminOrderById);
  * @access  Admin only
  * @body    { status, note?, trackingNumber?, estimatedDelivery? }
  */
-router.patch("/:orderId/status", updateAdminOrderStatus);
+router.patch(
+  "/:orderId/status",
+  authorize("orders:update"),
+  updateAdminOrderStatus
+);
 
 export default router;
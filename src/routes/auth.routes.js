@@ -8,10 +8,30 @@ import {
   updateProfile,
   changePassword,
   validateToken,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
 } from "../controllers/auth.controller.js";
+import {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  setDefaultAddress,
+} from "../controllers/address.controller.js";
 
-import auth from "../middlewares/auth.middleware.js";
-import role from "../middlewares/role.middleware.js";
+import auth, { twoFactorSetupAuth } from "../middlewares/auth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
 
 const router = express.Router();
 
@@ -19,6 +39,10 @@ const router = express.Router();
 router.post("/register", register);
 router.post("/login", login);
 router.post("/refresh", refresh);
+router.post("/verify-email", verifyEmail);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+router.post("/2fa/verify", verifyTwoFactorLogin);
 
 // Protected routes
 router.post("/logout", auth, logout);
@@ -26,14 +50,35 @@ router.get("/validate", auth, validateToken);
 router.get("/profile", auth, getProfile);
 router.put("/profile", auth, updateProfile);
 router.put("/change-password", auth, changePassword);
+router.post("/resend-verification", auth, resendVerification);
+
+// Address book
+router.get("/addresses", auth, getAddresses);
+router.post("/addresses", auth, addAddress);
+router.put("/addresses/:addressId", auth, updateAddress);
+router.delete("/addresses/:addressId", auth, deleteAddress);
+router.patch("/addresses/:addressId/default", auth, setDefaultAddress);
+
+// Signed-in devices
+router.get("/sessions", auth, getSessions);
+router.delete("/sessions", auth, revokeOtherSessions);
+router.delete("/sessions/:sessionId", auth, revokeSession);
+
+// Two-factor authentication (setup and enable also accept the setup token
+// from a login that requires enrolment)
+router.get("/2fa", auth, getTwoFactorStatus);
+router.post("/2fa/setup", twoFactorSetupAuth, setupTwoFactor);
+router.post("/2fa/enable", twoFactorSetupAuth, enableTwoFactor);
+router.post("/2fa/disable", auth, disableTwoFactor);
+router.post("/2fa/recovery-codes", auth, regenerateRecoveryCodes);
 
 // Admin-only example
-router.get("/admin-only", auth, role(["admin"]), (req, res) => {
+router.get("/admin-only", auth, authorize("admin:access"), (req, res) => {
   res.json({ message: "Admin access granted" });
 });
 
-// User-only example
-router.get("/user-only", auth, role(["user", "admin"]), (req, res) => {
+// Signed-in example
+router.get("/user-only", auth, (req, res) => {
   res.json({ message: "User access granted" });
 });
 
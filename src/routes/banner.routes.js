@@ -10,7 +10,7 @@ import {
   toggleBannerStatus,
 } from "../controllers/banner.controller.js";
 import auth from "../middlewares/auth.middleware.js";
-import role from "../middlewares/role.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
 
 const router = express.Router();
 
@@ -35,7 +35,7 @@ router.get("/active", getActiveBanners);
 
 // Protected routes (Admin only)
 router.use(auth);
-router.use(role(["admin"]));
+router.use(authorize("banners:manage"));
 
 // Banner management routes
 router.post("/upload-image", upload.single("image"), uploadBannerImage);
@@ -12,7 +12,7 @@ import {
   getBlogStats,
 } from "../controllers/blog.controller.js";
 import auth from "../middlewares/auth.middleware.js";
-import adminAuth from "../middlewares/adminAuth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
 
 const router = express.Router();
 
@@ -23,11 +23,11 @@ router.get("/:slug", getBlogBySlug);
 router.get("/:slug/related", getRelatedBlogs);
 
 // ADMIN ROUTES
-router.get("/admin/all", auth, adminAuth, adminGetAllBlogs);
-router.get("/admin/stats", auth, adminAuth, getBlogStats);
-router.get("/admin/:id", auth, adminAuth, adminGetBlogById);
-router.post("/admin/create", auth, adminAuth, createBlog);
-router.put("/admin/:id", auth, adminAuth, updateBlog);
-router.delete("/admin/:id", auth, adminAuth, deleteBlog);
+router.get("/admin/all", auth, authorize("blogs:manage"), adminGetAllBlogs);
+router.get("/admin/stats", auth, authorize("blogs:manage"), getBlogStats);
+router.get("/admin/:id", auth, authorize("blogs:manage"), adminGetBlogById);
+router.post("/admin/create", auth, authorize("blogs:manage"), createBlog);
+router.put("/admin/:id", auth, authorize("blogs:manage"), updateBlog);
+router.delete("/admin/:id", auth, authorize("blogs:manage"), deleteBlog);
 
 export default router;
@@ -8,29 +8,13 @@ import {
   mergeCart,
   applyCoupon,
   removeCoupon,
+  getShippingQuote,
+  recoverCart,
 } from "../controllers/cart.controller.js";
-import auth from "../middlewares/auth.middleware.js";
+import auth, { optionalAuth } from "../middlewares/auth.middleware.js";
 
 const router = express.Router();
 
-// Optional auth middleware for cart (supports both logged-in users and guests)
-const optionalAuth = async (req, res, next) => {
-  const token = req.headers.authorization?.split(" ")[1];
-
-  if (token) {
-    try {
-      const jwt = await import("jsonwebtoken");
-      const decoded = jwt.default.verify(token, process.env.JWT_SECRET);
-      req.user = decoded;
-    } catch (err) {
-      // Invalid token, continue as guest
-      req.user = null;
-    }
-  }
-
-  next();
-};
-
 // GET /cart - Get current cart
 router.get("/", optionalAuth, getCart);
 
@@ -55,4 +39,10 @@ router.post("/apply-coupon", optionalAuth, applyCoupon);
 // POST /cart/remove-coupon - Remove coupon from cart
 router.post("/remove-coupon", optionalAuth, removeCoupon);
 
+// POST /cart/shipping-quote - Quote shipping for a pincode
+router.post("/shipping-quote", optionalAuth, getShippingQuote);
+
+// POST /cart/recover - Restore a cart from a recovery email link
+router.post("/recover", auth, recoverCart);
+
 export default router;
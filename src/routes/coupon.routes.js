@@ -6,34 +6,55 @@ import {
   updateCoupon,
   deleteCoupon,
   getCouponStats,
+  generateCouponCodes,
+  getCouponCodes,
+  exportCouponCodes,
+  getCouponRedemptions,
 } from "../controllers/coupon.controller.js";
 import auth from "../middlewares/auth.middleware.js";
-import role from "../middlewares/role.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
 
 const router = express.Router();
 
 // Apply authentication middleware to all routes
 router.use(auth);
 
-// Apply admin role middleware to all routes
-router.use(role(["admin"]));
-
 // GET /admin/coupons/stats - Get coupon statistics
-router.get("/stats", getCouponStats);
+router.get("/stats", authorize("coupons:read"), getCouponStats);
 
 // POST /admin/coupons - Create new coupon
-router.post("/", createCoupon);
+router.post("/", authorize("coupons:write"), createCoupon);
 
 // GET /admin/coupons - Get all coupons with filtering/pagination
-router.get("/", getAllCoupons);
+router.get("/", authorize("coupons:read"), getAllCoupons);
 
 // GET /admin/coupons/:id - Get single coupon
-router.get("/:id", getCouponById);
+router.get("/:id", authorize("coupons:read"), getCouponById);
 
 // PUT /admin/coupons/:id - Update coupon
-router.put("/:id", updateCoupon);
+router.put("/:id", authorize("coupons:write"), updateCoupon);
 
 // DELETE /admin/coupons/:id - Delete coupon
-router.delete("/:id", deleteCoupon);
+router.delete("/:id", authorize("coupons:write"), deleteCoupon);
+
+// POST /admin/coupons/:id/codes - Generate unique codes for a campaign
+router.post("/:id/codes", authorize("coupons:write"), generateCouponCodes);
+
+// GET /admin/coupons/:id/codes - List a campaign's unique codes
+router.get("/:id/codes", authorize("coupons:read"), getCouponCodes);
+
+// GET /admin/coupons/:id/codes/export - Download a campaign's codes as CSV
+router.get(
+  "/:id/codes/export",
+  authorize("coupons:read"),
+  exportCouponCodes
+);
+
+// GET /admin/coupons/:id/redemptions - Who redeemed which code, and when
+router.get(
+  "/:id/redemptions",
+  authorize("coupons:read"),
+  getCouponRedemptions
+);
 
 export default router;
@@ -0,0 +1,22 @@
+import express from "express";
+import { syncLoyalty } from "../controllers/loyalty.controller.js";
+import { sendCartRecoveryEmails } from "../controllers/cart.controller.js";
+import { syncLedgers } from "../controllers/payout.controller.js";
+import cronAuth from "../middlewares/cronAuth.middleware.js";
+
+const router = express.Router();
+
+// Scheduled jobs, called by Vercel Cron (vercel.json) where there is no
+// background to run them in
+router.use(cronAuth);
+
+// GET /cron/loyalty - Award, reverse and expire loyalty points
+router.get("/loyalty", syncLoyalty);
+
+// GET /cron/cart-recovery - Email a batch of abandoned carts
+router.get("/cart-recovery", sendCartRecoveryEmails);
+
+// GET /cron/seller-ledgers - Post delivered orders and refunds to ledgers
+router.get("/seller-ledgers", syncLedgers);
+
+export default router;
@@ -0,0 +1,37 @@
+import express from "express";
+import {
+  ingestTelemetry,
+  registerDevice,
+  getMyDevices,
+  getMyDevice,
+  updateMyDevice,
+  rotateDeviceToken,
+  removeMyDevice,
+  getDeviceTelemetry,
+  getMyAlerts,
+  acknowledgeAlert,
+} from "../controllers/device.controller.js";
+import auth from "../middlewares/auth.middleware.js";
+import deviceAuth from "../middlewares/deviceAuth.middleware.js";
+
+const router = express.Router();
+
+// POST /devices/telemetry - Ingest readings (device token auth)
+router.post("/telemetry", deviceAuth, ingestTelemetry);
+
+// Plant-care alerts raised from readings
+router.get("/alerts", auth, getMyAlerts);
+router.patch("/alerts/:alertId/acknowledge", auth, acknowledgeAlert);
+
+// Customer device management
+router.get("/", auth, getMyDevices);
+router.post("/", auth, registerDevice);
+router.get("/:id", auth, getMyDevice);
+router.put("/:id", auth, updateMyDevice);
+router.delete("/:id", auth, removeMyDevice);
+router.post("/:id/rotate-token", auth, rotateDeviceToken);
+
+// GET /devices/:id/telemetry?from=&to=&interval=raw|hour|day
+router.get("/:id/telemetry", auth, getDeviceTelemetry);
+
+export default router;
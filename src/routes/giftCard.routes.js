@@ -0,0 +1,29 @@
+import express from "express";
+import {
+  getAllGiftCards,
+  issueGiftCard,
+  resendGiftCard,
+  cancelGiftCard,
+} from "../controllers/giftCard.controller.js";
+import auth from "../middlewares/auth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(auth);
+router.use(authorize("giftcards:manage"));
+
+// GET /admin/gift-cards - List gift cards (status, code or email search)
+router.get("/", getAllGiftCards);
+
+// POST /admin/gift-cards - Issue a gift card without an order
+router.post("/", issueGiftCard);
+
+// POST /admin/gift-cards/:id/resend - Email the gift card again
+router.post("/:id/resend", resendGiftCard);
+
+// POST /admin/gift-cards/:id/cancel - Cancel an unredeemed gift card
+router.post("/:id/cancel", cancelGiftCard);
+
+export default router;
@@ -6,24 +6,23 @@ import {
   getAllInvoices,
 } from "../controllers/invoice.controller.js";
 import authMiddleware from "../middlewares/auth.middleware.js";
-import role from "../middlewares/role.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
 
 const router = express.Router();
 
-// Apply auth and admin role middleware to all routes
+// Apply auth middleware to all routes
 router.use(authMiddleware);
-router.use(role(["admin"]));
 
 // Invoice list
-router.get("/", getAllInvoices);
+router.get("/", authorize("invoices:read"), getAllInvoices);
 
 // Generate invoice from order
-router.get("/generate/:orderId", generateInvoice);
+router.get("/generate/:orderId", authorize("invoices:write"), generateInvoice);
 
 // Get specific invoice
-router.get("/:invoiceId", getInvoice);
+router.get("/:invoiceId", authorize("invoices:read"), getInvoice);
 
 // Send invoice via email
-router.post("/:orderId/email", sendInvoiceEmail);
+router.post("/:orderId/email", authorize("invoices:send"), sendInvoiceEmail);
 
 export default router;
@@ -0,0 +1,13 @@
+import express from "express";
+import { getLoyalty } from "../controllers/loyalty.controller.js";
+import auth from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(auth);
+
+// GET /loyalty - Points balance, tier and ledger
+router.get("/", getLoyalty);
+
+export default router;
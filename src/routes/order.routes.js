@@ -6,11 +6,14 @@ import {
   getOrderById,
   updateOrderStatus,
   cancelOrder,
+  createOrderPaymentIntent,
   getOrderStats,
+  requestReturn,
 } from "../controllers/order.controller.js";
 
 import auth from "../middlewares/auth.middleware.js";
-import role from "../middlewares/role.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
+import { upload } from "../utils/imagekit.js";
 
 const router = express.Router();
 
@@ -19,10 +22,12 @@ router.post("/", auth, createOrder);
 router.get("/my-orders", auth, getUserOrders);
 router.get("/:id", auth, getOrderById);
 router.put("/:id/cancel", auth, cancelOrder);
+router.post("/:id/pay", auth, createOrderPaymentIntent);
+router.post("/:id/returns", auth, upload.array("images", 5), requestReturn);
 
 // Admin Routes
-router.get("/", auth, role(["admin"]), getAllOrders);
-router.put("/:id/status", auth, role(["admin"]), updateOrderStatus);
-router.get("/admin/stats", auth, role(["admin"]), getOrderStats);
+router.get("/", auth, authorize("orders:read"), getAllOrders);
+router.put("/:id/status", auth, authorize("orders:update"), updateOrderStatus);
+router.get("/admin/stats", auth, authorize("orders:read"), getOrderStats);
 
 export default router;
@@ -9,33 +9,57 @@ import {
   bulkOrderActions,
   downloadExport,
   getOrderAnalytics,
+  getReturnRequests,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
 } from "../controllers/orderManagement.controller.js";
 import authMiddleware from "../middlewares/auth.middleware.js";
-import adminRoleMiddleware from "../middlewares/role.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
 
 const router = express.Router();
 
-// Apply auth and admin role middleware to all routes
+// Apply auth middleware to all routes
 router.use(authMiddleware);
-router.use(adminRoleMiddleware);
+
+const canUpdateOrders = authorize("orders:update");
+const canManageReturns = authorize("returns:manage");
 
 // Order analytics
-router.get("/analytics", getOrderAnalytics);
+router.get("/analytics", authorize("analytics:read"), getOrderAnalytics);
 
 // Order list with advanced filtering
-router.get("/", getAllOrders);
+router.get("/", authorize("orders:read"), getAllOrders);
 
 // Bulk operations
-router.post("/bulk", bulkOrderActions);
+router.post("/bulk", canUpdateOrders, bulkOrderActions);
 
 // Download export
-router.get("/download/:filename", downloadExport);
+router.get("/download/:filename", authorize("orders:read"), downloadExport);
+
+// Returns (RMA)
+router.get("/returns", canManageReturns, getReturnRequests);
+router.put(
+  "/:orderId/returns/:returnId/approve",
+  canManageReturns,
+  approveReturn
+);
+router.put(
+  "/:orderId/returns/:returnId/reject",
+  canManageReturns,
+  rejectReturn
+);
+router.put(
+  "/:orderId/returns/:returnId/receive",
+  canManageReturns,
+  receiveReturn
+);
 
 // Single order operations
-router.get("/:orderId", getOrderById);
-router.put("/:orderId/status", updateOrderStatus);
-router.put("/:orderId/fulfillment", updateFulfillment);
-router.post("/:orderId/notes", addOrderNote);
-router.post("/:orderId/refund", recordRefund);
+router.get("/:orderId", authorize("orders:read"), getOrderById);
+router.put("/:orderId/status", canUpdateOrders, updateOrderStatus);
+router.put("/:orderId/fulfillment", canUpdateOrders, updateFulfillment);
+router.post("/:orderId/notes", canUpdateOrders, addOrderNote);
+router.post("/:orderId/refund", authorize("orders:refund"), recordRefund);
 
 export default router;
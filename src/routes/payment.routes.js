@@ -0,0 +1,9 @@
+import express from "express";
+import { handlePaymentWebhook } from "../controllers/payment.controller.js";
+
+const router = express.Router();
+
+// Public Routes (authenticated by gateway signature)
+router.post("/webhook/:provider", handlePaymentWebhook);
+
+export default router;
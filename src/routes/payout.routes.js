@@ -0,0 +1,28 @@
+import express from "express";
+import {
+  getSellers,
+  updateSellerCommission,
+  syncLedgers,
+  createPayout,
+  getPayouts,
+  markPayoutPaid,
+  cancelPayout,
+} from "../controllers/payout.controller.js";
+import auth from "../middlewares/auth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
+
+const router = express.Router();
+
+// Marketplace sellers, commission and payouts. Settlement exports for all
+// sellers are at /admin/reports/seller-settlement.
+router.use(auth, authorize("payouts:manage"));
+
+router.get("/", getSellers);
+router.post("/ledger/sync", syncLedgers);
+router.get("/payouts", getPayouts);
+router.patch("/payouts/:payoutId/paid", markPayoutPaid);
+router.patch("/payouts/:payoutId/cancel", cancelPayout);
+router.patch("/:id/commission", updateSellerCommission);
+router.post("/:id/payouts", createPayout);
+
+export default router;
@@ -10,10 +10,17 @@ import {
   getCategories,
   searchProducts,
   uploadImage,
+  addVariant,
+  updateVariant,
+  deleteVariant,
 } from "../controllers/product.controller.js";
+import {
+  getProductReviews,
+  createReview,
+} from "../controllers/review.controller.js";
 
 import auth from "../middlewares/auth.middleware.js";
-import role from "../middlewares/role.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
 import { upload } from "../utils/imagekit.js";
 
 const router = express.Router();
@@ -24,18 +31,35 @@ router.get("/categories", getCategories);
 router.get("/search", searchProducts);
 router.get("/slug/:slug", getProductBySlug);
 router.get("/:id", getProductById);
+router.get("/:id/reviews", getProductReviews);
+
+// Customer Routes (reviews need a delivered order for the product)
+router.post("/:id/reviews", auth, upload.array("images", 5), createReview);
 
 // Seller Routes (Authenticated sellers can manage their products)
-router.post("/", auth, role(["admin", "seller"]), createProduct);
+router.post("/", auth, authorize("products:write"), createProduct);
 router.post(
   "/upload-image",
   auth,
-  role(["admin", "seller"]),
+  authorize("products:write"),
   upload.single("image"),
   uploadImage
 );
 router.get("/seller/:sellerId", auth, getProductsBySeller);
-router.put("/:id", auth, role(["admin", "seller"]), updateProduct);
-router.delete("/:id", auth, role(["admin", "seller"]), deleteProduct);
+router.put("/:id", auth, authorize("products:write"), updateProduct);
+router.delete("/:id", auth, authorize("products:delete"), deleteProduct);
+router.post("/:id/variants", auth, authorize("products:write"), addVariant);
+router.put(
+  "/:id/variants/:variantId",
+  auth,
+  authorize("products:write"),
+  updateVariant
+);
+router.delete(
+  "/:id/variants/:variantId",
+  auth,
+  authorize("products:write"),
+  deleteVariant
+);
 
 export default router;
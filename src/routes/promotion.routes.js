@@ -0,0 +1,32 @@
+import express from "express";
+import {
+  createPromotion,
+  getAllPromotions,
+  getPromotionById,
+  updatePromotion,
+  deletePromotion,
+} from "../controllers/promotion.controller.js";
+import auth from "../middlewares/auth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(auth);
+
+// POST /admin/promotions - Create new promotion
+router.post("/", authorize("promotions:write"), createPromotion);
+
+// GET /admin/promotions - Get all promotions with filtering/pagination
+router.get("/", authorize("promotions:read"), getAllPromotions);
+
+// GET /admin/promotions/:id - Get single promotion
+router.get("/:id", authorize("promotions:read"), getPromotionById);
+
+// PUT /admin/promotions/:id - Update promotion
+router.put("/:id", authorize("promotions:write"), updatePromotion);
+
+// DELETE /admin/promotions/:id - Delete promotion
+router.delete("/:id", authorize("promotions:write"), deletePromotion);
+
+export default router;
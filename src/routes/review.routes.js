@@ -0,0 +1,23 @@
+import express from "express";
+import {
+  deleteReview,
+  toggleHelpfulVote,
+  adminGetReviews,
+  moderateReview,
+} from "../controllers/review.controller.js";
+import auth from "../middlewares/auth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
+
+const router = express.Router();
+
+// ADMIN ROUTES
+const canModerate = authorize("reviews:moderate");
+
+router.get("/admin/queue", auth, canModerate, adminGetReviews);
+router.put("/admin/:id/moderate", auth, canModerate, moderateReview);
+
+// CUSTOMER ROUTES
+router.post("/:id/helpful", auth, toggleHelpfulVote);
+router.delete("/:id", auth, deleteReview);
+
+export default router;
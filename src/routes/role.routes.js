@@ -0,0 +1,27 @@
+import express from "express";
+import {
+  getPermissions,
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+} from "../controllers/role.controller.js";
+import auth from "../middlewares/auth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
+
+const router = express.Router();
+
+// All role routes require the roles:manage permission
+router.use(auth, authorize("roles:manage"));
+
+// GET /admin/roles/permissions - Permission catalogue
+router.get("/permissions", getPermissions);
+
+router.get("/", getRoles);
+router.post("/", createRole);
+router.get("/:name", getRole);
+router.put("/:name", updateRole);
+router.delete("/:name", deleteRole);
+
+export default router;
@@ -0,0 +1,37 @@
+import express from "express";
+import {
+  getSellerDashboard,
+  getSellerProducts,
+  getSellerOrders,
+  getSellerOrder,
+  getSellerEarnings,
+  getSellerPayouts,
+  getSellerPayout,
+  exportSettlement,
+  getSellerProfile,
+  updateSellerProfile,
+} from "../controllers/seller.controller.js";
+import auth from "../middlewares/auth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
+
+const router = express.Router();
+
+// Seller portal; everything is scoped to the signed-in seller. Products
+// are created and edited through /products, which checks ownership.
+router.use(auth, authorize("seller:portal"));
+
+router.get("/dashboard", getSellerDashboard);
+router.get("/products", getSellerProducts);
+router.get("/orders", getSellerOrders);
+router.get("/orders/:id", getSellerOrder);
+router.get("/earnings", getSellerEarnings);
+router.get("/payouts", getSellerPayouts);
+router.get("/payouts/:id", getSellerPayout);
+
+// GET /seller/settlements/export?format=csv|xlsx&startDate&endDate&payoutId
+router.get("/settlements/export", exportSettlement);
+
+router.get("/profile", getSellerProfile);
+router.put("/profile", updateSellerProfile);
+
+export default router;
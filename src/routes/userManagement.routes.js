@@ -5,39 +5,80 @@ import {
   updateUser,
   toggleUserBlock,
   resetUserPassword,
+  resetUserTwoFactor,
+  getUserSessions,
+  revokeUserSessions,
   impersonateUser,
   addUserNote,
   bulkUserActions,
   downloadExport,
   getUserAnalytics,
 } from "../controllers/userManagement.controller.js";
+import {
+  getUserWallet,
+  adjustUserWallet,
+} from "../controllers/wallet.controller.js";
+import {
+  getUserLoyalty,
+  adjustUserLoyalty,
+  syncLoyalty,
+} from "../controllers/loyalty.controller.js";
 import authMiddleware from "../middlewares/auth.middleware.js";
-import role from "../middlewares/role.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
 
 const router = express.Router();
 
-// Apply auth and admin role middleware to all routes
+// Apply auth middleware to all routes
 router.use(authMiddleware);
-router.use(role(["admin"]));
+
+const canReadUsers = authorize("users:read");
+const canWriteUsers = authorize("users:write");
 
 // User analytics
-router.get("/analytics", getUserAnalytics);
+router.get("/analytics", authorize("analytics:read"), getUserAnalytics);
 
 // User list with filtering
-router.get("/", getAllUsers);
+router.get("/", canReadUsers, getAllUsers);
 
 // Bulk operations
-router.post("/bulk", bulkUserActions);
+router.post("/bulk", canWriteUsers, bulkUserActions);
+
+// Post loyalty points now rather than waiting for the hourly job
+router.post("/loyalty/sync", authorize("loyalty:manage"), syncLoyalty);
 
 // Download export
-router.get("/download/:filename", downloadExport);
+router.get("/download/:filename", canReadUsers, downloadExport);
 
 // Single user operations
-router.get("/:userId", getUserById);
-router.put("/:userId", updateUser);
-router.put("/:userId/block", toggleUserBlock);
-router.post("/:userId/reset-password", resetUserPassword);
-router.post("/:userId/impersonate", impersonateUser);
-router.post("/:userId/notes", addUserNote);
+router.get("/:userId", canReadUsers, getUserById);
+router.put("/:userId", canWriteUsers, updateUser);
+router.put("/:userId/block", canWriteUsers, toggleUserBlock);
+router.post("/:userId/reset-password", canWriteUsers, resetUserPassword);
+router.delete("/:userId/two-factor", canWriteUsers, resetUserTwoFactor);
+router.get("/:userId/sessions", canReadUsers, getUserSessions);
+router.delete("/:userId/sessions", canWriteUsers, revokeUserSessions);
+router.delete(
+  "/:userId/sessions/:sessionId",
+  canWriteUsers,
+  revokeUserSessions
+);
+router.post(
+  "/:userId/impersonate",
+  authorize("users:impersonate"),
+  impersonateUser
+);
+router.post("/:userId/notes", canWriteUsers, addUserNote);
+router.get("/:userId/wallet", authorize("wallet:manage"), getUserWallet);
+router.post(
+  "/:userId/wallet/adjust",
+  authorize("wallet:manage"),
+  adjustUserWallet
+);
+router.get("/:userId/loyalty", authorize("loyalty:manage"), getUserLoyalty);
+router.post(
+  "/:userId/loyalty/adjust",
+  authorize("loyalty:manage"),
+  adjustUserLoyalty
+);
 
 export default router;
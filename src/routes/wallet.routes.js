@@ -0,0 +1,23 @@
+import express from "express";
+import {
+  getWallet,
+  redeemGiftCard,
+  getPurchasedGiftCards,
+} from "../controllers/wallet.controller.js";
+import auth from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(auth);
+
+// GET /wallet - Balance and ledger
+router.get("/", getWallet);
+
+// POST /wallet/redeem - Redeem a gift card code into the wallet
+router.post("/redeem", redeemGiftCard);
+
+// GET /wallet/gift-cards - Gift cards bought by the customer
+router.get("/gift-cards", getPurchasedGiftCards);
+
+export default router;
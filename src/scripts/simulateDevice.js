@@ -0,0 +1,122 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Simulates a plant monitor posting readings to the ingestion endpoint.
+// Usage: DEVICE_TOKEN=dev_xxx npm run simulate:device -- --count 10
+//   API_URL           base URL of the API (default http://localhost:5000)
+//   DEVICE_TOKEN      token returned when the device was registered
+//   INTERVAL_SECONDS  seconds between readings (default 10)
+//   --count N         stop after N readings (default: run until stopped)
+//   --backfill H      first upload H hours of history, one reading per 5 min
+
+const API_URL = process.env.API_URL || "http://localhost:5000";
+const DEVICE_TOKEN = process.env.DEVICE_TOKEN;
+const INTERVAL_SECONDS = Number(process.env.INTERVAL_SECONDS) || 10;
+
+const getArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : Number(process.argv[index + 1]);
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round = (value) => Math.round(value * 10) / 10;
+
+// Random walk so the charts look like a real plant drying out
+const state = {
+  moisture: 60,
+  temperature: 24,
+  humidity: 55,
+  light: 800,
+  battery: 100,
+};
+
+const nextReading = (recordedAt) => {
+  state.moisture = clamp(state.moisture - Math.random() * 0.5, 5, 100);
+  // Simulated watering when the soil gets dry
+  if (state.moisture < 20) state.moisture = 70;
+  state.temperature = clamp(state.temperature + (Math.random() - 0.5), 10, 40);
+  state.humidity = clamp(state.humidity + (Math.random() - 0.5) * 2, 20, 95);
+  state.light = clamp(state.light + (Math.random() - 0.5) * 200, 0, 20000);
+  state.battery = clamp(state.battery - 0.01, 0, 100);
+
+  return {
+    recordedAt: recordedAt.toISOString(),
+    moisture: round(state.moisture),
+    temperature: round(state.temperature),
+    humidity: round(state.humidity),
+    light: Math.round(state.light),
+    battery: round(state.battery),
+  };
+};
+
+const sendReadings = async (readings) => {
+  const response = await fetch(`${API_URL}/devices/telemetry`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Device-Token": DEVICE_TOKEN,
+    },
+    body: JSON.stringify({ readings, firmware: "sim-1.0.0" }),
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.message || `HTTP ${response.status}`);
+  }
+  return body;
+};
+
+const backfill = async (hours) => {
+  const stepMs = 5 * 60 * 1000;
+  const readings = [];
+  const start = Date.now() - hours * 60 * 60 * 1000;
+  for (let t = start; t < Date.now(); t += stepMs) {
+    readings.push(nextReading(new Date(t)));
+  }
+
+  // Stay under the per-request limit
+  for (let i = 0; i < readings.length; i += 500) {
+    await sendReadings(readings.slice(i, i + 500));
+  }
+  console.log(`Backfilled ${readings.length} readings over ${hours}h`);
+};
+
+const simulate = async () => {
+  if (!DEVICE_TOKEN) {
+    console.error("DEVICE_TOKEN is required");
+    process.exit(1);
+  }
+
+  const count = getArg("count");
+  const backfillHours = getArg("backfill");
+
+  try {
+    if (backfillHours > 0) await backfill(backfillHours);
+  } catch (error) {
+    console.error("Backfill failed:", error.message);
+    process.exit(1);
+  }
+
+  let sent = 0;
+  const tick = async () => {
+    const reading = nextReading(new Date());
+    try {
+      await sendReadings([reading]);
+      console.log("Sent", reading);
+    } catch (error) {
+      console.error("Send failed:", error.message);
+    }
+
+    sent += 1;
+    if (count && sent >= count) {
+      clearInterval(timer);
+    }
+  };
+
+  console.log(`Posting to ${API_URL} every ${INTERVAL_SECONDS}s`);
+  const timer = setInterval(tick, INTERVAL_SECONDS * 1000);
+  await tick();
+};
+
+simulate();
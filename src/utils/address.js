@@ -0,0 +1,94 @@
+import { isValidPincode } from "./shipping.js";
+
+const ADDRESS_FIELDS = [
+  "type",
+  "isDefault",
+  "fullName",
+  "phone",
+  "addressLine1",
+  "addressLine2",
+  "city",
+  "state",
+  "postalCode",
+  "country",
+];
+
+const isIndia = (country) =>
+  !country || String(country).trim().toLowerCase() === "india";
+
+// Indian mobile numbers as 10 digits, dropping a +91 / 91 / 0 prefix and
+// any spaces or dashes; other input is returned trimmed
+export const normalizePhone = (phone) => {
+  const value = String(phone || "").trim();
+  const digits = value.replace(/[\s\-()]/g, "");
+  const match = digits.match(/^(?:\+?91|0)?([6-9]\d{9})$/);
+  return match ? match[1] : value;
+};
+
+export const isValidPhone = (phone) =>
+  /^[6-9]\d{9}$/.test(normalizePhone(phone));
+
+// Only the address book fields of a request body, with the phone
+// normalised. Accepts `pincode` and `address` as the checkout form sends
+// them.
+export const pickAddressFields = (body = {}) => {
+  const data = {};
+  ADDRESS_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (data.postalCode === undefined && body.pincode !== undefined) {
+    data.postalCode = body.pincode;
+  }
+  if (data.addressLine1 === undefined && body.address !== undefined) {
+    data.addressLine1 = body.address;
+  }
+  if (data.phone !== undefined) data.phone = normalizePhone(data.phone);
+  return data;
+};
+
+// List every problem with an address; empty when it is acceptable.
+// Pincode and phone formats are checked for Indian addresses.
+export const validateAddress = (
+  address = {},
+  { requirePhone = false } = {}
+) => {
+  const errors = [];
+
+  if (!String(address.fullName || "").trim()) {
+    errors.push("Full name is required");
+  }
+  if (!String(address.addressLine1 || "").trim()) {
+    errors.push("Address line 1 is required");
+  }
+  if (!String(address.city || "").trim()) errors.push("City is required");
+  if (!String(address.state || "").trim()) errors.push("State is required");
+
+  const postalCode = address.postalCode ?? address.pincode;
+  if (!String(postalCode || "").trim()) {
+    errors.push("Pincode is required");
+  } else if (isIndia(address.country) && !isValidPincode(postalCode)) {
+    errors.push("Pincode must be a valid 6-digit Indian pincode");
+  }
+
+  if (!String(address.phone || "").trim()) {
+    if (requirePhone) errors.push("Phone number is required");
+  } else if (isIndia(address.country) && !isValidPhone(address.phone)) {
+    errors.push("Phone must be a valid 10-digit Indian mobile number");
+  }
+
+  return errors;
+};
+
+// Snapshot of an address book entry (or checkout form) in the order
+// address shape, so later edits to the address book don't change orders
+export const toOrderAddress = (address, { email }) => ({
+  fullName: address.fullName,
+  phone: normalizePhone(address.phone),
+  email: address.email || email,
+  addressLine1: address.addressLine1 ?? address.address,
+  addressLine2: address.addressLine2 || "",
+  city: address.city,
+  state: address.state,
+  pincode: String(address.postalCode ?? address.pincode ?? "").trim(),
+  country: address.country || "India",
+});
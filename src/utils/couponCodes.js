@@ -0,0 +1,57 @@
+import crypto from "crypto";
+
+// No 0/O or 1/I so codes can be read off a printed card
+export const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+export const CODE_PLACEHOLDER = "#";
+export const MAX_CODE_LENGTH = 32;
+
+// At least this many random characters in every code
+const MIN_RANDOM_CHARS = 6;
+
+// Codes must be this many times rarer than a guess, so that they can't
+// be found by trying codes in a pattern
+const MIN_COMBINATIONS_PER_CODE = 1000;
+
+const countPlaceholders = (pattern) =>
+  pattern.split(CODE_PLACEHOLDER).length - 1;
+
+// Build the pattern for a batch of codes: either `pattern`, where every
+// "#" is a random character (e.g. "SUMMER-####-####"), or `prefix`
+// followed by `length` random characters. Returns { pattern } or
+// { error }.
+export const resolveCodePattern = (
+  { pattern, prefix = "", length = 8 },
+  count
+) => {
+  const resolved = String(
+    pattern || `${prefix}${CODE_PLACEHOLDER.repeat(Number(length) || 0)}`
+  )
+    .trim()
+    .toUpperCase();
+
+  if (!/^[A-Z0-9#-]+$/.test(resolved)) {
+    return { error: "Use only letters, digits, dashes and # in codes" };
+  }
+  if (resolved.length > MAX_CODE_LENGTH) {
+    return { error: `Codes can be at most ${MAX_CODE_LENGTH} characters` };
+  }
+
+  const randomChars = countPlaceholders(resolved);
+  if (randomChars < MIN_RANDOM_CHARS) {
+    return {
+      error: `Codes need at least ${MIN_RANDOM_CHARS} random characters`,
+    };
+  }
+  if (CODE_ALPHABET.length ** randomChars < count * MIN_COMBINATIONS_PER_CODE) {
+    return { error: "Add more random characters for this many codes" };
+  }
+
+  return { pattern: resolved };
+};
+
+// Fill every placeholder of a pattern with a random character
+export const generateCode = (pattern) =>
+  pattern.replace(
+    /#/g,
+    () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+  );
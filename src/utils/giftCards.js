@@ -0,0 +1,65 @@
+import GiftCard from "../models/giftCard.model.js";
+import Settings from "../models/settings.model.js";
+import { escapeHtml, sendTemplateEmail } from "./mailer.js";
+
+// Used when Settings.email.templates has no active "gift_card" entry
+const FALLBACK_TEMPLATE = {
+  subject: "You've received a {companyName} gift card",
+  body: `
+    <h2>Hi {recipientName},</h2>
+    <p>{senderName} sent you a gift card worth <strong>₹{value}</strong>.</p>
+    {giftMessage}
+    <p>Your code: <strong>{code}</strong></p>
+    <p>Redeem it into your wallet from your account before {expiresAt}.</p>
+    <br>
+    <p>Best regards,<br>{companyName}</p>
+  `,
+};
+
+// Email one gift card to its recipient and mark it delivered
+export const sendGiftCardEmail = async (
+  card,
+  settings,
+  { senderName } = {}
+) => {
+  await sendTemplateEmail(settings, {
+    template: "gift_card",
+    fallback: FALLBACK_TEMPLATE,
+    to: card.recipientEmail,
+    // The customer's message and names go into the email as text
+    variables: {
+      recipientName: escapeHtml(card.recipientName || "there"),
+      senderName: escapeHtml(senderName || settings.company.name),
+      value: card.value,
+      code: card.code,
+      expiresAt: card.expiresAt.toDateString(),
+      giftMessage: card.message
+        ? `<p><em>"${escapeHtml(card.message)}"</em></p>`
+        : "",
+    },
+  });
+
+  card.deliveredAt = new Date();
+  await card.save();
+};
+
+// Issue the gift cards of a paid order and email them. A card whose email
+// fails stays undelivered and can be resent by an admin.
+export const deliverOrderGiftCards = async (order, { senderName } = {}) => {
+  if (!order.items.some((item) => item.isGiftCard)) return [];
+
+  const cards = await GiftCard.issueForOrder(order);
+  if (cards.length === 0) return cards;
+
+  const settings = await Settings.getSettings();
+  for (const card of cards) {
+    try {
+      await sendGiftCardEmail(card, settings, {
+        senderName: senderName || order.billingAddress?.fullName,
+      });
+    } catch (error) {
+      console.error(`Gift card ${card._id} email error:`, error);
+    }
+  }
+  return cards;
+};
@@ -21,4 +21,25 @@ const upload = multer({
   },
 });
 
-export { imagekit, upload };
+// Upload multer files to an ImageKit folder
+const uploadImages = async (files = [], folder) => {
+  const images = [];
+
+  for (const file of files) {
+    const uploadResponse = await imagekit.upload({
+      file: file.buffer,
+      fileName: `${Date.now()}-${file.originalname}`,
+      folder,
+    });
+
+    images.push({
+      url: uploadResponse.url,
+      fileId: uploadResponse.fileId,
+      alt: file.originalname,
+    });
+  }
+
+  return images;
+};
+
+export { imagekit, upload, uploadImages };
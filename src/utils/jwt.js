@@ -1,15 +1,80 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 
-export const generateAccessToken = (user) => {
-  return jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, {
-    expiresIn: "1hr",
-  });
+// sessionId (sid) ties the access token to the Session it came from
+export const generateAccessToken = (user, sessionId = null) => {
+  return jwt.sign(
+    { id: user._id, role: user.role, sid: sessionId || undefined },
+    process.env.JWT_SECRET,
+    { expiresIn: "1hr" }
+  );
+};
+
+// Returns the payload of a signed-in user's access token, or null when it
+// is invalid, expired or a purpose token (cart recovery, two-factor steps)
+export const verifyAccessToken = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose ? null : payload;
+  } catch (err) {
+    return null;
+  }
 };
 
-export const generateRefreshToken = (user) => {
+// Refresh tokens belong to a Session and are rotated on every use; jti
+// keeps each rotation unique
+export const generateRefreshToken = (user, { sessionId, expiresInMs }) => {
   return jwt.sign(
-    { id: user._id, role: user.role },
+    { id: user._id, role: user.role, sid: sessionId },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: "7d" }
+    {
+      expiresIn: Math.ceil(expiresInMs / 1000),
+      jwtid: crypto.randomUUID(),
+    }
+  );
+};
+
+// Signed deep link token for an abandoned cart recovery email
+export const generateCartRecoveryToken = (recovery, expiresInDays) => {
+  return jwt.sign(
+    {
+      purpose: "cart_recovery",
+      recoveryId: recovery._id,
+      cartId: recovery.cartId,
+      userId: recovery.userId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: `${expiresInDays}d` }
   );
 };
+
+// Returns the token payload, or null when it is invalid or expired
+export const verifyCartRecoveryToken = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === "cart_recovery" ? payload : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Short-lived token between password and two-factor steps of a login:
+// "2fa_challenge" to enter a code, "2fa_setup" to enrol when required
+export const generateTwoFactorToken = (user, purpose) => {
+  return jwt.sign(
+    { purpose, id: user._id, role: user.role },
+    process.env.JWT_SECRET,
+    { expiresIn: purpose === "2fa_setup" ? "15m" : "5m" }
+  );
+};
+
+// Returns the token payload, or null when it is invalid, expired or for
+// another purpose
+export const verifyTwoFactorToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === purpose ? payload : null;
+  } catch (err) {
+    return null;
+  }
+};
@@ -0,0 +1,100 @@
+// Loyalty programme rules, driven by settings.loyalty
+import { allocateDiscount } from "./tax.js";
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Tier for a lifetime spend, with the next tier and what's left to reach it
+export const getLoyaltyTier = (loyalty = {}, totalSpent = 0) => {
+  const tiers = [...(loyalty.tiers || [])].sort(
+    (a, b) => a.minSpend - b.minSpend
+  );
+  const reached = tiers.filter((tier) => totalSpent >= tier.minSpend);
+  const tier = reached[reached.length - 1] || null;
+  const nextTier = tiers.find((candidate) => totalSpent < candidate.minSpend);
+
+  return {
+    tier: tier && {
+      name: tier.name,
+      minSpend: tier.minSpend,
+      multiplier: tier.multiplier || 1,
+    },
+    nextTier: nextTier
+      ? {
+          name: nextTier.name,
+          minSpend: nextTier.minSpend,
+          amountToUnlock: round2(nextTier.minSpend - totalSpent),
+        }
+      : null,
+  };
+};
+
+// Product value of an order that earns points: what was paid for its
+// items after discounts. Gift cards don't earn points.
+export const getEarnableAmount = (order) =>
+  round2(
+    order.items
+      .filter((item) => !item.isGiftCard)
+      .reduce(
+        (sum, item) => sum + order.getUnitRefund(item) * item.quantity,
+        0
+      )
+  );
+
+// Whole points earned on an amount at the customer's tier
+export const calculateEarnedPoints = (loyalty = {}, amount, totalSpent) => {
+  const { tier } = getLoyaltyTier(loyalty, totalSpent);
+  return Math.floor(
+    (amount / 100) * (loyalty.earnRate || 0) * (tier?.multiplier || 1)
+  );
+};
+
+// Discount for redeeming points on checkout lines ({ amount, discount,
+// isGiftCard }). It is spread over the non gift card lines by what is
+// left of them. Returns { discount, lineDiscounts } or { error }.
+export const calculateRedemption = (loyalty = {}, lines, points, balance) => {
+  if (!loyalty.enabled) return { error: "Loyalty points are not available" };
+  if (!Number.isInteger(points) || points < 1) {
+    return { error: "Points to redeem must be a whole number" };
+  }
+  if (points < (loyalty.minRedeemPoints || 1)) {
+    return {
+      error: `At least ${loyalty.minRedeemPoints} points must be redeemed`,
+    };
+  }
+  if (points > balance) {
+    return { error: `You have ${balance} points available` };
+  }
+
+  const remaining = lines.map((line) =>
+    line.isGiftCard ? 0 : Math.max(0, line.amount - (line.discount || 0))
+  );
+  const eligible = [];
+  remaining.forEach((amount, index) => {
+    if (amount > 0) eligible.push(index);
+  });
+  const eligibleAmount = eligible.reduce(
+    (sum, index) => sum + remaining[index],
+    0
+  );
+
+  const pointValue = loyalty.pointValue || 1;
+  const maxDiscount = (eligibleAmount * (loyalty.maxRedeemPercent || 0)) / 100;
+  const maxPoints = Math.floor(round2(maxDiscount / pointValue));
+  if (points > maxPoints) {
+    return {
+      error: `You can redeem up to ${maxPoints} points on this order`,
+    };
+  }
+
+  const discount = round2(points * pointValue);
+  const shares = allocateDiscount(
+    eligible.map((index) => remaining[index]),
+    discount
+  );
+  const lineDiscounts = lines.map(() => 0);
+  eligible.forEach((index, position) => {
+    lineDiscounts[index] = shares[position];
+  });
+
+  return { discount, lineDiscounts };
+};
@@ -0,0 +1,71 @@
+import nodemailer from "nodemailer";
+
+// SMTP transport from Settings.email.smtp, falling back to env credentials
+export const createMailTransport = (settings) => {
+  const smtp = settings.email?.smtp || {};
+
+  return nodemailer.createTransport({
+    host: smtp.host || "smtp.gmail.com",
+    port: smtp.port || 587,
+    secure: smtp.secure || false,
+    auth: {
+      user: smtp.username || process.env.EMAIL_USERNAME,
+      pass: smtp.password || process.env.EMAIL_PASSWORD,
+    },
+  });
+};
+
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Escape text entered by customers or sellers before it goes into an
+// HTML template
+export const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+// Replace every {key} in a template with its value
+export const renderTemplate = (text, variables = {}) => {
+  return String(text || "").replace(/\{(\w+)\}/g, (match, key) =>
+    variables[key] !== undefined && variables[key] !== null
+      ? String(variables[key])
+      : match
+  );
+};
+
+// "Name <email>" sender from settings
+export const getSender = (settings) => {
+  return `${settings.email?.from?.name || settings.company.name} <${
+    settings.email?.from?.email || settings.company.email
+  }>`;
+};
+
+// Send an email using a Settings.email.templates entry by name, or the
+// fallback template when the named one is missing or inactive
+export const sendTemplateEmail = async (
+  settings,
+  { template, fallback, to, variables = {}, attachments = [] }
+) => {
+  const emailTemplate = settings.getEmailTemplate(template) || fallback;
+  if (!emailTemplate) {
+    throw new Error(`Email template "${template}" not found`);
+  }
+
+  const templateVariables = {
+    companyName: settings.company.name,
+    ...variables,
+  };
+
+  const transporter = createMailTransport(settings);
+  return transporter.sendMail({
+    from: getSender(settings),
+    to,
+    subject: renderTemplate(emailTemplate.subject, templateVariables),
+    html: renderTemplate(emailTemplate.body, templateVariables),
+    attachments,
+  });
+};
@@ -0,0 +1,129 @@
+import mongoose from "mongoose";
+import Counter from "../models/counter.model.js";
+import Settings from "../models/settings.model.js";
+
+const DEFAULT_TIMEZONE = "Asia/Kolkata";
+
+// Calendar date in the store's timezone, so numbers roll over at local midnight
+const getDateParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => parts.find((part) => part.type === type).value;
+
+  return { year: get("year"), month: get("month"), day: get("day") };
+};
+
+// Indian financial year runs April to March, e.g. "2025-26"
+const getFinancialYear = ({ year, month }) => {
+  const startYear = Number(month) >= 4 ? Number(year) : Number(year) - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+// Supported tokens: YYYY, YY, MM, DD and FY (financial year)
+export const formatDatePart = (parts, dateFormat = "") => {
+  return dateFormat.replace(/YYYY|YY|MM|DD|FY/g, (token) => {
+    switch (token) {
+      case "YYYY":
+        return parts.year;
+      case "YY":
+        return parts.year.slice(-2);
+      case "MM":
+        return parts.month;
+      case "DD":
+        return parts.day;
+      case "FY":
+        return getFinancialYear(parts);
+      default:
+        return token;
+    }
+  });
+};
+
+// Counter key suffix for the period a sequence restarts in
+const getResetKey = (parts, resetPeriod) => {
+  switch (resetPeriod) {
+    case "daily":
+      return `${parts.year}${parts.month}${parts.day}`;
+    case "monthly":
+      return `${parts.year}${parts.month}`;
+    case "financial_year":
+      return `FY${getFinancialYear(parts)}`;
+    default:
+      return "all";
+  }
+};
+
+// Highest sequence already issued under a prefix, used to seed new counters
+const findLastSequence = async (modelName, field, prefix, session) => {
+  const escapedPrefix = prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const last = await mongoose
+    .model(modelName)
+    .findOne({ [field]: new RegExp(`^${escapedPrefix}\\d+$`, "i") })
+    .sort({ [field]: -1 })
+    .select(field)
+    .session(session)
+    .lean();
+
+  if (!last) return 0;
+  return parseInt(last[field].slice(prefix.length), 10) || 0;
+};
+
+// Generate orderNumber (ORD000001) and orderId (ORD-YYYYMMDD-000001)
+export const generateOrderNumbers = async ({
+  date = new Date(),
+  session = null,
+} = {}) => {
+  const settings = await Settings.getSettings();
+  const parts = getDateParts(date, settings.localization?.timezone);
+  const dateStr = formatDatePart(parts, "YYYYMMDD");
+
+  const sequence = await Counter.next("order", {
+    session,
+    initial: () => findLastSequence("Order", "orderNumber", "ORD", session),
+  });
+  const dailySequence = await Counter.next(`order:${dateStr}`, {
+    session,
+    initial: () =>
+      findLastSequence("Order", "orderId", `ORD-${dateStr}-`, session),
+  });
+
+  return {
+    orderNumber: `ORD${String(sequence).padStart(6, "0")}`,
+    orderId: `ORD-${dateStr}-${String(dailySequence).padStart(6, "0")}`,
+  };
+};
+
+// Generate an invoice number from settings.invoice.numberFormat.
+// Settings validation makes sure the date format includes the reset period
+// (e.g. DD for daily resets) so numbers from different periods can't
+// collide.
+export const generateInvoiceNumber = async ({
+  date = new Date(),
+  session = null,
+} = {}) => {
+  const settings = await Settings.getSettings();
+  const {
+    prefix = "INV-",
+    dateFormat = "YYYYMMDD",
+    sequence = "NNNNNN",
+    resetPeriod = "daily",
+  } = settings.invoice?.numberFormat || {};
+
+  const parts = getDateParts(date, settings.localization?.timezone);
+  const datePart = formatDatePart(parts, dateFormat);
+  const base = datePart ? `${prefix}${datePart}-` : prefix;
+
+  const next = await Counter.next(
+    `invoice:${getResetKey(parts, resetPeriod)}`,
+    {
+      session,
+      initial: () => findLastSequence("Invoice", "invoiceNumber", base, session),
+    }
+  );
+
+  return `${base}${String(next).padStart(sequence.length, "0")}`;
+};
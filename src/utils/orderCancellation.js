@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+import Coupon from "../models/coupon.model.js";
+import GiftCard from "../models/giftCard.model.js";
+import LoyaltyTransaction from "../models/loyaltyTransaction.model.js";
+import Order, { ADMIN_CANCELLABLE_STATUSES } from "../models/order.model.js";
+import Product from "../models/product.model.js";
+import WalletTransaction from "../models/walletTransaction.model.js";
+
+// Give back what a cancelled order took: its coupon use, the store credit
+// and the loyalty points spent on it. Gift cards it bought that weren't
+// redeemed yet are cancelled first; the value of ones already redeemed is
+// kept back from the store credit, so cancelling can't pay for them twice.
+// Points it earned are taken back. Safe to call more than once.
+export const releaseCancelledOrder = async (order, { session = null } = {}) => {
+  await Coupon.releaseForOrder(order._id, { session });
+  await GiftCard.cancelForOrder(order._id, { session });
+  const redeemedValue = await GiftCard.getRedeemedValue(order._id, {
+    session,
+  });
+  await WalletTransaction.restoreForOrder(order, {
+    session,
+    withhold: redeemedValue,
+  });
+  await LoyaltyTransaction.releaseForOrder(order, { session });
+};
+
+// Cancel an order whose status is still one of `from`, putting its stock
+// back and releasing what it took in one transaction. The status change is
+// conditional, so when two cancellations race only one of them does this.
+// An `audit` entry is added with the status change. Returns the cancelled
+// order, or null if its status had moved on.
+export const cancelAndRestock = async (orderId, { from, audit = null }) => {
+  const session = await mongoose.startSession();
+  let order = null;
+  try {
+    await session.withTransaction(async () => {
+      order = await Order.findOneAndUpdate(
+        { _id: orderId, status: { $in: from } },
+        { $set: { status: "cancelled" }, ...(audit && { $push: { audit } }) },
+        { new: true, session }
+      );
+      if (!order) return;
+
+      for (const item of order.items) {
+        await Product.restoreStock(item, { session });
+      }
+      await releaseCancelledOrder(order, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  return order;
+};
+
+// Cancel an order for an admin, from the status it was read with so the
+// audit entry records the change made. Admins can cancel until the order
+// ships. Returns the cancelled order, or null if it can't be cancelled.
+export const cancelForAdmin = async (order, { adminId, adminName, note }) => {
+  if (!ADMIN_CANCELLABLE_STATUSES.includes(order.status)) return null;
+
+  return cancelAndRestock(order._id, {
+    from: [order.status],
+    audit: {
+      action: `Status changed from ${order.status} to cancelled`,
+      byAdminId: adminId,
+      byAdminName: adminName,
+      from: order.status,
+      to: "cancelled",
+      note: note || null,
+    },
+  });
+};
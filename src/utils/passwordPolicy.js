@@ -0,0 +1,69 @@
+import crypto from "crypto";
+
+const DEFAULT_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireNumbers: true,
+  requireSpecialChars: false,
+};
+
+const UPPERCASE = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+const LOWERCASE = "abcdefghijkmnopqrstuvwxyz";
+const NUMBERS = "23456789";
+const SPECIAL = "!@#$%^&*-_+=?";
+
+// Password policy from Settings.security.passwordPolicy with defaults
+// for anything unset
+export const getPasswordPolicy = (settings) => {
+  const policy = settings?.security?.passwordPolicy || {};
+  return {
+    minLength: policy.minLength ?? DEFAULT_POLICY.minLength,
+    requireUppercase:
+      policy.requireUppercase ?? DEFAULT_POLICY.requireUppercase,
+    requireNumbers: policy.requireNumbers ?? DEFAULT_POLICY.requireNumbers,
+    requireSpecialChars:
+      policy.requireSpecialChars ?? DEFAULT_POLICY.requireSpecialChars,
+  };
+};
+
+// List every rule a password breaks; empty when it is acceptable
+export const checkPassword = (password, policy = DEFAULT_POLICY) => {
+  const value = typeof password === "string" ? password : "";
+  const errors = [];
+
+  if (value.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    errors.push("Password must contain an uppercase letter");
+  }
+  if (policy.requireNumbers && !/\d/.test(value)) {
+    errors.push("Password must contain a number");
+  }
+  if (policy.requireSpecialChars && !/[^A-Za-z0-9]/.test(value)) {
+    errors.push("Password must contain a special character");
+  }
+
+  return errors;
+};
+
+// Random password that satisfies the policy, for admin resets
+export const generatePassword = (policy = DEFAULT_POLICY) => {
+  const pick = (chars) => chars[crypto.randomInt(chars.length)];
+  const required = [pick(LOWERCASE)];
+  if (policy.requireUppercase) required.push(pick(UPPERCASE));
+  if (policy.requireNumbers) required.push(pick(NUMBERS));
+  if (policy.requireSpecialChars) required.push(pick(SPECIAL));
+
+  const all = LOWERCASE + UPPERCASE + NUMBERS;
+  const length = Math.max(policy.minLength, 12);
+  const chars = [...required];
+  while (chars.length < length) chars.push(pick(all));
+
+  // Shuffle so the required characters aren't always first
+  for (let i = chars.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join("");
+};
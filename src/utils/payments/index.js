@@ -0,0 +1,99 @@
+import Settings from "../../models/settings.model.js";
+import mockProvider from "./mock.provider.js";
+import razorpayProvider from "./razorpay.provider.js";
+import stripeProvider from "./stripe.provider.js";
+
+// Registered payment providers, keyed by Settings.payments.gateways[].provider
+const providers = {
+  razorpay: razorpayProvider,
+  stripe: stripeProvider,
+};
+
+// The mock provider marks orders paid without a real gateway, so it is only
+// registered when MOCK_PAYMENTS_ENABLED is set (checked on use, since the
+// environment is loaded after imports)
+const isMockEnabled = () => process.env.MOCK_PAYMENTS_ENABLED === "true";
+
+// Payment methods that are settled offline and never go through a gateway
+export const OFFLINE_PAYMENT_METHODS = ["cod", "wallet"];
+
+export const registerPaymentProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+export const getPaymentProvider = (name) => {
+  const provider =
+    name === "mock" ? isMockEnabled() && mockProvider : providers[name];
+  if (!provider) {
+    throw new Error(`Payment provider "${name}" is not supported`);
+  }
+  return provider;
+};
+
+// Resolve the gateway configuration for a provider (or the first active one).
+// Falls back to PAYMENT_PROVIDER from the environment so local setups can use
+// the mock provider without touching settings.
+export const getGatewayConfig = async (providerName = null) => {
+  const settings = await Settings.getSettings();
+  const activeGateways = settings.getActivePaymentGateways();
+
+  const gateway = providerName
+    ? activeGateways.find((g) => g.provider === providerName)
+    : activeGateways[0];
+
+  if (gateway) {
+    return {
+      provider: gateway.provider,
+      config: gateway.config || {},
+      testMode: gateway.testMode,
+    };
+  }
+
+  const envProvider = process.env.PAYMENT_PROVIDER;
+  if (envProvider && (!providerName || providerName === envProvider)) {
+    return { provider: envProvider, config: {}, testMode: true };
+  }
+
+  return null;
+};
+
+// Create a payment intent for an order with the active gateway, for the
+// part not paid from the wallet
+export const createPaymentIntent = async (order) => {
+  const gateway = await getGatewayConfig();
+  if (!gateway) {
+    throw new Error("No active payment gateway configured");
+  }
+
+  const provider = getPaymentProvider(gateway.provider);
+  const intent = await provider.createIntent({
+    amount: order.totalAmount - (order.payment.walletAmount || 0),
+    currency: order.currency || "INR",
+    receipt: order.orderId,
+    config: gateway.config,
+    testMode: gateway.testMode,
+  });
+
+  return { gateway: gateway.provider, testMode: gateway.testMode, ...intent };
+};
+
+// Verify a webhook signature and normalise the event.
+// Returns null when the provider is unknown or the signature is invalid.
+export const handleWebhookEvent = async (providerName, rawBody, headers) => {
+  let provider;
+  try {
+    provider = getPaymentProvider(providerName);
+  } catch {
+    return null;
+  }
+  const gateway = await getGatewayConfig(providerName);
+
+  const isValid = provider.verifyWebhook({
+    rawBody,
+    headers,
+    config: gateway?.config || {},
+  });
+  if (!isValid) return null;
+
+  return provider.parseWebhook(JSON.parse(rawBody));
+};
@@ -0,0 +1,65 @@
+import crypto from "crypto";
+
+// Local payment provider used in development and tests.
+// Intents are generated in-process and webhooks are signed with a shared secret.
+
+const getWebhookSecret = (config = {}) =>
+  config.webhookSecret || process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+// Sign a raw webhook body the same way the provider verifies it
+export const signMockPayload = (rawBody, config = {}) => {
+  const secret = getWebhookSecret(config);
+  if (!secret) throw new Error("Mock webhook secret is not configured");
+
+  return crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+};
+
+const mockProvider = {
+  name: "mock",
+
+  createIntent: async ({ amount, currency, receipt }) => {
+    const intentId = `mock_pi_${crypto.randomBytes(12).toString("hex")}`;
+
+    return {
+      intentId,
+      amount,
+      currency,
+      receipt,
+      clientSecret: `${intentId}_secret_${crypto
+        .randomBytes(8)
+        .toString("hex")}`,
+    };
+  },
+
+  verifyWebhook: ({ rawBody, headers, config }) => {
+    const signature = headers["x-mock-signature"];
+    if (!getWebhookSecret(config) || !signature || !rawBody) return false;
+
+    const expected = signMockPayload(rawBody, config);
+    if (signature.length !== expected.length) return false;
+
+    return crypto.timingSafeEqual(
+      Buffer.from(signature),
+      Buffer.from(expected)
+    );
+  },
+
+  // Payload: { event: "payment.succeeded" | "payment.failed", intentId,
+  // amount, transactionId, reason }
+  parseWebhook: (payload) => {
+    const statusMap = {
+      "payment.succeeded": "paid",
+      "payment.failed": "failed",
+    };
+
+    return {
+      intentId: payload.intentId,
+      amount: payload.amount,
+      status: statusMap[payload.event] || null,
+      transactionId: payload.transactionId,
+      failureReason: payload.reason,
+    };
+  },
+};
+
+export default mockProvider;
@@ -0,0 +1,89 @@
+import crypto from "crypto";
+
+const RAZORPAY_API_URL = "https://api.razorpay.com/v1";
+
+const getCredentials = (config = {}) => ({
+  keyId: config.keyId || process.env.RAZORPAY_KEY_ID,
+  keySecret: config.keySecret || process.env.RAZORPAY_KEY_SECRET,
+  webhookSecret: config.webhookSecret || process.env.RAZORPAY_WEBHOOK_SECRET,
+});
+
+const razorpayProvider = {
+  name: "razorpay",
+
+  // Creates a Razorpay order; the checkout widget completes the payment
+  createIntent: async ({ amount, currency, receipt, config }) => {
+    const { keyId, keySecret } = getCredentials(config);
+    if (!keyId || !keySecret) {
+      throw new Error("Razorpay credentials are not configured");
+    }
+
+    const response = await fetch(`${RAZORPAY_API_URL}/orders`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString(
+          "base64"
+        )}`,
+      },
+      body: JSON.stringify({
+        amount: Math.round(amount * 100), // Razorpay expects paise
+        currency,
+        receipt,
+      }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(
+        data.error?.description || "Failed to create Razorpay order"
+      );
+    }
+
+    return {
+      intentId: data.id,
+      amount,
+      currency,
+      receipt,
+      keyId, // Public key for the checkout widget
+    };
+  },
+
+  verifyWebhook: ({ rawBody, headers, config }) => {
+    const { webhookSecret } = getCredentials(config);
+    const signature = headers["x-razorpay-signature"];
+    if (!webhookSecret || !signature || !rawBody) return false;
+
+    const expected = crypto
+      .createHmac("sha256", webhookSecret)
+      .update(rawBody)
+      .digest("hex");
+    if (signature.length !== expected.length) return false;
+
+    return crypto.timingSafeEqual(
+      Buffer.from(signature),
+      Buffer.from(expected)
+    );
+  },
+
+  parseWebhook: (payload) => {
+    const payment = payload.payload?.payment?.entity || {};
+    const order = payload.payload?.order?.entity || {};
+    const paise = payment.amount ?? order.amount_paid;
+    const statusMap = {
+      "payment.captured": "paid",
+      "order.paid": "paid",
+      "payment.failed": "failed",
+    };
+
+    return {
+      intentId: payment.order_id || order.id,
+      amount: paise === undefined ? undefined : paise / 100,
+      status: statusMap[payload.event] || null,
+      transactionId: payment.id,
+      failureReason: payment.error_description,
+    };
+  },
+};
+
+export default razorpayProvider;
@@ -0,0 +1,99 @@
+import crypto from "crypto";
+
+const STRIPE_API_URL = "https://api.stripe.com/v1";
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const getCredentials = (config = {}) => ({
+  secretKey: config.secretKey || process.env.STRIPE_SECRET_KEY,
+  publishableKey: config.publishableKey || process.env.STRIPE_PUBLISHABLE_KEY,
+  webhookSecret: config.webhookSecret || process.env.STRIPE_WEBHOOK_SECRET,
+});
+
+const stripeProvider = {
+  name: "stripe",
+
+  createIntent: async ({ amount, currency, receipt, config }) => {
+    const { secretKey, publishableKey } = getCredentials(config);
+    if (!secretKey) {
+      throw new Error("Stripe credentials are not configured");
+    }
+
+    const body = new URLSearchParams({
+      amount: String(Math.round(amount * 100)), // Smallest currency unit
+      currency: currency.toLowerCase(),
+      "metadata[receipt]": receipt,
+    });
+
+    const response = await fetch(`${STRIPE_API_URL}/payment_intents`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Authorization: `Bearer ${secretKey}`,
+      },
+      body,
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(
+        data.error?.message || "Failed to create Stripe payment intent"
+      );
+    }
+
+    return {
+      intentId: data.id,
+      amount,
+      currency,
+      receipt,
+      clientSecret: data.client_secret,
+      publishableKey,
+    };
+  },
+
+  // Stripe-Signature header: t=<timestamp>,v1=<signature>
+  verifyWebhook: ({ rawBody, headers, config }) => {
+    const { webhookSecret } = getCredentials(config);
+    const header = headers["stripe-signature"];
+    if (!webhookSecret || !header || !rawBody) return false;
+
+    const parts = Object.fromEntries(
+      header.split(",").map((part) => part.split("="))
+    );
+    if (!parts.t || !parts.v1) return false;
+
+    const age = Math.abs(Date.now() / 1000 - Number(parts.t));
+    if (age > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+    const expected = crypto
+      .createHmac("sha256", webhookSecret)
+      .update(`${parts.t}.${rawBody}`)
+      .digest("hex");
+    if (parts.v1.length !== expected.length) return false;
+
+    return crypto.timingSafeEqual(
+      Buffer.from(parts.v1),
+      Buffer.from(expected)
+    );
+  },
+
+  parseWebhook: (payload) => {
+    const intent = payload.data?.object || {};
+    const statusMap = {
+      "payment_intent.succeeded": "paid",
+      "payment_intent.payment_failed": "failed",
+    };
+
+    return {
+      intentId: intent.id,
+      amount:
+        intent.amount === undefined
+          ? undefined
+          : (intent.amount_received || intent.amount) / 100,
+      status: statusMap[payload.type] || null,
+      transactionId: intent.latest_charge || intent.id,
+      failureReason: intent.last_payment_error?.message,
+    };
+  },
+};
+
+export default stripeProvider;
@@ -0,0 +1,180 @@
+// Care profiles from product care data, and the rules that compare device
+// readings against them
+
+// Soil moisture (%) a plant should stay within, by watering frequency
+const MOISTURE_RANGES = {
+  Daily: { min: 40, max: 90 },
+  "Every 2-3 days": { min: 30, max: 80 },
+  Weekly: { min: 20, max: 70 },
+  "Bi-weekly": { min: 15, max: 60 },
+  Monthly: { min: 10, max: 50 },
+};
+
+// Daytime light (lux) by light requirement
+const LIGHT_RANGES = {
+  "Low Light": { min: 50, max: 2500 },
+  "Medium Light": { min: 250, max: 10000 },
+  "Bright Indirect Light": { min: 1000, max: 20000 },
+  "Direct Sunlight": { min: 5000, max: null },
+};
+
+// Relative humidity (%) by humidity preference
+const HUMIDITY_RANGES = {
+  Low: { min: 20, max: 60 },
+  Medium: { min: 40, max: 75 },
+  High: { min: 60, max: 95 },
+};
+
+// Used when a product has no (parseable) temperature
+const DEFAULT_TEMPERATURE_RANGE = { min: 15, max: 30 };
+
+const BATTERY_WARNING = 15;
+const BATTERY_CRITICAL = 5;
+
+// How far outside the range a reading must be to count as critical
+const CRITICAL_MARGINS = {
+  moisture: 10,
+  temperature: 5,
+  humidity: 15,
+  light: 1000,
+};
+
+const UNITS = {
+  moisture: "%",
+  temperature: "°C",
+  humidity: "%",
+  light: " lux",
+};
+
+// Parse free-text ranges like "18-27°C", "65°F - 80°F" or "15 to 30 C"
+export const parseTemperatureRange = (text) => {
+  // A minus sign right after a digit is a range dash, not a negative
+  const numbers = String(text || "").match(/(?<![\d.])-?\d+(\.\d+)?/g);
+  if (!numbers || numbers.length < 2) return null;
+
+  let [min, max] = numbers.slice(0, 2).map(Number);
+  if (/°?\s*F\b/i.test(text) && !/°?\s*C\b/i.test(text)) {
+    min = Math.round(((min - 32) * 5) / 9);
+    max = Math.round(((max - 32) * 5) / 9);
+  }
+
+  return min <= max ? { min, max } : { min: max, max: min };
+};
+
+// Ranges for a product; sensors without care data are not checked,
+// except temperature which falls back to a typical houseplant range
+export const getCareProfile = (product) => {
+  if (!product) return null;
+
+  return {
+    productId: product._id,
+    title: product.title,
+    waterFrequency: product.waterFrequency || null,
+    lightRequirements: product.lightRequirements || null,
+    humidityLevel: product.humidity || null,
+    moisture: MOISTURE_RANGES[product.waterFrequency] || null,
+    light: LIGHT_RANGES[product.lightRequirements] || null,
+    humidity: HUMIDITY_RANGES[product.humidity] || null,
+    temperature:
+      parseTemperatureRange(product.temperature) || DEFAULT_TEMPERATURE_RANGE,
+  };
+};
+
+const wateringLabel = (frequency) =>
+  `${frequency.toLowerCase().replace(/\s+/g, "-")}-watered`;
+
+const describe = (metric, direction, profile) => {
+  if (metric === "moisture") {
+    const plant = wateringLabel(profile.waterFrequency);
+    return direction === "low"
+      ? `Soil too dry for a ${plant} plant`
+      : `Soil too wet for a ${plant} plant`;
+  }
+  if (metric === "light") {
+    return direction === "low"
+      ? `Not enough light for a ${profile.lightRequirements} plant`
+      : `Too much light for a ${profile.lightRequirements} plant`;
+  }
+  if (metric === "humidity") {
+    return direction === "low"
+      ? `Air too dry for a ${profile.humidityLevel} humidity plant`
+      : `Air too humid for a ${profile.humidityLevel} humidity plant`;
+  }
+  return direction === "low"
+    ? "Too cold for this plant"
+    : "Too hot for this plant";
+};
+
+// sides limits the check to one end of the range ("low" or "high")
+const checkRange = (metric, value, range, profile, sides = ["low", "high"]) => {
+  if (typeof value !== "number" || !range) return null;
+
+  let direction = null;
+  if (sides.includes("low") && range.min !== null && value < range.min) {
+    direction = "low";
+  }
+  if (sides.includes("high") && range.max !== null && value > range.max) {
+    direction = "high";
+  }
+  if (!direction) return null;
+
+  const limit = direction === "low" ? range.min : range.max;
+  const severity =
+    Math.abs(value - limit) > CRITICAL_MARGINS[metric] ? "critical" : "warning";
+  const expected =
+    range.max === null
+      ? `at least ${range.min}${UNITS[metric]}`
+      : `${range.min}-${range.max}${UNITS[metric]}`;
+
+  return {
+    type: `${metric}_${direction}`,
+    metric,
+    severity,
+    value,
+    expected: { min: range.min, max: range.max },
+    message: `${describe(metric, direction, profile)}: ${value}${
+      UNITS[metric]
+    } (expected ${expected})`,
+  };
+};
+
+// Compare the latest reading with a care profile.
+// Light is only judged "too low" on the day's peak (lightPeak), since a
+// single reading at night would always be dark.
+export const evaluateReading = (profile, reading, { lightPeak } = {}) => {
+  const issues = [];
+  if (!reading) return issues;
+
+  if (profile) {
+    ["moisture", "temperature", "humidity"].forEach((metric) => {
+      const range = profile[metric];
+      const issue = checkRange(metric, reading[metric], range, profile);
+      if (issue) issues.push(issue);
+    });
+
+    if (profile.light) {
+      const range = profile.light;
+      const tooBright = checkRange("light", reading.light, range, profile, [
+        "high",
+      ]);
+      const tooDark = checkRange("light", lightPeak, range, profile, ["low"]);
+      if (tooBright) issues.push(tooBright);
+      if (tooDark) issues.push(tooDark);
+    }
+  }
+
+  // Battery is checked for every device, linked to a plant or not
+  const battery = reading.battery;
+  if (typeof battery === "number" && battery < BATTERY_WARNING) {
+    issues.push({
+      type: "battery_low",
+      metric: "battery",
+      severity: battery < BATTERY_CRITICAL ? "critical" : "warning",
+      value: battery,
+      expected: { min: BATTERY_WARNING, max: null },
+      message: `Monitor battery low: ${battery}%`,
+    });
+  }
+
+  return issues;
+};
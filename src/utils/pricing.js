@@ -0,0 +1,61 @@
+// Cart discounts as checkout prices them, shared by checkout and the
+// shipping quote so both see the same amount
+import Coupon from "../models/coupon.model.js";
+import { allocateDiscount } from "./tax.js";
+
+const lineProductId = (item) =>
+  (item.productId._id || item.productId).toString();
+
+// Discount on each cart line. The applied coupon is checked again, since
+// it may have expired, run out or stopped applying since it was added to
+// the cart. GST is charged on the value after discounts, so the coupon
+// discount is spread over the lines it applies to and added to each line's
+// promotion discount. Promotions must be loaded (Cart.loadPromotions).
+// Returns { coupon, couponDiscount, lineDiscounts, discountAmount } or
+// { error }.
+export const priceCartDiscounts = async (cart, { userId = null } = {}) => {
+  let coupon = null;
+  let couponDiscount = null;
+  if (cart.coupon) {
+    coupon = await Coupon.findByCode(cart.coupon.code);
+    const result = coupon
+      ? await coupon.checkCart(cart.items, { userId })
+      : { error: "Coupon expired or invalid" };
+
+    if (result.error) {
+      return { error: `Coupon ${cart.coupon.code}: ${result.error}` };
+    }
+    couponDiscount = result.discount;
+  }
+
+  const amounts = cart.items.map((item) => item.priceAtAdd * item.quantity);
+  const couponProductIds = (couponDiscount?.applicableItems || []).map(
+    lineProductId
+  );
+  const discountedIndexes = [];
+  cart.items.forEach((item, index) => {
+    if (couponProductIds.includes(lineProductId(item))) {
+      discountedIndexes.push(index);
+    }
+  });
+  const couponShares = allocateDiscount(
+    discountedIndexes.map((index) => amounts[index]),
+    couponDiscount?.discountAmount || 0
+  );
+
+  const promotionLineDiscounts = cart.$locals.promotionLineDiscounts || [];
+  const lineDiscounts = amounts.map((amount, index) => {
+    const position = discountedIndexes.indexOf(index);
+    const couponShare = position > -1 ? couponShares[position] : 0;
+    return Math.min(amount, couponShare + (promotionLineDiscounts[index] || 0));
+  });
+
+  return {
+    coupon,
+    couponDiscount,
+    lineDiscounts,
+    discountAmount:
+      Math.round(lineDiscounts.reduce((sum, amount) => sum + amount, 0) * 100) /
+      100,
+  };
+};
@@ -0,0 +1,248 @@
+// Automatic promotion engine. Works on plain cart lines:
+// [{ productId, categories, isGiftCard, price, quantity }]
+import { allocateDiscount } from "./tax.js";
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const sameCategory = (a, b) =>
+  String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+const hasCategory = (line, category) =>
+  (line.categories || []).some((lineCategory) =>
+    sameCategory(lineCategory, category)
+  );
+
+// Whether a line is covered by the promotion's products and categories
+const coversLine = (promotion, line) => {
+  const productIds = promotion.productIds || [];
+  const categories = promotion.categories || [];
+  if (productIds.length === 0 && categories.length === 0) return true;
+
+  return (
+    productIds.some((id) => id.toString() === line.productId.toString()) ||
+    categories.some((category) => hasCategory(line, category))
+  );
+};
+
+const capDiscount = (amount, maxDiscount) =>
+  maxDiscount ? Math.min(amount, maxDiscount) : amount;
+
+// Spread one amount over the covered lines in proportion to their value
+const spreadOver = (lines, covered, amount) => {
+  const shares = allocateDiscount(
+    covered.map((index) => lines[index].remaining),
+    amount
+  );
+  const discounts = lines.map(() => 0);
+  covered.forEach((index, position) => {
+    discounts[index] = shares[position];
+  });
+  return discounts;
+};
+
+// sale: a percentage off every covered line, or a fixed amount per unit
+const evaluateSale = (promotion, lines) => {
+  const discounts = lines.map((line) => {
+    if (!coversLine(promotion, line)) return 0;
+    return promotion.discountType === "fixed"
+      ? Math.min(promotion.discountValue * line.quantity, line.remaining)
+      : (line.remaining * promotion.discountValue) / 100;
+  });
+
+  const total = discounts.reduce((sum, amount) => sum + amount, 0);
+  if (!promotion.maxDiscount || total <= promotion.maxDiscount) {
+    return discounts;
+  }
+
+  const covered = discounts
+    .map((amount, index) => (amount > 0 ? index : -1))
+    .filter((index) => index > -1);
+  return spreadOver(lines, covered, promotion.maxDiscount);
+};
+
+// spend_threshold: the highest tier reached by the covered subtotal
+const evaluateSpendThreshold = (promotion, lines) => {
+  const covered = [];
+  let coveredSubtotal = 0;
+  lines.forEach((line, index) => {
+    if (coversLine(promotion, line) && line.remaining > 0) {
+      covered.push(index);
+      coveredSubtotal += line.remaining;
+    }
+  });
+
+  const tier = [...(promotion.tiers || [])]
+    .sort((a, b) => b.minSubtotal - a.minSubtotal)
+    .find((candidate) => coveredSubtotal >= candidate.minSubtotal);
+  if (!tier) return lines.map(() => 0);
+
+  const amount =
+    tier.discountType === "fixed"
+      ? tier.discountValue
+      : (coveredSubtotal * tier.discountValue) / 100;
+  return spreadOver(
+    lines,
+    covered,
+    capDiscount(Math.min(amount, coveredSubtotal), promotion.maxDiscount)
+  );
+};
+
+// buy_x_get_y: covered units are sorted by price and grouped; in each
+// group of buy + get units the cheapest get units are discounted
+const evaluateBuyXGetY = (promotion, lines) => {
+  const discounts = lines.map(() => 0);
+  const buy = promotion.buyQuantity || 0;
+  const get = promotion.getQuantity || 0;
+  if (buy < 1 || get < 1) return discounts;
+
+  const units = [];
+  lines.forEach((line, index) => {
+    if (!coversLine(promotion, line) || line.remaining <= 0) return;
+    const unitPrice = line.remaining / line.quantity;
+    for (let i = 0; i < line.quantity; i += 1) {
+      units.push({ index, unitPrice });
+    }
+  });
+  units.sort((a, b) => b.unitPrice - a.unitPrice);
+
+  const groupSize = buy + get;
+  const groups = Math.floor(units.length / groupSize);
+  const percent = promotion.getDiscountPercent ?? 100;
+  for (let group = 0; group < groups; group += 1) {
+    const start = group * groupSize + buy;
+    units.slice(start, start + get).forEach((unit) => {
+      discounts[unit.index] += (unit.unitPrice * percent) / 100;
+    });
+  }
+  return discounts;
+};
+
+// bundle: bundles are formed while every component can still take its
+// quantity from units not used by an earlier bundle
+const evaluateBundle = (promotion, lines) => {
+  const discounts = lines.map(() => 0);
+  const components = promotion.bundleItems || [];
+  if (components.length === 0) return discounts;
+
+  const unused = lines.map((line) => (line.remaining > 0 ? line.quantity : 0));
+  const used = lines.map(() => 0);
+  const matches = (component, line) =>
+    component.productId
+      ? component.productId.toString() === line.productId.toString()
+      : hasCategory(line, component.category);
+
+  let bundles = 0;
+  while (true) {
+    const taken = lines.map(() => 0);
+    const complete = components.every((component) => {
+      let needed = component.quantity || 1;
+      lines.forEach((line, index) => {
+        if (needed === 0 || !matches(component, line)) return;
+        const available = unused[index] - taken[index];
+        const take = Math.min(available, needed);
+        taken[index] += take;
+        needed -= take;
+      });
+      return needed === 0;
+    });
+    if (!complete) break;
+
+    taken.forEach((count, index) => {
+      unused[index] -= count;
+      used[index] += count;
+    });
+    bundles += 1;
+  }
+  if (bundles === 0) return discounts;
+
+  const usedValue = lines.map(
+    (line, index) => (line.remaining / line.quantity) * used[index]
+  );
+  const bundleValue = usedValue.reduce((sum, value) => sum + value, 0);
+  const amount =
+    promotion.discountType === "fixed"
+      ? Math.min(promotion.discountValue * bundles, bundleValue)
+      : (bundleValue * promotion.discountValue) / 100;
+
+  const covered = [];
+  usedValue.forEach((value, index) => {
+    if (value > 0) covered.push(index);
+  });
+  const shares = allocateDiscount(
+    covered.map((index) => usedValue[index]),
+    capDiscount(amount, promotion.maxDiscount)
+  );
+  covered.forEach((index, position) => {
+    discounts[index] = shares[position];
+  });
+  return discounts;
+};
+
+const EVALUATORS = {
+  sale: evaluateSale,
+  spend_threshold: evaluateSpendThreshold,
+  buy_x_get_y: evaluateBuyXGetY,
+  bundle: evaluateBundle,
+};
+
+// Apply promotions in order (highest priority first). Each one discounts
+// what earlier ones left of a line, so a line is never discounted below
+// zero. Returns the per-line discounts, their total and the promotions
+// that applied.
+export const evaluatePromotions = (
+  promotions = [],
+  cartLines = [],
+  { hasCoupon = false } = {}
+) => {
+  // Gift card lines start with nothing to discount: a discounted card
+  // would still be worth its full price
+  const lines = cartLines.map((line) => ({
+    ...line,
+    remaining: line.isGiftCard ? 0 : line.price * line.quantity,
+  }));
+  const lineDiscounts = lines.map(() => 0);
+  const applied = [];
+
+  for (const promotion of promotions) {
+    if (hasCoupon && promotion.combinableWithCoupons === false) continue;
+
+    const evaluate = EVALUATORS[promotion.type];
+    if (!evaluate) continue;
+
+    const discounts = evaluate(promotion, lines).map((amount, index) =>
+      round2(Math.min(Math.max(0, amount), lines[index].remaining))
+    );
+    const discountAmount = round2(
+      discounts.reduce((sum, amount) => sum + amount, 0)
+    );
+    if (discountAmount <= 0) continue;
+
+    discounts.forEach((amount, index) => {
+      lines[index].remaining = round2(lines[index].remaining - amount);
+      lineDiscounts[index] = round2(lineDiscounts[index] + amount);
+    });
+    applied.push({
+      promotionId: promotion._id,
+      name: promotion.name,
+      type: promotion.type,
+      discountAmount,
+      productIds: [
+        ...new Set(
+          lines
+            .filter((line, index) => discounts[index] > 0)
+            .map((line) => line.productId.toString())
+        ),
+      ],
+    });
+
+    if (promotion.exclusive) break;
+  }
+
+  return {
+    lineDiscounts,
+    discountAmount: round2(
+      lineDiscounts.reduce((sum, amount) => sum + amount, 0)
+    ),
+    applied,
+  };
+};
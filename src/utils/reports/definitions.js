@@ -0,0 +1,577 @@
+import User from "../../models/user.model.js";
+import Order from "../../models/order.model.js";
+import Product from "../../models/product.model.js";
+import SellerLedger from "../../models/sellerLedger.model.js";
+import CouponCode from "../../models/couponCode.model.js";
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+// Cancelled orders never count towards sales figures
+const SALES_MATCH = { status: { $ne: "cancelled" } };
+
+// Date filter for a report's date field; open-ended when no range is given
+const dateMatch = (field, { from, to }) => {
+  if (!from && !to) return {};
+
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return { [field]: range };
+};
+
+const salesMatch = (ctx) => ({
+  ...SALES_MATCH,
+  ...dateMatch("createdAt", ctx),
+});
+
+// Ledger entries, optionally for one seller (seller portal) or payout
+const settlementMatch = (ctx) => {
+  const match = dateMatch("occurredAt", ctx);
+  if (ctx.sellerId) match.sellerId = ctx.sellerId;
+  if (ctx.payoutId) match.payoutId = ctx.payoutId;
+  return match;
+};
+
+// Unique codes, optionally of one campaign, batch or status
+const couponCodeMatch = (ctx) => {
+  const match = dateMatch("createdAt", ctx);
+  if (ctx.couponId) match.couponId = ctx.couponId;
+  if (ctx.batchId) match.batchId = ctx.batchId;
+  if (ctx.status) match.status = ctx.status;
+  return match;
+};
+
+const ledgerStatus = (entry) => {
+  if (entry.payoutId) return "paid";
+  return entry.availableAt <= new Date() ? "available" : "pending";
+};
+
+const userStatus = (user) => {
+  if (user.isBlocked) return "blocked";
+  return user.isActive ? "active" : "inactive";
+};
+
+// Each report defines its columns, how to count the source documents (to
+// decide between streaming and a background job), a cursor over the source
+// and how to turn one document into one or more rows.
+export const REPORTS = {
+  users: {
+    title: "Users",
+    dateField: "createdAt",
+    columns: [
+      { key: "name", header: "Name", width: 24 },
+      { key: "email", header: "Email", width: 30 },
+      { key: "phone", header: "Phone", width: 16 },
+      { key: "role", header: "Role" },
+      { key: "status", header: "Status" },
+      { key: "totalOrders", header: "Orders" },
+      { key: "totalSpent", header: "Total Spent" },
+      { key: "createdAt", header: "Joined", width: 20 },
+      { key: "lastLogin", header: "Last Login", width: 20 },
+    ],
+    count: (ctx) =>
+      User.countDocuments({
+        isDeleted: { $ne: true },
+        ...dateMatch("createdAt", ctx),
+      }),
+    cursor: (ctx) =>
+      User.find({ isDeleted: { $ne: true }, ...dateMatch("createdAt", ctx) })
+        .select(
+          "name email phone role isActive isBlocked totalOrders totalSpent " +
+            "createdAt lastLogin"
+        )
+        .sort({ createdAt: 1 })
+        .lean()
+        .cursor(),
+    row: (user) => ({
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      role: user.role,
+      status: userStatus(user),
+      totalOrders: user.totalOrders || 0,
+      totalSpent: round2(user.totalSpent),
+      createdAt: user.createdAt,
+      lastLogin: user.lastLogin,
+    }),
+  },
+
+  orders: {
+    title: "Orders",
+    dateField: "createdAt",
+    columns: [
+      { key: "orderNumber", header: "Order Number", width: 20 },
+      { key: "createdAt", header: "Date", width: 20 },
+      { key: "customerName", header: "Customer", width: 24 },
+      { key: "customerEmail", header: "Email", width: 30 },
+      { key: "status", header: "Status" },
+      { key: "paymentMethod", header: "Payment Method" },
+      { key: "paymentStatus", header: "Payment Status" },
+      { key: "itemCount", header: "Items" },
+      { key: "subtotal", header: "Subtotal" },
+      { key: "discountAmount", header: "Discount" },
+      { key: "shippingCost", header: "Shipping" },
+      { key: "taxAmount", header: "Tax" },
+      { key: "totalAmount", header: "Total" },
+      { key: "couponCode", header: "Coupon" },
+      { key: "shippingState", header: "Ship-to State", width: 18 },
+    ],
+    count: (ctx) => Order.countDocuments(dateMatch("createdAt", ctx)),
+    cursor: (ctx) =>
+      Order.find(dateMatch("createdAt", ctx))
+        .populate("customerId", "name email")
+        .sort({ createdAt: 1 })
+        .lean()
+        .cursor(),
+    row: (order) => ({
+      orderNumber: order.orderNumber,
+      createdAt: order.createdAt,
+      customerName: order.customerId?.name,
+      customerEmail: order.customerId?.email,
+      status: order.status,
+      paymentMethod: order.payment?.method || order.paymentMethod,
+      paymentStatus: order.payment?.status || order.paymentStatus,
+      itemCount: (order.items || []).reduce(
+        (sum, item) => sum + item.quantity,
+        0
+      ),
+      subtotal: round2(order.subtotal),
+      discountAmount: round2(order.discountAmount),
+      shippingCost: round2(order.shippingCost),
+      taxAmount: round2(order.taxAmount),
+      totalAmount: round2(order.totalAmount),
+      couponCode: order.coupon?.code || order.couponCode,
+      shippingState: order.shippingAddress?.state,
+    }),
+  },
+
+  products: {
+    title: "Products",
+    dateField: "createdAt",
+    columns: [
+      { key: "title", header: "Title", width: 32 },
+      { key: "sku", header: "SKU", width: 16 },
+      { key: "categories", header: "Categories", width: 24 },
+      { key: "price", header: "Price" },
+      { key: "mrp", header: "MRP" },
+      { key: "stock", header: "Stock" },
+      { key: "variants", header: "Variants" },
+      { key: "rating", header: "Rating" },
+      { key: "reviewCount", header: "Reviews" },
+      { key: "isActive", header: "Active" },
+      { key: "createdAt", header: "Created", width: 20 },
+    ],
+    count: (ctx) => Product.countDocuments(dateMatch("createdAt", ctx)),
+    cursor: (ctx) =>
+      Product.find(dateMatch("createdAt", ctx))
+        .select(
+          "title sku categories price mrp stock variants rating reviewCount " +
+            "isActive createdAt"
+        )
+        .sort({ createdAt: 1 })
+        .lean()
+        .cursor(),
+    row: (product) => ({
+      title: product.title,
+      sku: product.sku,
+      categories: (product.categories || []).join(", "),
+      price: product.price,
+      mrp: product.mrp,
+      stock: product.stock,
+      variants: (product.variants || []).length,
+      rating: product.rating,
+      reviewCount: product.reviewCount,
+      isActive: product.isActive ? "yes" : "no",
+      createdAt: product.createdAt,
+    }),
+  },
+
+  "sales-by-product": {
+    title: "Sales by Product",
+    dateField: "createdAt",
+    columns: [
+      { key: "title", header: "Product", width: 32 },
+      { key: "sku", header: "SKU", width: 16 },
+      { key: "variant", header: "Variant", width: 20 },
+      { key: "orders", header: "Orders" },
+      { key: "units", header: "Units" },
+      { key: "grossSales", header: "Gross Sales" },
+      { key: "discount", header: "Discount" },
+      { key: "taxableValue", header: "Taxable Value" },
+      { key: "tax", header: "Tax" },
+      { key: "netSales", header: "Net Sales" },
+    ],
+    count: (ctx) => Order.countDocuments(salesMatch(ctx)),
+    cursor: (ctx) =>
+      Order.aggregate([
+        { $match: salesMatch(ctx) },
+        { $unwind: "$items" },
+        {
+          $group: {
+            _id: {
+              productId: "$items.productId",
+              variantId: "$items.variantId",
+            },
+            title: { $first: "$items.title" },
+            sku: { $first: "$items.sku" },
+            attributes: { $first: "$items.attributes" },
+            orders: { $addToSet: "$_id" },
+            units: { $sum: "$items.quantity" },
+            grossSales: { $sum: "$items.total" },
+            discount: { $sum: { $ifNull: ["$items.discount", 0] } },
+            taxableValue: {
+              $sum: {
+                $ifNull: [
+                  "$items.taxableValue",
+                  {
+                    $subtract: [
+                      "$items.total",
+                      { $ifNull: ["$items.discount", 0] },
+                    ],
+                  },
+                ],
+              },
+            },
+            tax: { $sum: { $ifNull: ["$items.taxAmount", 0] } },
+          },
+        },
+        { $addFields: { orders: { $size: "$orders" } } },
+        { $sort: { grossSales: -1 } },
+      ])
+        .allowDiskUse(true)
+        .cursor({ batchSize: 500 }),
+    row: (line) => ({
+      title: line.title,
+      sku: line.sku,
+      variant: Object.values(line.attributes || {})
+        .filter(Boolean)
+        .join(" / "),
+      orders: line.orders,
+      units: line.units,
+      grossSales: round2(line.grossSales),
+      discount: round2(line.discount),
+      taxableValue: round2(line.taxableValue),
+      tax: round2(line.tax),
+      netSales: round2(line.taxableValue + line.tax),
+    }),
+  },
+
+  // HSN-wise summary per month, split into CGST/SGST and IGST the same way
+  // the order was taxed
+  "gst-summary": {
+    title: "GST Summary",
+    dateField: "createdAt",
+    columns: [
+      { key: "period", header: "Period" },
+      { key: "hsn", header: "HSN" },
+      { key: "taxRate", header: "GST Rate %" },
+      { key: "supplyType", header: "Supply Type", width: 14 },
+      { key: "quantity", header: "Quantity" },
+      { key: "taxableValue", header: "Taxable Value" },
+      { key: "cgst", header: "CGST" },
+      { key: "sgst", header: "SGST" },
+      { key: "igst", header: "IGST" },
+      { key: "totalTax", header: "Total Tax" },
+    ],
+    count: (ctx) => Order.countDocuments(salesMatch(ctx)),
+    cursor: (ctx) =>
+      Order.aggregate([
+        { $match: salesMatch(ctx) },
+        {
+          $addFields: {
+            interState: {
+              $in: ["IGST", { $ifNull: ["$taxes.name", []] }],
+            },
+          },
+        },
+        { $unwind: "$items" },
+        {
+          $group: {
+            _id: {
+              period: {
+                $dateToString: {
+                  format: "%Y-%m",
+                  date: "$createdAt",
+                  timezone: ctx.timezone || "UTC",
+                },
+              },
+              hsn: { $ifNull: ["$items.hsn", ""] },
+              taxRate: { $ifNull: ["$items.taxRate", 0] },
+              interState: "$interState",
+            },
+            quantity: { $sum: "$items.quantity" },
+            taxableValue: {
+              $sum: {
+                $ifNull: [
+                  "$items.taxableValue",
+                  {
+                    $subtract: [
+                      "$items.total",
+                      { $ifNull: ["$items.discount", 0] },
+                    ],
+                  },
+                ],
+              },
+            },
+            tax: { $sum: { $ifNull: ["$items.taxAmount", 0] } },
+          },
+        },
+        { $sort: { "_id.period": 1, "_id.hsn": 1, "_id.taxRate": 1 } },
+      ])
+        .allowDiskUse(true)
+        .cursor({ batchSize: 500 }),
+    row: (line) => {
+      const { interState } = line._id;
+      const half = round2(line.tax / 2);
+
+      return {
+        period: line._id.period,
+        hsn: line._id.hsn,
+        taxRate: line._id.taxRate,
+        supplyType: interState ? "Inter-state" : "Intra-state",
+        quantity: line.quantity,
+        taxableValue: round2(line.taxableValue),
+        cgst: interState ? 0 : half,
+        sgst: interState ? 0 : round2(line.tax - half),
+        igst: interState ? round2(line.tax) : 0,
+        totalTax: round2(line.tax),
+      };
+    },
+  },
+
+  // One row per coupon; the unique codes of a campaign count towards the
+  // campaign
+  "coupon-usage": {
+    title: "Coupon Usage",
+    dateField: "createdAt",
+    columns: [
+      { key: "code", header: "Code", width: 16 },
+      { key: "discountValue", header: "Discount %" },
+      { key: "orders", header: "Orders" },
+      { key: "codesUsed", header: "Codes Used" },
+      { key: "customers", header: "Customers" },
+      { key: "totalDiscount", header: "Total Discount" },
+      { key: "revenue", header: "Revenue" },
+      { key: "averageOrderValue", header: "Avg Order Value" },
+      { key: "firstUsed", header: "First Used", width: 20 },
+      { key: "lastUsed", header: "Last Used", width: 20 },
+      { key: "maxUsage", header: "Max Usage" },
+      { key: "isActive", header: "Active" },
+    ],
+    count: (ctx) =>
+      Order.countDocuments({
+        ...salesMatch(ctx),
+        "coupon.code": { $nin: [null, ""] },
+      }),
+    cursor: (ctx) =>
+      Order.aggregate([
+        {
+          $match: { ...salesMatch(ctx), "coupon.code": { $nin: [null, ""] } },
+        },
+        {
+          $group: {
+            _id: {
+              $ifNull: ["$coupon.couponId", { $toUpper: "$coupon.code" }],
+            },
+            code: { $first: { $toUpper: "$coupon.code" } },
+            codes: { $addToSet: { $toUpper: "$coupon.code" } },
+            orders: { $sum: 1 },
+            customers: { $addToSet: "$customerId" },
+            totalDiscount: { $sum: { $ifNull: ["$coupon.discount", 0] } },
+            revenue: { $sum: "$totalAmount" },
+            firstUsed: { $min: "$createdAt" },
+            lastUsed: { $max: "$createdAt" },
+          },
+        },
+        {
+          $lookup: {
+            from: "coupons",
+            let: { key: "$_id" },
+            pipeline: [
+              {
+                $match: {
+                  $expr: {
+                    $or: [
+                      { $eq: ["$_id", "$$key"] },
+                      { $eq: ["$code", "$$key"] },
+                    ],
+                  },
+                },
+              },
+            ],
+            as: "coupon",
+          },
+        },
+        {
+          $addFields: {
+            customers: { $size: "$customers" },
+            codesUsed: { $size: "$codes" },
+            coupon: { $first: "$coupon" },
+          },
+        },
+        { $sort: { orders: -1 } },
+      ]).cursor({ batchSize: 500 }),
+    row: (line) => ({
+      code: line.coupon?.isCampaign ? line.coupon.code : line.code,
+      discountValue: line.coupon?.discountValue,
+      orders: line.orders,
+      codesUsed: line.codesUsed,
+      customers: line.customers,
+      totalDiscount: round2(line.totalDiscount),
+      revenue: round2(line.revenue),
+      averageOrderValue: round2(line.revenue / line.orders),
+      firstUsed: line.firstUsed,
+      lastUsed: line.lastUsed,
+      maxUsage: line.coupon?.maxUsage ?? "unlimited",
+      isActive: line.coupon ? (line.coupon.isActive ? "yes" : "no") : "deleted",
+    }),
+  },
+
+  // Unique codes of coupon campaigns with their current redemption
+  "coupon-codes": {
+    title: "Coupon Codes",
+    dateField: "createdAt",
+    columns: [
+      { key: "code", header: "Code", width: 24 },
+      { key: "campaign", header: "Campaign", width: 16 },
+      { key: "batchId", header: "Batch", width: 26 },
+      { key: "status", header: "Status" },
+      { key: "customer", header: "Customer", width: 24 },
+      { key: "customerEmail", header: "Customer Email", width: 30 },
+      { key: "orderNumber", header: "Order Number", width: 20 },
+      { key: "redeemedAt", header: "Redeemed At", width: 20 },
+      { key: "createdAt", header: "Created At", width: 20 },
+    ],
+    count: (ctx) => CouponCode.countDocuments(couponCodeMatch(ctx)),
+    cursor: (ctx) =>
+      CouponCode.find(couponCodeMatch(ctx))
+        .populate("couponId", "code")
+        .populate("usedBy", "name email")
+        .populate("orderId", "orderNumber")
+        .sort({ createdAt: 1, _id: 1 })
+        .lean()
+        .cursor(),
+    row: (code) => ({
+      code: code.code,
+      campaign: code.couponId?.code || "",
+      batchId: code.batchId.toString(),
+      status: code.status,
+      customer: code.usedBy?.name || "",
+      customerEmail: code.usedBy?.email || "",
+      orderNumber: code.orderId?.orderNumber || "",
+      redeemedAt: code.redeemedAt || "",
+      createdAt: code.createdAt,
+    }),
+  },
+
+  // Stock on hand valued at selling price and MRP; one row per variant for
+  // products that have variants. Always a current snapshot.
+  "inventory-valuation": {
+    title: "Inventory Valuation",
+    dateField: null,
+    columns: [
+      { key: "title", header: "Product", width: 32 },
+      { key: "sku", header: "SKU", width: 16 },
+      { key: "variant", header: "Variant", width: 20 },
+      { key: "stock", header: "Stock" },
+      { key: "price", header: "Price" },
+      { key: "mrp", header: "MRP" },
+      { key: "stockValue", header: "Value at Price" },
+      { key: "mrpValue", header: "Value at MRP" },
+      { key: "isActive", header: "Active" },
+    ],
+    count: () => Product.countDocuments(),
+    cursor: () =>
+      Product.find()
+        .select("title sku price mrp stock variants isActive")
+        .sort({ title: 1 })
+        .lean()
+        .cursor(),
+    row: (product) => {
+      const lines =
+        product.variants?.length > 0
+          ? product.variants.map((variant) => ({
+              sku: variant.sku,
+              variant: Object.values(variant.attributes || {})
+                .filter(Boolean)
+                .join(" / "),
+              stock: variant.stock,
+              price: variant.price,
+              mrp: variant.mrp,
+              isActive: product.isActive && variant.isActive,
+            }))
+          : [
+              {
+                sku: product.sku,
+                variant: "",
+                stock: product.stock,
+                price: product.price,
+                mrp: product.mrp,
+                isActive: product.isActive,
+              },
+            ];
+
+      return lines.map((line) => ({
+        title: product.title,
+        ...line,
+        stockValue: round2(line.stock * line.price),
+        mrpValue: round2(line.stock * (line.mrp || line.price)),
+        isActive: line.isActive ? "yes" : "no",
+      }));
+    },
+  },
+
+  // Seller ledger entries with commission and payout, one row per
+  // delivered line or refunded return
+  "seller-settlement": {
+    title: "Seller Settlement",
+    dateField: "occurredAt",
+    columns: [
+      { key: "date", header: "Date", width: 20 },
+      { key: "seller", header: "Seller", width: 24 },
+      { key: "sellerEmail", header: "Seller Email", width: 30 },
+      { key: "orderNumber", header: "Order Number", width: 20 },
+      { key: "type", header: "Type" },
+      { key: "title", header: "Product", width: 32 },
+      { key: "sku", header: "SKU", width: 16 },
+      { key: "quantity", header: "Qty" },
+      { key: "grossAmount", header: "Gross" },
+      { key: "taxableValue", header: "Taxable Value" },
+      { key: "taxAmount", header: "Tax" },
+      { key: "commissionRate", header: "Commission %" },
+      { key: "commissionAmount", header: "Commission" },
+      { key: "netAmount", header: "Net Payable" },
+      { key: "status", header: "Status" },
+      { key: "availableAt", header: "Available On", width: 20 },
+      { key: "payoutNumber", header: "Payout", width: 14 },
+    ],
+    count: (ctx) => SellerLedger.countDocuments(settlementMatch(ctx)),
+    cursor: (ctx) =>
+      SellerLedger.find(settlementMatch(ctx))
+        .populate("sellerId", "name email sellerProfile.displayName")
+        .populate("payoutId", "payoutNumber")
+        .sort({ occurredAt: 1 })
+        .lean()
+        .cursor(),
+    row: (entry) => ({
+      date: entry.occurredAt,
+      seller:
+        entry.sellerId?.sellerProfile?.displayName || entry.sellerId?.name,
+      sellerEmail: entry.sellerId?.email,
+      orderNumber: entry.orderNumber,
+      type: entry.type,
+      title: entry.title,
+      sku: entry.sku,
+      quantity: entry.quantity,
+      grossAmount: entry.grossAmount,
+      taxableValue: entry.taxableValue,
+      taxAmount: entry.taxAmount,
+      commissionRate: entry.commissionRate,
+      commissionAmount: entry.commissionAmount,
+      netAmount: entry.netAmount,
+      status: ledgerStatus(entry),
+      availableAt: entry.availableAt,
+      payoutNumber: entry.payoutId?.payoutNumber || "",
+    }),
+  },
+};
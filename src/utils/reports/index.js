@@ -0,0 +1,87 @@
+import { REPORTS } from "./definitions.js";
+import { REPORT_FORMATS, createReportWriter } from "./writers.js";
+
+export { REPORT_FORMATS };
+
+// Reports estimated above this many source documents run in the background
+export const REPORT_SYNC_ROW_LIMIT =
+  Number(process.env.REPORT_SYNC_ROW_LIMIT) || 5000;
+
+export const getReportDefinition = (type) =>
+  Object.hasOwn(REPORTS, type) ? REPORTS[type] : null;
+
+export const listReports = () =>
+  Object.entries(REPORTS).map(([type, definition]) => ({
+    type,
+    title: definition.title,
+    supportsDateRange: Boolean(definition.dateField),
+    columns: definition.columns.map(({ key, header }) => ({ key, header })),
+  }));
+
+// Parse startDate/endDate. A date without a time covers that whole day.
+export const parseReportRange = ({ startDate, endDate } = {}) => {
+  const from = startDate ? new Date(startDate) : null;
+  const to = endDate ? new Date(endDate) : null;
+
+  const isInvalid = (date) => date && Number.isNaN(date.getTime());
+
+  if (isInvalid(from) || isInvalid(to)) {
+    return { error: "Invalid startDate or endDate" };
+  }
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(String(endDate))) {
+    to.setUTCHours(23, 59, 59, 999);
+  }
+  if (from && to && from > to) {
+    return { error: "startDate must be before endDate" };
+  }
+
+  return { from, to };
+};
+
+// Pick and order columns from a list of keys ("a,b" or ["a", "b"]);
+// all columns when none are requested
+export const resolveColumns = (definition, requested) => {
+  const keys = Array.isArray(requested)
+    ? requested
+    : String(requested || "")
+        .split(",")
+        .map((key) => key.trim())
+        .filter(Boolean);
+
+  if (keys.length === 0) return { columns: definition.columns };
+
+  const columns = [];
+  for (const key of keys) {
+    const column = definition.columns.find((c) => c.key === key);
+    if (!column) return { error: `Unknown column "${key}"` };
+    columns.push(column);
+  }
+  return { columns };
+};
+
+// Stream a report into a writable stream; resolves with the row count.
+// The stream is ended when the report is complete.
+export const writeReport = async (
+  definition,
+  { format = "csv", columns = definition.columns, ...ctx },
+  stream
+) => {
+  const writer = createReportWriter(format, stream, {
+    columns,
+    title: definition.title,
+  });
+
+  let rowCount = 0;
+  for await (const doc of definition.cursor(ctx)) {
+    const rows = [].concat(definition.row(doc));
+    for (const row of rows) {
+      await writer.addRow(row);
+      rowCount += 1;
+    }
+  }
+
+  await writer.end();
+  if (format !== "xlsx") stream.end();
+
+  return rowCount;
+};
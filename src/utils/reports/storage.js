@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// Background reports are stored in MongoDB (GridFS) rather than on disk, so
+// any instance can serve the download, serverless ones included
+const BUCKET_NAME = "reports";
+
+const getBucket = () =>
+  new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+    bucketName: BUCKET_NAME,
+  });
+
+// Writable stream for a new report file; its `id` is the stored file's ID
+export const openReportUpload = (fileName, metadata = {}) =>
+  getBucket().openUploadStream(fileName, { metadata });
+
+// Readable stream of a stored report file. It errors if the file is gone.
+export const openReportDownload = (fileId) =>
+  getBucket().openDownloadStream(fileId);
+
+// Delete a stored report file; one that is already gone is left alone
+export const deleteReportFile = async (fileId) => {
+  try {
+    await getBucket().delete(fileId);
+  } catch (error) {
+    if (!/not found/i.test(error.message)) throw error;
+  }
+};
@@ -0,0 +1,85 @@
+import { once } from "events";
+import { createObjectCsvStringifier } from "csv-writer";
+import ExcelJS from "exceljs";
+
+export const REPORT_FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+  },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+// Write to a stream, waiting for it to drain when its buffer is full
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) {
+    await once(stream, "drain");
+  }
+};
+
+const createCsvWriter = (stream, { columns }) => {
+  const stringifier = createObjectCsvStringifier({
+    header: columns.map(({ key, header }) => ({ id: key, title: header })),
+  });
+  let started = false;
+
+  // BOM so Excel opens the file as UTF-8 (₹, accented names)
+  const writeHeader = async () => {
+    await write(stream, "\uFEFF" + stringifier.getHeaderString());
+    started = true;
+  };
+
+  const toCsvValue = (value) =>
+    value instanceof Date ? value.toISOString() : value;
+
+  return {
+    async addRow(row) {
+      if (!started) await writeHeader();
+
+      const record = {};
+      columns.forEach(({ key }) => {
+        record[key] = toCsvValue(row[key]);
+      });
+      await write(stream, stringifier.stringifyRecords([record]));
+    },
+    async end() {
+      if (!started) await writeHeader();
+    },
+  };
+};
+
+const createXlsxWriter = (stream, { columns, title }) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream,
+    useStyles: true,
+  });
+  const sheet = workbook.addWorksheet(title.slice(0, 31));
+  sheet.columns = columns.map(({ key, header, width }) => ({
+    key,
+    header,
+    width: width || Math.max(12, header.length + 2),
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  return {
+    async addRow(row) {
+      sheet.addRow(row).commit();
+    },
+    async end() {
+      sheet.commit();
+      await workbook.commit();
+    },
+  };
+};
+
+// Row-by-row writer for a report format. The caller ends the stream for
+// CSV; the XLSX writer ends it when the workbook is committed.
+export const createReportWriter = (format, stream, options) => {
+  if (format === "xlsx") return createXlsxWriter(stream, options);
+  return createCsvWriter(stream, options);
+};
@@ -0,0 +1,171 @@
+// Product search helpers: filters, facets and "did you mean" suggestions
+
+// Price buckets for the price facet (upper bound is exclusive)
+export const PRICE_BUCKETS = [0, 250, 500, 1000, 2000, 5000];
+
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+
+// Mongo filter for the listing/search query string options
+export const buildProductFilters = (options = {}) => {
+  const query = { isActive: true };
+
+  if (options.category) query.categories = { $in: [options.category] };
+  if (options.size) query["attributes.size"] = options.size;
+  if (options.indoorOutdoor) {
+    query["attributes.indoorOutdoor"] = options.indoorOutdoor;
+  }
+  if (options.difficulty) query.difficulty = options.difficulty;
+  if (options.lightRequirements) {
+    query.lightRequirements = options.lightRequirements;
+  }
+  if (options.toxicity) query.toxicity = options.toxicity;
+  if (options.seller) query.sellerId = options.seller;
+  if (options.minPrice || options.maxPrice) {
+    query.price = {};
+    if (options.minPrice) query.price.$gte = Number(options.minPrice);
+    if (options.maxPrice) query.price.$lte = Number(options.maxPrice);
+  }
+
+  return query;
+};
+
+// $facet stage counting matches per filterable field
+export const buildFacetStage = () => {
+  const countBy = (field) => [
+    { $match: { [field]: { $nin: [null, ""] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ];
+
+  return {
+    $facet: {
+      categories: [{ $unwind: "$categories" }, ...countBy("categories")],
+      size: countBy("attributes.size"),
+      indoorOutdoor: countBy("attributes.indoorOutdoor"),
+      difficulty: countBy("difficulty"),
+      lightRequirements: countBy("lightRequirements"),
+      toxicity: countBy("toxicity"),
+      price: [
+        {
+          $bucket: {
+            groupBy: "$price",
+            boundaries: PRICE_BUCKETS,
+            default: "above",
+            output: { count: { $sum: 1 } },
+          },
+        },
+      ],
+    },
+  };
+};
+
+// Shape raw $facet output as { field: [{ value, count }] }
+export const formatFacets = (facetResult = {}) => {
+  const facets = {};
+
+  Object.entries(facetResult).forEach(([field, buckets]) => {
+    if (field === "price") return;
+    facets[field] = buckets.map(({ _id, count }) => ({ value: _id, count }));
+  });
+
+  facets.price = (facetResult.price || []).map(({ _id, count }) => {
+    if (_id === "above") {
+      return { min: PRICE_BUCKETS[PRICE_BUCKETS.length - 1], max: null, count };
+    }
+    const index = PRICE_BUCKETS.indexOf(_id);
+    return { min: _id, max: PRICE_BUCKETS[index + 1], count };
+  });
+
+  return facets;
+};
+
+// Split text into lowercase words
+export const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1);
+
+// Levenshtein distance with an early exit once it exceeds maxDistance
+export const editDistance = (a, b, maxDistance = Infinity) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Typos allowed for a word of this length
+const allowedTypos = (word) => (word.length <= 4 ? 1 : 2);
+
+// Closest known word for each misspelled query word. Returns null when
+// every word is already known or nothing close enough exists.
+export const suggestQuery = (q, vocabulary) => {
+  const words = tokenize(q);
+  let changed = false;
+
+  const corrected = words.map((word) => {
+    if (vocabulary.has(word)) return word;
+
+    const maxDistance = allowedTypos(word);
+    let bestWord = null;
+    let bestDistance = maxDistance + 1;
+    vocabulary.forEach((candidate) => {
+      const distance = editDistance(word, candidate, maxDistance);
+      if (distance < bestDistance) {
+        bestWord = candidate;
+        bestDistance = distance;
+      }
+    });
+
+    if (!bestWord) return word;
+    changed = true;
+    return bestWord;
+  });
+
+  return changed ? corrected.join(" ") : null;
+};
+
+// Words from product titles, tags and categories, cached for a few
+// minutes so suggestions don't scan the catalogue on every search
+let vocabularyCache = { words: null, loadedAt: 0 };
+
+export const getSearchVocabulary = async (Product) => {
+  if (
+    vocabularyCache.words &&
+    Date.now() - vocabularyCache.loadedAt < VOCABULARY_TTL_MS
+  ) {
+    return vocabularyCache.words;
+  }
+
+  const [titles, tags, categories] = await Promise.all([
+    Product.distinct("title", { isActive: true }),
+    Product.distinct("tags", { isActive: true }),
+    Product.distinct("categories", { isActive: true }),
+  ]);
+
+  const words = new Set();
+  [...titles, ...tags, ...categories].forEach((text) => {
+    tokenize(text).forEach((word) => {
+      if (word.length > 2 && !/^\d+$/.test(word)) words.add(word);
+    });
+  });
+
+  vocabularyCache = { words, loadedAt: Date.now() };
+  return words;
+};
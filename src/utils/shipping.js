@@ -0,0 +1,97 @@
+// Shipping rates from Settings.shipping and COD charges from Settings.payments
+
+const DEFAULT_ESTIMATED_DAYS = 7;
+
+// Indian PIN codes are six digits and never start with 0
+export const isValidPincode = (pincode) => {
+  return /^[1-9][0-9]{5}$/.test(String(pincode || "").trim());
+};
+
+// Zone pincodes are exact matches or prefixes ending in "*" (e.g. "110*")
+export const findShippingZone = (zones = [], pincode) => {
+  const code = String(pincode || "").trim();
+
+  const exactZone = zones.find((zone) => zone.pincodes?.includes(code));
+  if (exactZone) return exactZone;
+
+  // Longest matching prefix wins so "1100*" beats "11*"
+  let bestZone = null;
+  let bestLength = 0;
+  zones.forEach((zone) => {
+    (zone.pincodes || []).forEach((pattern) => {
+      if (!pattern.endsWith("*")) return;
+      const prefix = pattern.slice(0, -1);
+      if (code.startsWith(prefix) && prefix.length > bestLength) {
+        bestZone = zone;
+        bestLength = prefix.length;
+      }
+    });
+  });
+
+  return bestZone;
+};
+
+// Rate card for a pincode, independent of the order amount
+export const getShippingRate = (settings, pincode) => {
+  const zone = findShippingZone(settings.shipping?.zones, pincode);
+
+  return {
+    pincode: String(pincode).trim(),
+    zone: zone?.name || null,
+    charge: zone?.charge ?? settings.shipping?.defaultCharge ?? 0,
+    freeShippingThreshold: settings.shipping?.freeShippingThreshold ?? 0,
+    estimatedDays: zone?.estimatedDays ?? DEFAULT_ESTIMATED_DAYS,
+    acceptCOD: settings.payments?.acceptCOD !== false,
+    codCharge: settings.payments?.codCharges || 0,
+  };
+};
+
+// Shipping charge for an amount after the free-shipping rule.
+// A threshold of 0 disables free shipping.
+export const applyShippingRate = (rate, amount) => {
+  if (!rate) return 0;
+
+  const isFree =
+    rate.freeShippingThreshold > 0 && amount >= rate.freeShippingThreshold;
+  return isFree ? 0 : rate.charge;
+};
+
+export const getEstimatedDelivery = (estimatedDays, from = new Date()) => {
+  const eta = new Date(from);
+  eta.setDate(eta.getDate() + estimatedDays);
+  return eta;
+};
+
+// Amount shipping is charged on: the lines that are shipped, after their
+// discounts. Gift cards are emailed, so they don't count.
+// lines: [{ amount, discount, isGiftCard }]
+export const getShippableAmount = (lines) => {
+  const amount = lines
+    .filter((line) => !line.isGiftCard)
+    .reduce(
+      (sum, line) => sum + Math.max(0, line.amount - (line.discount || 0)),
+      0
+    );
+  return Math.round(amount * 100) / 100;
+};
+
+// Full quote for an amount (after discounts) shipped to a pincode
+export const calculateShipping = (
+  settings,
+  { pincode, amount, paymentMethod }
+) => {
+  const rate = getShippingRate(settings, pincode);
+  const shippingCost = applyShippingRate(rate, amount);
+
+  return {
+    ...rate,
+    shippingCost,
+    freeShipping: shippingCost === 0 && rate.charge > 0,
+    amountForFreeShipping:
+      rate.freeShippingThreshold > 0 && shippingCost > 0
+        ? Math.max(0, rate.freeShippingThreshold - amount)
+        : 0,
+    codCharge: paymentMethod === "cod" ? rate.codCharge : 0,
+    eta: getEstimatedDelivery(rate.estimatedDays),
+  };
+};
@@ -0,0 +1,111 @@
+// GST computation from Settings.taxes and product HSN codes
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Compare state names loosely ("Tamil Nadu" === "tamilnadu")
+const normalizeState = (state) =>
+  String(state || "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+
+// Supplies inside the seller's state pay CGST + SGST, all others pay IGST
+export const isInterStateSupply = (companyState, shippingState) => {
+  const from = normalizeState(companyState);
+  const to = normalizeState(shippingState);
+  if (!from || !to) return true;
+  return from !== to;
+};
+
+// Rate for a line: product override, then the tax whose HSN codes match
+// (longest prefix wins), then the default tax
+export const getTaxRate = (settings, { hsn, taxRate } = {}) => {
+  if (typeof taxRate === "number") return taxRate;
+
+  const activeTaxes = settings.getActiveTaxes();
+  const code = String(hsn || "").trim();
+
+  if (code) {
+    let bestTax = null;
+    let bestLength = 0;
+    activeTaxes.forEach((tax) => {
+      (tax.hsnCodes || []).forEach((prefix) => {
+        if (code.startsWith(prefix) && prefix.length > bestLength) {
+          bestTax = tax;
+          bestLength = prefix.length;
+        }
+      });
+    });
+    if (bestTax) return bestTax.rate;
+  }
+
+  return settings.getDefaultTax()?.rate || 0;
+};
+
+// Split a discount across amounts in proportion to each amount.
+// The last share absorbs rounding so the shares add up exactly.
+export const allocateDiscount = (amounts, discount) => {
+  const total = amounts.reduce((sum, amount) => sum + amount, 0);
+  if (!discount || total <= 0) return amounts.map(() => 0);
+
+  let remaining = round2(Math.min(discount, total));
+  return amounts.map((amount, index) => {
+    if (index === amounts.length - 1) return remaining;
+    const share = round2((amount / total) * Math.min(discount, total));
+    remaining = round2(remaining - share);
+    return share;
+  });
+};
+
+// Compute GST for order lines.
+// lines: [{ amount, discount, hsn, taxRate }] where amount is price x quantity
+export const calculateTax = (settings, { lines, shippingState }) => {
+  const pricesIncludeTax = settings.taxInclusivePricing !== false;
+  const interState = isInterStateSupply(
+    settings.company?.address?.state,
+    shippingState
+  );
+
+  const taxedLines = lines.map((line) => {
+    const rate = getTaxRate(settings, line);
+    const gross = Math.max(0, line.amount - (line.discount || 0));
+
+    const taxableValue = pricesIncludeTax
+      ? round2((gross * 100) / (100 + rate))
+      : round2(gross);
+    const taxAmount = pricesIncludeTax
+      ? round2(gross - taxableValue)
+      : round2((gross * rate) / 100);
+
+    return { taxRate: rate, taxableValue, taxAmount };
+  });
+
+  // Group the breakdown by tax head and rate, as shown on a GST invoice
+  const breakdown = new Map();
+  const addTax = (name, rate, amount) => {
+    const key = `${name}:${rate}`;
+    const entry = breakdown.get(key) || { name, rate, amount: 0 };
+    entry.amount = round2(entry.amount + amount);
+    breakdown.set(key, entry);
+  };
+
+  taxedLines.forEach(({ taxRate, taxAmount }) => {
+    if (taxRate <= 0) return;
+    if (interState) {
+      addTax("IGST", taxRate, taxAmount);
+    } else {
+      const half = round2(taxAmount / 2);
+      addTax("CGST", taxRate / 2, half);
+      addTax("SGST", taxRate / 2, round2(taxAmount - half));
+    }
+  });
+
+  return {
+    pricesIncludeTax,
+    interState,
+    lines: taxedLines,
+    taxAmount: round2(
+      taxedLines.reduce((sum, line) => sum + line.taxAmount, 0)
+    ),
+    taxes: Array.from(breakdown.values()),
+  };
+};
@@ -0,0 +1,154 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import User from "../src/models/user.model.js";
+import {
+  addAddress,
+  deleteAddress,
+  updateAddress,
+} from "../src/controllers/address.controller.js";
+import {
+  pickAddressFields,
+  toOrderAddress,
+  validateAddress,
+} from "../src/utils/address.js";
+import { createResponse, query } from "./helpers.js";
+
+const home = {
+  fullName: "Asha Rao",
+  phone: "9876543210",
+  addressLine1: "12 Park Street",
+  city: "Mumbai",
+  state: "Maharashtra",
+  postalCode: "400001",
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("address fields", () => {
+  it("keeps address fields and reads the checkout form's names", () => {
+    const data = pickAddressFields({
+      address: "12 Park Street",
+      pincode: "400001",
+      phone: "+91 98765-43210",
+      _id: "injected",
+      userId: "injected",
+    });
+
+    assert.deepEqual(data, {
+      phone: "9876543210",
+      postalCode: "400001",
+      addressLine1: "12 Park Street",
+    });
+  });
+
+  it("checks pincode and phone formats only for India", () => {
+    assert.deepEqual(
+      validateAddress({ ...home, postalCode: "4000", phone: "12345" }),
+      [
+        "Pincode must be a valid 6-digit Indian pincode",
+        "Phone must be a valid 10-digit Indian mobile number",
+      ]
+    );
+    assert.deepEqual(
+      validateAddress({
+        ...home,
+        country: "United Kingdom",
+        postalCode: "SW1A 1AA",
+        phone: "+44 20 7946 0000",
+      }),
+      []
+    );
+    assert.deepEqual(
+      validateAddress({ ...home, phone: "" }, { requirePhone: true }),
+      ["Phone number is required"]
+    );
+  });
+
+  it("snapshots an entry in the order address shape", () => {
+    assert.deepEqual(toOrderAddress(home, { email: "asha@example.com" }), {
+      fullName: "Asha Rao",
+      phone: "9876543210",
+      email: "asha@example.com",
+      addressLine1: "12 Park Street",
+      addressLine2: "",
+      city: "Mumbai",
+      state: "Maharashtra",
+      pincode: "400001",
+      country: "India",
+    });
+  });
+});
+
+describe("address book", () => {
+  let user;
+
+  const call = async (handler, { body = {}, addressId } = {}) => {
+    const res = createResponse();
+    await handler(
+      { params: { addressId }, body, user: { id: user._id.toString() } },
+      res
+    );
+    return res;
+  };
+
+  beforeEach(() => {
+    user = new User({ name: "Asha", email: "asha@example.com" });
+    mock.method(User, "findById", () => query(user));
+    mock.method(User.prototype, "save", async function () {
+      return this;
+    });
+  });
+
+  it("keeps the first address the default until told", async () => {
+    await call(addAddress, { body: home });
+    assert.equal(user.addresses[0].isDefault, true);
+
+    await call(addAddress, { body: { ...home, type: "work" } });
+    assert.equal(user.addresses[0].isDefault, true);
+    assert.equal(user.addresses[1].isDefault, false);
+
+    const res = await call(addAddress, {
+      body: { ...home, type: "other", isDefault: true },
+    });
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(
+      user.addresses.map((address) => address.isDefault),
+      [false, false, true]
+    );
+  });
+
+  it("passes the default on when it is deleted", async () => {
+    const first = user.addAddress(home);
+    const second = user.addAddress({ ...home, type: "work" });
+
+    const res = await call(deleteAddress, { addressId: first._id.toString() });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.addresses.length, 1);
+    assert.equal(user.addresses[0]._id, second._id);
+    assert.equal(user.addresses[0].isDefault, true);
+  });
+
+  it("validates an update together with the stored address", async () => {
+    const address = user.addAddress(home);
+
+    const res = await call(updateAddress, {
+      addressId: address._id.toString(),
+      body: { pincode: "4000" },
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.errors, [
+      "Pincode must be a valid 6-digit Indian pincode",
+    ]);
+    assert.equal(address.postalCode, "400001");
+  });
+
+  it("refuses an incomplete address", async () => {
+    const res = await call(addAddress, { body: { fullName: "Asha" } });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.errors.length, 4);
+    assert.equal(user.addresses.length, 0);
+  });
+});
@@ -0,0 +1,364 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcrypt";
+import nodemailer from "nodemailer";
+import auth, { optionalAuth } from "../src/middlewares/auth.middleware.js";
+import Session from "../src/models/session.model.js";
+import Settings from "../src/models/settings.model.js";
+import User from "../src/models/user.model.js";
+import {
+  forgotPassword,
+  login,
+  register,
+  resetPassword,
+  verifyEmail,
+} from "../src/controllers/auth.controller.js";
+import {
+  generateAccessToken,
+  generateCartRecoveryToken,
+  generateTwoFactorToken,
+} from "../src/utils/jwt.js";
+import {
+  checkPassword,
+  generatePassword,
+} from "../src/utils/passwordPolicy.js";
+import { createResponse, query } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+describe("register", () => {
+  let created;
+
+  beforeEach(() => {
+    created = [];
+    mock.method(User, "findOne", () => query(null));
+    mock.method(User, "create", async (doc) => {
+      const user = new User(doc);
+      created.push(user);
+      return user;
+    });
+    mock.method(User.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Settings, "getSettings", async () => new Settings());
+    mock.method(nodemailer, "createTransport", () => ({
+      sendMail: async () => ({}),
+    }));
+  });
+
+  it("ignores fields other than the sign-up ones", async () => {
+    const res = createResponse();
+
+    await register(
+      {
+        body: {
+          name: "Asha",
+          email: "asha@example.com",
+          password: "Str0ng!Passw0rd",
+          phone: "9876543210",
+          walletBalance: 100000,
+          loyaltyPoints: 5000,
+          role: "admin",
+          twoFactor: { enabled: true },
+        },
+      },
+      res
+    );
+
+    assert.equal(res.statusCode, 201);
+    const [user] = created;
+    assert.equal(user.phone, "9876543210");
+    assert.equal(user.walletBalance, 0);
+    assert.equal(user.loyaltyPoints, 0);
+    assert.equal(user.role, "user");
+    assert.equal(user.twoFactor?.enabled, false);
+    assert.equal(res.body.user.role, "user");
+  });
+});
+
+describe("Access token checks", () => {
+  const user = new User({ name: "Asha", email: "asha@example.com" });
+  const session = new Session({ userId: user._id });
+  let revoked;
+
+  // Runs the middleware with a bearer token; returns the response and
+  // whether the request went on
+  const run = async (middleware, token) => {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = createResponse();
+    let passed = false;
+    await middleware(req, res, () => {
+      passed = true;
+    });
+    return { req, res, passed };
+  };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = "test-secret";
+    revoked = false;
+    mock.method(Session, "exists", async (filter) =>
+      !revoked && filter._id === session._id.toString()
+        ? { _id: session._id }
+        : null
+    );
+  });
+
+  it("lets an access token through both middlewares", async () => {
+    const token = generateAccessToken(user, session._id);
+
+    assert.equal((await run(auth, token)).passed, true);
+    const { req, passed } = await run(optionalAuth, token);
+    assert.equal(passed, true);
+    assert.equal(req.user.id, user._id.toString());
+  });
+
+  it("stops an access token once its session is revoked", async () => {
+    const token = generateAccessToken(user, session._id);
+    revoked = true;
+
+    const { res, passed } = await run(auth, token);
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal((await run(optionalAuth, token)).req.user, null);
+  });
+
+  it("refuses an access token without a session", async () => {
+    const { res } = await run(auth, generateAccessToken(user));
+
+    assert.equal(res.statusCode, 401);
+  });
+
+  it("treats purpose tokens as no sign-in on the cart", async () => {
+    const tokens = [
+      generateTwoFactorToken(user, "2fa_challenge"),
+      generateCartRecoveryToken(
+        { _id: user._id, cartId: user._id, userId: user._id },
+        7
+      ),
+    ];
+
+    for (const token of tokens) {
+      assert.equal((await run(auth, token)).res.statusCode, 401);
+      const { req, passed } = await run(optionalAuth, token);
+      assert.equal(passed, true);
+      assert.equal(req.user, null);
+    }
+  });
+});
+
+describe("Email verification and password reset", () => {
+  let user;
+  let sent;
+
+  // Token from the link in the last email sent
+  const linkToken = () => sent[sent.length - 1].html.match(/token=(\w+)/)[1];
+
+  beforeEach(() => {
+    user = new User({
+      name: "Asha",
+      email: "asha@example.com",
+      password: "hashed",
+      emailVerified: false,
+    });
+    sent = [];
+    // Tokens are looked up by their stored hash
+    mock.method(User, "findOne", (filter) => {
+      const matches =
+        filter.email === user.email ||
+        (filter.passwordResetToken &&
+          filter.passwordResetToken === user.passwordResetToken) ||
+        (filter.emailVerificationToken &&
+          filter.emailVerificationToken === user.emailVerificationToken);
+      return query(matches ? user : null);
+    });
+    mock.method(User.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Settings, "getSettings", async () => new Settings());
+    mock.method(Session, "revokeForUser", async () => 1);
+    mock.method(nodemailer, "createTransport", () => ({
+      sendMail: async (mail) => sent.push(mail),
+    }));
+  });
+
+  it("verifies the email with the emailed link once", async () => {
+    const registered = createResponse();
+    mock.method(User, "create", async () => user);
+    User.findOne.mock.mockImplementationOnce(() => query(null));
+    await register(
+      {
+        body: {
+          name: "Asha",
+          email: "asha@example.com",
+          password: "Str0ng!Passw0rd",
+        },
+      },
+      registered
+    );
+    const token = linkToken();
+    assert.notEqual(user.emailVerificationToken, token);
+
+    const res = createResponse();
+    await verifyEmail({ body: { token } }, res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.emailVerified, true);
+
+    const again = createResponse();
+    await verifyEmail({ body: { token } }, again);
+    assert.equal(again.statusCode, 400);
+  });
+
+  it("answers the same for unknown emails and sends nothing", async () => {
+    const known = createResponse();
+    const unknown = createResponse();
+
+    await forgotPassword({ body: { email: "asha@example.com" } }, known);
+    await forgotPassword({ body: { email: "nobody@example.com" } }, unknown);
+
+    assert.deepEqual(unknown.body, known.body);
+    assert.equal(sent.length, 1);
+  });
+
+  it("resets the password once and signs out every session", async () => {
+    await forgotPassword(
+      { body: { email: "asha@example.com" } },
+      createResponse()
+    );
+    const token = linkToken();
+    user.loginAttempts = 5;
+    user.lockUntil = new Date(Date.now() + 60000);
+
+    const res = createResponse();
+    await resetPassword({ body: { token, password: "N3w!Passw0rd" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(user.password, "N3w!Passw0rd");
+    assert.equal(user.passwordResetToken, undefined);
+    assert.equal(user.emailVerified, true);
+    assert.equal(user.isLocked, false);
+    const [userId, reason] = Session.revokeForUser.mock.calls[0].arguments;
+    assert.equal(userId, user._id);
+    assert.equal(reason, "password_changed");
+
+    const again = createResponse();
+    await resetPassword({ body: { token, password: "0ther!Passw0rd" } }, again);
+    assert.equal(again.statusCode, 400);
+  });
+});
+
+describe("Password policy", () => {
+  const policy = {
+    minLength: 10,
+    requireUppercase: true,
+    requireNumbers: true,
+    requireSpecialChars: true,
+  };
+
+  it("lists every rule a password breaks", () => {
+    assert.deepEqual(checkPassword("short", policy), [
+      "Password must be at least 10 characters",
+      "Password must contain an uppercase letter",
+      "Password must contain a number",
+      "Password must contain a special character",
+    ]);
+    assert.deepEqual(checkPassword("Str0ng!Passw0rd", policy), []);
+  });
+
+  it("generates passwords that meet it", () => {
+    for (let i = 0; i < 20; i += 1) {
+      assert.deepEqual(checkPassword(generatePassword(policy), policy), []);
+    }
+  });
+
+  it("is applied from settings when registering", async () => {
+    mock.method(User, "findOne", () => query(null));
+    const create = mock.method(User, "create", async (doc) => doc);
+    mock.method(Settings, "getSettings", async () =>
+      new Settings({ security: { passwordPolicy: { minLength: 16 } } })
+    );
+    const res = createResponse();
+
+    await register(
+      {
+        body: {
+          name: "Asha",
+          email: "asha@example.com",
+          password: "Str0ng!Passw0rd",
+        },
+      },
+      res
+    );
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.errors, [
+      "Password must be at least 16 characters",
+    ]);
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
+
+describe("Login lockout", () => {
+  let user;
+
+  const attempt = async (password) => {
+    const res = createResponse();
+    await login({ body: { email: user.email, password } }, res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    user = new User({
+      name: "Asha",
+      email: "asha@example.com",
+      password: await bcrypt.hash("Str0ng!Passw0rd", 4),
+    });
+    mock.method(User, "findOne", () => query(user));
+    mock.method(User.prototype, "updateOne", async () => ({}));
+    mock.method(Settings, "getSettings", async () =>
+      new Settings({
+        security: { maxLoginAttempts: 3, lockoutDuration: 15 * 60 * 1000 },
+      })
+    );
+  });
+
+  it("locks the account after the configured failures", async () => {
+    const first = await attempt("wrong");
+    assert.equal(first.statusCode, 401);
+    assert.equal(first.body.attemptsRemaining, 2);
+
+    await attempt("wrong");
+    const third = await attempt("wrong");
+
+    assert.equal(third.statusCode, 423);
+    assert.match(third.body.message, /Try again in 15 minute\(s\)/);
+  });
+
+  it("refuses even the right password while locked", async () => {
+    user.lockUntil = new Date(Date.now() + 60 * 1000);
+
+    const res = await attempt("Str0ng!Passw0rd");
+
+    assert.equal(res.statusCode, 423);
+  });
+
+  it("starts counting again once a lock has expired", async () => {
+    user.loginAttempts = 3;
+    user.lockUntil = new Date(Date.now() - 1000);
+
+    const res = await attempt("wrong");
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(user.loginAttempts, 1);
+  });
+
+  it("never locks when lockout is off", async () => {
+    Settings.getSettings.mock.mockImplementation(
+      async () => new Settings({ security: { maxLoginAttempts: 0 } })
+    );
+
+    for (let i = 0; i < 6; i += 1) {
+      assert.equal((await attempt("wrong")).statusCode, 401);
+    }
+    assert.equal(user.isLocked, false);
+  });
+});
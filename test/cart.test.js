@@ -0,0 +1,159 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import nodemailer from "nodemailer";
+import Cart from "../src/models/cart.model.js";
+import CartRecovery from "../src/models/cartRecovery.model.js";
+import Coupon from "../src/models/coupon.model.js";
+import Product from "../src/models/product.model.js";
+import Settings from "../src/models/settings.model.js";
+import User from "../src/models/user.model.js";
+import {
+  getShippingQuote,
+  sendCartRecoveryEmails,
+} from "../src/controllers/cart.controller.js";
+import { startAbandonedCartJob } from "../src/jobs/abandonedCart.job.js";
+import { createResponse, query } from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+afterEach(() => mock.restoreAll());
+
+describe("getShippingQuote", () => {
+  let cart;
+  let coupon;
+  let product;
+
+  const quote = async () => {
+    const res = createResponse();
+    await getShippingQuote(
+      {
+        user: { id: cart.userId.toString() },
+        headers: {},
+        body: { pincode: "400001", paymentMethod: "prepaid" },
+      },
+      res
+    );
+    return res;
+  };
+
+  beforeEach(() => {
+    product = new Product({
+      title: "Fern",
+      slug: "fern",
+      sku: "FERN-1",
+      price: 550,
+      stock: 5,
+      isActive: true,
+    });
+    coupon = new Coupon({
+      code: "SAVE10",
+      discountType: "percentage",
+      discountValue: 10,
+      scope: "cart",
+      startDate: new Date(Date.now() - DAY_MS),
+      endDate: new Date(Date.now() + DAY_MS),
+    });
+    cart = new Cart({
+      userId: new mongoose.Types.ObjectId(),
+      items: [{ productId: product, quantity: 1, priceAtAdd: 550 }],
+    });
+    // Stored when the coupon still took 10 off
+    cart.applyCoupon(coupon, {
+      discountAmount: 10,
+      applicableItems: [{ productId: product._id }],
+    });
+
+    mock.method(Cart, "findOne", () => query(cart));
+    mock.method(Cart, "findById", () => query(cart));
+    mock.method(Cart.prototype, "loadPromotions", async function () {
+      this.calculateFinalTotal();
+      return this;
+    });
+    mock.method(Cart.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Coupon, "findByCode", async () => coupon);
+    mock.method(Product, "find", () => query([product]));
+    mock.method(Settings, "getSettings", async () => new Settings());
+  });
+
+  it("judges free shipping on checkout's discounts", async () => {
+    const res = await quote();
+
+    // 550 less the 55 the coupon takes now is under the 500 threshold
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.quote.freeShipping, false);
+    assert.equal(res.body.quote.shippingCost, 50);
+    assert.equal(res.body.quote.amountForFreeShipping, 5);
+    assert.equal(res.body.quote.total, 545);
+    assert.equal(cart.coupon.discountAmount, 55);
+  });
+
+  it("rejects a coupon that no longer applies", async () => {
+    coupon.endDate = new Date(Date.now() - DAY_MS);
+
+    const res = await quote();
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /^Coupon SAVE10: /);
+  });
+});
+
+describe("Cart recovery emails", () => {
+  let sent;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = "test-secret";
+    sent = [];
+    const settings = new Settings({ cartRecovery: { enabled: true } });
+    const user = new User({
+      name: "Asha <b>Rao</b>",
+      email: "asha@example.com",
+    });
+    const cart = new Cart({
+      userId: user,
+      items: [
+        {
+          productId: new mongoose.Types.ObjectId(),
+          quantity: 1,
+          priceAtAdd: 500,
+          productSnapshot: { title: "<img src=x onerror=alert(1)>" },
+        },
+      ],
+    });
+
+    mock.method(Settings, "getSettings", async () => settings);
+    mock.method(Cart, "find", () => query([cart]));
+    mock.method(Cart, "updateOne", async () => ({ modifiedCount: 1 }));
+    mock.method(CartRecovery, "create", async (doc) => new CartRecovery(doc));
+    mock.method(nodemailer, "createTransport", () => ({
+      sendMail: async (mail) => sent.push(mail),
+    }));
+  });
+
+  afterEach(() => {
+    delete process.env.VERCEL;
+  });
+
+  it("are sent when cron calls on serverless", async () => {
+    process.env.VERCEL = "1";
+    const res = createResponse();
+
+    assert.equal(startAbandonedCartJob(), null);
+    await sendCartRecoveryEmails({}, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.sent, 1);
+    assert.equal(sent.length, 1);
+  });
+
+  it("escape the customer's name and the product titles", async () => {
+    await sendCartRecoveryEmails({}, createResponse());
+
+    const [{ html }] = sent;
+    assert.match(html, /Hi Asha &lt;b&gt;Rao&lt;\/b&gt;,/);
+    assert.match(html, /<li>&lt;img src=x onerror=alert\(1\)&gt; × 1<\/li>/);
+    assert.doesNotMatch(html, /<img|<b>/);
+  });
+});
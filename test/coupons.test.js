@@ -0,0 +1,334 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Coupon from "../src/models/coupon.model.js";
+import CouponCode from "../src/models/couponCode.model.js";
+import CouponRedemption from "../src/models/couponRedemption.model.js";
+import GiftCard from "../src/models/giftCard.model.js";
+import LoyaltyTransaction from "../src/models/loyaltyTransaction.model.js";
+import Order from "../src/models/order.model.js";
+import Product from "../src/models/product.model.js";
+import WalletTransaction from "../src/models/walletTransaction.model.js";
+import { generateCouponCodes } from "../src/controllers/coupon.controller.js";
+import { updateOrderStatus } from "../src/controllers/order.controller.js";
+import {
+  CODE_ALPHABET,
+  generateCode,
+  resolveCodePattern,
+} from "../src/utils/couponCodes.js";
+import { createResponse, query, retryingSession } from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const objectId = () => new mongoose.Types.ObjectId();
+
+const buildCoupon = (overrides = {}) =>
+  new Coupon({
+    code: "SAVE10",
+    discountType: "percentage",
+    discountValue: 10,
+    scope: "cart",
+    startDate: new Date(Date.now() - DAY_MS),
+    endDate: new Date(Date.now() + DAY_MS),
+    ...overrides,
+  });
+
+afterEach(() => mock.restoreAll());
+
+describe("Coupon discounts", () => {
+  const fern = { productId: objectId(), priceAtAdd: 500, quantity: 2 };
+  const pot = { productId: objectId(), priceAtAdd: 300, quantity: 1 };
+
+  it("caps percentage discounts at maxDiscount", () => {
+    const coupon = buildCoupon({ discountValue: 50, maxDiscount: 200 });
+
+    const { discountAmount } = coupon.calculateDiscount([fern, pot]);
+
+    assert.equal(discountAmount, 200);
+  });
+
+  it("only discounts lines in the coupon's categories", () => {
+    const coupon = buildCoupon({
+      scope: "categories",
+      applicableCategories: ["Indoor"],
+    });
+
+    const discount = coupon.calculateDiscount([fern, pot], {
+      categoriesByProduct: {
+        [fern.productId]: ["indoor"],
+        [pot.productId]: ["Pots"],
+      },
+    });
+
+    assert.equal(discount.discountAmount, 100);
+    assert.deepEqual(discount.applicableItems, [fern]);
+  });
+
+  it("doesn't take more than the lines for a fixed discount", () => {
+    const coupon = buildCoupon({ discountType: "fixed", discountValue: 5000 });
+
+    const { discountAmount } = coupon.calculateDiscount([pot]);
+
+    assert.equal(discountAmount, 300);
+  });
+
+  it("asks for more when the cart is under minOrderValue", async () => {
+    const coupon = buildCoupon({ minOrderValue: 2000 });
+
+    const result = await coupon.checkCart([fern, pot]);
+
+    assert.deepEqual(result, {
+      error: "Add items worth ₹700 more to use this coupon",
+      status: 400,
+    });
+  });
+
+  it("refuses a customer who used up their uses", async () => {
+    const coupon = buildCoupon({ usageLimitPerUser: 1 });
+    mock.method(CouponRedemption, "countForUser", () => query(1));
+
+    const result = await coupon.checkCart([fern], { userId: objectId() });
+
+    assert.equal(result.error, "You have already used this coupon");
+  });
+});
+
+describe("Coupon.redeem", () => {
+  beforeEach(() => {
+    mock.method(CouponRedemption, "create", async (docs) => docs);
+  });
+
+  it("lets only one checkout take the last use", async () => {
+    const coupon = buildCoupon({ maxUsage: 1 });
+    let usageCount = 0;
+    mock.method(Coupon, "findOneAndUpdate", async () => {
+      if (usageCount >= coupon.maxUsage) return null;
+      usageCount += 1;
+      return coupon;
+    });
+
+    const results = await Promise.all([
+      Coupon.redeem(coupon, { userId: objectId(), orderId: objectId() }),
+      Coupon.redeem(coupon, { userId: objectId(), orderId: objectId() }),
+    ]);
+
+    assert.equal(results.filter((result) => result.redemption).length, 1);
+    assert.deepEqual(results.find((result) => result.error), {
+      error: "Coupon SAVE10 is no longer available",
+    });
+  });
+
+  it("takes a campaign code once", async () => {
+    const campaign = buildCoupon({ code: "SPRING", isCampaign: true });
+    campaign.$locals.uniqueCode = { _id: objectId(), code: "SPRING-AB12" };
+    mock.method(Coupon, "findOneAndUpdate", async () => campaign);
+    mock.method(CouponCode, "updateOne", async () => ({ modifiedCount: 0 }));
+
+    const result = await Coupon.redeem(campaign, {
+      userId: objectId(),
+      orderId: objectId(),
+    });
+
+    assert.deepEqual(result, {
+      error: "Coupon SPRING-AB12 has already been used",
+    });
+    assert.equal(CouponRedemption.create.mock.callCount(), 0);
+  });
+});
+
+describe("Coupon.releaseForOrder", () => {
+  it("gives back each use once", async () => {
+    const redemption = { _id: objectId(), couponId: objectId() };
+    let status = "redeemed";
+    mock.method(CouponRedemption, "find", () =>
+      query(status === "redeemed" ? [redemption] : [])
+    );
+    mock.method(CouponRedemption, "updateOne", async () => {
+      if (status !== "redeemed") return { modifiedCount: 0 };
+      status = "released";
+      return { modifiedCount: 1 };
+    });
+    const decrement = mock.method(Coupon, "updateOne", async () => ({}));
+    mock.method(CouponCode, "updateMany", async () => ({}));
+
+    const orderId = objectId();
+    await Promise.all([
+      Coupon.releaseForOrder(orderId),
+      Coupon.releaseForOrder(orderId),
+    ]);
+
+    assert.equal(decrement.mock.callCount(), 1);
+  });
+});
+
+describe("updateOrderStatus", () => {
+  let stored;
+
+  const setStatus = async (status) => {
+    const res = createResponse();
+    await updateOrderStatus(
+      { params: { id: stored._id.toString() }, body: { status } },
+      res
+    );
+    return res;
+  };
+
+  beforeEach(() => {
+    stored = new Order({
+      orderNumber: "ORD-1",
+      customerId: objectId(),
+      items: [
+        {
+          productId: objectId(),
+          title: "Fern",
+          sku: "FERN-1",
+          quantity: 1,
+          price: 500,
+          total: 500,
+        },
+      ],
+      totalAmount: 450,
+      coupon: { code: "SAVE10", discount: 50 },
+      status: "packed",
+    }).toObject();
+
+    mock.method(mongoose, "startSession", async () => retryingSession(1));
+    mock.method(Order, "findById", () => query(Order.hydrate(stored)));
+    mock.method(Order, "findOneAndUpdate", (filter, update) => {
+      if (!filter.status.$in.includes(stored.status)) return query(null);
+      stored = { ...stored, ...update.$set };
+      return query(Order.hydrate(stored));
+    });
+    mock.method(Order.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Product, "restoreStock", async () => {});
+    mock.method(Coupon, "releaseForOrder", async () => 1);
+    mock.method(GiftCard, "cancelForOrder", async () => {});
+    mock.method(GiftCard, "getRedeemedValue", async () => 0);
+    mock.method(WalletTransaction, "restoreForOrder", async () => {});
+    mock.method(LoyaltyTransaction, "releaseForOrder", async () => {});
+  });
+
+  it("gives back the coupon use and stock when cancelling", async () => {
+    const res = await setStatus("cancelled");
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(stored.status, "cancelled");
+    assert.equal(Coupon.releaseForOrder.mock.callCount(), 1);
+    assert.equal(Product.restoreStock.mock.callCount(), 1);
+  });
+
+  it("refuses to cancel an order that has shipped", async () => {
+    stored.status = "shipped";
+
+    const res = await setStatus("cancelled");
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(Coupon.releaseForOrder.mock.callCount(), 0);
+  });
+});
+
+describe("Campaign code patterns", () => {
+  it("builds a pattern from a prefix and length", () => {
+    assert.deepEqual(resolveCodePattern({ prefix: "spring-", length: 8 }, 1), {
+      pattern: "SPRING-########",
+    });
+  });
+
+  it("refuses codes that are easy to guess or malformed", () => {
+    assert.match(
+      resolveCodePattern({ pattern: "SPRING-###" }, 1).error,
+      /at least 6 random characters/
+    );
+    assert.match(
+      resolveCodePattern({ pattern: "######" }, 2000000).error,
+      /more random characters/
+    );
+    assert.match(
+      resolveCodePattern({ pattern: "SPRING_######" }, 1).error,
+      /letters, digits, dashes/
+    );
+  });
+
+  it("fills every placeholder from the readable alphabet", () => {
+    const code = generateCode("GIFT-####-####");
+
+    assert.match(code, /^GIFT-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    const random = code.replace(/GIFT|-/g, "");
+    assert.ok([...random].every((char) => CODE_ALPHABET.includes(char)));
+  });
+});
+
+describe("Campaign codes", () => {
+  const campaign = buildCoupon({ code: "SPRING", isCampaign: true });
+
+  it("replaces codes that collide with existing ones", async () => {
+    let taken;
+    mock.method(Coupon, "find", (filter) => ({
+      // The first code of the first attempt belongs to another coupon
+      distinct: async () => {
+        taken = taken ?? filter.code.$in[0];
+        return filter.code.$in.filter((code) => code === taken);
+      },
+    }));
+    const batches = [];
+    mock.method(CouponCode, "insertMany", async (codes) => {
+      batches.push(codes);
+      if (batches.length > 1) return codes;
+      // ...and another is already a campaign code
+      throw Object.assign(new Error("E11000 duplicate key"), {
+        code: 11000,
+        insertedDocs: codes.slice(1),
+      });
+    });
+
+    const { created } = await campaign.generateCodes({
+      pattern: "SPRING-######",
+      count: 5,
+    });
+
+    assert.equal(created, 5);
+    assert.equal(batches[0].length, 4);
+    assert.equal(batches[1].length, 2);
+    assert.ok(batches.flat().every((code) => code.code !== taken));
+    assert.equal(new Set(batches.flat().map((code) => code.batchId)).size, 1);
+  });
+
+  it("finds the campaign by a unique code, not its own", async () => {
+    const uniqueCode = new CouponCode({
+      couponId: campaign._id,
+      code: "SPRING-AB12CD",
+    });
+    mock.method(Coupon, "findOne", (filter) =>
+      query(filter.code === "SPRING" || filter._id ? campaign : null)
+    );
+    mock.method(CouponCode, "findOne", (filter) =>
+      query(filter.code === uniqueCode.code ? uniqueCode : null)
+    );
+
+    assert.equal(await Coupon.findByCode("spring"), null);
+    const found = await Coupon.findByCode(" spring-ab12cd ");
+    assert.equal(found, campaign);
+    assert.equal(found.$locals.uniqueCode, uniqueCode);
+  });
+
+  it("only generates codes for campaigns", async () => {
+    mock.method(Coupon, "findById", () => query(buildCoupon()));
+    const res = createResponse();
+
+    await generateCouponCodes(
+      {
+        params: { id: objectId().toString() },
+        body: { count: 10, prefix: "SAVE-" },
+        user: { id: objectId().toString() },
+      },
+      res
+    );
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(
+      res.body.message,
+      "Unique codes can only be generated for campaign coupons"
+    );
+  });
+});
@@ -0,0 +1,306 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import nodemailer from "nodemailer";
+import Device from "../src/models/device.model.js";
+import PlantAlert from "../src/models/plantAlert.model.js";
+import Product from "../src/models/product.model.js";
+import Settings from "../src/models/settings.model.js";
+import Telemetry, { getBucketStart } from "../src/models/telemetry.model.js";
+import User from "../src/models/user.model.js";
+import deviceAuth from "../src/middlewares/deviceAuth.middleware.js";
+import { ingestTelemetry } from "../src/controllers/device.controller.js";
+import {
+  evaluateReading,
+  getCareProfile,
+  parseTemperatureRange,
+} from "../src/utils/plantCare.js";
+import { createResponse, query } from "./helpers.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+afterEach(() => mock.restoreAll());
+
+const buildDevice = () =>
+  new Device({ name: "Balcony fern", ownerId: new mongoose.Types.ObjectId() });
+
+describe("deviceAuth", () => {
+  let device;
+  let token;
+
+  const run = async (headers) => {
+    const req = { headers };
+    const res = createResponse();
+    let passed = false;
+    await deviceAuth(req, res, () => {
+      passed = true;
+    });
+    return { req, res, passed };
+  };
+
+  beforeEach(() => {
+    device = buildDevice();
+    token = device.generateToken();
+    mock.method(Device, "findOne", (filter) =>
+      query(
+        filter.isActive && filter.tokenHash === device.tokenHash ? device : null
+      )
+    );
+  });
+
+  it("takes the token from either header", async () => {
+    for (const headers of [
+      { "x-device-token": token },
+      { authorization: `Device ${token}` },
+    ]) {
+      const { req, passed } = await run(headers);
+      assert.equal(passed, true);
+      assert.equal(req.device, device);
+    }
+  });
+
+  it("refuses a missing or unknown token", async () => {
+    const missing = await run({ authorization: `Bearer ${token}` });
+    assert.equal(missing.res.statusCode, 401);
+    assert.equal(missing.res.body.message, "Device token missing");
+
+    const unknown = await run({ "x-device-token": "dev_unknown" });
+    assert.equal(unknown.passed, false);
+    assert.equal(unknown.res.body.message, "Invalid device token");
+  });
+});
+
+describe("ingestTelemetry", () => {
+  const hour = getBucketStart(new Date(Date.now() - 3 * HOUR_MS));
+  let device;
+  let operations;
+
+  const ingest = async (body) => {
+    const res = createResponse();
+    await ingestTelemetry({ device, body }, res);
+    return res;
+  };
+
+  const at = (minutes) => new Date(hour.getTime() + minutes * MINUTE_MS);
+
+  beforeEach(() => {
+    device = buildDevice();
+    operations = null;
+    mock.method(Telemetry, "bulkWrite", async (ops) => {
+      operations = ops;
+      return {};
+    });
+    mock.method(Device.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Settings, "getSettings", async () => new Settings());
+    mock.method(PlantAlert, "syncForDevice", async () => []);
+  });
+
+  it("stores a batch in hourly buckets and keeps the newest", async () => {
+    const res = await ingest({
+      readings: [
+        { recordedAt: at(70), moisture: 35 },
+        { recordedAt: at(5), moisture: 40 },
+        { recordedAt: at(40), moisture: 60, temperature: 22 },
+      ],
+    });
+
+    assert.equal(res.statusCode, 202);
+    assert.equal(res.body.accepted, 3);
+    assert.equal(operations.length, 2);
+    const first = operations
+      .map((operation) => operation.updateOne)
+      .find((update) => update.filter.bucketStart.getTime() === hour.getTime());
+    assert.equal(first.update.$inc.count, 2);
+    assert.equal(first.update.$min["summary.moisture.min"], 40);
+    assert.equal(first.update.$max["summary.moisture.max"], 60);
+    assert.equal(first.update.$inc["summary.temperature.count"], 1);
+    assert.equal(device.lastReading.moisture, 35);
+    assert.ok(device.lastSeen);
+  });
+
+  it("refuses the whole batch over one bad reading", async () => {
+    const res = await ingest({
+      readings: [{ moisture: 50 }, { humidity: 120 }],
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(
+      res.body.message,
+      "Reading 1: humidity must be between 0 and 100"
+    );
+    assert.equal(operations, null);
+  });
+
+  it("refuses readings from the future and without values", async () => {
+    const future = await ingest({
+      recordedAt: new Date(Date.now() + HOUR_MS),
+      moisture: 50,
+    });
+    assert.equal(future.body.message, "Reading 0: recordedAt is in the future");
+
+    const empty = await ingest({ recordedAt: at(5) });
+    assert.equal(empty.body.message, "Reading 0: Reading has no sensor values");
+  });
+
+  it("keeps the readings when the care check fails", async () => {
+    mock.method(console, "error", () => {});
+    PlantAlert.syncForDevice.mock.mockImplementation(async () => {
+      throw new Error("Care check failed");
+    });
+
+    const res = await ingest({ moisture: 50 });
+
+    assert.equal(res.statusCode, 202);
+    assert.equal(res.body.alerts, 0);
+    assert.equal(operations.length, 1);
+  });
+});
+
+describe("Plant care rules", () => {
+  const profile = getCareProfile(
+    new Product({
+      title: "Fern",
+      waterFrequency: "Weekly",
+      lightRequirements: "Medium Light",
+      humidity: "High",
+      temperature: "18-27°C",
+    })
+  );
+
+  it("reads temperature ranges in either unit", () => {
+    assert.deepEqual(parseTemperatureRange("18-27°C"), { min: 18, max: 27 });
+    assert.deepEqual(parseTemperatureRange("65°F - 80°F"), {
+      min: 18,
+      max: 27,
+    });
+    assert.deepEqual(parseTemperatureRange("-5 to 10 C"), { min: -5, max: 10 });
+    assert.equal(parseTemperatureRange("Warm"), null);
+  });
+
+  it("grades readings outside the plant's ranges", () => {
+    const issues = evaluateReading(profile, {
+      moisture: 5,
+      temperature: 28,
+      humidity: 70,
+      light: 20000,
+      battery: 4,
+    });
+
+    assert.deepEqual(
+      issues.map((issue) => [issue.type, issue.severity]),
+      [
+        ["moisture_low", "critical"],
+        ["temperature_high", "warning"],
+        ["light_high", "critical"],
+        ["battery_low", "critical"],
+      ]
+    );
+    assert.equal(
+      issues[0].message,
+      "Soil too dry for a weekly-watered plant: 5% (expected 20-70%)"
+    );
+  });
+
+  it("judges low light on the day's peak, not a dark reading", () => {
+    const night = { light: 0 };
+
+    assert.deepEqual(evaluateReading(profile, night), []);
+    assert.deepEqual(
+      evaluateReading(profile, night, { lightPeak: 200 }).map(
+        (issue) => issue.type
+      ),
+      ["light_low"]
+    );
+  });
+
+  it("checks the battery of a device without a plant", () => {
+    const issues = evaluateReading(null, { moisture: 0, battery: 10 });
+
+    assert.deepEqual(
+      issues.map((issue) => [issue.type, issue.severity]),
+      [["battery_low", "warning"]]
+    );
+  });
+});
+
+describe("PlantAlert.syncForDevice", () => {
+  it("raises new alerts, updates open ones and resolves the rest", async () => {
+    const device = buildDevice();
+    const alert = (type, metric) =>
+      new PlantAlert({
+        deviceId: device._id,
+        ownerId: device.ownerId,
+        type,
+        metric,
+        message: type,
+      });
+    const dry = alert("moisture_low", "moisture");
+    const cold = alert("temperature_low", "temperature");
+    mock.method(PlantAlert, "find", () => query([dry, cold]));
+    mock.method(PlantAlert.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(PlantAlert, "create", async (doc) => new PlantAlert(doc));
+    const updateMany = mock.method(PlantAlert, "updateMany", async () => ({}));
+
+    const raised = await PlantAlert.syncForDevice(device, [
+      { type: "moisture_low", metric: "moisture", message: "Still dry" },
+      { type: "battery_low", metric: "battery", message: "Battery low" },
+    ]);
+
+    assert.deepEqual(
+      raised.map((raisedAlert) => raisedAlert.type),
+      ["battery_low"]
+    );
+    assert.equal(dry.occurrences, 2);
+    assert.equal(dry.message, "Still dry");
+    const [filter, update] = updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter._id.$in, [cold._id]);
+    assert.equal(update.status, "resolved");
+  });
+});
+
+describe("Plant alert emails", () => {
+  let device;
+  let sent;
+
+  beforeEach(() => {
+    device = buildDevice();
+    sent = [];
+    mock.method(Telemetry, "bulkWrite", async () => ({}));
+    mock.method(Device.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Settings, "getSettings", async () => new Settings());
+    mock.method(PlantAlert, "find", () => query([]));
+    mock.method(PlantAlert, "create", async (doc) => new PlantAlert(doc));
+    mock.method(PlantAlert.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(User, "findById", () =>
+      query({ name: "Asha", email: "asha@example.com" })
+    );
+    mock.method(nodemailer, "createTransport", () => ({
+      sendMail: async (mail) => sent.push(mail),
+    }));
+  });
+
+  it("emails a new alert unless it went out within the cooldown", async () => {
+    mock.method(PlantAlert, "wasEmailedSince", async () => false);
+    const res = createResponse();
+
+    await ingestTelemetry({ device, body: { battery: 3 } }, res);
+
+    assert.equal(res.body.alerts, 1);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].subject, "Balcony fern: Monitor battery low: 3%");
+
+    PlantAlert.wasEmailedSince.mock.mockImplementation(async () => true);
+    await ingestTelemetry({ device, body: { battery: 3 } }, res);
+
+    assert.equal(sent.length, 1);
+  });
+});
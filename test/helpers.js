@@ -0,0 +1,51 @@
+// Shared helpers for controller tests: a fake Express response that
+// records the status and JSON body it was sent
+export const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+};
+
+// Query stand-in for mocked model calls: chainable like a Mongoose query,
+// awaitable to the given result and iterable with cursor()
+export const query = (result) => {
+  const chain = {
+    select: () => chain,
+    session: () => chain,
+    populate: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    cursor: () => ({
+      async *[Symbol.asyncIterator]() {
+        yield* [].concat(result ?? []);
+      },
+    }),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+// Stand-in for a Mongoose session whose transaction callback runs
+// `attempts` times, as the driver does when it retries a transient error.
+// Only the last attempt's writes would be committed.
+export const retryingSession = (attempts = 2) => ({
+  attempt: 0,
+  async withTransaction(callback) {
+    for (this.attempt = 1; this.attempt <= attempts; this.attempt += 1) {
+      await callback();
+    }
+  },
+  async endSession() {},
+});
@@ -0,0 +1,262 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Invoice from "../src/models/invoice.model.js";
+import LoyaltyTransaction from "../src/models/loyaltyTransaction.model.js";
+import Order from "../src/models/order.model.js";
+import Settings from "../src/models/settings.model.js";
+import User from "../src/models/user.model.js";
+import { syncLoyalty } from "../src/controllers/loyalty.controller.js";
+import {
+  startLoyaltyJob,
+  syncLoyaltyPoints,
+} from "../src/jobs/loyalty.job.js";
+import cronAuth from "../src/middlewares/cronAuth.middleware.js";
+import { calculateRedemption } from "../src/utils/loyalty.js";
+import { createResponse, query, retryingSession } from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const objectId = () => new mongoose.Types.ObjectId();
+
+const loyalty = {
+  enabled: true,
+  enabledAt: new Date(Date.now() - 10 * DAY_MS),
+  earnRate: 1,
+  pointValue: 1,
+  minRedeemPoints: 10,
+  maxRedeemPercent: 50,
+  expiryDays: 365,
+  tiers: [{ name: "Bronze", minSpend: 0, multiplier: 1 }],
+};
+
+const deliveredOrder = (deliveredAt) =>
+  new Order({
+    orderNumber: "ORD-1",
+    customerId: objectId(),
+    items: [
+      {
+        productId: objectId(),
+        title: "Fern",
+        sku: "FERN-1",
+        quantity: 2,
+        price: 1000,
+        total: 2000,
+      },
+    ],
+    totalAmount: 2000,
+    status: "delivered",
+    fulfillment: { deliveredAt },
+  });
+
+// Cursor stand-in over a list of documents
+const cursor = (docs) => ({
+  cursor: () => ({
+    async *[Symbol.asyncIterator]() {
+      yield* docs;
+    },
+  }),
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("calculateRedemption", () => {
+  it("leaves gift card lines out of the redeemable value", () => {
+    const result = calculateRedemption(
+      loyalty,
+      [
+        { amount: 1000, discount: 0, isGiftCard: true },
+        { amount: 400, discount: 0 },
+      ],
+      300,
+      1000
+    );
+
+    assert.deepEqual(result, {
+      error: "You can redeem up to 200 points on this order",
+    });
+  });
+
+  it("spreads the discount over the lines left to pay", () => {
+    const result = calculateRedemption(
+      loyalty,
+      [
+        { amount: 600, discount: 200 },
+        { amount: 400, discount: 0 },
+      ],
+      200,
+      1000
+    );
+
+    assert.equal(result.discount, 200);
+    assert.deepEqual(result.lineDiscounts, [100, 100]);
+  });
+});
+
+describe("LoyaltyTransaction.awardForOrder", () => {
+  let user;
+  let credit;
+
+  beforeEach(() => {
+    user = new User({ name: "Asha", email: "asha@example.com" });
+    mock.method(User, "findById", () => query(user));
+    mock.method(User.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Order, "updateOne", async () => ({ modifiedCount: 1 }));
+    credit = mock.method(LoyaltyTransaction, "credit", async () => ({}));
+  });
+
+  it("awards points for orders delivered while it is on", async () => {
+    const order = deliveredOrder(new Date(Date.now() - DAY_MS));
+
+    const points = await LoyaltyTransaction.awardForOrder(order, loyalty);
+
+    assert.equal(points, 20);
+    assert.equal(credit.mock.callCount(), 1);
+    assert.equal(user.totalSpent, 2000);
+  });
+
+  it("awards nothing for orders delivered before it was on", async () => {
+    const order = deliveredOrder(new Date(Date.now() - 30 * DAY_MS));
+
+    const points = await LoyaltyTransaction.awardForOrder(order, loyalty);
+
+    assert.equal(points, 0);
+    assert.equal(credit.mock.callCount(), 0);
+    // The order still counts towards the customer's purchase stats
+    assert.equal(user.totalSpent, 2000);
+    assert.equal(user.totalOrders, 1);
+  });
+
+  it("awards nothing when the order was already claimed", async () => {
+    Order.updateOne.mock.mockImplementation(async () => ({
+      modifiedCount: 0,
+    }));
+
+    const points = await LoyaltyTransaction.awardForOrder(
+      deliveredOrder(new Date()),
+      loyalty
+    );
+
+    assert.equal(points, 0);
+    assert.equal(user.totalOrders, 0);
+  });
+});
+
+describe("syncLoyaltyPoints", () => {
+  let settings;
+
+  beforeEach(() => {
+    settings = { loyalty: { ...loyalty }, save: mock.fn(async () => {}) };
+    mock.method(Settings, "getSettings", async () => settings);
+    mock.method(mongoose, "startSession", async () => retryingSession(1));
+    mock.method(console, "error", () => {});
+  });
+
+  it("keeps going when one order fails to post", async () => {
+    const orders = [
+      deliveredOrder(new Date()),
+      deliveredOrder(new Date()),
+    ];
+    mock.method(Order, "find", (filter) =>
+      cursor(filter["fulfillment.deliveredAt"] ? orders : [])
+    );
+    mock.method(LoyaltyTransaction, "find", () => cursor([]));
+    mock.method(LoyaltyTransaction, "awardForOrder", async (order) => {
+      if (order === orders[0]) throw new Error("Write conflict");
+      return 20;
+    });
+
+    const result = await syncLoyaltyPoints();
+
+    assert.deepEqual(result, { earned: 20, reversed: 0, expired: 0 });
+    assert.equal(LoyaltyTransaction.awardForOrder.mock.callCount(), 2);
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+
+  it("stamps a programme switched on before enabledAt existed", async () => {
+    settings.loyalty.enabledAt = null;
+    mock.method(Order, "find", () => cursor([]));
+    mock.method(LoyaltyTransaction, "find", () => cursor([]));
+
+    await syncLoyaltyPoints();
+
+    assert.equal(settings.save.mock.callCount(), 1);
+  });
+});
+
+describe("Loyalty sync on serverless", () => {
+  beforeEach(() => {
+    process.env.VERCEL = "1";
+    process.env.CRON_SECRET = "cron-secret";
+  });
+
+  afterEach(() => {
+    delete process.env.VERCEL;
+    delete process.env.CRON_SECRET;
+  });
+
+  const cronCall = (authorization) => {
+    const res = createResponse();
+    const next = mock.fn();
+    cronAuth({ headers: { authorization } }, res, next);
+    return { res, next };
+  };
+
+  it("leaves the sync to cron when there is no background", () => {
+    assert.equal(startLoyaltyJob(), null);
+  });
+
+  it("lets only calls with the cron secret through", () => {
+    assert.equal(cronCall("Bearer cron-secret").next.mock.callCount(), 1);
+
+    const { res, next } = cronCall("Bearer wrong-secret");
+    assert.equal(res.statusCode, 401);
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(cronCall(undefined).res.statusCode, 401);
+  });
+
+  it("refuses cron calls when no secret is configured", () => {
+    delete process.env.CRON_SECRET;
+
+    assert.equal(cronCall("Bearer undefined").res.statusCode, 401);
+  });
+
+  it("awards points for delivered orders when called", async () => {
+    mock.method(Settings, "getSettings", async () => ({ loyalty }));
+    mock.method(mongoose, "startSession", async () => retryingSession(1));
+    mock.method(Order, "find", (filter) =>
+      cursor(
+        filter["fulfillment.deliveredAt"] ? [deliveredOrder(new Date())] : []
+      )
+    );
+    mock.method(LoyaltyTransaction, "find", () => cursor([]));
+    mock.method(LoyaltyTransaction, "awardForOrder", async () => 20);
+    const res = createResponse();
+
+    await syncLoyalty({}, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.posted, { earned: 20, reversed: 0, expired: 0 });
+  });
+});
+
+describe("Invoice totals", () => {
+  it("take off redeemed points but not the wallet payment", () => {
+    const invoice = new Invoice({
+      items: [
+        { name: "Fern", quantity: 2, unitPrice: 1000, lineTotal: 2000 },
+      ],
+      shippingCost: 50,
+      pricesIncludeTax: true,
+      coupon: { code: "SAVE10", discount: 100 },
+      promotions: [{ name: "Spring sale", discount: 150 }],
+      loyalty: { pointsRedeemed: 200, discount: 200 },
+      walletAmount: 500,
+    });
+
+    invoice.calculateTotals();
+
+    assert.equal(invoice.grandTotal, 1600);
+  });
+});
@@ -0,0 +1,81 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import Counter from "../src/models/counter.model.js";
+import Settings from "../src/models/settings.model.js";
+import {
+  formatDatePart,
+  generateInvoiceNumber,
+} from "../src/utils/numbering.js";
+
+const numberFormat = (overrides) =>
+  new Settings({
+    company: { name: "Urban Hub" },
+    invoice: { numberFormat: overrides },
+  });
+
+afterEach(() => mock.restoreAll());
+
+describe("formatDatePart", () => {
+  it("fills in the financial year from April", () => {
+    const parts = { year: "2026", month: "03", day: "31" };
+
+    assert.equal(formatDatePart(parts, "FY/MM"), "2025-26/03");
+    assert.equal(
+      formatDatePart({ ...parts, month: "04", day: "01" }, "FY"),
+      "2026-27"
+    );
+  });
+});
+
+describe("invoice number format", () => {
+  const validate = (format) => numberFormat(format).validate();
+
+  it("accepts date formats that change with the reset period", async () => {
+    await validate({ dateFormat: "YYYYMMDD", resetPeriod: "daily" });
+    await validate({ dateFormat: "YYMM", resetPeriod: "monthly" });
+    await validate({ dateFormat: "FY", resetPeriod: "financial_year" });
+    await validate({ dateFormat: "", resetPeriod: "never" });
+  });
+
+  it("rejects a date format coarser than the reset period", async () => {
+    await assert.rejects(
+      validate({ dateFormat: "YYYYMM", resetPeriod: "daily" }),
+      /include at least YYYYMMDD/
+    );
+    await assert.rejects(
+      validate({ dateFormat: "YYYY", resetPeriod: "financial_year" }),
+      /include at least FY/
+    );
+  });
+
+  it("rejects a reset period the date format doesn't cover", async () => {
+    const settings = numberFormat({ dateFormat: "YYYYMM" });
+    settings.invoice.numberFormat.resetPeriod = "monthly";
+    await settings.validate();
+
+    settings.invoice.numberFormat.resetPeriod = "daily";
+
+    await assert.rejects(settings.validate(), /invoice\.numberFormat/);
+  });
+});
+
+describe("generateInvoiceNumber", () => {
+  it("restarts the sequence under the period's counter", async () => {
+    mock.method(Settings, "getSettings", async () =>
+      numberFormat({
+        prefix: "INV/",
+        dateFormat: "FY",
+        sequence: "NNNN",
+        resetPeriod: "financial_year",
+      })
+    );
+    const next = mock.method(Counter, "next", async () => 7);
+
+    const number = await generateInvoiceNumber({
+      date: new Date("2026-05-10T06:00:00Z"),
+    });
+
+    assert.equal(number, "INV/2026-27-0007");
+    assert.equal(next.mock.calls[0].arguments[0], "invoice:FY2026-27");
+  });
+});
@@ -0,0 +1,459 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Cart from "../src/models/cart.model.js";
+import Coupon from "../src/models/coupon.model.js";
+import GiftCard from "../src/models/giftCard.model.js";
+import LoyaltyTransaction from "../src/models/loyaltyTransaction.model.js";
+import Order from "../src/models/order.model.js";
+import Product from "../src/models/product.model.js";
+import Settings from "../src/models/settings.model.js";
+import User from "../src/models/user.model.js";
+import WalletTransaction from "../src/models/walletTransaction.model.js";
+import {
+  cancelOrder,
+  createOrder,
+  updateOrderStatus,
+} from "../src/controllers/order.controller.js";
+import {
+  bulkOrderActions,
+  updateOrderStatus as updateManagedOrderStatus,
+} from "../src/controllers/orderManagement.controller.js";
+import { createResponse, query, retryingSession } from "./helpers.js";
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const address = {
+  fullName: "Asha Rao",
+  phone: "9876543210",
+  addressLine1: "12 Park Street",
+  city: "Mumbai",
+  state: "Maharashtra",
+  pincode: "400001",
+  country: "India",
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("createOrder", () => {
+  let user;
+  let product;
+  let stock;
+  let created;
+
+  const checkout = async () => {
+    const res = createResponse();
+    await createOrder(
+      {
+        user: { id: user._id.toString() },
+        body: { shippingAddress: address, paymentMethod: "cod" },
+      },
+      res
+    );
+    return res;
+  };
+
+  beforeEach(() => {
+    user = new User({ name: "Asha", email: "asha@example.com" });
+    product = new Product({
+      title: "Fern",
+      slug: "fern",
+      sku: "FERN-1",
+      price: 500,
+      mrp: 600,
+      stock: 1,
+      isActive: true,
+    });
+    stock = 1;
+    created = [];
+
+    mock.method(User, "findById", () => query(user));
+    // Each checkout loads its own copy of the cart
+    mock.method(Cart, "findOne", () =>
+      query(
+        new Cart({
+          userId: user._id,
+          items: [{ productId: product, quantity: 1, priceAtAdd: 500 }],
+        })
+      )
+    );
+    mock.method(Cart.prototype, "loadPromotions", async () => {});
+    mock.method(Cart.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Settings, "getSettings", async () => new Settings());
+    mock.method(mongoose, "startSession", async () => retryingSession(1));
+    // Stands in for the conditional decrement: it misses once stock is gone
+    mock.method(Product, "reserveStock", async ({ quantity }) => {
+      if (stock < quantity) return null;
+      stock -= quantity;
+      return product;
+    });
+    mock.method(Order, "create", async ([doc]) => {
+      const order = new Order({ ...doc, orderNumber: "ORD-1" });
+      created.push(order);
+      return [order];
+    });
+    mock.method(Order, "findById", () => query(created[0]));
+    mock.method(console, "error", () => {});
+  });
+
+  it("reserves stock and creates the order", async () => {
+    const res = await checkout();
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(stock, 0);
+    assert.equal(created.length, 1);
+    assert.equal(created[0].totalAmount, res.body.order.totalAmount);
+    assert.equal(created[0].items[0].sku, "FERN-1");
+  });
+
+  it("lets only one of two checkouts take the last unit", async () => {
+    const results = await Promise.all([checkout(), checkout()]);
+    const statuses = results.map((res) => res.statusCode).sort();
+
+    assert.deepEqual(statuses, [201, 409]);
+    assert.equal(stock, 0);
+    assert.equal(created.length, 1);
+    const failed = results.find((res) => res.statusCode === 409);
+    assert.match(failed.body.message, /Fern is out of stock/);
+  });
+
+  it("rolls back when the store credit was spent meanwhile", async () => {
+    user.walletBalance = 10000;
+    mock.method(WalletTransaction, "debit", async () => ({
+      error: "Insufficient wallet balance",
+    }));
+    const res = createResponse();
+
+    await createOrder(
+      {
+        user: { id: user._id.toString() },
+        body: { shippingAddress: address, paymentMethod: "wallet" },
+      },
+      res
+    );
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.message, "Insufficient wallet balance");
+  });
+});
+
+describe("createOrder with a gift card", () => {
+  it("taxes and ships only the physical lines", async () => {
+    const user = new User({
+      name: "Asha",
+      email: "asha@example.com",
+      walletBalance: 10000,
+    });
+    const fern = new Product({
+      title: "Fern",
+      slug: "fern",
+      sku: "FERN-1",
+      price: 400,
+      stock: 5,
+      taxRate: 18,
+      isActive: true,
+    });
+    const giftCard = new Product({
+      title: "Gift card",
+      slug: "gift-card",
+      sku: "GIFT-1000",
+      price: 1000,
+      stock: 5,
+      taxRate: 18,
+      isGiftCard: true,
+      isActive: true,
+    });
+    let created;
+
+    mock.method(User, "findById", () => query(user));
+    mock.method(Cart, "findOne", () =>
+      query(
+        new Cart({
+          userId: user._id,
+          items: [
+            { productId: fern, quantity: 1, priceAtAdd: 400 },
+            { productId: giftCard, quantity: 1, priceAtAdd: 1000 },
+          ],
+        })
+      )
+    );
+    mock.method(Cart.prototype, "loadPromotions", async () => {});
+    mock.method(Cart.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Settings, "getSettings", async () => new Settings());
+    mock.method(mongoose, "startSession", async () => retryingSession(1));
+    mock.method(Product, "reserveStock", async () => fern);
+    mock.method(Order, "create", async ([doc]) => {
+      created = new Order({ ...doc, orderNumber: "ORD-1" });
+      return [created];
+    });
+    mock.method(Order, "findById", () => query(created));
+    mock.method(Order.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(WalletTransaction, "debit", async () => ({}));
+    mock.method(GiftCard, "issueForOrder", async () => []);
+    const res = createResponse();
+
+    await createOrder(
+      {
+        user: { id: user._id.toString() },
+        body: { shippingAddress: address, paymentMethod: "wallet" },
+      },
+      res
+    );
+
+    // 400 of shipped goods is under the 500 free-shipping threshold
+    assert.equal(res.statusCode, 201);
+    assert.equal(created.shippingCost, 50);
+    assert.equal(created.items[1].taxRate, 0);
+    assert.equal(created.items[1].taxAmount, 0);
+    assert.equal(created.taxAmount, created.items[0].taxAmount);
+    assert.ok(created.items[0].taxAmount > 0);
+  });
+});
+
+describe("cancelOrder", () => {
+  let stored;
+  let restored;
+
+  const cancel = async () => {
+    const res = createResponse();
+    await cancelOrder(
+      {
+        params: { id: stored._id.toString() },
+        user: { id: stored.customerId.toString() },
+      },
+      res
+    );
+    return res;
+  };
+
+  beforeEach(() => {
+    stored = new Order({
+      orderNumber: "ORD-1",
+      customerId: objectId(),
+      items: [
+        {
+          productId: objectId(),
+          title: "Fern",
+          sku: "FERN-1",
+          quantity: 2,
+          price: 500,
+          total: 1000,
+        },
+      ],
+      totalAmount: 1000,
+      status: "confirmed",
+    }).toObject();
+    restored = 0;
+
+    mock.method(mongoose, "startSession", async () => retryingSession(1));
+    mock.method(Order, "findById", () => query(Order.hydrate(stored)));
+    // Stands in for the conditional status change
+    mock.method(Order, "findOneAndUpdate", (filter, update) => {
+      if (!filter.status.$in.includes(stored.status)) return query(null);
+      stored = { ...stored, ...update.$set };
+      return query(Order.hydrate(stored));
+    });
+    mock.method(Product, "restoreStock", async ({ quantity }) => {
+      restored += quantity;
+    });
+    mock.method(Coupon, "releaseForOrder", async () => {});
+    mock.method(GiftCard, "cancelForOrder", async () => {});
+    mock.method(GiftCard, "getRedeemedValue", async () => 0);
+    mock.method(WalletTransaction, "restoreForOrder", async () => {});
+    mock.method(LoyaltyTransaction, "releaseForOrder", async () => {});
+  });
+
+  it("cancels the order and puts its stock back", async () => {
+    const res = await cancel();
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.order.status, "cancelled");
+    assert.equal(restored, 2);
+  });
+
+  it("puts stock back once when two cancellations race", async () => {
+    const results = await Promise.all([cancel(), cancel()]);
+    const statuses = results.map((res) => res.statusCode).sort();
+
+    assert.deepEqual(statuses, [200, 400]);
+    assert.equal(restored, 2);
+    assert.equal(WalletTransaction.restoreForOrder.mock.callCount(), 1);
+  });
+
+  it("refuses orders that have shipped", async () => {
+    stored.status = "shipped";
+
+    const res = await cancel();
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(restored, 0);
+  });
+});
+
+describe("Admin order cancellation", () => {
+  let stored;
+  let restored;
+
+  const admin = { id: objectId().toString(), name: "Ravi" };
+
+  const setStatus = async (status) => {
+    const res = createResponse();
+    await updateManagedOrderStatus(
+      {
+        params: { orderId: stored._id.toString() },
+        user: admin,
+        body: { status, note: "Customer called" },
+      },
+      res
+    );
+    return res;
+  };
+
+  beforeEach(() => {
+    stored = new Order({
+      orderNumber: "ORD-1",
+      customerId: objectId(),
+      items: [
+        {
+          productId: objectId(),
+          title: "Fern",
+          sku: "FERN-1",
+          quantity: 2,
+          price: 500,
+          total: 1000,
+        },
+      ],
+      totalAmount: 1000,
+      status: "packed",
+    }).toObject();
+    restored = 0;
+
+    mock.method(mongoose, "startSession", async () => retryingSession(1));
+    mock.method(Order, "findById", () => query(Order.hydrate(stored)));
+    // Stands in for the conditional status change and its audit entry
+    mock.method(Order, "findOneAndUpdate", (filter, update) => {
+      if (!filter.status.$in.includes(stored.status)) return query(null);
+      stored = {
+        ...stored,
+        ...update.$set,
+        audit: [...stored.audit, update.$push.audit],
+      };
+      return query(Order.hydrate(stored));
+    });
+    mock.method(Order.prototype, "save", async function () {
+      stored = this.toObject();
+      return this;
+    });
+    mock.method(Product, "restoreStock", async ({ quantity }) => {
+      restored += quantity;
+    });
+    mock.method(Coupon, "releaseForOrder", async () => {});
+    mock.method(GiftCard, "cancelForOrder", async () => {});
+    mock.method(GiftCard, "getRedeemedValue", async () => 0);
+    mock.method(WalletTransaction, "restoreForOrder", async () => {});
+    mock.method(LoyaltyTransaction, "releaseForOrder", async () => {});
+  });
+
+  it("puts stock back and records who cancelled", async () => {
+    const res = await setStatus("cancelled");
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.status, "cancelled");
+    assert.equal(restored, 2);
+    assert.equal(stored.audit.length, 1);
+    assert.equal(stored.audit[0].from, "packed");
+    assert.equal(stored.audit[0].byAdminName, "Ravi");
+    assert.equal(stored.audit[0].note, "Customer called");
+  });
+
+  it("releases the order once when two admins cancel", async () => {
+    const results = await Promise.all([
+      setStatus("cancelled"),
+      setStatus("cancelled"),
+    ]);
+    const statuses = results.map((res) => res.statusCode).sort();
+
+    assert.deepEqual(statuses, [200, 400]);
+    assert.equal(restored, 2);
+    assert.equal(WalletTransaction.restoreForOrder.mock.callCount(), 1);
+    assert.equal(LoyaltyTransaction.releaseForOrder.mock.callCount(), 1);
+  });
+
+  it("refuses to cancel a delivered order", async () => {
+    stored.status = "delivered";
+
+    const res = await setStatus("cancelled");
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(stored.status, "delivered");
+    assert.equal(restored, 0);
+    assert.equal(Coupon.releaseForOrder.mock.callCount(), 0);
+  });
+
+  it("reports orders a bulk cancel can't cancel", async () => {
+    stored.status = "shipped";
+    const res = createResponse();
+
+    await bulkOrderActions(
+      {
+        user: admin,
+        body: {
+          orderIds: [stored._id.toString()],
+          action: "updateStatus",
+          data: { status: "cancelled" },
+        },
+      },
+      res
+    );
+
+    assert.equal(stored.status, "shipped");
+    assert.equal(restored, 0);
+    assert.match(res.body.data.errors[0], /cannot be cancelled/);
+  });
+});
+
+describe("updateOrderStatus to delivered", () => {
+  it("stamps the fulfillment delivery date", async () => {
+    const order = new Order({
+      orderNumber: "ORD-1",
+      customerId: objectId(),
+      items: [
+        {
+          productId: objectId(),
+          title: "Fern",
+          sku: "FERN-1",
+          quantity: 1,
+          price: 500,
+          total: 500,
+        },
+      ],
+      totalAmount: 500,
+      status: "shipped",
+    });
+    mock.method(Order, "findById", () => query(order));
+    mock.method(Order.prototype, "save", async function () {
+      return this;
+    });
+    const res = createResponse();
+
+    await updateOrderStatus(
+      {
+        params: { id: order._id.toString() },
+        user: { id: objectId().toString(), name: "Ravi" },
+        body: { status: "delivered" },
+      },
+      res
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(order.fulfillment.deliveredAt instanceof Date);
+    assert.equal(order.fulfillment.status, "delivered");
+    assert.equal(order.canReturn(), true);
+  });
+});
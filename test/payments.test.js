@@ -0,0 +1,277 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Order from "../src/models/order.model.js";
+import Settings from "../src/models/settings.model.js";
+import mockProvider, {
+  signMockPayload,
+} from "../src/utils/payments/mock.provider.js";
+import razorpayProvider from "../src/utils/payments/razorpay.provider.js";
+import stripeProvider from "../src/utils/payments/stripe.provider.js";
+import { getPaymentProvider } from "../src/utils/payments/index.js";
+import { handlePaymentWebhook } from "../src/controllers/payment.controller.js";
+import { createResponse, query } from "./helpers.js";
+
+const SECRET = "test_webhook_secret";
+
+const hmac = (secret, body) =>
+  crypto.createHmac("sha256", secret).update(body).digest("hex");
+
+describe("mock payment provider", () => {
+  afterEach(() => {
+    delete process.env.MOCK_PAYMENTS_ENABLED;
+    delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  });
+
+  it("is not available unless explicitly enabled", () => {
+    assert.throws(() => getPaymentProvider("mock"), /not supported/);
+
+    process.env.MOCK_PAYMENTS_ENABLED = "true";
+    assert.equal(getPaymentProvider("mock"), mockProvider);
+  });
+
+  it("refuses to verify without a configured secret", () => {
+    const rawBody = JSON.stringify({ event: "payment.succeeded" });
+    const headers = {
+      "x-mock-signature": hmac("mock_webhook_secret", rawBody),
+    };
+
+    assert.equal(mockProvider.verifyWebhook({ rawBody, headers }), false);
+    assert.throws(() => signMockPayload(rawBody), /not configured/);
+  });
+
+  it("accepts only bodies signed with the secret", () => {
+    process.env.MOCK_PAYMENT_WEBHOOK_SECRET = SECRET;
+    const rawBody = JSON.stringify({ event: "payment.succeeded" });
+
+    assert.equal(
+      mockProvider.verifyWebhook({
+        rawBody,
+        headers: { "x-mock-signature": signMockPayload(rawBody) },
+      }),
+      true
+    );
+    assert.equal(
+      mockProvider.verifyWebhook({
+        rawBody,
+        headers: { "x-mock-signature": hmac("other_secret", rawBody) },
+      }),
+      false
+    );
+    assert.equal(
+      mockProvider.verifyWebhook({
+        rawBody: rawBody.replace("succeeded", "failed"),
+        headers: { "x-mock-signature": signMockPayload(rawBody) },
+      }),
+      false
+    );
+  });
+});
+
+describe("gateway webhook signatures", () => {
+  const config = { webhookSecret: SECRET };
+
+  it("verifies Razorpay signatures and reads the amount in rupees", () => {
+    const payload = {
+      event: "payment.captured",
+      payload: {
+        payment: {
+          entity: { id: "pay_1", order_id: "order_1", amount: 129950 },
+        },
+      },
+    };
+    const rawBody = JSON.stringify(payload);
+
+    assert.equal(
+      razorpayProvider.verifyWebhook({
+        rawBody,
+        headers: { "x-razorpay-signature": hmac(SECRET, rawBody) },
+        config,
+      }),
+      true
+    );
+    assert.equal(
+      razorpayProvider.verifyWebhook({
+        rawBody,
+        headers: { "x-razorpay-signature": hmac("other", rawBody) },
+        config,
+      }),
+      false
+    );
+    assert.equal(
+      razorpayProvider.verifyWebhook({
+        rawBody,
+        headers: { "x-razorpay-signature": hmac(SECRET, rawBody) },
+        config: {},
+      }),
+      false
+    );
+    assert.deepEqual(razorpayProvider.parseWebhook(payload), {
+      intentId: "order_1",
+      amount: 1299.5,
+      status: "paid",
+      transactionId: "pay_1",
+      failureReason: undefined,
+    });
+  });
+
+  it("verifies Stripe signatures within the timestamp tolerance", () => {
+    const rawBody = JSON.stringify({ type: "payment_intent.succeeded" });
+    const header = (timestamp) =>
+      `t=${timestamp},v1=${hmac(SECRET, `${timestamp}.${rawBody}`)}`;
+    const now = Math.floor(Date.now() / 1000);
+
+    assert.equal(
+      stripeProvider.verifyWebhook({
+        rawBody,
+        headers: { "stripe-signature": header(now) },
+        config,
+      }),
+      true
+    );
+    assert.equal(
+      stripeProvider.verifyWebhook({
+        rawBody,
+        headers: { "stripe-signature": header(now - 3600) },
+        config,
+      }),
+      false
+    );
+  });
+});
+
+describe("handlePaymentWebhook", () => {
+  const intentId = "mock_pi_1";
+  let order;
+  let findOneAndUpdate;
+
+  const buildOrder = () =>
+    new Order({
+      customerId: new mongoose.Types.ObjectId(),
+      items: [],
+      totalAmount: 1000,
+      status: "pending",
+      payment: {
+        method: "card",
+        status: "pending",
+        gateway: "mock",
+        intentId,
+        walletAmount: 200,
+      },
+    });
+
+  const send = async (event, provider = "mock") => {
+    const rawBody = JSON.stringify({
+      intentId,
+      transactionId: "txn_1",
+      ...event,
+    });
+    const res = createResponse();
+    await handlePaymentWebhook(
+      {
+        params: { provider },
+        rawBody,
+        headers: { "x-mock-signature": hmac(SECRET, rawBody) },
+      },
+      res
+    );
+    return res;
+  };
+
+  beforeEach(() => {
+    process.env.MOCK_PAYMENTS_ENABLED = "true";
+    process.env.MOCK_PAYMENT_WEBHOOK_SECRET = SECRET;
+
+    order = buildOrder();
+    mock.method(Settings, "getSettings", async () => ({
+      getActivePaymentGateways: () => [],
+    }));
+    // Each delivery reads its own copy of the stored order
+    mock.method(Order, "findOne", () =>
+      query(Order.hydrate(order.toObject()))
+    );
+    // Applies the update only while the stored status passes the filter
+    let storedStatus = "pending";
+    findOneAndUpdate = mock.method(
+      Order,
+      "findOneAndUpdate",
+      (filter, update) => {
+        if (filter["payment.status"].$nin.includes(storedStatus)) {
+          return query(null);
+        }
+        storedStatus = update.$set["payment.status"];
+        order.payment.status = storedStatus;
+        return query(order);
+      }
+    );
+    mock.method(Order, "updateOne", () => query({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.MOCK_PAYMENTS_ENABLED;
+    delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  });
+
+  it("marks the order paid for the amount the gateway collects", async () => {
+    const res = await send({ event: "payment.succeeded", amount: 800 });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.message, "Payment status updated");
+    assert.equal(findOneAndUpdate.mock.callCount(), 1);
+    const update = findOneAndUpdate.mock.calls[0].arguments[1];
+    assert.equal(update.$set["payment.status"], "paid");
+    assert.equal(update.$push.audit.action, "Payment paid");
+  });
+
+  it("rejects a payment for a different amount", async () => {
+    const res = await send({ event: "payment.succeeded", amount: 1 });
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /amount/);
+    assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it("rejects a payment without an amount", async () => {
+    const res = await send({ event: "payment.succeeded" });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it("rejects events from another provider than the order's", async () => {
+    order.payment.gateway = "razorpay";
+    const res = await send({ event: "payment.succeeded", amount: 800 });
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /gateway/);
+    assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it("rejects bad signatures and a disabled mock provider", async () => {
+    process.env.MOCK_PAYMENT_WEBHOOK_SECRET = "rotated_secret";
+    let res = await send({ event: "payment.succeeded", amount: 800 });
+    assert.equal(res.statusCode, 400);
+
+    process.env.MOCK_PAYMENT_WEBHOOK_SECRET = SECRET;
+    delete process.env.MOCK_PAYMENTS_ENABLED;
+    res = await send({ event: "payment.succeeded", amount: 800 });
+    assert.equal(res.statusCode, 400);
+    assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it("applies a payment only once when deliveries race", async () => {
+    // Both deliveries read the order before either saved it
+    const responses = await Promise.all([
+      send({ event: "payment.succeeded", amount: 800 }),
+      send({ event: "payment.succeeded", amount: 800 }),
+    ]);
+
+    assert.deepEqual(
+      responses.map((res) => res.body.message).sort(),
+      ["Event already processed", "Payment status updated"]
+    );
+    assert.equal(Order.updateOne.mock.callCount(), 1);
+  });
+});
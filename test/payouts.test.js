@@ -0,0 +1,211 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Counter from "../src/models/counter.model.js";
+import Order from "../src/models/order.model.js";
+import SellerLedger from "../src/models/sellerLedger.model.js";
+import SellerPayout from "../src/models/sellerPayout.model.js";
+import Settings from "../src/models/settings.model.js";
+import User from "../src/models/user.model.js";
+import { syncLedgers } from "../src/controllers/payout.controller.js";
+import { startSellerLedgerJob } from "../src/jobs/sellerLedger.job.js";
+import { createResponse, query, retryingSession } from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const objectId = () => new mongoose.Types.ObjectId();
+
+afterEach(() => mock.restoreAll());
+
+describe("Seller ledger sync", () => {
+  const sellerId = objectId();
+  let posted;
+
+  beforeEach(() => {
+    posted = [];
+    const deliveredAt = new Date(Date.now() - DAY_MS);
+    const order = new Order({
+      orderNumber: "ORD-1",
+      customerId: objectId(),
+      items: [
+        {
+          productId: objectId(),
+          sellerId,
+          title: "Fern",
+          sku: "FERN-1",
+          quantity: 2,
+          price: 500,
+          total: 1000,
+          taxableValue: 900,
+          taxAmount: 162,
+        },
+      ],
+      totalAmount: 1112,
+      status: "delivered",
+      fulfillment: { deliveredAt },
+    });
+
+    mock.method(Settings, "getSettings", async () => ({
+      marketplace: { defaultCommissionRate: 10, payoutHoldDays: 7 },
+    }));
+    mock.method(Order, "find", (filter) =>
+      query(filter.sellerLedgerPostedAt === null ? [order] : [])
+    );
+    mock.method(Order, "updateOne", async () => ({ modifiedCount: 1 }));
+    mock.method(User, "findById", () => query({ sellerProfile: {} }));
+    mock.method(SellerLedger, "insertMany", async (entries) => {
+      posted.push(...entries);
+      return entries;
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.VERCEL;
+  });
+
+  it("is left to cron on serverless and posts when called", async () => {
+    process.env.VERCEL = "1";
+    const res = createResponse();
+
+    assert.equal(startSellerLedgerJob(), null);
+    await syncLedgers({}, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.posted, { sales: 1, returns: 0 });
+    const [sale] = posted;
+    assert.equal(sale.sellerId, sellerId);
+    assert.equal(sale.grossAmount, 1062);
+    assert.equal(sale.commissionAmount, 90);
+    assert.equal(sale.netAmount, 972);
+  });
+});
+
+describe("SellerLedger.postReturn", () => {
+  it("reverses the returned share at the sale's commission", async () => {
+    const order = new Order({
+      orderNumber: "ORD-2",
+      customerId: objectId(),
+      items: [
+        {
+          productId: objectId(),
+          sellerId: objectId(),
+          title: "Fern",
+          sku: "FERN-1",
+          quantity: 2,
+          price: 500,
+          total: 1000,
+          taxableValue: 900,
+          taxAmount: 162,
+        },
+      ],
+      totalAmount: 1062,
+    });
+    const [item] = order.items;
+    order.returns.push({
+      rmaNumber: "RMA-ORD-2-1",
+      status: "refunded",
+      items: [
+        {
+          productId: item.productId,
+          title: "Fern",
+          sku: "FERN-1",
+          quantity: 1,
+          reason: "Wilted",
+          refundAmount: 531,
+        },
+      ],
+    });
+    mock.method(SellerLedger, "find", () =>
+      query([
+        {
+          sellerId: item.sellerId,
+          productId: item.productId,
+          commissionRate: 12,
+        },
+      ])
+    );
+    const insertMany = mock.method(
+      SellerLedger,
+      "insertMany",
+      async (entries) => entries
+    );
+
+    assert.equal(await SellerLedger.postReturn(order, order.returns[0]), 1);
+
+    const [reversal] = insertMany.mock.calls[0].arguments[0];
+    assert.equal(reversal.type, "return");
+    assert.equal(reversal.returnId, order.returns[0]._id);
+    assert.equal(reversal.grossAmount, -531);
+    assert.equal(reversal.taxableValue, -450);
+    assert.equal(reversal.commissionAmount, -54);
+    assert.equal(reversal.netAmount, -477);
+  });
+
+  it("skips entries an interrupted run already posted", async () => {
+    mock.method(SellerLedger, "insertMany", async () => {
+      throw Object.assign(new Error("E11000 duplicate key"), {
+        code: 11000,
+        writeErrors: [{ code: 11000 }],
+        insertedDocs: [{}],
+      });
+    });
+
+    assert.equal(await SellerLedger.insertEntries([{}, {}]), 1);
+  });
+});
+
+describe("SellerPayout.createForSeller", () => {
+  const sellerId = objectId();
+  let linked;
+
+  const entry = (netAmount, daysAgo) => ({
+    _id: objectId(),
+    grossAmount: netAmount + 10,
+    commissionAmount: 10,
+    netAmount,
+    occurredAt: new Date(Date.now() - daysAgo * DAY_MS),
+  });
+
+  beforeEach(() => {
+    linked = [];
+    mock.method(mongoose, "startSession", async () => retryingSession(1));
+    mock.method(Counter, "next", async () => 7);
+    mock.method(SellerPayout, "create", async (docs) =>
+      docs.map((doc) => new SellerPayout(doc))
+    );
+    mock.method(SellerLedger, "updateMany", async (filter, update) => {
+      linked.push(...filter._id.$in.map((id) => [id, update.payoutId]));
+      return { modifiedCount: filter._id.$in.length };
+    });
+  });
+
+  it("settles every available entry in one payout", async () => {
+    const entries = [entry(972, 10), entry(-486, 2)];
+    mock.method(SellerLedger, "find", () => query(entries));
+
+    const payout = await SellerPayout.createForSeller(sellerId);
+
+    assert.equal(payout.payoutNumber, "PAY000007");
+    assert.equal(payout.amount, 486);
+    assert.equal(payout.grossAmount, 506);
+    assert.equal(payout.commissionAmount, 20);
+    assert.equal(payout.entryCount, 2);
+    assert.equal(
+      payout.periodStart.getTime(),
+      entries[0].occurredAt.getTime()
+    );
+    assert.deepEqual(linked, [
+      [entries[0]._id, payout._id],
+      [entries[1]._id, payout._id],
+    ]);
+  });
+
+  it("carries a negative balance over instead of paying out", async () => {
+    mock.method(SellerLedger, "find", () =>
+      query([entry(300, 10), entry(-486, 2)])
+    );
+
+    assert.equal(await SellerPayout.createForSeller(sellerId), null);
+    assert.equal(SellerPayout.create.mock.callCount(), 0);
+    assert.equal(linked.length, 0);
+  });
+});
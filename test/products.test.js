@@ -0,0 +1,311 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Product from "../src/models/product.model.js";
+import Role from "../src/models/role.model.js";
+import {
+  addVariant,
+  createProduct,
+  getAllProducts,
+  updateProduct,
+  updateVariant,
+} from "../src/controllers/product.controller.js";
+import { createResponse, query } from "./helpers.js";
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+afterEach(() => mock.restoreAll());
+
+describe("updateProduct", () => {
+  const sellerId = objectId();
+  let product;
+  let applied;
+
+  const update = async (body, { canManageAny = false } = {}) => {
+    mock.method(Role, "can", async () => canManageAny);
+    const res = createResponse();
+    await updateProduct(
+      {
+        params: { id: product._id.toString() },
+        body,
+        user: { id: sellerId.toString(), role: "seller" },
+      },
+      res
+    );
+    return res;
+  };
+
+  beforeEach(() => {
+    product = new Product({ title: "Fern", sellerId, price: 500, stock: 4 });
+    applied = null;
+    mock.method(Product, "findById", () => query(product));
+    mock.method(Product, "findByIdAndUpdate", (id, updates) => {
+      applied = updates;
+      return query(product);
+    });
+  });
+
+  it("lets sellers edit the listing", async () => {
+    const res = await update({ title: "Boston Fern", price: 550 });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(applied, { title: "Boston Fern", price: 550 });
+  });
+
+  it("ignores server-managed fields from sellers", async () => {
+    await update({
+      price: 550,
+      rating: 5,
+      reviewCount: 900,
+      variants: [{ sku: "FERN-S", price: 1, stock: 1000 }],
+      featured: true,
+      sellerId: objectId(),
+      isGiftCard: true,
+    });
+
+    assert.deepEqual(applied, { price: 550 });
+  });
+
+  it("lets sellers restock their product", async () => {
+    await update({ stock: 12 });
+
+    assert.deepEqual(applied, { stock: 12 });
+  });
+
+  it("leaves the stock of a product with variants to them", async () => {
+    product.variants.push({ sku: "FERN-S", price: 500, mrp: 600, stock: 3 });
+
+    await update({ stock: 12, price: 550 }, { canManageAny: true });
+
+    assert.deepEqual(applied, { price: 550 });
+  });
+
+  it("lets product managers set stock but not ratings", async () => {
+    await update(
+      { stock: 20, featured: true, rating: 5, reviewCount: 900 },
+      { canManageAny: true }
+    );
+
+    assert.deepEqual(applied, { stock: 20, featured: true });
+  });
+
+  it("refuses another seller's product", async () => {
+    product.sellerId = objectId();
+
+    const res = await update({ price: 1 });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(applied, null);
+  });
+});
+
+describe("Product variants", () => {
+  const sellerId = objectId();
+  let product;
+
+  const call = async (handler, body, params = {}) => {
+    mock.method(Role, "can", async () => false);
+    const res = createResponse();
+    await handler(
+      {
+        params: { id: product._id.toString(), ...params },
+        body,
+        user: { id: sellerId.toString(), role: "seller" },
+      },
+      res
+    );
+    return res;
+  };
+
+  beforeEach(() => {
+    product = new Product({
+      title: "Fern",
+      slug: "fern",
+      sku: "FERN",
+      sellerId,
+      price: 500,
+      mrp: 600,
+      variants: [{ sku: "FERN-S", price: 500, mrp: 600, stock: 2 }],
+    });
+    mock.method(Product, "findById", () => query(product));
+    // Validation adds the variants' stock up onto the product
+    mock.method(Product.prototype, "save", async function () {
+      await this.validate(["variants"]);
+      return this;
+    });
+  });
+
+  it("adds a variant with only the variant fields", async () => {
+    const res = await call(addVariant, {
+      sku: "FERN-L",
+      price: 900,
+      mrp: 1000,
+      stock: 5,
+      _id: objectId(),
+      sellerId: objectId(),
+    });
+
+    assert.equal(res.statusCode, 201);
+    const variant = product.variants[1];
+    assert.equal(variant.sku, "FERN-L");
+    assert.equal(variant.stock, 5);
+    assert.equal(variant.sellerId, undefined);
+    assert.equal(product.stock, 7);
+  });
+
+  it("lets sellers restock a variant as they do a product", async () => {
+    const res = await call(
+      updateVariant,
+      { stock: 9, rating: 5 },
+      { variantId: product.variants[0]._id.toString() }
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(product.variants[0].stock, 9);
+    assert.equal(product.stock, 9);
+  });
+});
+
+describe("Product variant pricing and stock", () => {
+  let product;
+
+  beforeEach(() => {
+    product = new Product({
+      title: "Fern",
+      sku: "FERN",
+      price: 500,
+      images: [{ url: "fern.jpg", alt: "Fern" }],
+      variants: [
+        { sku: "FERN-S", price: 500, mrp: 600, stock: 2 },
+        {
+          sku: "FERN-M",
+          price: 400,
+          mrp: 450,
+          stock: 3,
+          images: [{ url: "fern-m.jpg", alt: "Medium fern" }],
+        },
+        { sku: "FERN-L", price: 300, mrp: 350, stock: 8, isActive: false },
+      ],
+    });
+  });
+
+  it("sums active variant stock and prices from the cheapest", async () => {
+    await product.validate(["variants"]);
+
+    assert.equal(product.stock, 5);
+    assert.equal(product.price, 400);
+    assert.equal(product.mrp, 450);
+  });
+
+  it("refuses two variants with one SKU", async () => {
+    product.variants[1].sku = "FERN-S";
+
+    await assert.rejects(product.validate(["variants"]), {
+      message: "Variant SKUs must be unique",
+    });
+  });
+
+  it("sells a chosen variant at its own price and SKU", () => {
+    const [small, medium, large] = product.variants;
+
+    const option = product.getPurchaseOption(medium._id);
+    assert.equal(option.sku, "FERN-M");
+    assert.equal(option.price, 400);
+    assert.equal(option.images[0].url, "fern-m.jpg");
+    assert.equal(
+      product.getPurchaseOption(small._id).images[0].url,
+      "fern.jpg"
+    );
+    // Inactive variants can't be bought
+    assert.equal(product.getPurchaseOption(large._id).variant, null);
+    assert.equal(product.isInStock(1, large._id), false);
+  });
+
+  it("reserves a variant's units and the product's together", async () => {
+    const findOneAndUpdate = mock.method(Product, "findOneAndUpdate", () =>
+      query(null)
+    );
+    const [small] = product.variants;
+
+    await Product.reserveStock({
+      productId: product._id,
+      variantId: small._id,
+      quantity: 2,
+    });
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter.variants.$elemMatch, {
+      _id: small._id,
+      isActive: true,
+      stock: { $gte: 2 },
+    });
+    assert.deepEqual(update, {
+      $inc: { "variants.$.stock": -2, stock: -2 },
+    });
+  });
+});
+
+describe("createProduct", () => {
+  it("lets sellers set opening stock but not ratings", async () => {
+    mock.method(Role, "can", async () => false);
+    const create = mock.method(Product, "create", async (doc) => doc);
+    const sellerId = objectId().toString();
+
+    await createProduct(
+      {
+        body: { title: "Fern", price: 500, stock: 10, rating: 5 },
+        user: { id: sellerId, role: "seller" },
+      },
+      createResponse()
+    );
+
+    assert.deepEqual(create.mock.calls[0].arguments[0], {
+      title: "Fern",
+      price: 500,
+      stock: 10,
+      sellerId,
+      isGiftCard: false,
+    });
+  });
+});
+
+describe("getAllProducts", () => {
+  let found;
+
+  const list = async (params) => {
+    const res = createResponse();
+    await getAllProducts({ query: params }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    found = {};
+    mock.method(Product, "find", (filter, projection) => {
+      const chain = query([]);
+      Object.assign(found, { filter, projection });
+      chain.sort = (sort) => {
+        found.sort = sort;
+        return chain;
+      };
+      return chain;
+    });
+    mock.method(Product, "countDocuments", async () => 0);
+  });
+
+  it("sorts a search by relevance", async () => {
+    const res = await list({ search: "fern" });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(found.filter.$text, { $search: "fern" });
+    assert.deepEqual(found.sort, { score: { $meta: "textScore" } });
+  });
+
+  it("falls back to newest first for relevance without a search", async () => {
+    const res = await list({ sortBy: "relevance", search: "  " });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(found.filter.$text, undefined);
+    assert.deepEqual(found.projection, {});
+    assert.deepEqual(found.sort, { createdAt: -1 });
+  });
+});
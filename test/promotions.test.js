@@ -0,0 +1,130 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { evaluatePromotions } from "../src/utils/promotions.js";
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const fern = {
+  productId: objectId(),
+  categories: ["Indoor"],
+  price: 500,
+  quantity: 2,
+};
+const pot = {
+  productId: objectId(),
+  categories: ["Pots"],
+  price: 200,
+  quantity: 1,
+};
+const seeds = {
+  productId: objectId(),
+  categories: ["Seeds"],
+  price: 100,
+  quantity: 3,
+};
+const lines = [fern, pot, seeds];
+
+const sale = (overrides = {}) => ({
+  _id: objectId(),
+  name: "Sale",
+  type: "sale",
+  discountType: "percentage",
+  discountValue: 10,
+  ...overrides,
+});
+
+describe("evaluatePromotions", () => {
+  it("gives the cheaper unit of each buy one get one pair", () => {
+    const { lineDiscounts, applied } = evaluatePromotions(
+      [{ name: "BOGO", type: "buy_x_get_y", buyQuantity: 1, getQuantity: 1 }],
+      lines
+    );
+
+    // Pairs by price: fern + fern, pot + seeds, seeds + seeds
+    assert.deepEqual(lineDiscounts, [500, 0, 200]);
+    assert.equal(applied[0].discountAmount, 700);
+  });
+
+  it("takes the highest spend tier reached", () => {
+    const { discountAmount } = evaluatePromotions(
+      [
+        {
+          type: "spend_threshold",
+          tiers: [
+            { minSubtotal: 1000, discountType: "percentage", discountValue: 5 },
+            { minSubtotal: 1500, discountType: "fixed", discountValue: 200 },
+          ],
+        },
+      ],
+      lines
+    );
+
+    assert.equal(discountAmount, 200);
+  });
+
+  it("discounts only complete bundles", () => {
+    const { lineDiscounts, discountAmount } = evaluatePromotions(
+      [
+        {
+          type: "bundle",
+          discountType: "fixed",
+          discountValue: 100,
+          bundleItems: [
+            { productId: fern.productId, quantity: 1 },
+            { category: "pots", quantity: 1 },
+          ],
+        },
+      ],
+      lines
+    );
+
+    // One pot makes one bundle; the second fern stays full price
+    assert.equal(discountAmount, 100);
+    assert.equal(lineDiscounts[2], 0);
+  });
+
+  it("never takes a line below zero across promotions", () => {
+    const { lineDiscounts, applied } = evaluatePromotions(
+      [
+        sale({ discountType: "fixed", discountValue: 600 }),
+        sale({ name: "Second sale" }),
+      ],
+      [fern]
+    );
+
+    assert.deepEqual(lineDiscounts, [1000]);
+    assert.equal(applied.length, 1);
+  });
+
+  it("stops after an exclusive promotion", () => {
+    const { applied } = evaluatePromotions(
+      [sale({ exclusive: true }), sale({ name: "Second sale" })],
+      lines
+    );
+
+    assert.deepEqual(
+      applied.map((promotion) => promotion.name),
+      ["Sale"]
+    );
+  });
+
+  it("skips promotions that don't combine with a coupon", () => {
+    const { discountAmount } = evaluatePromotions(
+      [sale({ combinableWithCoupons: false })],
+      lines,
+      { hasCoupon: true }
+    );
+
+    assert.equal(discountAmount, 0);
+  });
+
+  it("spreads a capped sale over the lines it covers", () => {
+    const { lineDiscounts } = evaluatePromotions(
+      [sale({ discountValue: 50, maxDiscount: 120, categories: ["indoor"] })],
+      lines
+    );
+
+    assert.deepEqual(lineDiscounts, [120, 0, 0]);
+  });
+});
@@ -0,0 +1,185 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough, Readable, Writable } from "node:stream";
+import mongoose from "mongoose";
+import ReportJob from "../src/models/reportJob.model.js";
+import Settings from "../src/models/settings.model.js";
+import User from "../src/models/user.model.js";
+import { runReportJob } from "../src/jobs/report.job.js";
+import {
+  downloadReport,
+  generateReport,
+} from "../src/controllers/admin.controller.js";
+import { createResponse, query } from "./helpers.js";
+
+const { GridFSBucket } = mongoose.mongo;
+const objectId = () => new mongoose.Types.ObjectId();
+
+// Upload stream stand-in that keeps what was written in `stored`
+const uploadStream = (stored) => {
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      stream.length += chunk.length;
+      stored.push(chunk);
+      callback();
+    },
+  });
+  stream.id = objectId();
+  stream.length = 0;
+  return stream;
+};
+
+// Express response stand-in that can be piped into
+const streamResponse = () => {
+  const res = new PassThrough();
+  return Object.assign(res, {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    attachment(fileName) {
+      res.fileName = fileName;
+    },
+    type(contentType) {
+      res.contentType = contentType;
+    },
+  });
+};
+
+let job;
+let stored;
+
+beforeEach(() => {
+  // The bucket only needs a database to name its collections
+  mongoose.connection.db = { collection: () => ({}) };
+  job = new ReportJob({
+    type: "users",
+    format: "csv",
+    requestedBy: objectId(),
+    fileName: "users-report.csv",
+  });
+  stored = [];
+
+  mock.method(ReportJob, "findById", () => query(job));
+  mock.method(ReportJob.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(Settings, "getSettings", async () => new Settings());
+  mock.method(GridFSBucket.prototype, "openUploadStream", () =>
+    uploadStream(stored)
+  );
+  mock.method(GridFSBucket.prototype, "delete", async () => {});
+  mock.method(User, "find", () =>
+    query([{ name: "Asha", email: "asha@example.com", totalSpent: 1200 }])
+  );
+  mock.method(console, "error", () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  mongoose.connection.db = undefined;
+  delete process.env.VERCEL;
+});
+
+describe("runReportJob", () => {
+  it("stores the report in the database", async () => {
+    await runReportJob(job._id);
+
+    const contents = Buffer.concat(stored).toString();
+    assert.equal(job.status, "completed");
+    assert.match(contents, /Asha,asha@example\.com/);
+    assert.equal(job.fileSize, Buffer.byteLength(contents));
+    assert.equal(job.rowCount, 1);
+    assert.ok(job.fileId);
+  });
+
+  it("deletes the partial file when the report fails", async () => {
+    User.find.mock.mockImplementation(() => {
+      throw new Error("Cursor killed");
+    });
+
+    await runReportJob(job._id);
+
+    assert.equal(job.status, "failed");
+    assert.equal(job.error, "Cursor killed");
+    assert.equal(
+      GridFSBucket.prototype.delete.mock.calls[0].arguments[0],
+      job.fileId
+    );
+  });
+});
+
+describe("generateReport", () => {
+  it("runs a background report within the request on Vercel", async () => {
+    process.env.VERCEL = "1";
+    mock.method(ReportJob, "create", async () => job);
+    mock.method(User, "countDocuments", () => query(1));
+    const res = createResponse();
+
+    await generateReport(
+      {
+        params: { type: "users" },
+        query: {},
+        body: { background: true },
+        user: { id: objectId().toString() },
+      },
+      res
+    );
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.job.status, "completed");
+    assert.equal(stored.length > 0, true);
+  });
+});
+
+describe("downloadReport", () => {
+  const download = async () => {
+    const res = streamResponse();
+    await downloadReport({ params: { id: job._id.toString() } }, res);
+    return res;
+  };
+
+  it("streams the stored file", async () => {
+    job.status = "completed";
+    job.fileId = objectId();
+    mock.method(GridFSBucket.prototype, "openDownloadStream", () =>
+      Readable.from(["name,email\n"])
+    );
+
+    const res = await download();
+    const chunks = [];
+    for await (const chunk of res) chunks.push(chunk);
+
+    assert.equal(res.fileName, "users-report.csv");
+    assert.equal(Buffer.concat(chunks).toString(), "name,email\n");
+  });
+
+  it("answers 410 once the file is gone", async () => {
+    job.status = "completed";
+    job.fileId = objectId();
+    mock.method(GridFSBucket.prototype, "openDownloadStream", () => {
+      const stream = new Readable({ read() {} });
+      process.nextTick(() => stream.destroy(new Error("FileNotFound")));
+      return stream;
+    });
+
+    const res = await download();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(res.statusCode, 410);
+  });
+
+  it("waits for the report to finish", async () => {
+    job.status = "running";
+
+    const res = await download();
+
+    assert.equal(res.statusCode, 409);
+  });
+});
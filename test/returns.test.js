@@ -0,0 +1,188 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Order from "../src/models/order.model.js";
+import Product from "../src/models/product.model.js";
+import Settings from "../src/models/settings.model.js";
+import { requestReturn } from "../src/controllers/order.controller.js";
+import {
+  receiveReturn,
+} from "../src/controllers/orderManagement.controller.js";
+import { createResponse, query, retryingSession } from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const objectId = () => new mongoose.Types.ObjectId();
+
+afterEach(() => mock.restoreAll());
+
+describe("Returns", () => {
+  const admin = { id: objectId().toString(), name: "Admin" };
+  let order;
+  let fern;
+  let pot;
+  let restocked;
+
+  // Adds a return of every unit of the order in the given status
+  const addReturn = (status) => {
+    order.returns.push({
+      rmaNumber: `RMA-ORD-1-${order.returns.length + 1}`,
+      status,
+      items: order.items.map((item) => ({
+        productId: item.productId,
+        title: item.title,
+        sku: item.sku,
+        quantity: item.quantity,
+        reason: "Damaged",
+        refundAmount: order.getUnitRefund(item) * item.quantity,
+      })),
+      refundAmount: 1362,
+    });
+    return order.returns[order.returns.length - 1];
+  };
+
+  const request = async (items) => {
+    const res = createResponse();
+    await requestReturn(
+      {
+        params: { id: order._id.toString() },
+        body: { items },
+        user: { id: order.customerId.toString() },
+      },
+      res
+    );
+    return res;
+  };
+
+  const receive = async (returnRequest, body = {}) => {
+    const res = createResponse();
+    await receiveReturn(
+      {
+        params: {
+          orderId: order._id.toString(),
+          returnId: returnRequest._id.toString(),
+        },
+        body,
+        user: admin,
+      },
+      res
+    );
+    return res;
+  };
+
+  beforeEach(() => {
+    order = new Order({
+      orderNumber: "ORD-1",
+      customerId: objectId(),
+      items: [
+        {
+          productId: objectId(),
+          title: "Fern",
+          sku: "FERN-1",
+          quantity: 2,
+          price: 500,
+          total: 1000,
+          taxableValue: 900,
+          taxAmount: 162,
+        },
+        {
+          productId: objectId(),
+          title: "Pot",
+          sku: "POT-1",
+          quantity: 1,
+          price: 300,
+          total: 300,
+        },
+      ],
+      totalAmount: 1362,
+      status: "delivered",
+      payment: { method: "card", status: "paid" },
+      fulfillment: { deliveredAt: new Date(Date.now() - DAY_MS) },
+    });
+    [fern, pot] = order.items;
+    restocked = [];
+
+    mock.method(Settings, "getSettings", async () => new Settings());
+    mock.method(mongoose, "startSession", async () => retryingSession(1));
+    mock.method(Order, "findById", () => query(order));
+    mock.method(Order.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Product, "restoreStock", async (item) => {
+      restocked.push(item);
+    });
+  });
+
+  it("prices a return at what was paid for the units", async () => {
+    const res = await request([
+      { productId: fern.productId, quantity: 1, reason: "Wilted" },
+      { productId: pot.productId, quantity: 1, reason: "Cracked" },
+    ]);
+
+    assert.equal(res.statusCode, 201);
+    const [fernLine, potLine] = res.body.returnRequest.items;
+    assert.equal(fernLine.refundAmount, 531);
+    assert.equal(potLine.refundAmount, 300);
+    assert.equal(res.body.returnRequest.refundAmount, 831);
+    assert.equal(res.body.returnRequest.rmaNumber, "RMA-ORD-1-1");
+  });
+
+  it("refuses units already on an open return", async () => {
+    addReturn("requested");
+
+    const res = await request([
+      { productId: fern.productId, quantity: 1, reason: "Wilted" },
+    ]);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(
+      res.body.message,
+      "Only 0 unit(s) of this item can be returned"
+    );
+  });
+
+  it("gives back the units of a rejected return", async () => {
+    addReturn("rejected");
+
+    const res = await request([
+      { productId: fern.productId, quantity: 2, reason: "Wilted" },
+    ]);
+
+    assert.equal(res.statusCode, 201);
+  });
+
+  it("restocks and refunds every unit coming back", async () => {
+    const returnRequest = addReturn("approved");
+
+    const res = await receive(returnRequest);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(restocked.length, 2);
+    assert.equal(order.returns[0].status, "refunded");
+    assert.equal(order.returns[0].restocked, true);
+    assert.equal(order.payment.refundAmount, 1362);
+    assert.equal(order.payment.status, "refunded");
+    assert.ok(order.audit.some((entry) => entry.to === "returned"));
+  });
+
+  it("refunds no more than is left unrefunded", async () => {
+    order.payment.refundAmount = 1200;
+    const returnRequest = addReturn("approved");
+
+    const res = await receive(returnRequest, { restock: false });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(restocked.length, 0);
+    assert.equal(order.returns[0].refundAmount, 162);
+    assert.equal(res.body.data.totalRefunded, 1362);
+  });
+
+  it("only receives approved returns", async () => {
+    const returnRequest = addReturn("requested");
+
+    const res = await receive(returnRequest);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "Only approved returns can be received");
+    assert.equal(restocked.length, 0);
+  });
+});
@@ -0,0 +1,82 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Product from "../src/models/product.model.js";
+import Review from "../src/models/review.model.js";
+import {
+  createReview,
+  getProductReviews,
+} from "../src/controllers/review.controller.js";
+import { createResponse, query } from "./helpers.js";
+
+const productId = new mongoose.Types.ObjectId().toString();
+
+afterEach(() => mock.restoreAll());
+
+describe("createReview", () => {
+  const review = async (rating) => {
+    const res = createResponse();
+    await createReview(
+      {
+        params: { id: productId },
+        body: { rating, title: "Lovely", comment: "Healthy plant" },
+        user: { id: new mongoose.Types.ObjectId().toString() },
+        files: [],
+      },
+      res
+    );
+    return res;
+  };
+
+  it("rejects ratings that aren't whole stars from 1 to 5", async () => {
+    const findById = mock.method(Product, "findById", () => query(null));
+
+    for (const rating of ["great", "", 4.5, 0, 6, true, null, undefined]) {
+      const res = await review(rating);
+
+      assert.equal(res.statusCode, 400, `rating ${rating}`);
+      assert.equal(
+        res.body.message,
+        "Rating must be a whole number between 1 and 5"
+      );
+    }
+    assert.equal(findById.mock.callCount(), 0);
+  });
+
+  it("accepts a rating sent as a form field", async () => {
+    mock.method(Product, "findById", () => query(null));
+
+    const res = await review("4");
+
+    // Past rating validation, on to the product lookup
+    assert.equal(res.statusCode, 404);
+  });
+});
+
+describe("getProductReviews", () => {
+  const list = async (params) => {
+    const res = createResponse();
+    await getProductReviews({ params: { id: productId }, query: params }, res);
+    return res;
+  };
+
+  it("rejects a rating filter that isn't a star rating", async () => {
+    const find = mock.method(Review, "find", () => query([]));
+
+    const res = await list({ rating: "abc" });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it("filters by star rating", async () => {
+    const find = mock.method(Review, "find", () => query([]));
+    mock.method(Review, "countDocuments", async () => 0);
+    mock.method(Review, "getRatingStats", async () => ({}));
+
+    const res = await list({ rating: "4" });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(find.mock.calls[0].arguments[0].rating, 4);
+  });
+});
@@ -0,0 +1,106 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import Role from "../src/models/role.model.js";
+import User from "../src/models/user.model.js";
+import authorize from "../src/middlewares/authorize.middleware.js";
+import { deleteRole, updateRole } from "../src/controllers/role.controller.js";
+import { hasPermission, isKnownPermission } from "../src/config/permissions.js";
+import { createResponse, query } from "./helpers.js";
+
+afterEach(() => mock.restoreAll());
+
+describe("permissions", () => {
+  it("grant an exact permission, a resource wildcard or everything", () => {
+    assert.equal(hasPermission(["orders:read"], "orders:read"), true);
+    assert.equal(hasPermission(["orders:*"], "orders:refund"), true);
+    assert.equal(hasPermission(["*"], "roles:manage"), true);
+    assert.equal(hasPermission(["orders:*"], "users:read"), false);
+  });
+
+  it("only take catalogue permissions and their wildcards", () => {
+    assert.equal(isKnownPermission("orders:*"), true);
+    assert.equal(isKnownPermission("orders:fly"), false);
+    assert.equal(isKnownPermission("rockets:*"), false);
+    const role = new Role({ name: "ops", permissions: ["orders:fly"] });
+    assert.ok(role.validateSync().errors.permissions);
+  });
+});
+
+describe("authorize", () => {
+  // Role permissions are cached by name, so each test uses its own role
+  const run = async (permission, user) => {
+    const req = { user };
+    const res = createResponse();
+    let passed = false;
+    await authorize(permission)(req, res, () => {
+      passed = true;
+    });
+    return { req, res, passed };
+  };
+
+  it("asks for a sign-in first", async () => {
+    const { res } = await run("orders:read", undefined);
+
+    assert.equal(res.statusCode, 401);
+  });
+
+  it("falls back to the default role permissions", async () => {
+    mock.method(Role, "findOne", () => query(null));
+
+    const { res, passed } = await run("users:delete", { role: "support" });
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.message, "Access denied (requires users:delete)");
+  });
+
+  it("lets any one of several permissions through", async () => {
+    mock.method(Role, "findOne", () =>
+      query({ name: "packer", permissions: ["orders:update"] })
+    );
+
+    const { req, passed } = await run(["orders:read", "orders:update"], {
+      role: "packer",
+    });
+
+    assert.equal(passed, true);
+    assert.deepEqual(req.permissions, ["orders:update"]);
+  });
+});
+
+describe("role management", () => {
+  const call = async (handler, name, body = {}) => {
+    const res = createResponse();
+    await handler({ params: { name }, body }, res);
+    return res;
+  };
+
+  it("keeps the admin role's full access", async () => {
+    mock.method(Role, "findOne", () =>
+      query(new Role({ name: "admin", permissions: ["*"], isSystem: true }))
+    );
+
+    const res = await call(updateRole, "admin", {
+      permissions: ["orders:read"],
+    });
+
+    assert.equal(res.statusCode, 400);
+  });
+
+  it("refuses to delete system roles and roles in use", async () => {
+    const deleteOne = mock.method(Role.prototype, "deleteOne", async () => {});
+    mock.method(User, "countDocuments", async () => 2);
+
+    mock.method(Role, "findOne", () =>
+      query(new Role({ name: "user", isSystem: true }))
+    );
+    assert.equal((await call(deleteRole, "user")).statusCode, 400);
+
+    Role.findOne.mock.mockImplementation(() =>
+      query(new Role({ name: "packer" }))
+    );
+    const res = await call(deleteRole, "packer");
+    assert.equal(res.statusCode, 409);
+    assert.equal(deleteOne.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import Settings from "../src/models/settings.model.js";
+import {
+  allocateDiscount,
+  calculateTax,
+  getTaxRate,
+  isInterStateSupply,
+} from "../src/utils/tax.js";
+
+const buildSettings = (overrides = {}) =>
+  new Settings({
+    company: { address: { state: "Maharashtra" } },
+    taxes: [
+      { name: "GST 18%", rate: 18, isDefault: true },
+      { name: "GST 5%", rate: 5, hsnCodes: ["06"] },
+      { name: "GST 12%", rate: 12, hsnCodes: ["0602"] },
+      { name: "GST 28%", rate: 28, hsnCodes: ["0603"], isActive: false },
+    ],
+    ...overrides,
+  });
+
+describe("getTaxRate", () => {
+  const settings = buildSettings();
+
+  it("takes the longest matching HSN prefix", () => {
+    assert.equal(getTaxRate(settings, { hsn: "06029090" }), 12);
+    assert.equal(getTaxRate(settings, { hsn: "0601" }), 5);
+  });
+
+  it("skips inactive taxes and falls back to the default", () => {
+    assert.equal(getTaxRate(settings, { hsn: "0603" }), 5);
+    assert.equal(getTaxRate(settings, { hsn: "9403" }), 18);
+    assert.equal(getTaxRate(settings, {}), 18);
+  });
+
+  it("lets a product's own rate win, including zero", () => {
+    assert.equal(getTaxRate(settings, { hsn: "0602", taxRate: 0 }), 0);
+  });
+});
+
+describe("calculateTax", () => {
+  it("splits tax-inclusive prices into CGST and SGST in state", () => {
+    const result = calculateTax(buildSettings(), {
+      lines: [{ amount: 1180 }, { amount: 525, hsn: "0601" }],
+      shippingState: "maharashtra ",
+    });
+
+    assert.equal(result.interState, false);
+    assert.deepEqual(result.lines, [
+      { taxRate: 18, taxableValue: 1000, taxAmount: 180 },
+      { taxRate: 5, taxableValue: 500, taxAmount: 25 },
+    ]);
+    assert.equal(result.taxAmount, 205);
+    assert.deepEqual(result.taxes, [
+      { name: "CGST", rate: 9, amount: 90 },
+      { name: "SGST", rate: 9, amount: 90 },
+      { name: "CGST", rate: 2.5, amount: 12.5 },
+      { name: "SGST", rate: 2.5, amount: 12.5 },
+    ]);
+  });
+
+  it("adds IGST on the discounted price out of state", () => {
+    const result = calculateTax(
+      buildSettings({ taxInclusivePricing: false }),
+      {
+        lines: [{ amount: 1000, discount: 100 }],
+        shippingState: "Karnataka",
+      }
+    );
+
+    assert.equal(result.interState, true);
+    assert.deepEqual(result.lines, [
+      { taxRate: 18, taxableValue: 900, taxAmount: 162 },
+    ]);
+    assert.deepEqual(result.taxes, [{ name: "IGST", rate: 18, amount: 162 }]);
+  });
+
+  it("treats an unknown state as inter-state", () => {
+    assert.equal(isInterStateSupply("Maharashtra", ""), true);
+    assert.equal(isInterStateSupply("Tamil Nadu", "tamilnadu"), false);
+  });
+});
+
+describe("allocateDiscount", () => {
+  it("shares a discount so the parts add up exactly", () => {
+    assert.deepEqual(allocateDiscount([100, 100, 100], 100), [
+      33.33, 33.33, 33.34,
+    ]);
+  });
+
+  it("never shares out more than the amounts", () => {
+    assert.deepEqual(allocateDiscount([100, 50], 500), [100, 50]);
+  });
+});
@@ -0,0 +1,286 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Coupon from "../src/models/coupon.model.js";
+import GiftCard from "../src/models/giftCard.model.js";
+import LoyaltyTransaction from "../src/models/loyaltyTransaction.model.js";
+import Order from "../src/models/order.model.js";
+import User from "../src/models/user.model.js";
+import WalletTransaction from "../src/models/walletTransaction.model.js";
+import { releaseCancelledOrder } from "../src/utils/orderCancellation.js";
+import { evaluatePromotions } from "../src/utils/promotions.js";
+import {
+  receiveReturn,
+  recordRefund,
+} from "../src/controllers/orderManagement.controller.js";
+import { createResponse, query, retryingSession } from "./helpers.js";
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const buildOrder = (overrides = {}) =>
+  new Order({
+    orderNumber: "ORD-1",
+    customerId: objectId(),
+    items: [
+      {
+        productId: objectId(),
+        title: "Gift card",
+        sku: "GIFT-1000",
+        quantity: 1,
+        price: 1000,
+        total: 1000,
+        isGiftCard: true,
+      },
+    ],
+    totalAmount: 1000,
+    status: "confirmed",
+    payment: { method: "wallet", status: "paid", walletAmount: 1000 },
+    ...overrides,
+  });
+
+afterEach(() => mock.restoreAll());
+
+describe("WalletTransaction", () => {
+  it("refuses a debit larger than the balance", async () => {
+    mock.method(User, "findOneAndUpdate", () => query(null));
+    const create = mock.method(WalletTransaction, "create", async () => []);
+
+    const result = await WalletTransaction.debit(objectId(), 500);
+
+    assert.deepEqual(result, { error: "Insufficient wallet balance" });
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("records the balance after a credit", async () => {
+    mock.method(User, "findByIdAndUpdate", () =>
+      query({ walletBalance: 1250.5 })
+    );
+    const create = mock.method(WalletTransaction, "create", async (docs) =>
+      docs
+    );
+
+    const entry = await WalletTransaction.credit(objectId(), 250.5, {
+      source: "adjustment",
+    });
+
+    assert.equal(entry.type, "credit");
+    assert.equal(entry.amount, 250.5);
+    assert.equal(entry.balanceAfter, 1250.5);
+    assert.equal(create.mock.callCount(), 1);
+  });
+});
+
+describe("releaseCancelledOrder", () => {
+  let credit;
+
+  beforeEach(() => {
+    mock.method(Coupon, "releaseForOrder", async () => {});
+    mock.method(LoyaltyTransaction, "releaseForOrder", async () => {});
+    mock.method(GiftCard, "cancelForOrder", async () => {});
+    mock.method(WalletTransaction, "exists", () => query(null));
+    credit = mock.method(WalletTransaction, "credit", async () => ({}));
+  });
+
+  it("gives back the store credit spent on the order", async () => {
+    mock.method(GiftCard, "find", () => query([]));
+
+    await releaseCancelledOrder(buildOrder());
+
+    assert.equal(credit.mock.callCount(), 1);
+    assert.equal(credit.mock.calls[0].arguments[1], 1000);
+  });
+
+  it("keeps back the value of gift cards already redeemed", async () => {
+    mock.method(GiftCard, "find", () => query([{ value: 1000 }]));
+
+    await releaseCancelledOrder(buildOrder());
+
+    assert.equal(credit.mock.callCount(), 0);
+  });
+
+  it("cancels unredeemed cards before totalling redeemed ones", async () => {
+    const calls = [];
+    GiftCard.cancelForOrder.mock.mockImplementation(async () => {
+      calls.push("cancel");
+    });
+    mock.method(GiftCard, "find", () => {
+      calls.push("redeemed");
+      return query([{ value: 400 }]);
+    });
+
+    await releaseCancelledOrder(buildOrder());
+
+    assert.deepEqual(calls, ["cancel", "redeemed"]);
+    assert.equal(credit.mock.calls[0].arguments[1], 600);
+  });
+});
+
+describe("GiftCard.issueForOrder", () => {
+  it("issues an order's cards only once when paid events race", async () => {
+    let issuedAt = null;
+    mock.method(Order, "updateOne", async (filter, update) => {
+      if (filter.giftCardsIssuedAt !== null || issuedAt) {
+        return { modifiedCount: 0 };
+      }
+      issuedAt = update.$set.giftCardsIssuedAt;
+      return { modifiedCount: 1 };
+    });
+    const insertMany = mock.method(GiftCard, "insertMany", async (cards) =>
+      cards
+    );
+    const order = buildOrder();
+    order.items[0].quantity = 2;
+
+    const [first, second] = await Promise.all([
+      GiftCard.issueForOrder(order),
+      GiftCard.issueForOrder(order),
+    ]);
+
+    assert.equal(first.length + second.length, 2);
+    assert.equal(insertMany.mock.callCount(), 1);
+    assert.ok(first.every((card) => card.value === 1000));
+  });
+});
+
+describe("discounts on gift cards", () => {
+  const giftCard = {
+    productId: objectId(),
+    categories: [],
+    isGiftCard: true,
+    price: 1000,
+    quantity: 1,
+  };
+  const plant = {
+    productId: objectId(),
+    categories: ["Indoor"],
+    price: 500,
+    quantity: 1,
+  };
+
+  it("leaves gift card lines out of promotions", () => {
+    const now = Date.now();
+    const { lineDiscounts } = evaluatePromotions(
+      [
+        {
+          type: "sale",
+          discountType: "percentage",
+          discountValue: 10,
+          startDate: new Date(now - 1000),
+          endDate: new Date(now + 1000),
+        },
+      ],
+      [giftCard, plant]
+    );
+
+    assert.deepEqual(lineDiscounts, [0, 50]);
+  });
+
+  it("leaves gift card lines out of cart-wide coupons", async () => {
+    const coupon = new Coupon({
+      code: "SAVE10",
+      discountType: "percentage",
+      discountValue: 10,
+      scope: "cart",
+      startDate: new Date(Date.now() - 1000),
+      endDate: new Date(Date.now() + 60000),
+    });
+    const { default: Product } = await import(
+      "../src/models/product.model.js"
+    );
+    mock.method(Product, "find", () =>
+      query([
+        { _id: giftCard.productId, categories: [], isGiftCard: true },
+        { _id: plant.productId, categories: ["Indoor"], isGiftCard: false },
+      ])
+    );
+
+    const { discount } = await coupon.checkCart([
+      { productId: giftCard.productId, priceAtAdd: 1000, quantity: 1 },
+      { productId: plant.productId, priceAtAdd: 500, quantity: 1 },
+    ]);
+
+    assert.equal(discount.discountAmount, 50);
+    assert.equal(discount.applicableItems.length, 1);
+  });
+});
+
+describe("refunds retried by the transaction", () => {
+  let stored;
+  let saved;
+  let credit;
+
+  const admin = { id: objectId().toString(), name: "Admin" };
+
+  beforeEach(() => {
+    stored = buildOrder({ status: "delivered" }).toObject();
+    saved = [];
+    mock.method(mongoose, "startSession", async () => retryingSession(2));
+    // Every attempt reads the stored order afresh
+    mock.method(Order, "findById", () => query(Order.hydrate(stored)));
+    mock.method(Order.prototype, "save", async function () {
+      saved.push(this);
+      return this;
+    });
+    credit = mock.method(WalletTransaction, "credit", async () => ({}));
+  });
+
+  it("records a refund once per attempt, not twice", async () => {
+    const res = createResponse();
+    await recordRefund(
+      {
+        params: { orderId: stored._id.toString() },
+        body: { amount: 300, toStoreCredit: true },
+        user: admin,
+      },
+      res
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(saved.length, 2);
+    const committed = saved[saved.length - 1];
+    assert.equal(committed.payment.refundAmount, 300);
+    assert.equal(committed.payment.storeCreditRefunded, 300);
+    assert.ok(credit.mock.calls.every((call) => call.arguments[1] === 300));
+    assert.equal(res.body.data.refundAmount, 300);
+  });
+
+  it("receives a return once per attempt, not twice", async () => {
+    const order = Order.hydrate(stored);
+    const item = order.items[0];
+    order.items[0].isGiftCard = false;
+    order.returns.push({
+      rmaNumber: "RMA-ORD-1-1",
+      status: "approved",
+      items: [
+        {
+          productId: item.productId,
+          title: item.title,
+          sku: item.sku,
+          quantity: 1,
+          reason: "Damaged",
+          refundAmount: 1000,
+        },
+      ],
+    });
+    stored = order.toObject();
+    const res = createResponse();
+
+    await receiveReturn(
+      {
+        params: {
+          orderId: stored._id.toString(),
+          returnId: stored.returns[0]._id.toString(),
+        },
+        body: { restock: false, refundAmount: 400, toStoreCredit: true },
+        user: admin,
+      },
+      res
+    );
+
+    assert.equal(res.statusCode, 200);
+    const committed = saved[saved.length - 1];
+    assert.equal(committed.payment.refundAmount, 400);
+    assert.equal(committed.returns[0].status, "refunded");
+    assert.equal(res.body.data.totalRefunded, 400);
+  });
+});